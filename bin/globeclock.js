@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+// GlobeClock on the command line, built on src/core and the city dataset.
+//
+// Usage:
+//   globeclock now <city|timezone> [--at ISO]
+//   globeclock where <HH:MM> [--solar] [--tolerance MIN] [--at ISO] [--limit N]
+//   globeclock sun <city> [--date YYYY-MM-DD]
+//   globeclock convert <HH:MM> <from> <to> [--date YYYY-MM-DD]
+//
+// Common options:
+//   --json          machine-readable output instead of a table
+//   --cities FILE   city dataset (default: public/cities.json next to this script)
+//
+// Cities are matched by name, optionally narrowed by country ("Paris, France");
+// anything containing a "/", or UTC/GMT with an optional offset, is read as a
+// timezone. Everything runs offline from the dataset and the platform's Intl
+// timezone data.
+//
+// Exit status: 0 on success, 1 on bad usage or input, 2 on an unknown city or timezone.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+    getZonedParts, getUtcOffsetMinutes, formatUtcOffset, formatOffsetDifference, getZoneInfo, isValidTimezone,
+    zonedTimeToUtc, getSolarTimeStr, getDaylightStatus, getSunEvents,
+    findCivilMatches, findSolarMatches, parseTimeOfDay,
+    buildSearchIndex, searchCities, normalizeText
+} from '../src/core/index.js';
+
+const DEFAULT_CITIES = fileURLToPath(new URL('../public/cities.json', import.meta.url));
+
+const USAGE = `Usage:
+  globeclock now <city|timezone> [--at ISO]
+  globeclock where <HH:MM> [--solar] [--tolerance MIN] [--at ISO] [--limit N]
+  globeclock sun <city> [--date YYYY-MM-DD]
+  globeclock convert <HH:MM> <from> <to> [--date YYYY-MM-DD]
+
+Options:
+  --json          print JSON instead of a table
+  --cities FILE   city dataset (default: public/cities.json)`;
+
+class UsageError extends Error { }
+class NotFoundError extends Error { }
+
+// Options that take a value; everything else starting with -- is a flag
+const VALUE_OPTIONS = ['--at', '--date', '--tolerance', '--limit', '--cities'];
+const FLAG_OPTIONS = ['--json', '--solar', '--help'];
+
+function parseArgs(argv) {
+    const options = { json: false, solar: false, help: false, cities: DEFAULT_CITIES, tolerance: 15, limit: 20 };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || FLAG_OPTIONS.includes(arg)) {
+            options[arg === '-h' ? 'help' : arg.slice(2)] = true;
+        } else if (VALUE_OPTIONS.includes(arg)) {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    options.tolerance = Number(options.tolerance);
+    options.limit = Number(options.limit);
+    if (isNaN(options.tolerance) || options.tolerance < 0) throw new UsageError('--tolerance must be a non-negative number of minutes');
+    if (!Number.isInteger(options.limit) || options.limit < 1) throw new UsageError('--limit must be a positive integer');
+
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+function loadCities(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new UsageError(`Cannot read city dataset ${file}: ${e.message}`);
+    }
+}
+
+function parseInstant(text) {
+    if (text === undefined) return new Date();
+    const date = new Date(text);
+    if (isNaN(date.getTime())) throw new UsageError(`Invalid date/time "${text}" (expected ISO 8601, e.g. 2024-06-21T12:00Z)`);
+    return date;
+}
+
+// { year, month, day } from YYYY-MM-DD, or today's date in `timezone`
+function parseCivilDate(text, timezone) {
+    if (text === undefined) {
+        const { year, month, day } = getZonedParts(new Date(), timezone);
+        return { year, month, day };
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!date || date.getUTCDate() !== Number(match[3])) throw new UsageError(`Invalid date "${text}" (expected YYYY-MM-DD)`);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function parseTime(text) {
+    const minutes = parseTimeOfDay(text);
+    if (minutes === null) throw new UsageError(`Invalid time "${text}" (expected HH:MM, 24h)`);
+    return minutes;
+}
+
+// Most populous first, so "Springfield" is the one people usually mean
+function byPopulation(a, b) {
+    return (b.population || 0) - (a.population || 0);
+}
+
+/**
+ * A city from the dataset: the exact name, else a name starting with the
+ * query, else one with a word starting with it ("lumpur" -> Kuala Lumpur); the
+ * most populous wins each time. "Name, Country" narrows the search to that
+ * country. Anything fuzzier is only offered as a suggestion, since a wrong
+ * city is worse than an error in a script.
+ */
+function findCity(cities, query) {
+    const [name, country] = query.split(',').map(part => normalizeText(part));
+    if (!name) throw new UsageError('Missing city name');
+    const pool = country ? cities.filter(city => normalizeText(city.country).startsWith(country)) : cities;
+    const names = pool.map(city => normalizeText(city.name));
+
+    const matchers = [
+        text => text === name,
+        text => text.startsWith(name),
+        text => text.split(' ').some(word => word.startsWith(name))
+    ];
+    for (const matches of matchers) {
+        const found = pool.filter((city, i) => matches(names[i])).sort(byPopulation);
+        if (found.length > 0) return found[0];
+    }
+
+    const suggestions = searchCities(buildSearchIndex(pool), name, { limit: 5 })
+        .map(result => `${result.city.name}, ${result.city.country}`);
+    throw new NotFoundError(`Unknown city "${query}"${suggestions.length ? `. Did you mean: ${suggestions.join('; ')}?` : ''}`);
+}
+
+// IANA ids ("Asia/Tokyo", "Etc/GMT+5") and bare UTC/GMT forms; exact, so
+// city names like "Etchmiadzin" or "Gmünd" stay cities
+function looksLikeTimezone(text) {
+    return text.includes('/') || /^(utc|gmt)([+-]\d{1,2}(:?\d{2})?)?$/i.test(text.trim());
+}
+
+// A place is a city (with coordinates) or a bare IANA timezone
+function resolvePlace(cities, query) {
+    if (looksLikeTimezone(query)) {
+        if (!isValidTimezone(query)) throw new NotFoundError(`Unknown timezone "${query}"`);
+        return { name: query, timezone: query, lat: null, lon: null };
+    }
+    const city = findCity(cities, query);
+    return { name: `${city.name}, ${city.country}`, timezone: city.timezone, lat: city.lat, lon: city.lon };
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatZoned(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// HH:MM in `timezone`, with +1/-1 when it falls on another date than `day`
+function formatLocalTime(date, timezone, day) {
+    if (!date) return null;
+    const p = getZonedParts(date, timezone);
+    const shift = Math.round((Date.UTC(p.year, p.month - 1, p.day) - Date.UTC(day.year, day.month - 1, day.day)) / 86400000);
+    return `${pad(p.hour)}:${pad(p.minute)}${shift ? ` ${shift > 0 ? '+' : ''}${shift}` : ''}`;
+}
+
+function formatMinutes(minutes) {
+    const m = Math.floor(minutes);
+    return `${pad(Math.floor(m / 60) % 24)}:${pad(m % 60)}`;
+}
+
+function formatDuration(minutes) {
+    const m = Math.round(minutes);
+    return `${Math.floor(m / 60)}h ${pad(m % 60)}m`;
+}
+
+function commandNow(cities, args, options) {
+    if (args.length !== 1) throw new UsageError('now needs one city or timezone');
+    const place = resolvePlace(cities, args[0]);
+    const date = parseInstant(options.at);
+    const dst = getZoneInfo(date, place.timezone);
+    // Offset changes as the local time they take effect and the shift
+    const transition = (t) => t && {
+        at: formatZoned(t.time, place.timezone),
+        change: formatOffsetDifference(t.offsetAfter - t.offsetBefore),
+        abbreviation: t.abbreviationAfter
+    };
+
+    const result = {
+        place: place.name,
+        timezone: place.timezone,
+        civilTime: formatZoned(date, place.timezone),
+        utcOffset: formatUtcOffset(dst.offsetMinutes),
+        abbreviation: dst.abbreviation,
+        dst: dst.observesDst ? (dst.isDst ? 'active' : 'standard time') : 'not observed',
+        previousChange: transition(dst.previousTransition),
+        nextChange: transition(dst.nextTransition),
+        solarTime: place.lon === null ? null : getSolarTimeStr(place.lon, date),
+        daylight: place.lat === null ? null : getDaylightStatus(place.lat, place.lon, date)
+    };
+
+    return {
+        json: result,
+        table: [
+            ['PLACE', result.place],
+            ['TIMEZONE', result.timezone],
+            ['CIVIL TIME', result.civilTime],
+            ['UTC OFFSET', `${result.utcOffset} ${result.abbreviation}`],
+            ['DST', result.dst.toUpperCase()],
+            ...[['LAST CHANGE', result.previousChange], ['NEXT CHANGE', result.nextChange]]
+                .filter(([, change]) => change)
+                .map(([label, change]) => [label, `${change.at} (${change.change.toUpperCase()}, ${change.abbreviation})`]),
+            ...(result.solarTime ? [['SOLAR TIME', result.solarTime], ['DAYLIGHT', result.daylight]] : [])
+        ]
+    };
+}
+
+function commandWhere(cities, args, options) {
+    if (args.length !== 1) throw new UsageError('where needs one time (HH:MM)');
+    const target = parseTime(args[0]);
+    const date = parseInstant(options.at);
+    const lookup = { tolerance: options.tolerance };
+
+    if (options.solar) {
+        const result = findSolarMatches(cities, target, date, lookup);
+        const matches = result.cities.slice(0, options.limit);
+        return {
+            json: {
+                mode: 'solar',
+                time: formatMinutes(target),
+                at: date.toISOString(),
+                centerLon: result.centerLon,
+                halfWidth: result.halfWidth,
+                cities: matches.map(m => ({
+                    name: m.city.name, country: m.city.country, lon: m.city.lon,
+                    solarTime: formatMinutes(m.solarMinutes), diffMinutes: m.diffMinutes
+                }))
+            },
+            header: ['SOLAR', 'CITY', 'COUNTRY', 'LON'],
+            table: matches.map(m => [formatMinutes(m.solarMinutes), m.city.name, m.city.country, m.city.lon.toFixed(2)]),
+            footer: `Solar ${formatMinutes(target)} band: lon ${result.centerLon.toFixed(2)} ±${result.halfWidth.toFixed(2)}`
+        };
+    }
+
+    const matches = findCivilMatches(cities, target, date, lookup);
+    return {
+        json: {
+            mode: 'civil',
+            time: formatMinutes(target),
+            at: date.toISOString(),
+            zones: matches.slice(0, options.limit).map(m => ({
+                timezone: m.timezone,
+                utcOffset: formatUtcOffset(m.offsetMinutes),
+                localTime: formatMinutes(m.localMinutes),
+                diffMinutes: m.diffMinutes,
+                cities: m.cities.slice(0, 5).map(city => city.name)
+            }))
+        },
+        header: ['LOCAL', 'TIMEZONE', 'OFFSET', 'CITIES'],
+        table: matches.slice(0, options.limit).map(m => [
+            formatMinutes(m.localMinutes),
+            m.timezone,
+            formatUtcOffset(m.offsetMinutes),
+            m.cities.slice(0, 3).map(city => city.name).join(', ') + (m.cities.length > 3 ? ` +${m.cities.length - 3}` : '')
+        ]),
+        footer: `${matches.length} zone${matches.length === 1 ? '' : 's'} at ${formatMinutes(target)} (±${options.tolerance} min)`
+    };
+}
+
+function commandSun(cities, args, options) {
+    if (args.length !== 1) throw new UsageError('sun needs one city');
+    if (looksLikeTimezone(args[0])) throw new UsageError('sun needs a city (coordinates), not a timezone');
+    const place = resolvePlace(cities, args[0]);
+    const day = parseCivilDate(options.date, place.timezone);
+    const events = getSunEvents(place.lat, place.lon, zonedTimeToUtc({ ...day, hour: 12 }, place.timezone), place.timezone);
+
+    const fields = ['astronomicalDawn', 'nauticalDawn', 'civilDawn', 'sunrise', 'solarNoon', 'sunset', 'civilDusk', 'nauticalDusk', 'astronomicalDusk'];
+    const json = {
+        place: place.name,
+        timezone: place.timezone,
+        date: `${day.year}-${pad(day.month)}-${pad(day.day)}`,
+        dayLengthMinutes: Math.round(events.dayLengthMinutes),
+        polar: events.polar
+    };
+    fields.forEach(field => {
+        json[field] = events[field] ? events[field].toISOString() : null;
+    });
+
+    const label = (field) => field.replace(/([A-Z])/g, ' $1').toUpperCase();
+    return {
+        json,
+        table: [
+            ['PLACE', `${place.name} (${place.timezone})`],
+            ['DATE', json.date],
+            ['DAY LENGTH', events.polar === 'DAY' ? 'MIDNIGHT SUN' : events.polar === 'NIGHT' ? 'POLAR NIGHT' : formatDuration(events.dayLengthMinutes)],
+            ...fields.map(field => [label(field), formatLocalTime(events[field], place.timezone, day) || '-'])
+        ]
+    };
+}
+
+function commandConvert(cities, args, options) {
+    if (args.length !== 3) throw new UsageError('convert needs a time, a source and a target (city or timezone)');
+    const minutes = parseTime(args[0]);
+    const from = resolvePlace(cities, args[1]);
+    const to = resolvePlace(cities, args[2]);
+    const day = parseCivilDate(options.date, from.timezone);
+
+    const instant = zonedTimeToUtc({ ...day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, from.timezone);
+    const side = (place) => ({
+        place: place.name,
+        timezone: place.timezone,
+        time: formatZoned(instant, place.timezone).slice(0, 16),
+        utcOffset: formatUtcOffset(getUtcOffsetMinutes(instant, place.timezone))
+    });
+    const json = { utc: instant.toISOString(), from: side(from), to: side(to) };
+
+    return {
+        json,
+        header: ['', 'TIME', 'OFFSET', 'PLACE'],
+        table: [
+            ['FROM', json.from.time, json.from.utcOffset, `${from.name}${from.name === from.timezone ? '' : ` (${from.timezone})`}`],
+            ['TO', json.to.time, json.to.utcOffset, `${to.name}${to.name === to.timezone ? '' : ` (${to.timezone})`}`]
+        ]
+    };
+}
+
+const COMMANDS = {
+    now: commandNow,
+    where: commandWhere,
+    sun: commandSun,
+    convert: commandConvert
+};
+
+// Left-aligned columns separated by two spaces
+function formatTable(rows, header) {
+    const all = header ? [header, ...rows] : rows;
+    const widths = [];
+    all.forEach(row => row.forEach((cell, i) => {
+        widths[i] = Math.max(widths[i] || 0, String(cell).length);
+    }));
+    return all
+        .map(row => row.map((cell, i) => (i === row.length - 1 ? String(cell) : String(cell).padEnd(widths[i]))).join('  ').trimEnd())
+        .join('\n');
+}
+
+function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    if (options.help || !command) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+
+    const output = COMMANDS[command](loadCities(options.cities), args, options);
+    if (options.json) {
+        console.log(JSON.stringify(output.json, null, 2));
+        return;
+    }
+    if (output.table.length > 0) console.log(formatTable(output.table, output.header));
+    if (output.footer) console.log(output.footer);
+}
+
+try {
+    main();
+} catch (err) {
+    if (err instanceof NotFoundError) {
+        console.error(`Error: ${err.message}`);
+        process.exit(2);
+    }
+    if (err instanceof UsageError) {
+        console.error(`Error: ${err.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    console.error(err);
+    process.exit(1);
+}
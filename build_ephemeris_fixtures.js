@@ -0,0 +1,131 @@
+// Builds tests/fixtures/ephemeris.json, the reference tables used by
+// tests/ephemeris.test.js.
+//
+// Usage:
+//   node build_ephemeris_fixtures.js [output]
+//
+// Reference values come from astronomy-engine (VSOP87 for the Earth, a
+// full lunar theory, IAU 2000B nutation), which is independent of the Meeus
+// series in src/core/meeus.js and an order of magnitude more precise. Both use
+// the Espenak & Meeus ΔT model, so UT instants mean the same thing on both
+// sides. The table is committed; rerun this only to extend it.
+
+import fs from 'fs';
+import path from 'path';
+import * as Astronomy from 'astronomy-engine';
+
+const FIRST_YEAR = 1800;
+const LAST_YEAR = 2200;
+
+// Instants spread over the year and the day, so every term sees several phases
+const SAMPLE_DAYS = [3, 64, 125, 186, 247, 308];
+const SAMPLE_YEAR_STEP = 20;
+
+const SUNRISE_YEAR_STEP = 50;
+const SUNRISE_DATES = [[3, 20], [6, 21], [9, 22], [12, 21]];
+const SUNRISE_PLACES = [
+    { name: 'London', lat: 51.5074, lon: -0.1278 },
+    { name: 'New York', lat: 40.7128, lon: -74.0060 },
+    { name: 'Sydney', lat: -33.8688, lon: 151.2093 },
+    { name: 'Singapore', lat: 1.3521, lon: 103.8198 },
+    { name: 'Quito', lat: -0.1807, lon: -78.4678 },
+    { name: 'Reykjavik', lat: 64.1466, lon: -21.9426 }
+];
+
+const round = (value, digits = 6) => Number(value.toFixed(digits));
+
+// Apparent geocentric RA/Dec of date (degrees) for a body's geocentric vector
+function equatorOfDate(vector, time) {
+    const rotated = Astronomy.RotateVector(Astronomy.Rotation_EQJ_EQD(time), vector);
+    const eq = Astronomy.EquatorFromVector(rotated);
+    return { ra: eq.ra * 15, dec: eq.dec, dist: eq.dist };
+}
+
+function samplePositions() {
+    const samples = [];
+    for (let year = FIRST_YEAR; year <= LAST_YEAR; year += SAMPLE_YEAR_STEP) {
+        SAMPLE_DAYS.forEach((day, i) => {
+            const date = new Date(Date.UTC(year, 0, day, (i * 7) % 24, 17));
+            const time = Astronomy.MakeTime(date);
+
+            const sunEcliptic = Astronomy.SunPosition(time);
+            const sunEquator = equatorOfDate(Astronomy.GeoVector(Astronomy.Body.Sun, time, true), time);
+            const moonEcliptic = Astronomy.EclipticGeoMoon(time);
+            const moonEquator = equatorOfDate(Astronomy.GeoMoon(time), time);
+
+            // Equation of Time from the Sun's hour angle at Greenwich
+            const hourAngle = Astronomy.HourAngle(Astronomy.Body.Sun, time, new Astronomy.Observer(0, 0, 0));
+            const utHours = date.getUTCHours() + date.getUTCMinutes() / 60;
+            const eot = ((((hourAngle + 12 - utHours) % 24) + 36) % 24 - 12) * 60;
+
+            samples.push({
+                date: date.toISOString(),
+                sun: {
+                    lon: round(sunEcliptic.elon),
+                    ra: round(sunEquator.ra),
+                    dec: round(sunEquator.dec),
+                    eot: round(eot, 4),
+                    distance: round(sunEquator.dist, 7)
+                },
+                moon: {
+                    lon: round(moonEcliptic.lon),
+                    lat: round(moonEcliptic.lat),
+                    ra: round(moonEquator.ra),
+                    dec: round(moonEquator.dec),
+                    distance: round(moonEcliptic.dist * Astronomy.KM_PER_AU, 1)
+                },
+                siderealTime: round(Astronomy.SiderealTime(time) * 15)
+            });
+        });
+    }
+    return samples;
+}
+
+function sampleSunrises() {
+    const rows = [];
+    for (let year = FIRST_YEAR; year <= LAST_YEAR; year += SUNRISE_YEAR_STEP) {
+        SUNRISE_DATES.forEach(([month, day]) => {
+            SUNRISE_PLACES.forEach(place => {
+                // Search from local mean midnight so rise and set belong to the same local day
+                const midnight = Date.UTC(year, month - 1, day) - place.lon / 15 * 3600000;
+                const observer = new Astronomy.Observer(place.lat, place.lon, 0);
+                const rise = Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, +1, new Date(midnight), 1);
+                const set = Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, -1, new Date(midnight), 1);
+                if (!rise || !set) return;
+                rows.push({
+                    place: place.name,
+                    lat: place.lat,
+                    lon: place.lon,
+                    date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+                    sunrise: rise.date.toISOString(),
+                    sunset: set.date.toISOString()
+                });
+            });
+        });
+    }
+    return rows;
+}
+
+function main() {
+    const output = process.argv[2] || 'tests/fixtures/ephemeris.json';
+    const fixtures = {
+        source: `astronomy-engine ${JSON.parse(fs.readFileSync(new URL('./node_modules/astronomy-engine/package.json', import.meta.url))).version}`,
+        units: 'degrees; sun.eot in minutes; sun.distance in AU; moon.distance in km; dates in UTC',
+        positions: samplePositions(),
+        sunrises: sampleSunrises()
+    };
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    // One record per line keeps diffs of the committed table readable
+    const list = (rows) => `[\n${rows.map(row => '  ' + JSON.stringify(row)).join(',\n')}\n ]`;
+    const json = `{\n "source": ${JSON.stringify(fixtures.source)},\n "units": ${JSON.stringify(fixtures.units)},\n` +
+        ` "positions": ${list(fixtures.positions)},\n "sunrises": ${list(fixtures.sunrises)}\n}\n`;
+    fs.writeFileSync(output, json);
+    console.log(`Wrote ${fixtures.positions.length} positions and ${fixtures.sunrises.length} sunrises -> ${output}`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+// Builds public/stars.json, the star catalogue drawn behind the globe.
+//
+// Usage:
+//   node build_stars.js [output] [--limit MAG]
+//
+// Reads the Hipparcos-based catalogue bundled with d3-celestial (every star
+// down to magnitude 6, the naked-eye sky of the Yale Bright Star Catalogue)
+// and the IAU constellation stick figures and names from the same package.
+// Output, with all angles in degrees at J2000:
+//   { source, limit,
+//     stars: [[ra, dec, mag, bv], ...]            brightest first, bv null if unknown
+//     constellations: [{ id, name, label: [ra, dec], lines: [[[ra, dec], ...], ...] }] }
+
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+function parseArgs(argv) {
+    const options = { output: 'public/stars.json', limit: 6 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--limit') options.limit = Number(argv[++i]);
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.output = arg;
+    }
+    if (!(options.limit > -2 && options.limit <= 6)) {
+        throw new Error('--limit must be a magnitude up to 6 (the catalogue limit)');
+    }
+    return options;
+}
+
+function readData(name) {
+    return JSON.parse(fs.readFileSync(require.resolve(`d3-celestial/data/${name}`), 'utf8'));
+}
+
+// d3-celestial stores right ascension as a longitude in [-180, 180]
+function toRaDec([lon, lat]) {
+    return [round((lon + 360) % 360, 4), round(lat, 4)];
+}
+
+function round(value, digits) {
+    const f = 10 ** digits;
+    return Math.round(value * f) / f;
+}
+
+function buildStars(limit) {
+    return readData('stars.6.json').features
+        .filter(f => f.properties.mag <= limit)
+        .map(f => {
+            const bv = parseFloat(f.properties.bv);
+            return [...toRaDec(f.geometry.coordinates), f.properties.mag, Number.isFinite(bv) ? round(bv, 2) : null];
+        })
+        .sort((a, b) => a[2] - b[2]);
+}
+
+function buildConstellations() {
+    const names = new Map(readData('constellations.json').features.map(f => [f.id, f]));
+    return readData('constellations.lines.json').features.map(f => {
+        const info = names.get(f.id);
+        if (!info) throw new Error(`No name for constellation ${f.id}`);
+        return {
+            id: f.id,
+            name: info.properties.name,
+            label: toRaDec(info.geometry.coordinates),
+            lines: f.geometry.coordinates.map(line => line.map(toRaDec))
+        };
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const stars = buildStars(options.limit);
+    const constellations = buildConstellations();
+
+    const catalogue = { source: 'd3-celestial (Hipparcos, IAU)', limit: options.limit, stars, constellations };
+    fs.writeFileSync(options.output, JSON.stringify(catalogue));
+    console.log(`Wrote ${stars.length} stars (mag <= ${options.limit}) and ${constellations.length} constellations -> ${options.output}`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err);
+    process.exit(1);
+}
@@ -0,0 +1,247 @@
+// Builds public/timezones.geojson, the timezone boundary layer drawn by the globe.
+//
+// Usage:
+//   node build_timezones.js [output] [--resolution DEG]
+//
+// tz-lookup (already used by convert_cities.js) is sampled on a regular
+// lat/lon grid and the outline of every zone is traced into polygons with
+// holes, so the result is plain GeoJSON that works offline. Open ocean comes
+// back as the nautical Etc/GMT±N zones, so the whole sphere is covered.
+// Each feature carries { tzid, cells, label: [lon, lat] } where label is the
+// point of the zone farthest from its border (for offset labels).
+
+import fs from 'fs';
+import tz from 'tz-lookup';
+
+function parseArgs(argv) {
+    const options = { output: 'public/timezones.geojson', resolution: 0.25 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--resolution') options.resolution = Number(argv[++i]);
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else options.output = arg;
+    }
+    if (!(options.resolution > 0) || 180 % options.resolution !== 0) {
+        throw new Error('--resolution must divide 180 evenly (e.g. 1, 0.5, 0.25)');
+    }
+    return options;
+}
+
+function sampleGrid(resolution) {
+    const width = 360 / resolution;
+    const height = 180 / resolution;
+    const zones = [];
+    const zoneIndex = new Map();
+    const grid = new Int32Array(width * height);
+
+    for (let row = 0; row < height; row++) {
+        const lat = 90 - (row + 0.5) * resolution;
+        for (let col = 0; col < width; col++) {
+            const lon = -180 + (col + 0.5) * resolution;
+            const id = tz(lat, lon);
+            if (!zoneIndex.has(id)) {
+                zoneIndex.set(id, zones.length);
+                zones.push(id);
+            }
+            grid[row * width + col] = zoneIndex.get(id);
+        }
+    }
+    return { width, height, grid, zones };
+}
+
+// Chamfer distance (in cells) from each cell to the nearest cell of another zone
+function distanceToBorder({ width, height, grid }) {
+    const dist = new Float32Array(width * height);
+    const at = (col, row) => grid[row * width + ((col + width) % width)];
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const z = at(col, row);
+            const edge = row === 0 || row === height - 1 ||
+                at(col - 1, row) !== z || at(col + 1, row) !== z ||
+                at(col, row - 1) !== z || at(col, row + 1) !== z;
+            dist[row * width + col] = edge ? 0 : Infinity;
+        }
+    }
+
+    const relax = (i, j, cost) => {
+        if (dist[j] + cost < dist[i]) dist[i] = dist[j] + cost;
+    };
+    for (let row = 1; row < height; row++) {
+        for (let col = 1; col < width; col++) {
+            const i = row * width + col;
+            relax(i, i - 1, 1);
+            relax(i, i - width, 1);
+            relax(i, i - width - 1, Math.SQRT2);
+            if (col < width - 1) relax(i, i - width + 1, Math.SQRT2);
+        }
+    }
+    for (let row = height - 2; row >= 0; row--) {
+        for (let col = width - 2; col >= 0; col--) {
+            const i = row * width + col;
+            relax(i, i + 1, 1);
+            relax(i, i + width, 1);
+            relax(i, i + width + 1, Math.SQRT2);
+            if (col > 0) relax(i, i + width - 1, Math.SQRT2);
+        }
+    }
+    return dist;
+}
+
+function signedArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Traces the outline of one zone's cells into closed rings (grid corner
+ * coordinates). Edges run counter-clockwise around the zone (zone on the
+ * left), so outer rings come out CCW and holes CW.
+ */
+function traceRings({ width, height, grid }, zone) {
+    const inZone = (col, row) => col >= 0 && col < width && row >= 0 && row < height && grid[row * width + col] === zone;
+    const key = (x, y) => y * (width + 1) + x;
+    const edges = new Map(); // start vertex -> [{ x, y, dx, dy }]
+
+    const addEdge = (x, y, dx, dy) => {
+        const k = key(x, y);
+        if (!edges.has(k)) edges.set(k, []);
+        edges.get(k).push({ x, y, dx, dy });
+    };
+
+    // Grid corner (x, y): x = column, y = row (growing southwards)
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            if (!inZone(col, row)) continue;
+            if (!inZone(col, row + 1)) addEdge(col, row + 1, 1, 0); // bottom, west -> east
+            if (!inZone(col + 1, row)) addEdge(col + 1, row + 1, 0, -1); // right, south -> north
+            if (!inZone(col, row - 1)) addEdge(col + 1, row, -1, 0); // top, east -> west
+            if (!inZone(col - 1, row)) addEdge(col, row, 0, 1); // left, north -> south
+        }
+    }
+
+    const rings = [];
+    for (const list of edges.values()) {
+        while (list.length > 0) {
+            let edge = list.pop();
+            const ring = [[edge.x, edge.y]];
+            for (;;) {
+                const x = edge.x + edge.dx;
+                const y = edge.y + edge.dy;
+                const next = edges.get(key(x, y));
+                if (!next || next.length === 0) break;
+
+                // At a saddle take the sharpest left turn so diagonal cells stay separate rings.
+                // In grid coordinates (y down) a left turn of (dx, dy) is (dy, -dx).
+                const rank = (e) => {
+                    if (e.dx === edge.dy && e.dy === -edge.dx) return 0;
+                    if (e.dx === edge.dx && e.dy === edge.dy) return 1;
+                    return 2;
+                };
+                next.sort((a, b) => rank(b) - rank(a));
+                edge = next.pop();
+                ring.push([edge.x, edge.y]);
+            }
+            ring.push(ring[0]);
+            rings.push(ring);
+        }
+    }
+    return rings;
+}
+
+// Drops vertices in the middle of straight runs
+function simplifyRing(ring) {
+    const out = [];
+    const n = ring.length - 1;
+    for (let i = 0; i < n; i++) {
+        const prev = ring[(i - 1 + n) % n];
+        const curr = ring[i];
+        const next = ring[(i + 1) % n];
+        const collinear = (curr[0] - prev[0]) * (next[1] - curr[1]) === (curr[1] - prev[1]) * (next[0] - curr[0]);
+        if (!collinear) out.push(curr);
+    }
+    out.push(out[0]);
+    return out;
+}
+
+function buildFeature(sample, zone, resolution, dist) {
+    const toLonLat = ([x, y]) => [
+        Math.round((-180 + x * resolution) * 1000) / 1000,
+        Math.round((90 - y * resolution) * 1000) / 1000
+    ];
+
+    // Row grows southwards, so flip to lon/lat orientation: outer rings CCW, holes CW
+    const rings = traceRings(sample, zone).map(simplifyRing).map(ring => ring.map(toLonLat));
+    const outers = rings.filter(ring => signedArea(ring) > 0);
+    const holes = rings.filter(ring => signedArea(ring) < 0);
+
+    const polygons = outers.map(ring => [ring]);
+    holes.forEach(hole => {
+        // Smallest outer ring containing the hole
+        const owner = polygons
+            .filter(([outer]) => pointInRing(hole[0], outer) || pointInRing(hole[1], outer))
+            .sort((a, b) => signedArea(a[0]) - signedArea(b[0]))[0];
+        if (owner) owner.push(hole);
+    });
+
+    let cells = 0;
+    let best = -1;
+    let bestIndex = 0;
+    for (let i = 0; i < sample.grid.length; i++) {
+        if (sample.grid[i] !== zone) continue;
+        cells++;
+        if (dist[i] > best) {
+            best = dist[i];
+            bestIndex = i;
+        }
+    }
+    const labelCol = bestIndex % sample.width;
+    const labelRow = Math.floor(bestIndex / sample.width);
+
+    return {
+        type: 'Feature',
+        properties: {
+            tzid: sample.zones[zone],
+            cells,
+            label: toLonLat([labelCol + 0.5, labelRow + 0.5])
+        },
+        geometry: { type: 'MultiPolygon', coordinates: polygons }
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const sample = sampleGrid(options.resolution);
+    const dist = distanceToBorder(sample);
+
+    const features = sample.zones.map((_, zone) => buildFeature(sample, zone, options.resolution, dist));
+    const collection = {
+        type: 'FeatureCollection',
+        properties: { source: 'tz-lookup', resolution: options.resolution },
+        features
+    };
+
+    fs.writeFileSync(options.output, JSON.stringify(collection));
+    const vertices = features.reduce((sum, f) => sum + f.geometry.coordinates.flat(2).length, 0);
+    console.log(`Wrote ${features.length} zones (${vertices} vertices, ${options.resolution}° grid) -> ${options.output}`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err);
+    process.exit(1);
+}
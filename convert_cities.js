@@ -1,49 +1,348 @@
+// City dataset ingestion.
+//
+// Usage:
+//   node convert_cities.js [input] [output] [--format auto|csv|geonames]
+//                          [--min-population N] [--skip-invalid]
+//
+// Defaults to public/worldcities.csv -> public/cities.json.
+// Accepts:
+//   - Delimited files with a header row (comma or tab). Columns are matched by
+//     name, e.g. city/name, lat/latitude, lng/lon/longitude, country, population,
+//     and optionally timezone.
+//   - GeoNames dumps (cities500.txt, cities15000.txt, ...): tab separated,
+//     no header, fixed 19 column layout.
+//
+// Rows with bad coordinates or numbers are reported with their line number and
+// make the tool exit with status 1 (nothing is written) unless --skip-invalid is
+// given. Duplicate name+country rows keep the most populous entry.
+
 import fs from 'fs';
 import tz from 'tz-lookup';
+import { getCityTier } from './src/data.js';
 
-try {
-    const csv = fs.readFileSync('public/worldcities.csv', 'utf8');
-    const lines = csv.split('\n');
-    const cities = [];
-
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
-
-        const cols = line.split(',');
-        if (cols.length < 3) continue;
-
-        const name = cols[0].replace(/"/g, '');
-        const lat = parseFloat(cols[1]);
-        const lon = parseFloat(cols[2]);
-        const pop = parseFloat(cols[7]) || 0;
-
-        if (!isNaN(lat) && !isNaN(lon)) {
-            // Get accurate Political Timezone ID
-            let timezoneId = "UTC";
-            try {
-                timezoneId = tz(lat, lon);
-            } catch (e) {
-                // Fallback to geometric
-                const offset = Math.round(lon / 15);
-                const abs = Math.abs(offset);
-                timezoneId = `Etc/GMT${offset > 0 ? '-' : '+'}${abs}`;
+const COLUMN_ALIASES = {
+    name: ['city', 'name', 'city_ascii', 'asciiname'],
+    lat: ['lat', 'latitude'],
+    lon: ['lng', 'lon', 'long', 'longitude'],
+    country: ['country', 'country_name', 'country_code', 'country code', 'iso2'],
+    population: ['population', 'pop'],
+    timezone: ['timezone', 'tz', 'time_zone']
+};
+
+const REQUIRED_COLUMNS = ['name', 'lat', 'lon'];
+
+// https://download.geonames.org/export/dump/readme.txt
+const GEONAMES_COLUMNS = {
+    name: 1,
+    lat: 4,
+    lon: 5,
+    country: 8,
+    population: 14,
+    timezone: 17
+};
+const GEONAMES_FIELD_COUNT = 19;
+
+class InputError extends Error { }
+
+function parseArgs(argv) {
+    const options = {
+        input: 'public/worldcities.csv',
+        output: 'public/cities.json',
+        format: 'auto',
+        minPopulation: 0,
+        skipInvalid: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--min-population') options.minPopulation = Number(argv[++i]);
+        else if (arg === '--skip-invalid') options.skipInvalid = true;
+        else if (arg.startsWith('--')) throw new InputError(`Unknown option ${arg}`);
+        else positional.push(arg);
+    }
+
+    if (positional[0]) options.input = positional[0];
+    if (positional[1]) options.output = positional[1];
+
+    if (!['auto', 'csv', 'geonames'].includes(options.format)) {
+        throw new InputError(`Unknown format "${options.format}" (expected auto, csv or geonames)`);
+    }
+    if (isNaN(options.minPopulation) || options.minPopulation < 0) {
+        throw new InputError('--min-population must be a non-negative number');
+    }
+    return options;
+}
+
+/**
+ * Splits delimited text into records, honouring double quoted fields
+ * (embedded delimiters, newlines and "" escapes).
+ * Returns [{ line, fields }] where line is the 1-based line the record starts on.
+ */
+function parseDelimited(text, delimiter) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        // Skip blank lines
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
             }
+            continue;
+        }
+
+        if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n') {
+            endRecord();
+            line++;
+            recordLine = line;
+        } else if (ch !== '\r') {
+            field += ch;
+        }
+    }
+
+    if (inQuotes) {
+        throw new InputError(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (field !== '' || fields.length > 0) endRecord();
+
+    return records;
+}
+
+function detectFormat(text, format) {
+    if (format !== 'auto') return format;
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+    const tabFields = firstLine.split('\t');
+    if (tabFields.length === GEONAMES_FIELD_COUNT && /^\d+$/.test(tabFields[0])) return 'geonames';
+    return 'csv';
+}
+
+function mapHeader(header) {
+    const normalized = header.map(h => h.trim().toLowerCase());
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+        const index = normalized.findIndex(h => aliases.includes(h));
+        if (index !== -1) columns[key] = index;
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(key => columns[key] === undefined);
+    if (missing.length > 0) {
+        throw new InputError(`Header is missing required column(s): ${missing.join(', ')} (found: ${header.join(', ')})`);
+    }
+    return columns;
+}
+
+function readRows(text, format) {
+    if (format === 'geonames') {
+        const records = parseDelimited(text, '\t');
+        return { columns: GEONAMES_COLUMNS, records, fieldCount: GEONAMES_FIELD_COUNT };
+    }
+
+    const delimiter = text.split('\n', 1)[0].includes('\t') ? '\t' : ',';
+    const [header, ...records] = parseDelimited(text, delimiter);
+    if (!header) throw new InputError('Input is empty');
+
+    return { columns: mapHeader(header.fields), records, fieldCount: header.fields.length };
+}
 
-            cities.push({
-                name: name,
-                lat: lat,
-                lon: lon,
-                population: pop,
-                timezone: timezoneId, // IANA ID e.g. "Asia/Tehran"
-                country: cols[3]
-            });
+function parseNumber(value) {
+    const trimmed = (value ?? '').trim();
+    if (trimmed === '') return NaN;
+    return Number(trimmed);
+}
+
+// Invisible format characters (LRM/RLM, zero-width spaces, BOMs) that
+// trim() keeps: "Granada\u200e" would never match a search for "Granada"
+function cleanText(text) {
+    return (text || '').replace(/\p{Cf}/gu, '').trim();
+}
+
+/**
+ * Validates one record and returns { city } or { error }.
+ */
+function toCity(record, columns, fieldCount) {
+    const { fields } = record;
+    const get = (key) => columns[key] === undefined ? undefined : fields[columns[key]];
+
+    if (fields.length !== fieldCount) {
+        return { error: `expected ${fieldCount} fields, found ${fields.length}` };
+    }
+
+    const name = cleanText(get('name'));
+    if (!name) return { error: 'missing city name' };
+
+    const lat = parseNumber(get('lat'));
+    const lon = parseNumber(get('lon'));
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+        return { error: `latitude out of range: "${get('lat')}"` };
+    }
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+        return { error: `longitude out of range: "${get('lon')}"` };
+    }
+
+    let population = 0;
+    const rawPopulation = (get('population') || '').trim();
+    if (rawPopulation !== '') {
+        population = Number(rawPopulation);
+        if (!Number.isFinite(population) || population < 0) {
+            return { error: `invalid population: "${rawPopulation}"` };
+        }
+        population = Math.round(population);
+    }
+
+    return {
+        city: {
+            name,
+            lat,
+            lon,
+            population,
+            timezone: (get('timezone') || '').trim() || null,
+            country: cleanText(get('country'))
+        }
+    };
+}
+
+function resolveTimezone(city, stats) {
+    if (city.timezone) return city.timezone;
+    try {
+        // Accurate Political Timezone ID, e.g. "Asia/Tehran"
+        return tz(city.lat, city.lon);
+    } catch (e) {
+        // Fallback to geometric
+        stats.timezoneFallbacks++;
+        const offset = Math.round(city.lon / 15);
+        if (offset === 0) return 'Etc/GMT';
+        return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+    }
+}
+
+function convert(text, options) {
+    const format = detectFormat(text, options.format);
+    const { columns, records, fieldCount } = readRows(text, format);
+
+    const stats = {
+        format,
+        rows: records.length,
+        invalid: [],
+        duplicates: 0,
+        belowMinPopulation: 0,
+        timezoneFallbacks: 0,
+        tiers: {}
+    };
+
+    // name+country -> city, keeping the most populous row
+    const unique = new Map();
+
+    records.forEach(record => {
+        const { city, error } = toCity(record, columns, fieldCount);
+        if (error) {
+            stats.invalid.push({ line: record.line, error });
+            return;
+        }
+        if (city.population < options.minPopulation) {
+            stats.belowMinPopulation++;
+            return;
         }
+
+        const key = `${city.name.toLowerCase()}|${city.country.toLowerCase()}`;
+        const existing = unique.get(key);
+        if (existing) {
+            stats.duplicates++;
+            if (city.population <= existing.population) return;
+        }
+        unique.set(key, city);
+    });
+
+    const cities = [...unique.values()]
+        .sort((a, b) => b.population - a.population)
+        .map(city => {
+            const tier = getCityTier(city.population);
+            stats.tiers[tier] = (stats.tiers[tier] || 0) + 1;
+            return {
+                name: city.name,
+                lat: city.lat,
+                lon: city.lon,
+                population: city.population,
+                timezone: resolveTimezone(city, stats),
+                country: city.country,
+                tier
+            };
+        });
+
+    return { cities, stats };
+}
+
+function printReport(options, stats, cities, written) {
+    const lines = [
+        `Input:                ${options.input} (${stats.format})`,
+        `Rows read:            ${stats.rows}`,
+        `Invalid rows:         ${stats.invalid.length}${options.skipInvalid && stats.invalid.length ? ' (skipped)' : ''}`,
+        `Duplicates dropped:   ${stats.duplicates}`,
+        `Below min population: ${stats.belowMinPopulation}`,
+        `Timezone fallbacks:   ${stats.timezoneFallbacks}`,
+        `Tiers:                ${Object.entries(stats.tiers).map(([t, n]) => `T${t}=${n}`).join(' ')}`,
+        `Cities:               ${cities.length}${written ? ` -> ${options.output}` : ' (not written)'}`
+    ];
+    console.log(lines.join('\n'));
+
+    stats.invalid.slice(0, 20).forEach(({ line, error }) => {
+        console.error(`  line ${line}: ${error}`);
+    });
+    if (stats.invalid.length > 20) {
+        console.error(`  ... and ${stats.invalid.length - 20} more`);
     }
+}
 
-    fs.writeFileSync('public/cities.json', JSON.stringify(cities));
-    console.log(`Successfully converted ${cities.length} cities.`);
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const text = fs.readFileSync(options.input, 'utf8').replace(/^\uFEFF/, '');
+    const { cities, stats } = convert(text, options);
+
+    const hasErrors = stats.invalid.length > 0 && !options.skipInvalid;
+    if (cities.length === 0 || hasErrors) {
+        printReport(options, stats, cities, false);
+        if (cities.length === 0) console.error('No valid cities found.');
+        if (hasErrors) console.error('Malformed input. Fix the rows above or pass --skip-invalid.');
+        process.exit(1);
+    }
+
+    fs.writeFileSync(options.output, JSON.stringify(cities));
+    printReport(options, stats, cities, true);
+}
+
+try {
+    main();
 } catch (err) {
-    console.error(err);
+    console.error(err instanceof InputError ? `Error:                ${err.message}` : err);
     process.exit(1);
 }
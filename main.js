@@ -1,6 +1,21 @@
+import '@fontsource/share-tech-mono';
 import './style.css';
 import { Globe } from './src/globe.js';
 import { UI } from './src/ui.js';
+import { TimePanel } from './src/timePanel.js';
+import { CitySearchPanel } from './src/searchPanel.js';
+import { SimClock } from './src/clock.js';
+import { PinStore } from './src/pins.js';
+import { ClockBoard } from './src/clockBoard.js';
+import { PlannerPanel } from './src/plannerPanel.js';
+import { RoutePanel } from './src/routePanel.js';
+import { SatellitePanel } from './src/satellitePanel.js';
+import { EclipsePanel } from './src/eclipsePanel.js';
+import { DstPanel } from './src/dstPanel.js';
+import { LayersPanel } from './src/layersPanel.js';
+import { MoonHud } from './src/moonPanel.js';
+import { PopulationHud } from './src/populationPanel.js';
+import { DeepLink } from './src/deepLink.js';
 
 window.addEventListener('DOMContentLoaded', () => {
     // Callback when a city is hovered
@@ -8,9 +23,70 @@ window.addEventListener('DOMContentLoaded', () => {
         ui.updateInfoPanel(cityData);
     };
 
-    const globe = new Globe('app', onCityHover);
-    const ui = new UI(globe);
+    // Callback when a timezone is hovered on the timezone overlay
+    const onZoneHover = (zone) => {
+        ui.updateZonePanel(zone);
+    };
+
+    // Callback when a city marker is clicked: pin it to the clock board
+    const onCityClick = (cityData) => {
+        if (pins.add(cityData)) ui.showToast(`PINNED: ${cityData.name}`);
+        else ui.showToast(`${cityData.name} IS ALREADY PINNED`);
+    };
+
+    // Callback when a satellite is clicked: show its details and next pass
+    const onSatelliteClick = (satellite) => {
+        satellites.select(satellite);
+    };
+
+    // One clock drives both the render loop and the UI clocks
+    const clock = new SimClock();
+    const pins = new PinStore();
+
+    // Callback when a texture is missing and the globe draws a procedural one
+    const onAssetError = (message) => {
+        ui.reportIssue(message);
+    };
+
+    // Camera and layer changes are written to the URL (see deepLink.js)
+    const onViewChange = () => link.handleViewChange();
+    const onOverlayChange = () => {
+        link.handleOverlayChange();
+        awake.render();
+    };
+
+    const globe = new Globe('app', { clock, onCityHover, onCityClick, onSatelliteClick, onZoneHover, onViewChange, onOverlayChange, onAssetError });
+    const ui = new UI(globe, clock);
+    new TimePanel(clock);
+    new MoonHud(clock);
+    const awake = new PopulationHud(globe, clock);
+    new CitySearchPanel(globe, ui);
+    new ClockBoard(globe, ui, clock, pins);
+    new PlannerPanel(globe, ui, clock);
+    new RoutePanel(globe, ui, clock, pins);
+    const satellites = new SatellitePanel(globe, ui, clock);
+    new EclipsePanel(globe, ui, clock);
+    const layers = new LayersPanel(globe, ui);
+    new DstPanel(globe, ui, clock, layers);
+    const link = new DeepLink(globe, ui, clock, pins, layers);
+
+    globe.ready.catch((e) => {
+        console.error(e);
+        ui.reportIssue('CITY DATA UNAVAILABLE: SEARCH AND MARKERS DISABLED');
+    });
+
+    globe.setPinnedCities(pins.pins);
+    pins.onChange((list) => globe.setPinnedCities(list));
+
+    // Offline support: sw.js is generated by the production build (see vite.config.js)
+    if ('serviceWorker' in navigator && import.meta.env.PROD) {
+        navigator.serviceWorker.register('/sw.js').catch((e) => {
+            console.error(e);
+            ui.reportIssue('OFFLINE CACHE UNAVAILABLE');
+        });
+    }
 
     // Expose for debugging
     window.globe = globe;
+    window.clock = clock;
 });
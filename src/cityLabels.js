@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+import { getZonedParts } from './core/index.js';
+
+export const LABEL_MODES = {
+    OFF: 'off',
+    NAMES: 'names',
+    TIMES: 'times' // Name and local time
+};
+
+const FONT_FAMILY = 'Share Tech Mono, monospace';
+// Tier 1 cities get the larger font
+const FONT_SIZES = [13, 11];
+const NAME_COLOR = '#00ffcc';
+const TIME_COLOR = '#ffcc00';
+const OUTLINE_COLOR = 'rgba(0, 0, 0, 0.85)';
+const PADDING = 2; // px around each label's box
+const DOT_OFFSET = 5; // px between the marker and its label
+const DOT_BOX = 4; // Half size of the box kept clear around a labelled marker
+const MAX_LABELS = 250;
+const CELL_SIZE = 64; // Collision grid cell, px
+const TIME_INTERVAL = 250; // ms between relayouts for clock text alone
+// Labels disappear a little before the limb, where they would be squashed
+const HORIZON_MARGIN = 0.04;
+
+function cityKey(city) {
+    return `${city.name},${city.lat},${city.lon}`;
+}
+
+/**
+ * City names (and optionally local times) drawn on a 2D canvas over the
+ * globe. Cities are taken in priority order (tier, then population, the
+ * order CityMarkers draws them in), skipped when on the far side of the
+ * Earth, and each label goes to the first of four spots around its marker
+ * that doesn't overlap an earlier one, so labels never overlap. On the flat
+ * map the labels follow the markers' map positions instead. The layout
+ * is only redone when the camera, the visible tier or the clock text changes.
+ */
+export class CityLabels {
+    constructor(container) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.cssText = 'position: absolute; top: 0; left: 0; pointer-events: none;';
+        container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        this.mode = LABEL_MODES.OFF;
+        this.cities = [];
+        this.positions = [];
+        this.mapPositions = null; // Marker positions on the flat map, when shown
+        this.hidden = false;
+        this.widths = []; // Name widths per city, measured once
+        this.timeWidths = new Map(); // font -> width of " HH:MM"
+        this.excluded = new Set(); // city keys with labels of their own (pins)
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+
+        this.grid = new Map(); // "col,row" -> boxes
+        this.placed = [];
+        this.lastMatrix = new THREE.Matrix4();
+        this.lastCount = -1;
+        this.lastLayout = 0;
+        this.lastTimeKey = null;
+        this.dirty = true;
+        this.times = new Map(); // timezone -> "HH:MM" for lastTimeKey
+
+        this.projected = new THREE.Vector3();
+        this.viewProjection = new THREE.Matrix4();
+
+        // Widths measured with a fallback font are wrong once the real one arrives
+        if (document.fonts) {
+            document.fonts.ready.then(() => {
+                this.widths = [];
+                this.timeWidths.clear();
+                this.dirty = true;
+            });
+        }
+    }
+
+    /**
+     * Cities in priority order with their marker positions (scene units).
+     */
+    setCities(cities, positions) {
+        this.cities = cities;
+        this.positions = positions;
+        this.widths = [];
+        this.dirty = true;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.updateDisplay();
+    }
+
+    // Off while the globe morphs, when marker positions are in between
+    setHidden(hidden) {
+        this.hidden = hidden;
+        this.updateDisplay();
+    }
+
+    updateDisplay() {
+        this.canvas.style.display = this.mode === LABEL_MODES.OFF || this.hidden ? 'none' : '';
+        this.dirty = true;
+    }
+
+    // Positions on the flat map (same order as setCities), or null on the globe
+    setMapPositions(positions) {
+        this.mapPositions = positions;
+        this.dirty = true;
+    }
+
+    // Cities drawn with their own label elsewhere (pinned cities)
+    setExcluded(cities) {
+        this.excluded = new Set(cities.map(cityKey));
+        this.dirty = true;
+    }
+
+    setSize(width, height, pixelRatio = 1) {
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.dirty = true;
+    }
+
+    font(city) {
+        return `${city.tier === 1 ? FONT_SIZES[0] : FONT_SIZES[1]}px ${FONT_FAMILY}`;
+    }
+
+    nameWidth(index) {
+        if (this.widths[index] === undefined) {
+            const city = this.cities[index];
+            this.ctx.font = this.font(city);
+            this.widths[index] = this.ctx.measureText(city.name).width;
+        }
+        return this.widths[index];
+    }
+
+    timeWidth(font) {
+        if (!this.timeWidths.has(font)) {
+            this.ctx.font = font;
+            this.timeWidths.set(font, this.ctx.measureText(' 00:00').width);
+        }
+        return this.timeWidths.get(font);
+    }
+
+    // Local times are shared per zone and refreshed once per simulated minute
+    localTime(timezone) {
+        let text = this.times.get(timezone);
+        if (text === undefined) {
+            try {
+                const { hour, minute } = getZonedParts(this.date, timezone);
+                text = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+            } catch (e) {
+                text = '';
+            }
+            this.times.set(timezone, text);
+        }
+        return text;
+    }
+
+    /**
+     * Called every frame; `count` is how many cities the marker LOD draws.
+     */
+    update(camera, count, date) {
+        if (this.mode === LABEL_MODES.OFF || this.hidden) return;
+
+        camera.updateMatrixWorld();
+        this.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        const moved = !this.viewProjection.equals(this.lastMatrix);
+
+        let timeChanged = false;
+        if (this.mode === LABEL_MODES.TIMES) {
+            const timeKey = Math.floor(date.getTime() / 60000);
+            const now = performance.now();
+            if (timeKey !== this.lastTimeKey && now - this.lastLayout >= TIME_INTERVAL) {
+                this.lastTimeKey = timeKey;
+                this.times.clear();
+                timeChanged = true;
+            }
+        }
+        this.date = date;
+
+        if (!moved && !timeChanged && !this.dirty && count === this.lastCount) return;
+        this.lastMatrix.copy(this.viewProjection);
+        this.lastCount = count;
+        this.lastLayout = performance.now();
+        this.dirty = false;
+
+        this.layout(camera, count);
+        this.draw();
+    }
+
+    // Greedy placement in priority order against a grid of the boxes taken so far
+    layout(camera, count) {
+        this.grid.clear();
+        this.placed = [];
+        const showTimes = this.mode === LABEL_MODES.TIMES;
+        const cameraPos = camera.position;
+        const cameraDistance = cameraPos.length();
+
+        for (let i = 0; i < count && i < this.cities.length; i++) {
+            if (this.placed.length >= MAX_LABELS) break;
+            const city = this.cities[i];
+            if (this.excluded.size > 0 && this.excluded.has(cityKey(city))) continue;
+
+            // Near side only: the angle between the city and the camera is within the horizon
+            // (the flat map has no far side)
+            const p = this.mapPositions ? this.mapPositions[i] : this.positions[i];
+            if (!this.mapPositions) {
+                const radius = p.length();
+                if (p.dot(cameraPos) / (radius * cameraDistance) < radius / cameraDistance + HORIZON_MARGIN) continue;
+            }
+
+            this.projected.copy(p).applyMatrix4(this.viewProjection);
+            if (this.projected.x < -1 || this.projected.x > 1 || this.projected.y < -1 || this.projected.y > 1) continue;
+            const x = (this.projected.x + 1) / 2 * this.width;
+            const y = (1 - this.projected.y) / 2 * this.height;
+
+            const height = city.tier === 1 ? FONT_SIZES[0] : FONT_SIZES[1];
+            const time = showTimes ? this.localTime(city.timezone) : '';
+            const width = this.nameWidth(i) + (time ? this.timeWidth(this.font(city)) : 0);
+
+            const dot = { x0: x - DOT_BOX, y0: y - DOT_BOX, x1: x + DOT_BOX, y1: y + DOT_BOX };
+            if (this.collides(dot)) continue;
+
+            // Right, left, above, below the marker
+            const spots = [
+                [x + DOT_OFFSET, y - height / 2],
+                [x - DOT_OFFSET - width, y - height / 2],
+                [x - width / 2, y - DOT_OFFSET - height],
+                [x - width / 2, y + DOT_OFFSET]
+            ];
+            for (const [left, top] of spots) {
+                const box = { x0: left - PADDING, y0: top - PADDING, x1: left + width + PADDING, y1: top + height + PADDING };
+                if (box.x0 < 0 || box.y0 < 0 || box.x1 > this.width || box.y1 > this.height) continue;
+                if (this.collides(box)) continue;
+                this.insert(box);
+                this.insert(dot);
+                this.placed.push({ city, x: left, y: top + height / 2, time, nameWidth: this.nameWidth(i) });
+                break;
+            }
+        }
+    }
+
+    cells(box, callback) {
+        const c0 = Math.floor(box.x0 / CELL_SIZE);
+        const c1 = Math.floor(box.x1 / CELL_SIZE);
+        const r0 = Math.floor(box.y0 / CELL_SIZE);
+        const r1 = Math.floor(box.y1 / CELL_SIZE);
+        for (let c = c0; c <= c1; c++) {
+            for (let r = r0; r <= r1; r++) {
+                if (callback(`${c},${r}`) === true) return true;
+            }
+        }
+        return false;
+    }
+
+    collides(box) {
+        return this.cells(box, key => {
+            const boxes = this.grid.get(key);
+            return Boolean(boxes) && boxes.some(b => b.x0 < box.x1 && box.x0 < b.x1 && b.y0 < box.y1 && box.y0 < b.y1);
+        });
+    }
+
+    insert(box) {
+        this.cells(box, key => {
+            if (!this.grid.has(key)) this.grid.set(key, []);
+            this.grid.get(key).push(box);
+        });
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = OUTLINE_COLOR;
+
+        this.placed.forEach(({ city, x, y, time, nameWidth }) => {
+            ctx.font = this.font(city);
+            ctx.strokeText(city.name, x, y);
+            ctx.fillStyle = NAME_COLOR;
+            ctx.fillText(city.name, x, y);
+            if (time) {
+                ctx.strokeText(` ${time}`, x + nameWidth, y);
+                ctx.fillStyle = TIME_COLOR;
+                ctx.fillText(` ${time}`, x + nameWidth, y);
+            }
+        });
+    }
+
+    dispose() {
+        this.canvas.remove();
+    }
+}
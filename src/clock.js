@@ -0,0 +1,97 @@
+// Shared simulation clock.
+// Everything that depends on "now" (sun/moon, terminator, clocks, searches)
+// reads from here instead of calling new Date() directly, so the whole scene
+// can be scrubbed, paused or fast-forwarded together.
+
+export const SPEED_PRESETS = [
+    { label: '1x', value: 1 },
+    { label: '1 MIN/S', value: 60 },
+    { label: '10 MIN/S', value: 600 },
+    { label: '1 HR/S', value: 3600 },
+    { label: '6 HR/S', value: 21600 },
+    { label: '1 DAY/S', value: 86400 },
+    { label: '7 DAY/S', value: 604800 }
+];
+
+export class SimClock {
+    constructor() {
+        // Simulated time advances from an anchor:
+        // sim = anchorSim + (real - anchorReal) * speed
+        this.anchorReal = Date.now();
+        this.anchorSim = this.anchorReal;
+        this.speed = 1;
+        this.playing = true;
+        this.listeners = new Set();
+    }
+
+    getTime() {
+        if (!this.playing) return this.anchorSim;
+        return this.anchorSim + (Date.now() - this.anchorReal) * this.speed;
+    }
+
+    now() {
+        return new Date(this.getTime());
+    }
+
+    // Live = running at real speed and (within a second of) the wall clock
+    isLive() {
+        return this.playing && this.speed === 1 && Math.abs(this.getTime() - Date.now()) < 1000;
+    }
+
+    rebase() {
+        this.anchorSim = this.getTime();
+        this.anchorReal = Date.now();
+    }
+
+    setTime(date) {
+        const ms = date instanceof Date ? date.getTime() : Number(date);
+        if (isNaN(ms)) return;
+        this.anchorSim = ms;
+        this.anchorReal = Date.now();
+        this.emit();
+    }
+
+    setSpeed(speed) {
+        if (!(speed > 0)) return;
+        this.rebase();
+        this.speed = speed;
+        this.emit();
+    }
+
+    play() {
+        if (this.playing) return;
+        this.anchorReal = Date.now();
+        this.playing = true;
+        this.emit();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.rebase();
+        this.playing = false;
+        this.emit();
+    }
+
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    goLive() {
+        this.anchorReal = Date.now();
+        this.anchorSim = this.anchorReal;
+        this.speed = 1;
+        this.playing = true;
+        this.emit();
+    }
+
+    // Listeners fire on explicit changes (jump, speed, play/pause), not on every tick
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    emit() {
+        this.listeners.forEach(cb => cb(this));
+    }
+}
@@ -0,0 +1,130 @@
+import { getLocalTime, getDaylightStatus, getUtcOffsetMinutes, formatUtcOffset, formatOffsetDifference, getViewerTimezone } from './core/index.js';
+
+// World-clock board of pinned cities (see pins.js for storage).
+// Rows can be reordered by drag and drop, removed, and the list imported/exported as JSON.
+export class ClockBoard {
+    constructor(globe, ui, clock, store) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+        this.store = store;
+        this.viewerTimezone = getViewerTimezone();
+
+        this.panel = document.getElementById('clock-board');
+        this.listEl = document.getElementById('board-list');
+        this.viewerEl = document.getElementById('board-viewer');
+        this.exportBtn = document.getElementById('board-export');
+        this.importBtn = document.getElementById('board-import');
+        this.importInput = document.getElementById('board-import-file');
+
+        this.dragIndex = -1;
+
+        this.initListeners();
+        this.store.onChange(() => this.render());
+        this.render();
+        this.startClockLoop();
+    }
+
+    initListeners() {
+        this.exportBtn.addEventListener('click', () => this.handleExport());
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', () => this.handleImport());
+    }
+
+    handleExport() {
+        const blob = new Blob([this.store.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'globeclock-board.json';
+        link.click();
+        // Revoking right away can cancel the download before the browser has read the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async handleImport() {
+        const file = this.importInput.files[0];
+        this.importInput.value = '';
+        if (!file) return;
+
+        try {
+            const count = this.store.importJSON(await file.text());
+            this.ui.showToast(`IMPORTED ${count} CIT${count === 1 ? 'Y' : 'IES'}`);
+        } catch (e) {
+            this.ui.showToast(`IMPORT FAILED: ${e.message}`);
+        }
+    }
+
+    render() {
+        const pins = this.store.pins;
+        this.panel.classList.toggle('hidden', pins.length === 0);
+        this.listEl.innerHTML = '';
+
+        pins.forEach((pin, index) => {
+            const row = document.createElement('li');
+            row.className = 'board-row';
+            row.draggable = true;
+            row.innerHTML = `
+                <span class="board-handle" title="DRAG TO REORDER">::</span>
+                <div class="board-city">
+                    <span class="board-name"></span>
+                    <span class="board-meta"></span>
+                </div>
+                <span class="board-time"></span>
+                <button class="board-remove" title="UNPIN">X</button>`;
+            row.querySelector('.board-name').textContent = pin.name;
+            row.querySelector('.board-city').addEventListener('click', () => {
+                this.globe.flyTo(pin.lat, pin.lon);
+                this.ui.selectCity(pin);
+            });
+            row.querySelector('.board-remove').addEventListener('click', () => this.store.remove(index));
+
+            row.addEventListener('dragstart', (e) => {
+                this.dragIndex = index;
+                e.dataTransfer.effectAllowed = 'move';
+                // Firefox only starts a drag that carries some data
+                e.dataTransfer.setData('text/plain', String(index));
+                row.classList.add('dragging');
+            });
+            row.addEventListener('dragend', () => {
+                this.dragIndex = -1;
+                row.classList.remove('dragging');
+            });
+            row.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            });
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (this.dragIndex !== -1) this.store.move(this.dragIndex, index);
+            });
+
+            this.listEl.appendChild(row);
+        });
+
+        this.updateTimes();
+    }
+
+    updateTimes() {
+        const now = this.clock.now();
+        const viewerOffset = getUtcOffsetMinutes(now, this.viewerTimezone);
+        this.viewerEl.textContent = `YOU: ${this.viewerTimezone} (UTC${formatUtcOffset(viewerOffset)})`;
+
+        Array.from(this.listEl.children).forEach((row, index) => {
+            const pin = this.store.pins[index];
+            if (!pin) return;
+
+            const offset = getUtcOffsetMinutes(now, pin.timezone);
+            const status = getDaylightStatus(pin.lat, pin.lon, now);
+
+            row.querySelector('.board-time').textContent = getLocalTime(pin.timezone, now);
+            row.querySelector('.board-meta').textContent =
+                `UTC${formatUtcOffset(offset)} | ${formatOffsetDifference(offset - viewerOffset)} | ${status}`;
+            row.dataset.daylight = status.toLowerCase();
+        });
+    }
+
+    startClockLoop() {
+        setInterval(() => this.updateTimes(), 1000);
+    }
+}
@@ -0,0 +1,501 @@
+// Solar and lunar eclipses from the active ephemeris (see ephemeris.js): no
+// catalogue, every eclipse is found by searching the new and full moons.
+//
+// Solar eclipses use the geometry behind Besselian elements: the shadow axis
+// runs from the Sun's centre through the Moon's, and the "fundamental plane"
+// goes through the Earth's centre at right angles to it. Distances on the
+// plane are in equatorial Earth radii; gamma is where the axis crosses it.
+// Lunar eclipses compare the Moon with the Earth's shadow cones at the Moon's
+// distance, enlarged for the atmosphere by Danjon's rule (as NASA's eclipse
+// pages do).
+
+import { getSolarParameters, getLunarParameters, getGreenwichSiderealTime } from './positions.js';
+import { findMoonPhase, SYNODIC_MONTH } from './moon.js';
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+
+const EARTH_RADIUS_KM = 6378.137; // Equatorial, the unit of the fundamental plane
+const AU_KM = 149597870.7;
+// Moon's radius in Earth radii: NASA's k for penumbral contacts, and a
+// smaller one for the umbra, where light still passes through lunar valleys
+const MOON_RADIUS = 0.2724880;
+const MOON_RADIUS_UMBRA = 0.2722810;
+const SUN_RADIUS = 696000 / EARTH_RADIUS_KM;
+const FLATTENING = 1 / 298.257;
+const PARALLAX_ENLARGEMENT = 1.01; // Danjon
+
+// Greatest eclipse is searched this far either side of the syzygy
+const SEARCH_MS = 3 * 3600000;
+const CONTACT_SEARCH_MS = 5 * 3600000;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => scale(a, 1 / length(a));
+
+// Equatorial (of date) position vector
+function toVector(ra, dec, distance) {
+    const cosDec = Math.cos(dec * deg2rad);
+    return [
+        distance * cosDec * Math.cos(ra * deg2rad),
+        distance * cosDec * Math.sin(ra * deg2rad),
+        distance * Math.sin(dec * deg2rad)
+    ];
+}
+
+// Sun and Moon centres in Earth radii
+function getBodies(date) {
+    const sun = getSolarParameters(date);
+    const moon = getLunarParameters(date);
+    return {
+        sun: toVector(sun.ra, sun.dec, sun.distance * AU_KM / EARTH_RADIUS_KM),
+        moon: toVector(moon.ra, moon.dec, moon.distance / EARTH_RADIUS_KM)
+    };
+}
+
+// Shadow axis, its crossing of the fundamental plane and the penumbral (l1)
+// and umbral (l2, negative when total) radii on the plane
+function getShadow(date) {
+    const { sun, moon } = getBodies(date);
+    const sunToMoon = sub(moon, sun);
+    const g = length(sunToMoon);
+    const axis = scale(sunToMoon, 1 / g);
+    const z = -dot(moon, axis); // Moon's height above the plane
+    const center = add(moon, scale(axis, z));
+    const f1 = Math.asin((SUN_RADIUS + MOON_RADIUS) / g);
+    const f2 = Math.asin((SUN_RADIUS - MOON_RADIUS_UMBRA) / g);
+    return {
+        axis,
+        center,
+        distance: length(center),
+        tanF1: Math.tan(f1),
+        tanF2: Math.tan(f2),
+        l1: z * Math.tan(f1) + MOON_RADIUS / Math.cos(f1),
+        l2: z * Math.tan(f2) - MOON_RADIUS_UMBRA / Math.cos(f2)
+    };
+}
+
+// Moon's centre against the Earth's shadow: angles in degrees
+function getEarthShadow(date) {
+    const { sun, moon } = getBodies(date);
+    const sunDistance = length(sun);
+    const moonDistance = length(moon);
+    const antisolar = scale(sun, -1 / sunDistance);
+    const moonParallax = Math.asin(1 / moonDistance) * rad2deg;
+    const sunParallax = Math.asin(1 / sunDistance) * rad2deg;
+    const sunRadius = Math.asin(SUN_RADIUS / sunDistance) * rad2deg;
+    const base = PARALLAX_ENLARGEMENT * moonParallax + sunParallax;
+    const separation = Math.acos(Math.min(1, dot(moon, antisolar) / moonDistance));
+    return {
+        separation: separation * rad2deg,
+        // Signed distance of the Moon's centre from the shadow axis, in Earth radii (north positive)
+        gamma: moonDistance * Math.sin(separation) * Math.sign(moon[2] / moonDistance - antisolar[2]),
+        moonRadius: Math.asin(MOON_RADIUS / moonDistance) * rad2deg,
+        penumbra: base + sunRadius,
+        umbra: base - sunRadius
+    };
+}
+
+// Golden-section search for the minimum of f over [lo, hi] (ms), to a second
+function findMinimum(f, lo, hi) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = lo;
+    let b = hi;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = f(c);
+    let fd = f(d);
+    while (b - a > 1000) {
+        if (fc < fd) {
+            b = d;
+            d = c;
+            fd = fc;
+            c = b - ratio * (b - a);
+            fc = f(c);
+        } else {
+            a = c;
+            c = d;
+            fc = fd;
+            d = a + ratio * (b - a);
+            fd = f(d);
+        }
+    }
+    return Math.round((a + b) / 2);
+}
+
+// Instant between `inside` (f < 0) and `outside` (f >= 0) where f crosses zero, to a second
+function findCrossing(f, inside, outside) {
+    if (f(outside) < 0) return null;
+    while (Math.abs(outside - inside) > 1000) {
+        const mid = (inside + outside) / 2;
+        if (f(mid) < 0) inside = mid;
+        else outside = mid;
+    }
+    return new Date(Math.round((inside + outside) / 2000) * 1000);
+}
+
+// Contacts either side of `maximum` where f drops below zero
+function findContacts(f, maximum) {
+    if (f(maximum) >= 0) return [null, null];
+    return [findCrossing(f, maximum, maximum - CONTACT_SEARCH_MS), findCrossing(f, maximum, maximum + CONTACT_SEARCH_MS)];
+}
+
+// Instant of the phase (0 new, 180 full) nearest `date`, in ms
+function nearestPhase(date, target) {
+    return findMoonPhase(new Date(date.getTime() - SYNODIC_MONTH / 2 * 86400000), target, 1).getTime();
+}
+
+function normalizeLon(lon) {
+    return ((lon % 360) + 540) % 360 - 180;
+}
+
+// Where a line parallel to the shadow axis, through `point` on the fundamental
+// plane, meets the ellipsoid on the sunward side: geodetic lat/lon, or null
+// if it misses. Stretching z by 1 / (1 - f) turns the ellipsoid into the unit sphere.
+function projectToEarth(point, axis, date) {
+    const stretch = (v) => [v[0], v[1], v[2] / (1 - FLATTENING)];
+    const p = stretch(point);
+    const a = stretch(axis);
+    const A = dot(a, a);
+    const B = dot(p, a);
+    const disc = B * B - A * (dot(p, p) - 1);
+    if (disc <= 0) return null;
+    return toLatLon(add(point, scale(axis, (-B - Math.sqrt(disc)) / A)), date);
+}
+
+// Geodetic lat/lon of a point on the surface (equatorial frame of `date`)
+function toLatLon(x, date) {
+    return {
+        lat: Math.atan2(x[2], (1 - FLATTENING) ** 2 * Math.hypot(x[0], x[1])) * rad2deg,
+        lon: normalizeLon(Math.atan2(x[1], x[0]) * rad2deg - getGreenwichSiderealTime(date))
+    };
+}
+
+// Splits a run of points at the nulls
+function toSegments(points) {
+    const segments = [[]];
+    points.forEach(point => {
+        if (point) segments[segments.length - 1].push(point);
+        else if (segments[segments.length - 1].length > 0) segments.push([]);
+    });
+    return segments.filter(segment => segment.length > 1);
+}
+
+/**
+ * The solar eclipse at the new moon nearest `date`, or null if there is none:
+ * { kind: 'solar', type: 'total' | 'annular' | 'hybrid' | 'partial', central,
+ *   maximum, magnitude, gamma, greatestPoint, partialBegin, partialEnd,
+ *   centralBegin, centralEnd }. Times are Dates; gamma is in Earth radii,
+ * positive when the shadow axis passes north of the Earth's centre.
+ * @returns {import('./types.js').SolarEclipse | null}
+ */
+export function getSolarEclipse(date) {
+    const newMoon = nearestPhase(date, 0);
+    const maximum = findMinimum(t => getShadow(new Date(t)).distance, newMoon - SEARCH_MS, newMoon + SEARCH_MS);
+    const shadow = getShadow(new Date(maximum));
+    const { distance, l1, l2, axis, center } = shadow;
+    if (distance >= 1 + l1) return null;
+
+    const north = normalize(sub([0, 0, 1], scale(axis, axis[2])));
+    const gamma = distance * Math.sign(dot(center, north));
+    // The umbra (or antumbra) touches the Earth, with or without its axis
+    const central = distance < 1;
+    const umbral = distance < 1 + Math.abs(l2);
+
+    let type = 'partial';
+    let magnitude;
+    if (umbral) {
+        // Umbral radius on the ground at greatest eclipse, and at the ends of the path
+        const zeta = central ? Math.sqrt(1 - distance * distance) : 0;
+        const surfaceL1 = l1 - zeta * shadow.tanF1;
+        const surfaceL2 = l2 - zeta * shadow.tanF2;
+        type = surfaceL2 < 0 ? (l2 > 0 ? 'hybrid' : 'total') : 'annular';
+        // Ratio of the apparent diameters of the Moon and the Sun
+        magnitude = (surfaceL1 - surfaceL2) / (surfaceL1 + surfaceL2);
+    } else {
+        // Fraction of the Sun's diameter covered at the point nearest the axis
+        magnitude = (l1 - (distance - 1)) / (l1 + l2);
+    }
+
+    const outside = (limit) => (t) => {
+        const s = getShadow(new Date(t));
+        return s.distance - limit(s);
+    };
+    const [partialBegin, partialEnd] = findContacts(outside(s => 1 + s.l1), maximum);
+    const [centralBegin, centralEnd] = central ? findContacts(outside(() => 1), maximum) : [null, null];
+
+    return {
+        kind: 'solar',
+        type,
+        central,
+        maximum: new Date(maximum),
+        magnitude,
+        gamma,
+        // For a partial eclipse, the point on the limb nearest the axis
+        greatestPoint: central ? projectToEarth(center, axis, new Date(maximum)) : toLatLon(scale(center, 1 / distance), new Date(maximum)),
+        partialBegin,
+        partialEnd,
+        centralBegin,
+        centralEnd
+    };
+}
+
+/**
+ * The lunar eclipse at the full moon nearest `date`, or null if there is none:
+ * { kind: 'lunar', type: 'total' | 'partial' | 'penumbral', maximum,
+ *   magnitude (umbral), penumbralMagnitude, gamma, contacts }. The contacts
+ * (penumbralBegin, partialBegin, totalBegin, totalEnd, partialEnd,
+ * penumbralEnd) are Dates, or null when that phase doesn't happen.
+ * @returns {import('./types.js').LunarEclipse | null}
+ */
+export function getLunarEclipse(date) {
+    const fullMoon = nearestPhase(date, 180);
+    const maximum = findMinimum(t => getEarthShadow(new Date(t)).separation, fullMoon - SEARCH_MS, fullMoon + SEARCH_MS);
+    const shadow = getEarthShadow(new Date(maximum));
+    const penumbralMagnitude = (shadow.penumbra + shadow.moonRadius - shadow.separation) / (2 * shadow.moonRadius);
+    if (penumbralMagnitude <= 0) return null;
+    const magnitude = (shadow.umbra + shadow.moonRadius - shadow.separation) / (2 * shadow.moonRadius);
+
+    // Moon's edge or centre crossing a shadow edge: f < 0 while inside
+    const inside = (edge) => (t) => {
+        const s = getEarthShadow(new Date(t));
+        return s.separation - edge(s);
+    };
+    const [penumbralBegin, penumbralEnd] = findContacts(inside(s => s.penumbra + s.moonRadius), maximum);
+    const [partialBegin, partialEnd] = findContacts(inside(s => s.umbra + s.moonRadius), maximum);
+    const [totalBegin, totalEnd] = findContacts(inside(s => s.umbra - s.moonRadius), maximum);
+
+    return {
+        kind: 'lunar',
+        type: magnitude >= 1 ? 'total' : (magnitude > 0 ? 'partial' : 'penumbral'),
+        maximum: new Date(maximum),
+        magnitude,
+        penumbralMagnitude,
+        gamma: shadow.gamma,
+        contacts: { penumbralBegin, partialBegin, totalBegin, totalEnd, partialEnd, penumbralEnd }
+    };
+}
+
+/**
+ * Every solar and lunar eclipse with its greatest eclipse between `start`
+ * and `end`, in time order.
+ * @returns {Array<import('./types.js').SolarEclipse | import('./types.js').LunarEclipse>}
+ */
+export function findEclipses(start, end) {
+    const eclipses = [];
+    [[0, getSolarEclipse], [180, getLunarEclipse]].forEach(([phase, getEclipse]) => {
+        let t = new Date(start.getTime() - SEARCH_MS);
+        for (;;) {
+            const syzygy = findMoonPhase(t, phase, 1);
+            if (syzygy.getTime() > end.getTime() + SEARCH_MS) break;
+            const eclipse = getEclipse(syzygy);
+            if (eclipse && eclipse.maximum >= start && eclipse.maximum <= end) eclipses.push(eclipse);
+            t = new Date(syzygy.getTime() + 86400000);
+        }
+    });
+    return eclipses.sort((a, b) => a.maximum - b.maximum);
+}
+
+// Observer's position in Earth radii, on the ellipsoid at sea level
+function getObserver(lat, lon, date) {
+    const u = Math.atan((1 - FLATTENING) * Math.tan(lat * deg2rad));
+    const siderealLon = (getGreenwichSiderealTime(date) + lon) * deg2rad;
+    const rhoCos = Math.cos(u);
+    return [rhoCos * Math.cos(siderealLon), rhoCos * Math.sin(siderealLon), (1 - FLATTENING) * Math.sin(u)];
+}
+
+// Topocentric Sun and Moon: separation of the centres and radii, in degrees
+function getLocalDiscs(lat, lon, date) {
+    const { sun, moon } = getBodies(date);
+    const observer = getObserver(lat, lon, date);
+    const toSun = sub(sun, observer);
+    const toMoon = sub(moon, observer);
+    const cos = dot(toSun, toMoon) / (length(toSun) * length(toMoon));
+    return {
+        separation: Math.acos(Math.min(1, cos)) * rad2deg,
+        sunRadius: Math.asin(SUN_RADIUS / length(toSun)) * rad2deg,
+        moonRadius: Math.asin(MOON_RADIUS / length(toMoon)) * rad2deg,
+        moonRadiusUmbra: Math.asin(MOON_RADIUS_UMBRA / length(toMoon)) * rad2deg,
+        altitude: 90 - Math.acos(Math.min(1, dot(normalize(observer), normalize(toSun)))) * rad2deg
+    };
+}
+
+// Fraction of the Sun's disc covered by the Moon's (overlap of two circles)
+function getObscuration({ separation: d, sunRadius: R, moonRadius: r }) {
+    if (d >= R + r) return 0;
+    if (d <= r - R) return 1;
+    if (d <= R - r) return (r * r) / (R * R);
+    const a = Math.acos((d * d + R * R - r * r) / (2 * d * R));
+    const b = Math.acos((d * d + r * r - R * R) / (2 * d * r));
+    const overlap = R * R * a + r * r * b - 0.5 * Math.sqrt((-d + R + r) * (d + R - r) * (d - R + r) * (d + R + r));
+    return overlap / (Math.PI * R * R);
+}
+
+/**
+ * A solar eclipse as seen from (lat, lon), or null if the Moon's shadow
+ * misses it: { maximum, magnitude, obscuration, contacts, visible }.
+ * `maximum` and each contact (partialBegin, totalBegin, totalEnd, partialEnd;
+ * total also stands for annular here) are { time, altitude } with the Sun's
+ * altitude in degrees, or null. `visible` is false when the Sun is below the
+ * horizon for the whole eclipse. Altitudes are geometric, without refraction.
+ * @returns {import('./types.js').LocalEclipse | null}
+ */
+export function getLocalSolarEclipse(eclipse, lat, lon) {
+    const discs = (t) => getLocalDiscs(lat, lon, new Date(t));
+    const start = eclipse.partialBegin.getTime();
+    const end = eclipse.partialEnd.getTime();
+    const maximum = findMinimum(t => discs(t).separation, start, end);
+    const atMaximum = discs(maximum);
+    if (atMaximum.separation >= atMaximum.sunRadius + atMaximum.moonRadius) return null;
+
+    const at = (time) => time && { time, altitude: discs(time.getTime()).altitude };
+    const find = (edge) => findContacts(t => {
+        const d = discs(t);
+        return d.separation - edge(d);
+    }, maximum).map(at);
+    const [partialBegin, partialEnd] = find(d => d.sunRadius + d.moonRadius);
+    const [totalBegin, totalEnd] = find(d => Math.abs(d.sunRadius - d.moonRadiusUmbra));
+    const contacts = { partialBegin, totalBegin, totalEnd, partialEnd };
+
+    return {
+        maximum: { time: new Date(maximum), altitude: atMaximum.altitude },
+        magnitude: (atMaximum.sunRadius + atMaximum.moonRadius - atMaximum.separation) / (2 * atMaximum.sunRadius),
+        obscuration: getObscuration(atMaximum),
+        contacts,
+        visible: isAboveHorizon(contacts, atMaximum.altitude, t => discs(t).altitude)
+    };
+}
+
+/**
+ * A lunar eclipse from (lat, lon): the eclipse itself is the same for
+ * everyone, only the Moon's altitude differs. Returns
+ * { maximum, magnitude, contacts, visible } shaped like getLocalSolarEclipse,
+ * with the Moon's altitude at each contact.
+ * @returns {import('./types.js').LocalEclipse}
+ */
+export function getLocalLunarEclipse(eclipse, lat, lon) {
+    const altitude = (t) => {
+        const { moon } = getBodies(new Date(t));
+        const observer = getObserver(lat, lon, new Date(t));
+        return 90 - Math.acos(Math.min(1, dot(normalize(observer), normalize(sub(moon, observer))))) * rad2deg;
+    };
+    const contacts = {};
+    Object.entries(eclipse.contacts).forEach(([key, time]) => {
+        contacts[key] = time && { time, altitude: altitude(time.getTime()) };
+    });
+    const maximumAltitude = altitude(eclipse.maximum.getTime());
+
+    return {
+        maximum: { time: eclipse.maximum, altitude: maximumAltitude },
+        magnitude: eclipse.magnitude,
+        contacts,
+        visible: isAboveHorizon(contacts, maximumAltitude, altitude)
+    };
+}
+
+// Up at a contact or the maximum, or at any 10 minute step from first to last contact
+function isAboveHorizon(contacts, maximumAltitude, altitude) {
+    const times = Object.values(contacts).filter(Boolean);
+    if (maximumAltitude > 0 || times.some(c => c.altitude > 0)) return true;
+    const first = Math.min(...times.map(c => c.time.getTime()));
+    const last = Math.max(...times.map(c => c.time.getTime()));
+    for (let t = first; t < last; t += 600000) {
+        if (altitude(t) > 0) return true;
+    }
+    return false;
+}
+
+// Shadow edge at one instant: the circle of radius `radius` on the
+// fundamental plane, as points on the Earth (null where it misses)
+function getOutline(shadow, date, radius, steps = 72) {
+    const { axis, center } = shadow;
+    // Any two directions across the axis
+    const e1 = normalize(cross(axis, Math.abs(axis[2]) < 0.9 ? [0, 0, 1] : [1, 0, 0]));
+    const e2 = cross(axis, e1);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const angle = (i / steps) * 2 * Math.PI;
+        const offset = add(scale(e1, Math.cos(angle) * radius), scale(e2, Math.sin(angle) * radius));
+        points.push(projectToEarth(add(center, offset), axis, date));
+    }
+    // Start the ring where it leaves the Earth, so an open ring is one segment
+    const gap = points.indexOf(null);
+    return toSegments(gap === -1 ? points : [...points.slice(gap, -1), ...points.slice(0, gap + 1)]);
+}
+
+/**
+ * Where the Moon's shadow falls at `date`: { umbra, penumbra } as lists of
+ * lat/lon line segments (the outlines, cut where they leave the Earth), or
+ * null when no shadow reaches the Earth. `umbra` is [] when only the
+ * penumbra does.
+ * @returns {{ umbra: import('./types.js').LatLon[][], penumbra: import('./types.js').LatLon[][] } | null}
+ */
+export function getEclipseShadow(date) {
+    const shadow = getShadow(date);
+    if (shadow.distance >= 1 + shadow.l1) return null;
+    const zeta = shadow.distance < 1 ? Math.sqrt(1 - shadow.distance ** 2) : 0;
+    const umbraRadius = Math.abs(shadow.l2 - zeta * shadow.tanF2);
+    return {
+        umbra: shadow.distance < 1 + umbraRadius ? getOutline(shadow, date, umbraRadius, 36) : [],
+        penumbra: getOutline(shadow, date, shadow.l1)
+    };
+}
+
+/**
+ * Track of a solar eclipse over the Earth, as lists of lat/lon segments:
+ * { centerLine, umbra: { north, south }, penumbra: { north, south } }. The
+ * umbral limits bound the path of totality (or annularity); the penumbral
+ * limits bound the region that sees any partial eclipse. The shadow edges
+ * are taken as parallel to the axis, a few km off at the limits.
+ * @returns {import('./types.js').EclipsePath}
+ */
+export function getSolarEclipsePath(eclipse, { stepMinutes = 1 } = {}) {
+    const centerLine = [];
+    const limits = { umbraNorth: [], umbraSouth: [], penumbraNorth: [], penumbraSouth: [] };
+    const step = stepMinutes * 60000;
+    const start = eclipse.partialBegin.getTime();
+    const end = eclipse.partialEnd.getTime();
+
+    for (let t = start; t <= end + step / 2; t += step) {
+        const time = Math.min(t, end);
+        const date = new Date(time);
+        const shadow = getShadow(date);
+        const { axis, center, distance } = shadow;
+
+        // Across the shadow's motion, towards the north
+        const motion = sub(getShadow(new Date(time + 60000)).center, center);
+        let across = normalize(cross(axis, motion));
+        if (across[2] < 0) across = scale(across, -1);
+
+        const zeta = distance < 1 ? Math.sqrt(1 - distance * distance) : 0;
+        const umbraRadius = Math.abs(shadow.l2 - zeta * shadow.tanF2);
+        const limit = (radius) => [
+            projectToEarth(add(center, scale(across, radius)), axis, date),
+            projectToEarth(add(center, scale(across, -radius)), axis, date)
+        ];
+        centerLine.push(projectToEarth(center, axis, date));
+        const [umbraNorth, umbraSouth] = limit(umbraRadius);
+        const [penumbraNorth, penumbraSouth] = limit(shadow.l1);
+        limits.umbraNorth.push(umbraNorth);
+        limits.umbraSouth.push(umbraSouth);
+        limits.penumbraNorth.push(penumbraNorth);
+        limits.penumbraSouth.push(penumbraSouth);
+    }
+
+    const umbral = eclipse.type !== 'partial';
+    return {
+        centerLine: toSegments(centerLine),
+        umbra: {
+            north: umbral ? toSegments(limits.umbraNorth) : [],
+            south: umbral ? toSegments(limits.umbraSouth) : []
+        },
+        penumbra: {
+            north: toSegments(limits.penumbraNorth),
+            south: toSegments(limits.penumbraSouth)
+        }
+    };
+}
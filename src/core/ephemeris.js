@@ -0,0 +1,212 @@
+// Pluggable ephemeris: every Sun/Moon position in the app goes through the
+// active provider, so accuracy can be traded for speed in one place.
+//
+// A provider is { name, sun(date), moon(date), siderealTime(date) } where
+//   sun(date)  -> { lon, dec, ra, eot, distance }  (deg, deg, deg, minutes, AU)
+//   moon(date) -> { lon, lat, distance, ra, dec }  (deg, deg, km, deg, deg)
+//   siderealTime(date) -> Greenwich sidereal time in degrees
+// and `date` is a JS Date read as Universal Time.
+//
+// Two providers are built in:
+//   fast    - the original low-precision formulas (Astronomical Almanac sun,
+//             main lunar terms), no nutation or ΔT
+//   precise - Meeus, Astronomical Algorithms (see meeus.js): nutation,
+//             aberration, ΔT and the full ch. 47 lunar series
+// Error bounds for both are checked by tests/ephemeris.test.js.
+
+import { getSunMeeus, getMoonMeeus, getSiderealTimeMeeus, eclipticToEquatorial } from './meeus.js';
+
+const deg2rad = Math.PI / 180;
+
+export function getJulianDate(date) {
+    // date.getTime() is UTC milliseconds since 1970-01-01
+    // (date.getTime() / 86400000) converts to days
+    // 2440587.5 is the Julian Date for 1970-01-01 00:00:00 UTC
+    return (date.getTime() / 86400000) + 2440587.5;
+}
+
+/**
+ * ΔT = TT - UT in seconds, from the Espenak & Meeus polynomials
+ * (NASA Five Millennium Canon of Solar Eclipses).
+ */
+export function getDeltaT(date) {
+    const y = date.getUTCFullYear() + (date.getUTCMonth() + 0.5) / 12;
+    let t;
+    let u;
+
+    if (y < -500 || y >= 2150) {
+        u = (y - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+    if (y < 500) {
+        u = y / 100;
+        return 10583.6 - 1014.41 * u + 33.78311 * u ** 2 - 5.952053 * u ** 3 -
+            0.1798452 * u ** 4 + 0.022174192 * u ** 5 + 0.0090316521 * u ** 6;
+    }
+    if (y < 1600) {
+        u = (y - 1000) / 100;
+        return 1574.2 - 556.01 * u + 71.23472 * u ** 2 + 0.319781 * u ** 3 -
+            0.8503463 * u ** 4 - 0.005050998 * u ** 5 + 0.0083572073 * u ** 6;
+    }
+    if (y < 1700) {
+        t = y - 1600;
+        return 120 - 0.9808 * t - 0.01532 * t ** 2 + t ** 3 / 7129;
+    }
+    if (y < 1800) {
+        t = y - 1700;
+        return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+    }
+    if (y < 1860) {
+        t = y - 1800;
+        return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 -
+            0.00037436 * t ** 4 + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+    }
+    if (y < 1900) {
+        t = y - 1860;
+        return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3 -
+            0.0004473624 * t ** 4 + t ** 5 / 233174;
+    }
+    if (y < 1920) {
+        t = y - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (y < 1941) {
+        t = y - 1920;
+        return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (y < 1961) {
+        t = y - 1950;
+        return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (y < 1986) {
+        t = y - 1975;
+        return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (y < 2005) {
+        t = y - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 +
+            0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (y < 2050) {
+        t = y - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    u = (y - 1820) / 100;
+    return -20 + 32 * u * u - 0.5628 * (2150 - y);
+}
+
+// Julian Ephemeris Day (Terrestrial Time) for a UT date
+export function getJulianEphemerisDate(date) {
+    return getJulianDate(date) + getDeltaT(date) / 86400;
+}
+
+function fastSun(date) {
+    const jd = getJulianDate(date);
+    const n = jd - 2451545.0; // Days since J2000
+
+    // Mean longitude (deg)
+    let L = (280.460 + 0.9856474 * n) % 360;
+    if (L < 0) L += 360;
+
+    // Mean anomaly (deg)
+    let g = (357.528 + 0.9856003 * n) % 360;
+    if (g < 0) g += 360;
+
+    // Ecliptic longitude (deg)
+    const lambda = L + 1.915 * Math.sin(g * deg2rad) + 0.020 * Math.sin(2 * g * deg2rad);
+
+    // Obliquity of ecliptic (deg)
+    const epsilon = 23.439 - 0.0000004 * n;
+
+    const { ra, dec } = eclipticToEquatorial(lambda, 0, epsilon);
+
+    // Equation of Time (minutes)
+    // alpha is in degrees, L is in degrees. (L - alpha) is in degrees.
+    // 1 degree = 4 minutes of time.
+    let eot = (L - ra);
+    if (eot > 180) eot -= 360;
+    if (eot < -180) eot += 360;
+    eot *= 4;
+
+    const distance = 1.00014 - 0.01671 * Math.cos(g * deg2rad) - 0.00014 * Math.cos(2 * g * deg2rad);
+
+    return { lon: ((lambda % 360) + 360) % 360, dec, ra, eot, distance };
+}
+
+// Main periodic terms of Meeus' lunar theory (ch. 47), good to a few arcminutes
+function fastMoon(date) {
+    const n = getJulianDate(date) - 2451545.0; // Days since J2000
+    const sin = (deg) => Math.sin(deg * deg2rad);
+    const cos = (deg) => Math.cos(deg * deg2rad);
+
+    // Mean elements (deg)
+    const L = 218.316 + 13.176396 * n; // Mean longitude of the Moon
+    const Mm = 134.963 + 13.064993 * n; // Mean anomaly of the Moon
+    const Ms = 357.529 + 0.98560028 * n; // Mean anomaly of the Sun
+    const D = 297.850 + 12.190749 * n; // Mean elongation of the Moon
+    const F = 93.272 + 13.229350 * n; // Mean argument of latitude
+
+    let lambda = L +
+        6.289 * sin(Mm) + 1.274 * sin(2 * D - Mm) + 0.658 * sin(2 * D) +
+        0.214 * sin(2 * Mm) - 0.186 * sin(Ms) - 0.114 * sin(2 * F) +
+        0.059 * sin(2 * D - 2 * Mm) + 0.057 * sin(2 * D - Ms - Mm) +
+        0.053 * sin(2 * D + Mm) + 0.046 * sin(2 * D - Ms) -
+        0.041 * sin(Mm - Ms) - 0.035 * sin(D) - 0.030 * sin(Mm + Ms);
+    lambda = ((lambda % 360) + 360) % 360;
+
+    const beta = 5.128 * sin(F) + 0.281 * sin(Mm + F) + 0.278 * sin(Mm - F) +
+        0.173 * sin(2 * D - F) + 0.055 * sin(2 * D - Mm + F) +
+        0.046 * sin(2 * D - Mm - F) + 0.033 * sin(2 * D + F) + 0.017 * sin(2 * Mm + F);
+
+    const distance = 385000.56 -
+        20905.355 * cos(Mm) - 3699.111 * cos(2 * D - Mm) - 2955.968 * cos(2 * D) -
+        569.925 * cos(2 * Mm) + 48.888 * cos(Ms) - 3.149 * cos(2 * F) +
+        246.158 * cos(2 * D - 2 * Mm) - 152.138 * cos(2 * D - Ms - Mm) -
+        170.733 * cos(2 * D + Mm) - 204.586 * cos(2 * D - Ms) -
+        129.620 * cos(Mm - Ms) + 108.743 * cos(D) + 104.755 * cos(Mm + Ms);
+
+    // Obliquity (epsilon)
+    const epsilon = 23.439 - 0.0000004 * n;
+    const { ra, dec } = eclipticToEquatorial(lambda, beta, epsilon);
+
+    return { lon: lambda, lat: beta, distance, ra, dec };
+}
+
+function fastSiderealTime(date) {
+    const n = getJulianDate(date) - 2451545.0;
+    const gst = (280.46061837 + 360.98564736629 * n) % 360;
+    return gst < 0 ? gst + 360 : gst;
+}
+
+export const EPHEMERIDES = {
+    fast: {
+        name: 'fast',
+        sun: fastSun,
+        moon: fastMoon,
+        siderealTime: fastSiderealTime
+    },
+    precise: {
+        name: 'precise',
+        sun: (date) => getSunMeeus(getJulianEphemerisDate(date)),
+        moon: (date) => getMoonMeeus(getJulianEphemerisDate(date)),
+        siderealTime: (date) => getSiderealTimeMeeus(getJulianDate(date), getJulianEphemerisDate(date))
+    }
+};
+
+let active = EPHEMERIDES.precise;
+
+/**
+ * Selects the ephemeris used everywhere: 'fast', 'precise' or a custom provider object.
+ */
+export function setEphemeris(provider) {
+    const next = typeof provider === 'string' ? EPHEMERIDES[provider] : provider;
+    if (!next || typeof next.sun !== 'function' || typeof next.moon !== 'function' || typeof next.siderealTime !== 'function') {
+        throw new Error(`Unknown ephemeris ${typeof provider === 'string' ? provider : '(invalid provider)'}`);
+    }
+    active = next;
+}
+
+/** @returns {import('./types.js').EphemerisProvider} */
+export function getEphemeris() {
+    return active;
+}
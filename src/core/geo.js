@@ -0,0 +1,121 @@
+// Great-circle geometry on a spherical Earth, and flight legs between cities.
+
+import { getUtcOffsetMinutes } from './timezone.js';
+
+const toRad = Math.PI / 180;
+const toDeg = 180 / Math.PI;
+
+export const EARTH_RADIUS_KM = 6371.0088; // IUGG mean radius
+export const KM_PER_MILE = 1.609344;
+
+// Rough airliner figures: block speed over the great circle, plus taxi, climb and approach
+const CRUISE_SPEED_KMH = 830;
+const OVERHEAD_MINUTES = 30;
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Angle between two points seen from the Earth's centre, in degrees (haversine).
+ */
+export function getCentralAngle(from, to) {
+    const dLat = (to.lat - from.lat) * toRad;
+    const dLon = (to.lon - from.lon) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(from.lat * toRad) * Math.cos(to.lat * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(a))) * toDeg;
+}
+
+/**
+ * Great-circle distance in km.
+ */
+export function getDistanceKm(from, to) {
+    return getCentralAngle(from, to) * toRad * EARTH_RADIUS_KM;
+}
+
+/**
+ * Initial bearing (forward azimuth) from `from` towards `to`, 0-360° clockwise from north.
+ */
+export function getInitialBearing(from, to) {
+    const lat1 = from.lat * toRad;
+    const lat2 = to.lat * toRad;
+    const dLon = (to.lon - from.lon) * toRad;
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * toDeg + 360) % 360;
+}
+
+/**
+ * 16-wind compass label for a bearing: "N", "NNE", ... "NNW".
+ */
+export function getCompassPoint(bearing) {
+    return COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 22.5) % 16];
+}
+
+/**
+ * Point a `fraction` (0-1) of the way along the great circle from `from` to `to`.
+ * @returns {import('./types.js').LatLon}
+ */
+export function interpolateGreatCircle(from, to, fraction) {
+    const angle = getCentralAngle(from, to) * toRad;
+    if (angle < 1e-9) return { lat: from.lat, lon: from.lon };
+
+    const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+    const b = Math.sin(fraction * angle) / Math.sin(angle);
+    const lat1 = from.lat * toRad;
+    const lat2 = to.lat * toRad;
+    const lon1 = from.lon * toRad;
+    const lon2 = to.lon * toRad;
+    const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+    const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+    const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+    return {
+        lat: Math.atan2(z, Math.sqrt(x * x + y * y)) * toDeg,
+        lon: Math.atan2(y, x) * toDeg
+    };
+}
+
+/**
+ * Scheduled flight time for a great-circle distance, rounded to 5 minutes.
+ * A ballpark only: real routes detour and winds add or take an hour.
+ */
+export function estimateFlightMinutes(distanceKm, { speedKmh = CRUISE_SPEED_KMH, overheadMinutes = OVERHEAD_MINUTES } = {}) {
+    if (distanceKm <= 0) return 0;
+    return Math.round((overheadMinutes + distanceKm / speedKmh * 60) / 5) * 5;
+}
+
+/**
+ * Legs between consecutive cities. Each leg departs `layoverMinutes` after
+ * the previous one lands; the first leaves at `departure`. Zone differences
+ * are taken at the leg's departure.
+ *
+ * options: { layoverMinutes = 90, speedKmh, overheadMinutes }
+ * @returns {import('./types.js').FlightLeg[]}
+ */
+export function buildItinerary(cities, departure, { layoverMinutes = 90, ...flightOptions } = {}) {
+    const legs = [];
+    let time = departure.getTime();
+
+    for (let i = 1; i < cities.length; i++) {
+        const from = cities[i - 1];
+        const to = cities[i];
+        const start = new Date(time);
+        const distanceKm = getDistanceKm(from, to);
+        const flightMinutes = estimateFlightMinutes(distanceKm, flightOptions);
+        const arrival = new Date(time + flightMinutes * 60000);
+
+        legs.push({
+            from,
+            to,
+            distanceKm,
+            distanceMi: distanceKm / KM_PER_MILE,
+            bearing: getInitialBearing(from, to),
+            zoneDifferenceMinutes: getUtcOffsetMinutes(start, to.timezone) - getUtcOffsetMinutes(start, from.timezone),
+            flightMinutes,
+            departure: start,
+            arrival
+        });
+        time = arrival.getTime() + layoverMinutes * 60000;
+    }
+
+    return legs;
+}
@@ -0,0 +1,95 @@
+// GlobeClock core: the time and astronomy logic behind the globe, as plain
+// ES modules with no DOM or Three.js imports. Runs unchanged in the browser
+// and in Node (>= 18, for Intl timezone data):
+//
+//   import { getSubSolarPoint, getSunEvents } from 'globeclock/core';
+//
+// Return shapes are documented as JSDoc typedefs in types.js.
+
+export {
+    getZonedParts,
+    getUtcOffsetMinutes,
+    formatUtcOffset,
+    formatOffsetDifference,
+    getLocalTime,
+    getViewerTimezone,
+    isValidTimezone,
+    zonedTimeToUtc,
+    getDstStatus,
+    getZoneAbbreviation,
+    getCanonicalTimezone,
+    listTimezones,
+    findNextTransition,
+    findPreviousTransition,
+    getZoneInfo,
+    findTransitions
+} from './timezone.js';
+
+export {
+    getSolarParameters,
+    getEquationOfTime,
+    getSubSolarPoint,
+    getSunAltitude,
+    getDaylightStatus,
+    getLunarParameters,
+    getGreenwichSiderealTime,
+    getSubLunarPoint,
+    getPrecessedPosition,
+    getStarSubpoint,
+    getApparentSolarMinutes,
+    getSolarTimeStr
+} from './positions.js';
+
+export { EPHEMERIDES, getEphemeris, setEphemeris, getJulianDate, getDeltaT } from './ephemeris.js';
+export { SUN_ALTITUDES, getSunEvents, getYearlySunData } from './sunEvents.js';
+export { SYNODIC_MONTH, getMoonPhase, getPhaseName, findMoonPhase, getMoonAltitude, getMoonRiseSet } from './moon.js';
+export { LOOKUP_MODES, parseTimeOfDay, findCivilMatches, findSolarMatches } from './reverseLookup.js';
+export { normalizeText, buildSearchIndex, searchCities } from './search.js';
+export { isWithinHours, buildOverlapGrid } from './planner.js';
+export {
+    ACTIVITIES,
+    ACTIVITY_SCHEDULE,
+    getActivity,
+    createPopulationIndex,
+    getZoneOffsets,
+    summarizeActivity
+} from './population.js';
+export {
+    MAP_PROJECTIONS,
+    ROBINSON_TABLE,
+    ROBINSON_X_SCALE,
+    ROBINSON_Y_SCALE,
+    projectPoint,
+    unprojectPoint,
+    getMapSize
+} from './projections.js';
+export {
+    EARTH_RADIUS_KM,
+    KM_PER_MILE,
+    getCentralAngle,
+    getDistanceKm,
+    getInitialBearing,
+    getCompassPoint,
+    interpolateGreatCircle,
+    estimateFlightMinutes,
+    buildItinerary
+} from './geo.js';
+export {
+    getTleChecksum,
+    parseTle,
+    getOrbitalPeriod,
+    getSatelliteState,
+    getSatelliteStateAfterEpoch,
+    getGroundTrack,
+    getSatelliteElevation,
+    findNextPass
+} from './satellites.js';
+export {
+    getSolarEclipse,
+    getLunarEclipse,
+    findEclipses,
+    getLocalSolarEclipse,
+    getLocalLunarEclipse,
+    getEclipseShadow,
+    getSolarEclipsePath
+} from './eclipses.js';
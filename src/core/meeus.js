@@ -0,0 +1,364 @@
+// Higher-precision Sun and Moon after Jean Meeus, Astronomical Algorithms
+// (2nd ed.): nutation (ch. 22, IAU 1980), the Sun (ch. 25), sidereal time
+// (ch. 12), the Equation of Time (ch. 28), the Moon (ch. 47) and precession
+// of catalogue positions (ch. 21).
+//
+// Functions take a Julian Ephemeris Day (TT); ephemeris.js handles ΔT.
+// Angles are in degrees.
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+const J2000 = 2451545.0;
+
+function normalize(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+// Julian centuries since J2000
+function centuries(jd) {
+    return (jd - J2000) / 36525;
+}
+
+// Ecliptic (lon, lat) to equatorial { ra, dec } in degrees, for obliquity epsilon
+export function eclipticToEquatorial(lon, lat, epsilon) {
+    const l = lon * deg2rad;
+    const b = lat * deg2rad;
+    const e = epsilon * deg2rad;
+    const ra = Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l)) * rad2deg;
+    const dec = Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l)) * rad2deg;
+    return { ra: normalize(ra), dec };
+}
+
+// Table 22.A: multiples of D, M, M', F, Omega; dPsi = (s0 + s1 T) sin, dEps = (c0 + c1 T) cos, in 0.0001"
+const NUTATION_TERMS = [
+    [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+    [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+    [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+    [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+    [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+    [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+    [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+    [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+    [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+    [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+    [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+    [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+    [0, 0, -1, 2, 2, 123, 0, -53, 0],
+    [2, 0, 0, 0, 0, 63, 0, 0, 0],
+    [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+    [2, 0, -1, 2, 2, -59, 0, 26, 0],
+    [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+    [0, 0, 1, 2, 1, -51, 0, 27, 0],
+    [-2, 0, 2, 0, 0, 48, 0, 0, 0],
+    [0, 0, -2, 2, 1, 46, 0, -24, 0],
+    [2, 0, 0, 2, 2, -38, 0, 16, 0],
+    [0, 0, 2, 2, 2, -31, 0, 13, 0],
+    [0, 0, 2, 0, 0, 29, 0, 0, 0],
+    [-2, 0, 1, 2, 2, 29, 0, -12, 0],
+    [0, 0, 0, 2, 0, 26, 0, 0, 0],
+    [-2, 0, 0, 2, 0, -22, 0, 0, 0],
+    [0, 0, -1, 2, 1, 21, 0, -10, 0],
+    [0, 2, 0, 0, 0, 17, -0.1, 0, 0],
+    [2, 0, -1, 0, 1, 16, 0, -8, 0],
+    [-2, 2, 0, 2, 2, -16, 0.1, 7, 0],
+    [0, 1, 0, 0, 1, -15, 0, 9, 0],
+    [-2, 0, 1, 0, 1, -13, 0, 7, 0],
+    [0, -1, 0, 0, 1, -12, 0, 6, 0],
+    [0, 0, 2, -2, 0, 11, 0, 0, 0],
+    [2, 0, -1, 2, 1, -10, 0, 5, 0],
+    [2, 0, 1, 2, 2, -8, 0, 3, 0],
+    [0, 1, 0, 2, 2, 7, 0, -3, 0],
+    [-2, 1, 1, 0, 0, -7, 0, 0, 0],
+    [0, -1, 0, 2, 2, -7, 0, 3, 0],
+    [2, 0, 0, 2, 1, -7, 0, 3, 0],
+    [2, 0, 1, 0, 0, 6, 0, 0, 0],
+    [-2, 0, 2, 2, 2, 6, 0, -3, 0],
+    [-2, 0, 1, 2, 1, 6, 0, -3, 0],
+    [2, 0, -2, 0, 1, -6, 0, 3, 0],
+    [2, 0, 0, 0, 1, -6, 0, 3, 0],
+    [0, -1, 1, 0, 0, 5, 0, 0, 0],
+    [-2, -1, 0, 2, 1, -5, 0, 3, 0],
+    [-2, 0, 0, 0, 1, -5, 0, 3, 0],
+    [0, 0, 2, 2, 1, -5, 0, 3, 0],
+    [-2, 0, 2, 0, 1, 4, 0, 0, 0],
+    [-2, 1, 0, 2, 1, 4, 0, 0, 0],
+    [0, 0, 1, -2, 0, 4, 0, 0, 0],
+    [-1, 0, 1, 0, 0, -4, 0, 0, 0],
+    [-2, 1, 0, 0, 0, -4, 0, 0, 0],
+    [1, 0, 0, 0, 0, -4, 0, 0, 0],
+    [0, 0, 1, 2, 0, 3, 0, 0, 0],
+    [0, 0, -2, 2, 2, -3, 0, 0, 0],
+    [-1, -1, 1, 0, 0, -3, 0, 0, 0],
+    [0, 1, 1, 0, 0, -3, 0, 0, 0],
+    [0, -1, 1, 2, 2, -3, 0, 0, 0],
+    [2, -1, -1, 2, 2, -3, 0, 0, 0],
+    [0, 0, 3, 2, 2, -3, 0, 0, 0],
+    [2, -1, 0, 2, 2, -3, 0, 0, 0]
+];
+
+/**
+ * Precession of J2000 equatorial coordinates to the mean equinox of `jde`
+ * (21.2-21.4, IAU 1976): { ra, dec } in degrees.
+ */
+export function precessFromJ2000(ra, dec, jde) {
+    const T = centuries(jde);
+    const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T ** 3) / 3600;
+    const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T ** 3) / 3600;
+    const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T ** 3) / 3600;
+
+    const a0 = (ra + zeta) * deg2rad;
+    const d0 = dec * deg2rad;
+    const t = theta * deg2rad;
+    const A = Math.cos(d0) * Math.sin(a0);
+    const B = Math.cos(t) * Math.cos(d0) * Math.cos(a0) - Math.sin(t) * Math.sin(d0);
+    const C = Math.sin(t) * Math.cos(d0) * Math.cos(a0) + Math.cos(t) * Math.sin(d0);
+    return {
+        ra: normalize(Math.atan2(A, B) * rad2deg + z),
+        dec: Math.asin(Math.max(-1, Math.min(1, C))) * rad2deg
+    };
+}
+
+/**
+ * Nutation in longitude and obliquity: { dPsi, dEps } in degrees.
+ */
+export function getNutation(jde) {
+    const T = centuries(jde);
+    const D = 297.85036 + 445267.111480 * T - 0.0019142 * T * T + T ** 3 / 189474;
+    const M = 357.52772 + 35999.050340 * T - 0.0001603 * T * T - T ** 3 / 300000;
+    const Mm = 134.96298 + 477198.867398 * T + 0.0086972 * T * T + T ** 3 / 56250;
+    const F = 93.27191 + 483202.017538 * T - 0.0036825 * T * T + T ** 3 / 327270;
+    const omega = 125.04452 - 1934.136261 * T + 0.0020708 * T * T + T ** 3 / 450000;
+
+    let dPsi = 0;
+    let dEps = 0;
+    // Smallest terms first
+    for (let i = NUTATION_TERMS.length - 1; i >= 0; i--) {
+        const [d, m, mm, f, o, s0, s1, c0, c1] = NUTATION_TERMS[i];
+        const arg = (d * D + m * M + mm * Mm + f * F + o * omega) * deg2rad;
+        dPsi += (s0 + s1 * T) * Math.sin(arg);
+        dEps += (c0 + c1 * T) * Math.cos(arg);
+    }
+    return { dPsi: dPsi / 36000000, dEps: dEps / 36000000 };
+}
+
+/**
+ * Mean obliquity of the ecliptic (22.2), in degrees.
+ */
+export function getMeanObliquity(jde) {
+    const T = centuries(jde);
+    return 23 + 26 / 60 + (21.448 - 46.8150 * T - 0.00059 * T * T + 0.001813 * T ** 3) / 3600;
+}
+
+/**
+ * Apparent Sun (ch. 25, accuracy about 0.01 deg) and the Equation of Time (28.3):
+ * { lon, dec, ra, eot (minutes), distance (AU) }
+ */
+export function getSunMeeus(jde) {
+    const T = centuries(jde);
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+    const Mr = M * deg2rad;
+
+    // Equation of the centre
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(Mr) +
+        (0.019993 - 0.000101 * T) * Math.sin(2 * Mr) +
+        0.000289 * Math.sin(3 * Mr);
+    const trueLon = L0 + C;
+    const anomaly = (M + C) * deg2rad;
+    const distance = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(anomaly));
+
+    // Apparent longitude: nutation plus aberration (-20.4898" / R)
+    const { dPsi, dEps } = getNutation(jde);
+    const epsilon = getMeanObliquity(jde) + dEps;
+    const lon = normalize(trueLon + dPsi - 20.4898 / 3600 / distance);
+    const { ra, dec } = eclipticToEquatorial(lon, 0, epsilon);
+
+    let eot = L0 - 0.0057183 - ra + dPsi * Math.cos(epsilon * deg2rad);
+    eot = normalize(eot + 180) - 180;
+
+    return { lon, dec, ra, eot: eot * 4, distance };
+}
+
+// Table 47.A: multiples of D, M, M', F; longitude (1e-6 deg, sine) and distance (1e-3 km, cosine)
+const MOON_LON_DIST_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950],
+    [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0],
+    [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616],
+    [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117],
+    [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423],
+    [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571],
+    [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0],
+    [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0],
+    [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0],
+    [2, 0, -1, -2, 0, 8752]
+];
+
+// Table 47.B: multiples of D, M, M', F; latitude (1e-6 deg, sine)
+const MOON_LAT_TERMS = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565],
+    [1, 0, 0, 1, -1491],
+    [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410],
+    [0, 1, 0, -1, -1344],
+    [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021],
+    [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777],
+    [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596],
+    [2, -1, 1, -1, 491],
+    [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439],
+    [2, 0, 2, 1, 422],
+    [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351],
+    [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315],
+    [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229],
+    [1, 1, 0, -1, 223],
+    [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220],
+    [2, 1, -1, -1, -220],
+    [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177],
+    [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166],
+    [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119],
+    [4, -1, 0, -1, 115],
+    [2, -2, 0, 1, 107]
+];
+
+/**
+ * Apparent geocentric Moon (ch. 47, about 10" in longitude and 4" in latitude):
+ * { lon, lat, distance (km), ra, dec }
+ */
+export function getMoonMeeus(jde) {
+    const T = centuries(jde);
+    const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841 - T ** 4 / 65194000;
+    const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868 - T ** 4 / 113065000;
+    const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T ** 3 / 24490000;
+    const Mm = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699 - T ** 4 / 14712000;
+    const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000 + T ** 4 / 863310000;
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+    // Decreasing eccentricity of the Earth's orbit scales the terms in M
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const sin = (deg) => Math.sin(deg * deg2rad);
+    const cos = (deg) => Math.cos(deg * deg2rad);
+
+    let sumL = 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+    let sumR = 0;
+    MOON_LON_DIST_TERMS.forEach(([d, m, mm, f, l, r]) => {
+        const arg = d * D + m * M + mm * Mm + f * F;
+        const scale = E ** Math.abs(m);
+        sumL += l * scale * sin(arg);
+        sumR += r * scale * cos(arg);
+    });
+
+    let sumB = -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) +
+        127 * sin(Lp - Mm) - 115 * sin(Lp + Mm);
+    MOON_LAT_TERMS.forEach(([d, m, mm, f, b]) => {
+        sumB += b * E ** Math.abs(m) * sin(d * D + m * M + mm * Mm + f * F);
+    });
+
+    const { dPsi, dEps } = getNutation(jde);
+    const epsilon = getMeanObliquity(jde) + dEps;
+    const lon = normalize(Lp + sumL / 1e6 + dPsi);
+    const lat = sumB / 1e6;
+    const { ra, dec } = eclipticToEquatorial(lon, lat, epsilon);
+
+    return { lon, lat, distance: 385000.56 + sumR / 1000, ra, dec };
+}
+
+/**
+ * Apparent Greenwich sidereal time (12.4 plus the equation of the equinoxes), in degrees.
+ * `jd` is UT, `jde` the same instant in TT.
+ */
+export function getSiderealTimeMeeus(jd, jde) {
+    const T = centuries(jd);
+    const mean = 280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * T * T - T ** 3 / 38710000;
+    const { dPsi, dEps } = getNutation(jde);
+    const epsilon = getMeanObliquity(jde) + dEps;
+    return normalize(mean + dPsi * Math.cos(epsilon * deg2rad));
+}
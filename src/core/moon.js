@@ -0,0 +1,155 @@
+// Moon phase, illumination and rise/set times, built on the lunar and solar
+// positions in positions.js.
+
+import { getLunarParameters, getSolarParameters, getSubLunarPoint } from './positions.js';
+import { getZonedParts, zonedTimeToUtc } from './timezone.js';
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+
+export const SYNODIC_MONTH = 29.530588853; // days
+const SUN_DISTANCE_KM = 149597870.7;
+const DAY_MS = 86400000;
+
+// Geocentric altitude of the Moon's centre at rise/set: parallax minus
+// refraction and semi-diameter (0.7275 * mean horizontal parallax - 34')
+const MOONRISE_ALTITUDE = 0.125;
+
+// Principal phases are named for about a day either side of the exact instant
+const PRINCIPAL_WINDOW = 1 / SYNODIC_MONTH;
+
+const PHASE_NAMES = [
+    'NEW MOON', 'WAXING CRESCENT', 'FIRST QUARTER', 'WAXING GIBBOUS',
+    'FULL MOON', 'WANING GIBBOUS', 'LAST QUARTER', 'WANING CRESCENT'
+];
+
+// Moon's ecliptic longitude minus the Sun's, in [0, 360): 0 = new, 180 = full
+function getElongation(date) {
+    const diff = getLunarParameters(date).lon - getSolarParameters(date).lon;
+    return ((diff % 360) + 360) % 360;
+}
+
+/**
+ * Phase name for a position in the synodic cycle (0 = new, 0.5 = full).
+ */
+export function getPhaseName(cycle) {
+    for (let i = 0; i < 4; i++) {
+        const d = Math.abs(cycle - i / 4);
+        if (d < PRINCIPAL_WINDOW || (i === 0 && 1 - cycle < PRINCIPAL_WINDOW)) return PHASE_NAMES[i * 2];
+    }
+    return PHASE_NAMES[Math.floor(cycle * 4) * 2 + 1];
+}
+
+/**
+ * Instant nearest `date` in the given direction (+1 next, -1 previous) when the
+ * elongation reaches `target` degrees (0 new moon, 90 first quarter, 180 full, 270 last quarter).
+ */
+export function findMoonPhase(date, target, direction = 1) {
+    const rate = 360 / SYNODIC_MONTH; // deg per day, on average
+    const ahead = ((target - getElongation(date)) % 360 + 360) % 360;
+    let t = date.getTime() + (direction > 0 ? ahead : ahead - 360) / rate * DAY_MS;
+
+    // Newton steps on the true elongation (the Moon's speed varies by ~±13%)
+    for (let i = 0; i < 6; i++) {
+        const error = ((getElongation(new Date(t)) - target) % 360 + 540) % 360 - 180;
+        t -= error / rate * DAY_MS;
+        if (Math.abs(error) < 1e-5) break;
+    }
+
+    // An estimate that landed on the wrong side of `date` belongs to the neighbouring cycle
+    if (direction > 0 && t <= date.getTime()) return findMoonPhase(new Date(date.getTime() + DAY_MS), target, 1);
+    if (direction < 0 && t > date.getTime()) return findMoonPhase(new Date(date.getTime() - DAY_MS), target, -1);
+    return new Date(t);
+}
+
+/**
+ * Phase and illumination of the Moon at `date`:
+ * { cycle (0-1, 0 = new, 0.5 = full), phaseName, phaseAngle (deg), illumination (0-1),
+ *   waxing, ageDays, distanceKm, nextNewMoon, nextFullMoon }
+ * @returns {import('./types.js').MoonPhase}
+ */
+export function getMoonPhase(date = new Date()) {
+    const moon = getLunarParameters(date);
+    const sun = getSolarParameters(date);
+    const elongation = ((moon.lon - sun.lon) % 360 + 360) % 360;
+
+    // Geocentric elongation, then the Sun-Moon-Earth phase angle
+    const psi = Math.acos(Math.cos(moon.lat * deg2rad) * Math.cos(elongation * deg2rad));
+    const phaseAngle = Math.atan2(SUN_DISTANCE_KM * Math.sin(psi), moon.distance - SUN_DISTANCE_KM * Math.cos(psi)) * rad2deg;
+
+    const cycle = elongation / 360;
+    const previousNew = findMoonPhase(date, 0, -1);
+
+    return {
+        cycle,
+        phaseName: getPhaseName(cycle),
+        phaseAngle,
+        illumination: (1 + Math.cos(phaseAngle * deg2rad)) / 2,
+        waxing: elongation < 180,
+        ageDays: (date.getTime() - previousNew.getTime()) / DAY_MS,
+        distanceKm: moon.distance,
+        nextNewMoon: findMoonPhase(date, 0, 1),
+        nextFullMoon: findMoonPhase(date, 180, 1)
+    };
+}
+
+/**
+ * Geocentric altitude of the Moon above the horizon at (lat, lon), in degrees.
+ */
+export function getMoonAltitude(lat, lon, date = new Date()) {
+    const moon = getSubLunarPoint(date);
+    const cosZenith = Math.sin(lat * deg2rad) * Math.sin(moon.lat * deg2rad) +
+        Math.cos(lat * deg2rad) * Math.cos(moon.lat * deg2rad) * Math.cos((lon - moon.lon) * deg2rad);
+    return 90 - Math.acos(Math.max(-1, Math.min(1, cosZenith))) * rad2deg;
+}
+
+/**
+ * Moonrise and moonset during the civil date that `date` falls on in `timezone`.
+ *
+ * The Moon rises about 50 minutes later each day, so on some dates one of
+ * the events does not happen. Returns { rise, set } as Dates or null, and
+ * { alwaysUp, alwaysDown } when it stays on one side of the horizon.
+ * @returns {import('./types.js').MoonRiseSet}
+ */
+export function getMoonRiseSet(lat, lon, date, timezone) {
+    const { year, month, day } = getZonedParts(date, timezone);
+    const start = zonedTimeToUtc({ year, month, day }, timezone).getTime();
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    const end = zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timezone).getTime();
+
+    const height = (t) => getMoonAltitude(lat, lon, new Date(t)) - MOONRISE_ALTITUDE;
+
+    // Scan in 10 minute steps, then bisect each sign change
+    const step = 10 * 60000;
+    let rise = null;
+    let set = null;
+    let prevT = start;
+    let prevH = height(start);
+    const startAbove = prevH > 0;
+
+    for (let t = start + step; prevT < end; t += step) {
+        const tt = Math.min(t, end);
+        const h = height(tt);
+        if ((prevH > 0) !== (h > 0)) {
+            let lo = prevT;
+            let hi = tt;
+            for (let i = 0; i < 12; i++) {
+                const mid = (lo + hi) / 2;
+                if ((height(mid) > 0) === (prevH > 0)) lo = mid;
+                else hi = mid;
+            }
+            const crossing = new Date((lo + hi) / 2);
+            if (h > 0 && !rise) rise = crossing;
+            if (h <= 0 && !set) set = crossing;
+        }
+        prevT = tt;
+        prevH = h;
+    }
+
+    return {
+        rise,
+        set,
+        alwaysUp: !rise && !set && startAbove,
+        alwaysDown: !rise && !set && !startAbove
+    };
+}
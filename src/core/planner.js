@@ -0,0 +1,59 @@
+import { getZonedParts, zonedTimeToUtc } from './timezone.js';
+
+/**
+ * True when `minuteOfDay` falls inside working hours [start, end) given in
+ * minutes. Overnight shifts (end <= start) wrap past midnight.
+ */
+export function isWithinHours(minuteOfDay, start, end) {
+    if (start === end) return false;
+    if (start < end) return minuteOfDay >= start && minuteOfDay < end;
+    return minuteOfDay >= start || minuteOfDay < end;
+}
+
+/**
+ * Builds the overlap grid for one calendar day in `timezone` (the grid's
+ * reference zone). DST is handled per participant through their IANA zone,
+ * and the reference day itself may be 23 or 25 hours long.
+ *
+ * participants: [{ city: { name, timezone }, start, end }] with start/end in minutes (e.g. 9 * 60)
+ * date:         { year, month, day } in the reference zone
+ *
+ * Returns { slots, bestCount } where each slot is
+ * { start: Date, end: Date, available: [bool per participant], localMinutes: [number], count, best }
+ */
+export function buildOverlapGrid(participants, date, timezone, slotMinutes = 30) {
+    const dayStart = zonedTimeToUtc({ ...date, hour: 0 }, timezone).getTime();
+    const next = new Date(Date.UTC(date.year, date.month - 1, date.day + 1));
+    const dayEnd = zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate(), hour: 0 }, timezone).getTime();
+
+    const slots = [];
+    for (let t = dayStart; t < dayEnd; t += slotMinutes * 60000) {
+        // Sample the middle of the slot so a shift ending at 17:00 doesn't claim 17:00-17:30
+        const mid = new Date(t + slotMinutes * 30000);
+        const available = participants.map(p => {
+            const parts = getZonedParts(mid, p.city.timezone);
+            return isWithinHours(parts.hour * 60 + parts.minute, p.start, p.end);
+        });
+        const localMinutes = participants.map(p => {
+            const parts = getZonedParts(new Date(t), p.city.timezone);
+            return parts.hour * 60 + parts.minute;
+        });
+        slots.push({
+            start: new Date(t),
+            end: new Date(Math.min(t + slotMinutes * 60000, dayEnd)),
+            available,
+            localMinutes,
+            count: available.filter(Boolean).length,
+            best: false
+        });
+    }
+
+    const bestCount = slots.reduce((max, slot) => Math.max(max, slot.count), 0);
+    if (bestCount > 0) {
+        slots.forEach(slot => {
+            slot.best = slot.count === bestCount;
+        });
+    }
+
+    return { slots, bestCount };
+}
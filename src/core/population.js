@@ -0,0 +1,104 @@
+import { getUtcOffsetMinutes } from './timezone.js';
+import { isWithinHours } from './planner.js';
+
+// Who is awake: people sorted into asleep, awake and at work by the civil
+// time of the city they live in.
+
+export const ACTIVITIES = {
+    ASLEEP: 'asleep',
+    AWAKE: 'awake', // Up, but outside business hours
+    WORKING: 'working'
+};
+
+// Local minutes of day, [start, end); work only on the working days
+// (0 = Sunday), which covers most of the world's population
+export const ACTIVITY_SCHEDULE = {
+    wake: 7 * 60,
+    sleep: 23 * 60,
+    workStart: 9 * 60,
+    workEnd: 17 * 60,
+    firstWorkDay: 1,
+    lastWorkDay: 5
+};
+
+const DAY_MS = 86400000;
+// Offsets are whole quarter hours and change on quarter hours (UTC), so they
+// hold for a whole quarter
+const QUARTER_MS = 15 * 60000;
+
+/**
+ * What people are doing at a local minute of day and weekday (0 = Sunday).
+ */
+export function getActivity(minuteOfDay, weekday, schedule = ACTIVITY_SCHEDULE) {
+    if (!isWithinHours(minuteOfDay, schedule.wake, schedule.sleep)) return ACTIVITIES.ASLEEP;
+    const workDay = weekday >= schedule.firstWorkDay && weekday <= schedule.lastWorkDay;
+    if (workDay && isWithinHours(minuteOfDay, schedule.workStart, schedule.workEnd)) return ACTIVITIES.WORKING;
+    return ACTIVITIES.AWAKE;
+}
+
+/**
+ * Groups cities by timezone, so that a summary needs one offset per zone
+ * rather than one civil time per city. `zoneOf[i]` is the zone index of
+ * cities[i].
+ * @returns {import('./types.js').PopulationIndex}
+ */
+export function createPopulationIndex(cities) {
+    const byZone = new Map();
+    const zones = [];
+    const zoneOf = new Uint16Array(cities.length);
+    let total = 0;
+    cities.forEach((city, i) => {
+        let index = byZone.get(city.timezone);
+        if (index === undefined) {
+            index = zones.length;
+            byZone.set(city.timezone, index);
+            zones.push({ timezone: city.timezone, population: 0, cities: 0 });
+        }
+        const population = city.population || 0;
+        zones[index].population += population;
+        zones[index].cities++;
+        zoneOf[i] = index;
+        total += population;
+    });
+    return { zones, zoneOf, total, offsets: null, offsetsFrom: NaN };
+}
+
+/**
+ * UTC offset of every zone in the index at `date` (minutes), cached for
+ * the quarter hour. The array is replaced, not changed, when offsets are
+ * looked up again.
+ */
+export function getZoneOffsets(index, date) {
+    const quarter = Math.floor(date.getTime() / QUARTER_MS) * QUARTER_MS;
+    if (index.offsetsFrom !== quarter) {
+        const start = new Date(quarter);
+        index.offsets = index.zones.map(zone => {
+            try {
+                return getUtcOffsetMinutes(start, zone.timezone);
+            } catch (e) {
+                return 0; // Unknown to this platform's Intl data
+            }
+        });
+        index.offsetsFrom = quarter;
+    }
+    return index.offsets;
+}
+
+/**
+ * How many people (in the indexed cities) are asleep, awake or at work at
+ * `date`. Cheap enough to run every second: arithmetic per zone, and the
+ * Intl lookups only once per quarter hour.
+ * @returns {import('./types.js').ActivitySummary}
+ */
+export function summarizeActivity(index, date, schedule = ACTIVITY_SCHEDULE) {
+    const offsets = getZoneOffsets(index, date);
+    const summary = { asleep: 0, awake: 0, working: 0, total: index.total };
+    index.zones.forEach((zone, i) => {
+        const local = date.getTime() + offsets[i] * 60000;
+        const days = Math.floor(local / DAY_MS);
+        const minuteOfDay = Math.floor((local - days * DAY_MS) / 60000);
+        const weekday = (days + 4) % 7; // 1970-01-01 was a Thursday
+        summary[getActivity(minuteOfDay, (weekday + 7) % 7, schedule)] += zone.population;
+    });
+    return summary;
+}
@@ -0,0 +1,143 @@
+// Sun and Moon positions as latitude/longitude, their altitude above the
+// horizon, and apparent solar time. Everything comes from the active
+// ephemeris (see ephemeris.js); utils.js turns the points into scene vectors.
+
+import { getEphemeris, getJulianEphemerisDate } from './ephemeris.js';
+import { precessFromJ2000 } from './meeus.js';
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+
+/**
+ * Returns basic solar parameters from the active ephemeris (see ephemeris.js):
+ * { lon: Ecliptic Longitude (deg), dec: Declination (deg), ra: Right Ascension (deg), eot: Equation of Time (mins), distance: AU }
+ * @returns {import('./types.js').SolarParameters}
+ */
+export function getSolarParameters(date = new Date()) {
+    return getEphemeris().sun(date);
+}
+
+/**
+ * Equation of Time in minutes (apparent solar time - mean solar time).
+ */
+export function getEquationOfTime(date = new Date()) {
+    return getSolarParameters(date).eot;
+}
+
+/**
+ * Sub-solar point (where the Sun is at the zenith): { lat, lon } in degrees.
+ * @returns {import('./types.js').LatLon}
+ */
+export function getSubSolarPoint(date = new Date()) {
+    const params = getSolarParameters(date);
+
+    // In our coordinate system:
+    // 12:00 UTC (noon) -> Sun is at Lon 0?
+    // Actually, GMT (Greenwich Mean Time) is defined by the Mean Sun.
+    // True Sun position at time T (UTC):
+    // Longitude of Sun relative to Earth = (12 - UTC_decimal) * 15 + Equation of Time (deg)
+
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+    // Eq of Time in degrees = params.eot / 4
+    let sunLon = (12 - utcHours) * 15 + (params.eot / 4);
+    if (sunLon < -180) sunLon += 360;
+    if (sunLon > 180) sunLon -= 360;
+
+    return { lat: params.dec, lon: sunLon };
+}
+
+/**
+ * Geometric altitude of the Sun above the horizon at (lat, lon), in degrees.
+ */
+export function getSunAltitude(lat, lon, date = new Date()) {
+    const sun = getSubSolarPoint(date);
+    const cosZenith = Math.sin(lat * deg2rad) * Math.sin(sun.lat * deg2rad) +
+        Math.cos(lat * deg2rad) * Math.cos(sun.lat * deg2rad) * Math.cos((lon - sun.lon) * deg2rad);
+    return 90 - Math.acos(Math.max(-1, Math.min(1, cosZenith))) * rad2deg;
+}
+
+/**
+ * 'DAY' | 'TWILIGHT' | 'NIGHT' from the Sun's altitude
+ * (sunrise/sunset at -0.833 deg, civil twilight down to -6 deg).
+ * @returns {import('./types.js').DaylightStatus}
+ */
+export function getDaylightStatus(lat, lon, date = new Date()) {
+    const altitude = getSunAltitude(lat, lon, date);
+    if (altitude > -0.833) return 'DAY';
+    if (altitude > -6) return 'TWILIGHT';
+    return 'NIGHT';
+}
+
+/**
+ * Geocentric Moon position from the active ephemeris (see ephemeris.js):
+ * { lon: Ecliptic Longitude (deg), lat: Ecliptic Latitude (deg), distance: km,
+ *   ra: Right Ascension (deg), dec: Declination (deg) }
+ * @returns {import('./types.js').LunarParameters}
+ */
+export function getLunarParameters(date = new Date()) {
+    return getEphemeris().moon(date);
+}
+
+/**
+ * Greenwich Sidereal Time in degrees.
+ */
+export function getGreenwichSiderealTime(date = new Date()) {
+    return getEphemeris().siderealTime(date);
+}
+
+/**
+ * Sub-lunar point (where the Moon is at the zenith): { lat, lon } in degrees.
+ * @returns {import('./types.js').LatLon}
+ */
+export function getSubLunarPoint(date = new Date()) {
+    const { ra, dec } = getLunarParameters(date);
+
+    // Right Ascension RA (alpha) is the angle from the vernal equinox.
+    // To get the Longitude on Earth, we need the Greenwich Sidereal Time (GST).
+    // Local Longitude = (RA - GST)
+    let moonLon = ra - getGreenwichSiderealTime(date);
+    // Normalize to -180, 180
+    while (moonLon > 180) moonLon -= 360;
+    while (moonLon < -180) moonLon += 360;
+
+    return { lat: dec, lon: moonLon };
+}
+
+/**
+ * Catalogue (J2000) right ascension and declination moved to the mean
+ * equinox of `date`: { ra, dec } in degrees.
+ */
+export function getPrecessedPosition(ra, dec, date = new Date()) {
+    return precessFromJ2000(ra, dec, getJulianEphemerisDate(date));
+}
+
+/**
+ * Point on the Earth with a star (J2000 catalogue position) at the zenith:
+ * { lat, lon } in degrees. Precession is applied; nutation and aberration
+ * (together under 40") are not.
+ * @returns {import('./types.js').LatLon}
+ */
+export function getStarSubpoint(ra, dec, date = new Date()) {
+    const p = getPrecessedPosition(ra, dec, date);
+    const lon = ((p.ra - getGreenwichSiderealTime(date)) % 360 + 540) % 360 - 180;
+    return { lat: p.dec, lon };
+}
+
+/**
+ * Apparent solar time at a longitude, in minutes of day.
+ */
+export function getApparentSolarMinutes(lon, date = new Date()) {
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60 +
+        date.getUTCMilliseconds() / 60000;
+    return ((utcMinutes + lon * 4 + getEquationOfTime(date)) % 1440 + 1440) % 1440;
+}
+
+/**
+ * Apparent solar time at a longitude as "HH:MM:SS".
+ */
+export function getSolarTimeStr(lon, date = new Date()) {
+    const totalSeconds = Math.floor(getApparentSolarMinutes(lon, date) * 60) % 86400;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+}
@@ -0,0 +1,77 @@
+// Flat map projections. Coordinates are in Earth radii with the origin at
+// (0, 0) lat/lon, x east and y north, so the equirectangular map spans
+// [-PI, PI] x [-PI/2, PI/2].
+
+export const MAP_PROJECTIONS = {
+    EQUIRECTANGULAR: 'equirectangular',
+    ROBINSON: 'robinson'
+};
+
+// Robinson's table (Snyder, "Map Projections: A Working Manual", table 24):
+// [parallel length X, distance from the equator Y] every 5 deg of latitude
+export const ROBINSON_TABLE = [
+    [1.0000, 0.0000], [0.9986, 0.0620], [0.9954, 0.1240], [0.9900, 0.1860],
+    [0.9822, 0.2480], [0.9730, 0.3100], [0.9600, 0.3720], [0.9427, 0.4340],
+    [0.9216, 0.4958], [0.8962, 0.5571], [0.8679, 0.6176], [0.8350, 0.6769],
+    [0.7986, 0.7346], [0.7597, 0.7903], [0.7186, 0.8435], [0.6732, 0.8936],
+    [0.6213, 0.9394], [0.5722, 0.9761], [0.5322, 1.0000]
+];
+export const ROBINSON_X_SCALE = 0.8487;
+export const ROBINSON_Y_SCALE = 1.3523;
+
+const DEG = Math.PI / 180;
+
+// X and Y at |lat| degrees, linear between the table rows
+function robinsonRow(absLat) {
+    const a = Math.min(absLat / 5, ROBINSON_TABLE.length - 1);
+    const i = Math.min(Math.floor(a), ROBINSON_TABLE.length - 2);
+    const f = a - i;
+    const [x0, y0] = ROBINSON_TABLE[i];
+    const [x1, y1] = ROBINSON_TABLE[i + 1];
+    return { X: x0 + (x1 - x0) * f, Y: y0 + (y1 - y0) * f };
+}
+
+/**
+ * Map coordinates of a point given in degrees: { x, y }
+ */
+export function projectPoint(lat, lon, projection = MAP_PROJECTIONS.EQUIRECTANGULAR) {
+    if (projection === MAP_PROJECTIONS.ROBINSON) {
+        const { X, Y } = robinsonRow(Math.abs(lat));
+        return { x: ROBINSON_X_SCALE * X * lon * DEG, y: ROBINSON_Y_SCALE * Y * Math.sign(lat) };
+    }
+    return { x: lon * DEG, y: lat * DEG };
+}
+
+/**
+ * Inverse of projectPoint: { lat, lon } in degrees, or null off the map.
+ */
+export function unprojectPoint(x, y, projection = MAP_PROJECTIONS.EQUIRECTANGULAR) {
+    let lat;
+    let lon;
+    if (projection === MAP_PROJECTIONS.ROBINSON) {
+        const Y = Math.abs(y) / ROBINSON_Y_SCALE;
+        if (Y > 1) return null;
+        // Y grows with latitude, so find the table row and interpolate back
+        let i = 0;
+        while (i < ROBINSON_TABLE.length - 2 && ROBINSON_TABLE[i + 1][1] < Y) i++;
+        const [, y0] = ROBINSON_TABLE[i];
+        const [, y1] = ROBINSON_TABLE[i + 1];
+        lat = Math.sign(y) * 5 * (i + (Y - y0) / (y1 - y0));
+        lon = x / (ROBINSON_X_SCALE * robinsonRow(Math.abs(lat)).X) / DEG;
+    } else {
+        lat = y / DEG;
+        lon = x / DEG;
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat, lon };
+}
+
+/**
+ * Width and height of the whole map, in Earth radii.
+ */
+export function getMapSize(projection = MAP_PROJECTIONS.EQUIRECTANGULAR) {
+    if (projection === MAP_PROJECTIONS.ROBINSON) {
+        return { width: 2 * Math.PI * ROBINSON_X_SCALE, height: 2 * ROBINSON_Y_SCALE };
+    }
+    return { width: 2 * Math.PI, height: Math.PI };
+}
@@ -0,0 +1,132 @@
+// Reverse time lookup: "where is it HH:MM right now?"
+//
+// Civil mode groups every IANA zone (from the platform list plus the city
+// dataset) by what its wall clock reads. Solar mode uses apparent solar time
+// (longitude + Equation of Time), which is a band of longitudes.
+
+import { getZonedParts, getUtcOffsetMinutes } from './timezone.js';
+import { getApparentSolarMinutes } from './positions.js';
+
+export const LOOKUP_MODES = {
+    CIVIL: 'civil',
+    SOLAR: 'solar'
+};
+
+/**
+ * Minute of day for an "HH:MM" (24h) string, or null if it isn't one.
+ */
+export function parseTimeOfDay(text) {
+    const match = /^\s*(\d{1,2}):(\d{2})\s*$/.exec(String(text || ''));
+    if (!match) return null;
+    const h = Number(match[1]);
+    const m = Number(match[2]);
+    if (h > 23 || m > 59) return null;
+    return h * 60 + m;
+}
+
+// Signed difference a - b in minutes, wrapped into [-720, 720)
+function wrapMinutes(diff) {
+    return ((diff % 1440) + 2160) % 1440 - 720;
+}
+
+function canonicalZone(timezone) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+    } catch (e) {
+        return timezone;
+    }
+}
+
+// Zone list per city dataset; building it touches every platform zone
+const zoneListCache = new WeakMap();
+
+// Dataset zones plus every platform zone not already covered under another
+// name (the platform may list "Asia/Katmandu" where the dataset has "Asia/Kathmandu")
+function getAllTimezones(cities) {
+    if (zoneListCache.has(cities)) return zoneListCache.get(cities);
+
+    const zones = new Set(cities.map(city => city.timezone).filter(Boolean));
+    if (typeof Intl.supportedValuesOf === 'function') {
+        const covered = new Set([...zones].map(canonicalZone));
+        Intl.supportedValuesOf('timeZone').forEach(zone => {
+            if (!covered.has(canonicalZone(zone))) zones.add(zone);
+        });
+    }
+    const list = [...zones];
+    zoneListCache.set(cities, list);
+    return list;
+}
+
+/**
+ * Zones whose civil clock reads targetMinutes (minute of day) within `tolerance` minutes.
+ *
+ * Returns [{ timezone, offsetMinutes, localMinutes, diffMinutes, cities }] sorted by
+ * closeness, then by the population of the zone's cities. `cities` is sorted by population.
+ * @returns {import('./types.js').CivilMatch[]}
+ */
+export function findCivilMatches(cities, targetMinutes, date, { tolerance = 15 } = {}) {
+    const byZone = new Map();
+    cities.forEach(city => {
+        if (!byZone.has(city.timezone)) byZone.set(city.timezone, []);
+        byZone.get(city.timezone).push(city);
+    });
+
+    const matches = [];
+    getAllTimezones(cities).forEach(timezone => {
+        let parts;
+        try {
+            parts = getZonedParts(date, timezone);
+        } catch (e) {
+            return; // Zone unknown to this platform
+        }
+        // Whole minutes, like the clock face: 17:45:30 still reads 17:45
+        const localMinutes = parts.hour * 60 + parts.minute;
+        const diffMinutes = wrapMinutes(localMinutes - targetMinutes);
+        if (Math.abs(diffMinutes) > tolerance) return;
+
+        const zoneCities = (byZone.get(timezone) || [])
+            .slice()
+            .sort((a, b) => (b.population || 0) - (a.population || 0));
+
+        matches.push({
+            timezone,
+            offsetMinutes: getUtcOffsetMinutes(date, timezone),
+            localMinutes,
+            diffMinutes,
+            cities: zoneCities,
+            population: zoneCities.reduce((sum, city) => sum + (city.population || 0), 0)
+        });
+    });
+
+    matches.sort((a, b) => Math.abs(a.diffMinutes) - Math.abs(b.diffMinutes) ||
+        b.population - a.population || a.timezone.localeCompare(b.timezone));
+    return matches;
+}
+
+/**
+ * Longitude band where apparent solar time reads targetMinutes (+/- tolerance),
+ * and the cities inside it.
+ *
+ * Returns { centerLon, halfWidth, cities: [{ city, solarMinutes, diffMinutes }] } with
+ * cities sorted by closeness, then population.
+ * @returns {import('./types.js').SolarMatchResult}
+ */
+export function findSolarMatches(cities, targetMinutes, date, { tolerance = 15 } = {}) {
+    // 1 minute of solar time = 0.25 deg of longitude
+    const centerMinutes = getApparentSolarMinutes(0, date);
+    const centerLon = wrapMinutes(targetMinutes - centerMinutes) / 4;
+
+    const matches = [];
+    cities.forEach(city => {
+        const solarMinutes = getApparentSolarMinutes(city.lon, date);
+        const diffMinutes = wrapMinutes(solarMinutes - targetMinutes);
+        if (Math.abs(diffMinutes) <= tolerance) {
+            matches.push({ city, solarMinutes: Math.floor(solarMinutes), diffMinutes });
+        }
+    });
+
+    matches.sort((a, b) => Math.abs(a.diffMinutes) - Math.abs(b.diffMinutes) ||
+        (b.city.population || 0) - (a.city.population || 0));
+
+    return { centerLon, halfWidth: tolerance / 4, cities: matches };
+}
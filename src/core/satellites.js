@@ -0,0 +1,235 @@
+// Earth satellites from Two-Line Element sets, propagated with SGP4/SDP4
+// (satellite.js, a port of Vallado's reference implementation).
+//
+// Positions come out of SGP4 in the TEME inertial frame and are turned into
+// geodetic latitude, longitude and height with the GMST of the instant.
+
+import {
+    twoline2satrec, propagate, sgp4, gstime, eciToGeodetic, eciToEcf, ecfToLookAngles,
+    degreesLat, degreesLong
+} from 'satellite.js';
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+
+/**
+ * TLE checksum of a line: the digits plus one per minus sign, modulo 10.
+ */
+export function getTleChecksum(line) {
+    let sum = 0;
+    for (const char of line.slice(0, 68)) {
+        if (char >= '0' && char <= '9') sum += Number(char);
+        else if (char === '-') sum += 1;
+    }
+    return sum % 10;
+}
+
+function checkLine(line, number) {
+    if (line.length < 69 || line[0] !== String(number) || line[1] !== ' ') {
+        return `line ${number} is not a TLE line`;
+    }
+    if (getTleChecksum(line) !== Number(line[68])) return `line ${number} checksum mismatch`;
+    return null;
+}
+
+/**
+ * Reads a TLE file: two-line sets, optionally preceded by a name line
+ * (a leading "0 " is dropped). Blank lines and lines starting with "#" are
+ * skipped. Bad sets are reported in `errors` rather than thrown, so one
+ * broken entry doesn't lose the whole file.
+ *
+ * Returns { satellites, errors }: satellites are
+ * { name, catalogNumber, line1, line2, epoch: Date, satrec }, errors are
+ * { line (1-based), message }.
+ * @returns {{ satellites: import('./types.js').Satellite[], errors: { line: number, message: string }[] }}
+ */
+export function parseTle(text) {
+    const lines = String(text).split(/\r?\n/)
+        .map((content, i) => ({ content: content.trimEnd(), number: i + 1 }))
+        .filter(({ content }) => content.trim() && !content.startsWith('#'));
+
+    const satellites = [];
+    const errors = [];
+    let i = 0;
+    while (i < lines.length) {
+        let name = null;
+        if (!lines[i].content.startsWith('1 ')) {
+            name = lines[i].content.replace(/^0 /, '').trim();
+            i++;
+        }
+        const first = i;
+        const line1 = lines[i];
+        const line2 = lines[i + 1];
+        if (!line1 || !line2) {
+            errors.push({ line: (line1 || lines[i - 1]).number, message: 'incomplete element set' });
+            break;
+        }
+
+        const problem = checkLine(line1.content, 1) || checkLine(line2.content, 2) ||
+            (line1.content.slice(2, 7) !== line2.content.slice(2, 7) ? 'catalog numbers differ between lines' : null);
+        if (problem) {
+            errors.push({ line: line1.number, message: problem });
+            // Resume at the next line 1, with the name line in front of it
+            let next = first + 1;
+            while (next < lines.length && !lines[next].content.startsWith('1 ')) next++;
+            const previous = lines[next - 1];
+            i = next - 1 > first && !/^[12] /.test(previous.content) ? next - 1 : next;
+            continue;
+        }
+
+        const satrec = twoline2satrec(line1.content, line2.content);
+        if (satrec.error) {
+            errors.push({ line: line1.number, message: `SGP4 initialisation failed (error ${satrec.error})` });
+        } else {
+            const catalogNumber = line1.content.slice(2, 7).trim();
+            satellites.push({
+                name: name || catalogNumber,
+                catalogNumber,
+                line1: line1.content,
+                line2: line2.content,
+                epoch: new Date((satrec.jdsatepoch - 2440587.5) * 86400000),
+                satrec
+            });
+        }
+        i += 2;
+    }
+
+    return { satellites, errors };
+}
+
+/**
+ * Orbital period from the mean motion, in minutes.
+ */
+export function getOrbitalPeriod(satellite) {
+    return 2 * Math.PI / satellite.satrec.no;
+}
+
+function toSatelliteState(state, date) {
+    if (!state || !state.position) return null;
+
+    const { x, y, z } = state.velocity;
+    const geodetic = eciToGeodetic(state.position, gstime(date));
+    return {
+        lat: degreesLat(geodetic.latitude),
+        lon: degreesLong(geodetic.longitude),
+        altitudeKm: geodetic.height,
+        speedKms: Math.sqrt(x * x + y * y + z * z),
+        position: state.position,
+        velocity: state.velocity
+    };
+}
+
+/**
+ * Sub-satellite point, height and inertial speed at `date`, or null when
+ * SGP4 fails (typically long after a decayed satellite's epoch).
+ * @returns {import('./types.js').SatelliteState | null}
+ */
+export function getSatelliteState(satellite, date = new Date()) {
+    return toSatelliteState(propagate(satellite.satrec, date), date);
+}
+
+/**
+ * Same as getSatelliteState, `minutes` after the element set's epoch
+ * (negative for before it). SGP4 takes the minutes as they are, without the
+ * rounding of a Date to the millisecond.
+ * @returns {import('./types.js').SatelliteState | null}
+ */
+export function getSatelliteStateAfterEpoch(satellite, minutes) {
+    const date = new Date(satellite.epoch.getTime() + minutes * 60000);
+    return toSatelliteState(sgp4(satellite.satrec, minutes), date);
+}
+
+/**
+ * Sub-satellite points from `before` minutes before `date` to `after` minutes
+ * after it (by default half an orbit back and one orbit ahead). Points where
+ * propagation fails are left out.
+ * @returns {import('./types.js').LatLon[]}
+ */
+export function getGroundTrack(satellite, date = new Date(), {
+    before = getOrbitalPeriod(satellite) / 2,
+    after = getOrbitalPeriod(satellite),
+    stepMinutes = 1
+} = {}) {
+    const points = [];
+    for (let m = -before; m <= after; m += stepMinutes) {
+        const state = getSatelliteState(satellite, new Date(date.getTime() + m * 60000));
+        if (state) points.push({ lat: state.lat, lon: state.lon });
+    }
+    return points;
+}
+
+/**
+ * Elevation of the satellite above an observer's horizon, in degrees (or
+ * null when propagation fails). observer: { lat, lon, heightKm = 0 }
+ */
+export function getSatelliteElevation(satellite, observer, date = new Date()) {
+    const state = propagate(satellite.satrec, date);
+    if (!state || !state.position) return null;
+    const ecf = eciToEcf(state.position, gstime(date));
+    const look = ecfToLookAngles({
+        latitude: observer.lat * deg2rad,
+        longitude: observer.lon * deg2rad,
+        height: observer.heightKm || 0
+    }, ecf);
+    return look.elevation * rad2deg;
+}
+
+// Time within [lo, hi] where the elevation crosses minElevation, to a second
+function refineCrossing(satellite, observer, lo, hi, minElevation) {
+    const aboveAtLo = getSatelliteElevation(satellite, observer, new Date(lo)) >= minElevation;
+    while (hi - lo > 1000) {
+        const mid = (lo + hi) / 2;
+        if ((getSatelliteElevation(satellite, observer, new Date(mid)) >= minElevation) === aboveAtLo) lo = mid;
+        else hi = mid;
+    }
+    return new Date(Math.round(hi / 1000) * 1000);
+}
+
+/**
+ * The next time the satellite climbs above `minElevation` for an observer,
+ * searching `hours` ahead of `date`. A pass already under way at `date` is
+ * returned with its actual rise time (in the past). Returns
+ * { rise, culmination, maxElevation, set } or null if there is none.
+ * @returns {import('./types.js').SatellitePass | null}
+ */
+export function findNextPass(satellite, observer, date = new Date(), { minElevation = 10, hours = 24, stepSeconds = 30 } = {}) {
+    const step = stepSeconds * 1000;
+    const start = date.getTime();
+    const end = start + hours * 3600000;
+    const above = (t) => {
+        const elevation = getSatelliteElevation(satellite, observer, new Date(t));
+        return elevation !== null && elevation >= minElevation;
+    };
+
+    // Rise: step forward to the first sample above the mask (or back to the start of a pass in progress)
+    let riseTime;
+    if (above(start)) {
+        let t = start;
+        const limit = start - getOrbitalPeriod(satellite) * 60000;
+        while (t > limit && above(t - step)) t -= step;
+        riseTime = t > limit ? refineCrossing(satellite, observer, t - step, t, minElevation).getTime() : t;
+    } else {
+        let t = start + step;
+        while (t <= end && !above(t)) t += step;
+        if (t > end) return null;
+        riseTime = refineCrossing(satellite, observer, t - step, t, minElevation).getTime();
+    }
+
+    // Set, tracking the highest point on the way
+    let t = Math.max(riseTime, start);
+    let maxElevation = -90;
+    let culmination = t;
+    const setLimit = riseTime + getOrbitalPeriod(satellite) * 60000;
+    while (t < setLimit) {
+        const elevation = getSatelliteElevation(satellite, observer, new Date(t));
+        if (elevation === null || elevation < minElevation) break;
+        if (elevation > maxElevation) {
+            maxElevation = elevation;
+            culmination = t;
+        }
+        t += step;
+    }
+    const set = t < setLimit ? refineCrossing(satellite, observer, t - step, t, minElevation) : null;
+
+    return { rise: new Date(riseTime), culmination: new Date(culmination), maxElevation, set };
+}
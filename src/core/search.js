@@ -0,0 +1,120 @@
+// City name search: accent-insensitive fuzzy matching on name, country and
+// IANA timezone, ranked by match quality and then population.
+
+// Match quality buckets (higher is better)
+const SCORE_EXACT = 100;
+const SCORE_PREFIX = 80;
+const SCORE_WORD_PREFIX = 60;
+const SCORE_SUBSTRING = 40;
+const SCORE_TYPO = 30;
+const SCORE_SUBSEQUENCE = 10;
+
+// How much a match in each field counts compared to a name match
+const FIELD_WEIGHTS = {
+    name: 1,
+    timezone: 0.7,
+    country: 0.6
+};
+
+// Letters with no combining-mark decomposition, so NFD leaves them alone
+const TRANSLITERATIONS = {
+    ø: 'o',
+    ł: 'l',
+    đ: 'd',
+    ı: 'i',
+    æ: 'ae',
+    ß: 'ss',
+    œ: 'oe'
+};
+const TRANSLITERATION_PATTERN = new RegExp(`[${Object.keys(TRANSLITERATIONS).join('')}]`, 'g');
+
+/**
+ * Lowercases, strips accents and turns punctuation (including the "/" and "_"
+ * of IANA ids) into single spaces: "São_Paulo" -> "sao paulo", "Łódź" -> "lodz".
+ */
+export function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(TRANSLITERATION_PATTERN, char => TRANSLITERATIONS[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Levenshtein distance, stopping early once it exceeds max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+            rowMin = Math.min(rowMin, curr[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+function isSubsequence(query, text) {
+    let qi = 0;
+    for (let i = 0; i < text.length && qi < query.length; i++) {
+        if (text[i] === query[qi]) qi++;
+    }
+    return qi === query.length;
+}
+
+function scoreField(query, text) {
+    if (!text) return 0;
+    if (text === query) return SCORE_EXACT;
+    if (text.startsWith(query)) return SCORE_PREFIX;
+    if (text.includes(' ' + query)) return SCORE_WORD_PREFIX;
+    if (text.includes(query)) return SCORE_SUBSTRING;
+    // One typo allowed against a prefix of the same length ("tokio" -> "tokyo")
+    if (query.length >= 4 && editDistance(query, text.slice(0, query.length), 1) <= 1) return SCORE_TYPO;
+    if (query.length >= 3 && isSubsequence(query.replace(/ /g, ''), text)) return SCORE_SUBSEQUENCE;
+    return 0;
+}
+
+/**
+ * Precomputes normalized fields so searching stays fast on every keystroke.
+ */
+export function buildSearchIndex(cities) {
+    return cities.map(city => ({
+        city,
+        name: normalizeText(city.name),
+        country: normalizeText(city.country),
+        timezone: normalizeText(city.timezone)
+    }));
+}
+
+/**
+ * Returns up to `limit` results: [{ city, score, field }] where field is the
+ * attribute that matched best ('name' | 'country' | 'timezone').
+ * @returns {import('./types.js').SearchResult[]}
+ */
+export function searchCities(index, query, { limit = 8 } = {}) {
+    const q = normalizeText(query);
+    if (!q) return [];
+
+    const results = [];
+    index.forEach(entry => {
+        let best = 0;
+        let bestField = null;
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            const score = scoreField(q, entry[field]) * weight;
+            if (score > best) {
+                best = score;
+                bestField = field;
+            }
+        });
+        if (best > 0) results.push({ city: entry.city, score: best, field: bestField });
+    });
+
+    results.sort((a, b) => b.score - a.score || (b.city.population || 0) - (a.city.population || 0));
+    return results.slice(0, limit);
+}
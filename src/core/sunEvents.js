@@ -0,0 +1,163 @@
+// Sunrise, sunset and twilight times from the solar declination and
+// Equation of Time in positions.js (accurate to about a minute).
+//
+// Events are computed around the solar noon of a civil date in the city's
+// own timezone, so "sunset" is always the one that follows that day's noon,
+// even when it falls after local midnight (high latitudes in summer).
+
+import { getSolarParameters } from './positions.js';
+import { getZonedParts, getUtcOffsetMinutes, zonedTimeToUtc } from './timezone.js';
+
+const deg2rad = Math.PI / 180;
+const rad2deg = 180 / Math.PI;
+
+// Altitude of the Sun's centre at each event, in degrees.
+// Sunrise/sunset include refraction and the solar semi-diameter.
+export const SUN_ALTITUDES = {
+    SUNRISE: -0.833,
+    CIVIL: -6,
+    NAUTICAL: -12,
+    ASTRONOMICAL: -18
+};
+
+// Signed difference in minutes, wrapped into [-720, 720)
+function wrapMinutes(diff) {
+    return ((diff % 1440) + 2160) % 1440 - 720;
+}
+
+// Instant of apparent solar noon at `lon` closest to `guessMs`
+function solarNoonNear(lon, guessMs) {
+    let noon = guessMs;
+    for (let i = 0; i < 3; i++) {
+        const date = new Date(noon);
+        const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+        const solarMinutes = utcMinutes + lon * 4 + getSolarParameters(date).eot;
+        noon += wrapMinutes(720 - solarMinutes) * 60000;
+    }
+    return noon;
+}
+
+/**
+ * When the Sun crosses `altitude` before and after the solar noon `noonMs`.
+ * Returns { rise, set } as UTC ms, or { state: 'ABOVE' | 'BELOW' } when it
+ * stays on one side all day.
+ */
+function getCrossings(noonMs, lat, altitude) {
+    const solve = (timeMs) => {
+        const dec = getSolarParameters(new Date(timeMs)).dec * deg2rad;
+        const cosH = (Math.sin(altitude * deg2rad) - Math.sin(lat * deg2rad) * Math.sin(dec)) /
+            (Math.cos(lat * deg2rad) * Math.cos(dec));
+        if (cosH < -1) return 'ABOVE';
+        if (cosH > 1) return 'BELOW';
+        return Math.acos(cosH) * rad2deg * 4 * 60000; // hour angle as ms
+    };
+
+    const first = solve(noonMs);
+    if (typeof first === 'string') return { state: first };
+
+    // Refine each side with the declination at the event itself
+    let rise = noonMs - first;
+    let set = noonMs + first;
+    for (let i = 0; i < 2; i++) {
+        const h1 = solve(rise);
+        const h2 = solve(set);
+        if (typeof h1 === 'number') rise = noonMs - h1;
+        if (typeof h2 === 'number') set = noonMs + h2;
+    }
+    return { rise, set, state: null };
+}
+
+// Solar noon belonging to a civil date in `timezone` (the one nearest local noon)
+function getSolarNoonForDay({ year, month, day }, lon, timezone) {
+    const localNoon = zonedTimeToUtc({ year, month, day, hour: 12 }, timezone);
+    return solarNoonNear(lon, localNoon.getTime());
+}
+
+/**
+ * Sun events for the civil date that `date` falls on in `timezone`.
+ *
+ * Returns { solarNoon, noonAltitude, sunrise, sunset, civilDawn, civilDusk,
+ * nauticalDawn, nauticalDusk, astronomicalDawn, astronomicalDusk,
+ * midnightAltitude, dayLengthMinutes, polar }. Event fields are Dates, or
+ * null when the Sun does not cross that altitude that day (compare the
+ * altitude with midnightAltitude to tell "always above" from "never reaches").
+ * `polar` is 'DAY' (midnight sun), 'NIGHT' (polar night) or null.
+ * @returns {import('./types.js').SunEvents}
+ */
+export function getSunEvents(lat, lon, date, timezone) {
+    const noonMs = getSolarNoonForDay(getZonedParts(date, timezone), lon, timezone);
+    const toDate = (ms) => (ms === undefined ? null : new Date(ms));
+
+    const day = getCrossings(noonMs, lat, SUN_ALTITUDES.SUNRISE);
+    const civil = getCrossings(noonMs, lat, SUN_ALTITUDES.CIVIL);
+    const nautical = getCrossings(noonMs, lat, SUN_ALTITUDES.NAUTICAL);
+    const astronomical = getCrossings(noonMs, lat, SUN_ALTITUDES.ASTRONOMICAL);
+
+    let dayLengthMinutes;
+    if (day.state === 'ABOVE') dayLengthMinutes = 1440;
+    else if (day.state === 'BELOW') dayLengthMinutes = 0;
+    else dayLengthMinutes = (day.set - day.rise) / 60000;
+
+    const dec = getSolarParameters(new Date(noonMs)).dec;
+
+    return {
+        solarNoon: new Date(noonMs),
+        noonAltitude: 90 - Math.abs(lat - dec),
+        midnightAltitude: Math.abs(lat + dec) - 90,
+        sunrise: toDate(day.rise),
+        sunset: toDate(day.set),
+        civilDawn: toDate(civil.rise),
+        civilDusk: toDate(civil.set),
+        nauticalDawn: toDate(nautical.rise),
+        nauticalDusk: toDate(nautical.set),
+        astronomicalDawn: toDate(astronomical.rise),
+        astronomicalDusk: toDate(astronomical.set),
+        dayLengthMinutes,
+        polar: day.state === 'ABOVE' ? 'DAY' : day.state === 'BELOW' ? 'NIGHT' : null
+    };
+}
+
+/**
+ * Day-by-day sun data for a whole calendar year, for charts.
+ *
+ * Returns one entry per day: { month, day, dayLengthMinutes, bands }, where
+ * bands = { day, civil, nautical, astronomical } and each band is
+ * { start, end } in minutes after local midnight (may run below 0 or past
+ * 1440 when the event falls on the neighbouring date), or null when the Sun
+ * never gets above that altitude. A band the Sun never drops below spans the
+ * whole day.
+ */
+export function getYearlySunData(lat, lon, year, timezone) {
+    const days = [];
+    for (let t = Date.UTC(year, 0, 1); new Date(t).getUTCFullYear() === year; t += 86400000) {
+        const d = new Date(t);
+        const civilDate = { year, month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+        const noonMs = getSolarNoonForDay(civilDate, lon, timezone);
+
+        // Minutes after local midnight, using the offset at noon
+        const offset = getUtcOffsetMinutes(new Date(noonMs), timezone);
+        const midnightMs = t - offset * 60000;
+        const toLocal = (ms) => (ms - midnightMs) / 60000;
+
+        const band = (altitude) => {
+            const c = getCrossings(noonMs, lat, altitude);
+            if (c.state === 'BELOW') return null;
+            if (c.state === 'ABOVE') return { start: 0, end: 1440 };
+            return { start: toLocal(c.rise), end: toLocal(c.set) };
+        };
+
+        const dayBand = band(SUN_ALTITUDES.SUNRISE);
+        days.push({
+            month: civilDate.month,
+            day: civilDate.day,
+            dayLengthMinutes: dayBand ? Math.min(1440, dayBand.end - dayBand.start) : 0,
+            bands: {
+                day: dayBand,
+                civil: band(SUN_ALTITUDES.CIVIL),
+                nautical: band(SUN_ALTITUDES.NAUTICAL),
+                astronomical: band(SUN_ALTITUDES.ASTRONOMICAL)
+            }
+        });
+    }
+    return days;
+}
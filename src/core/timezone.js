@@ -0,0 +1,300 @@
+// Civil time helpers built on the platform Intl timezone data.
+
+// Intl.DateTimeFormat construction is slow; keep one per zone
+const partsFormatters = new Map();
+
+function getPartsFormatter(timezone) {
+    let formatter = partsFormatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        partsFormatters.set(timezone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Wall-clock fields of `date` in an IANA zone:
+ * { year, month (1-12), day, hour, minute, second }
+ * @returns {import('./types.js').ZonedParts}
+ */
+export function getZonedParts(date, timezone) {
+    const parts = {};
+    getPartsFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * UTC offset of an IANA zone at `date`, in minutes (e.g. +330 for Asia/Kolkata).
+ */
+export function getUtcOffsetMinutes(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    const actual = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - actual) / 60000);
+}
+
+/**
+ * "+05:30" style offset label.
+ */
+export function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const h = String(Math.floor(abs / 60)).padStart(2, '0');
+    const m = String(abs % 60).padStart(2, '0');
+    return `${sign}${h}:${m}`;
+}
+
+/**
+ * Signed duration label for a difference in minutes: "+8h", "-3h30", "±0h".
+ */
+export function formatOffsetDifference(minutes) {
+    if (minutes === 0) return '±0h';
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const m = abs % 60;
+    return `${sign}${Math.floor(abs / 60)}h${m ? String(m).padStart(2, '0') : ''}`;
+}
+
+/**
+ * Wall-clock time in an IANA zone as "HH:MM:SS" (24h).
+ */
+export function getLocalTime(timezone, date = new Date()) {
+    try {
+        const { hour, minute, second } = getZonedParts(date, timezone);
+        return [hour, minute, second].map(n => String(n).padStart(2, '0')).join(':');
+    } catch (e) {
+        return "00:00:00";
+    }
+}
+
+export function getViewerTimezone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (e) {
+        return 'UTC';
+    }
+}
+
+export function isValidTimezone(timezone) {
+    try {
+        getPartsFormatter(timezone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * The instant at which the wall clock in `timezone` reads the given fields.
+ * Wall times repeated by a DST fall-back resolve to the first occurrence;
+ * times skipped by a spring-forward are read with the pre-transition offset
+ * (02:30 in a 02:00 -> 03:00 gap becomes 03:30).
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offsets in force a day either side cover any single transition
+    const before = getUtcOffsetMinutes(new Date(asUtc - 86400000), timezone);
+    const after = getUtcOffsetMinutes(new Date(asUtc + 86400000), timezone);
+
+    const candidates = [...new Set([before, after])]
+        .map(offset => asUtc - offset * 60000)
+        .filter(t => {
+            const p = getZonedParts(new Date(t), timezone);
+            return p.day === day && p.hour === hour && p.minute === minute;
+        })
+        .sort((a, b) => a - b);
+
+    return new Date(candidates.length > 0 ? candidates[0] : asUtc - before * 60000);
+}
+
+/**
+ * DST state of a zone at `date`, judged against the year's January and July offsets:
+ * { offsetMinutes, standardOffsetMinutes, observesDst, isDst }
+ * @returns {import('./types.js').DstStatus}
+ */
+export function getDstStatus(date, timezone) {
+    const year = date.getUTCFullYear();
+    const jan = getUtcOffsetMinutes(new Date(Date.UTC(year, 0, 1)), timezone);
+    const jul = getUtcOffsetMinutes(new Date(Date.UTC(year, 6, 1)), timezone);
+    const offsetMinutes = getUtcOffsetMinutes(date, timezone);
+    const standardOffsetMinutes = Math.min(jan, jul);
+    return {
+        offsetMinutes,
+        standardOffsetMinutes,
+        observesDst: jan !== jul,
+        isDst: offsetMinutes > standardOffsetMinutes
+    };
+}
+
+// en-US names North American zones only; the others give abbreviations for
+// their own regions and "GMT+2" style names elsewhere
+const ABBREVIATION_LOCALES = ['en-US', 'en-GB', 'en-AU', 'en-IN', 'en-ZA'];
+const nameFormatters = new Map();
+
+function getNameFormatter(locale, timezone) {
+    const key = `${locale}|${timezone}`;
+    let formatter = nameFormatters.get(key);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat(locale, { timeZone: timezone, timeZoneName: 'short' });
+        nameFormatters.set(key, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Short zone name at `date` ("CEST", "EST", "AEDT"), or a "GMT+3" style
+ * name where the platform has no abbreviation for the zone.
+ */
+export function getZoneAbbreviation(date, timezone) {
+    let fallback = null;
+    for (const locale of ABBREVIATION_LOCALES) {
+        const part = getNameFormatter(locale, timezone).formatToParts(date).find(p => p.type === 'timeZoneName');
+        const name = part ? part.value : '';
+        if (name && !/^(GMT|UTC)[+-]/.test(name)) return name;
+        fallback = fallback || name;
+    }
+    return fallback || formatUtcOffset(getUtcOffsetMinutes(date, timezone));
+}
+
+/**
+ * The platform's name for a zone, so aliases compare equal
+ * ("Asia/Kolkata" and "Asia/Calcutta" give the same result).
+ */
+export function getCanonicalTimezone(timezone) {
+    try {
+        return getPartsFormatter(timezone).resolvedOptions().timeZone;
+    } catch (e) {
+        return timezone;
+    }
+}
+
+/**
+ * Every IANA zone the platform knows, or an empty list where
+ * Intl.supportedValuesOf is missing.
+ */
+export function listTimezones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+const DAY_MS = 86400000;
+// Offsets are sampled a week apart, so a change that is undone within the
+// same week goes unnoticed; no zone has had one in recent decades
+const SCAN_STEP_MS = 7 * DAY_MS;
+
+// Offset change inside (start, end] given different offsets at both ends,
+// narrowed down to the minute
+function bisectTransition(start, end, timezone) {
+    let lo = Math.floor(start / 60000);
+    let hi = Math.ceil(end / 60000);
+    const before = getUtcOffsetMinutes(new Date(lo * 60000), timezone);
+    while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (getUtcOffsetMinutes(new Date(mid * 60000), timezone) === before) lo = mid;
+        else hi = mid;
+    }
+
+    const time = new Date(hi * 60000);
+    const justBefore = new Date(hi * 60000 - 60000);
+    return {
+        timezone,
+        time,
+        offsetBefore: before,
+        offsetAfter: getUtcOffsetMinutes(time, timezone),
+        abbreviationBefore: getZoneAbbreviation(justBefore, timezone),
+        abbreviationAfter: getZoneAbbreviation(time, timezone)
+    };
+}
+
+function scanTransition(date, timezone, direction, maxDays) {
+    const limit = date.getTime() + direction * maxDays * DAY_MS;
+    let t = date.getTime();
+    let offset = getUtcOffsetMinutes(date, timezone);
+    while (direction > 0 ? t < limit : t > limit) {
+        const next = direction > 0 ? Math.min(t + SCAN_STEP_MS, limit) : Math.max(t - SCAN_STEP_MS, limit);
+        const nextOffset = getUtcOffsetMinutes(new Date(next), timezone);
+        if (nextOffset !== offset) {
+            return direction > 0 ? bisectTransition(t, next, timezone) : bisectTransition(next, t, timezone);
+        }
+        t = next;
+        offset = nextOffset;
+    }
+    return null;
+}
+
+/**
+ * First UTC offset change after `date`, within `maxDays`, or null.
+ * @returns {import('./types.js').ZoneTransition | null}
+ */
+export function findNextTransition(date, timezone, { maxDays = 400 } = {}) {
+    return scanTransition(date, timezone, 1, maxDays);
+}
+
+/**
+ * Last UTC offset change at or before `date`, within `maxDays`, or null.
+ * @returns {import('./types.js').ZoneTransition | null}
+ */
+export function findPreviousTransition(date, timezone, { maxDays = 400 } = {}) {
+    return scanTransition(date, timezone, -1, maxDays);
+}
+
+/**
+ * Everything about a zone's clock at `date`: its offset and abbreviation,
+ * DST state and the offset changes either side.
+ * @returns {import('./types.js').ZoneInfo}
+ */
+export function getZoneInfo(date, timezone) {
+    return {
+        timezone,
+        abbreviation: getZoneAbbreviation(date, timezone),
+        ...getDstStatus(date, timezone),
+        previousTransition: findPreviousTransition(date, timezone),
+        nextTransition: findNextTransition(date, timezone)
+    };
+}
+
+/**
+ * Every offset change between `start` and `end` across `timezones` (by
+ * default all the platform knows), in time order. Aliases of one zone are
+ * reported once, under the first name given.
+ * @returns {import('./types.js').ZoneTransition[]}
+ */
+export function findTransitions(start, end, timezones = listTimezones()) {
+    const days = (end - start) / DAY_MS;
+    const seen = new Set();
+    const transitions = [];
+
+    timezones.forEach(timezone => {
+        if (!isValidTimezone(timezone)) return;
+        const canonical = getCanonicalTimezone(timezone);
+        if (seen.has(canonical)) return;
+        seen.add(canonical);
+
+        let cursor = start;
+        for (;;) {
+            const transition = findNextTransition(cursor, timezone, { maxDays: days - (cursor - start) / DAY_MS });
+            if (!transition || transition.time > end) break;
+            transitions.push(transition);
+            cursor = transition.time;
+        }
+    });
+
+    return transitions.sort((a, b) => a.time - b.time || a.timezone.localeCompare(b.timezone));
+}
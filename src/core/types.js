@@ -0,0 +1,265 @@
+// Shapes of the objects returned by the core, for editors and `tsc --checkJs`.
+// Angles are in degrees, instants are Dates, minutes of day run 0-1439.
+
+/**
+ * @typedef {Object} LatLon
+ * @property {number} lat - Latitude, north positive
+ * @property {number} lon - Longitude, east positive, in [-180, 180]
+ */
+
+/**
+ * A city from public/cities.json.
+ * @typedef {Object} City
+ * @property {string} name
+ * @property {string} country
+ * @property {number} lat
+ * @property {number} lon
+ * @property {string} timezone - IANA zone id
+ * @property {number} [population]
+ */
+
+/**
+ * Wall-clock fields in a timezone.
+ * @typedef {Object} ZonedParts
+ * @property {number} year
+ * @property {number} month - 1-12
+ * @property {number} day
+ * @property {number} hour
+ * @property {number} minute
+ * @property {number} second
+ */
+
+/**
+ * @typedef {Object} DstStatus
+ * @property {number} offsetMinutes - Current UTC offset
+ * @property {number} standardOffsetMinutes - The smaller of the January and July offsets
+ * @property {boolean} observesDst
+ * @property {boolean} isDst
+ */
+
+/**
+ * A change of a zone's UTC offset (DST start or end, or a change of standard time).
+ * @typedef {Object} ZoneTransition
+ * @property {string} timezone
+ * @property {Date} time - First instant on the new offset
+ * @property {number} offsetBefore - Minutes
+ * @property {number} offsetAfter - Minutes
+ * @property {string} abbreviationBefore
+ * @property {string} abbreviationAfter
+ */
+
+/**
+ * @typedef {DstStatus & {
+ *   timezone: string,
+ *   abbreviation: string,
+ *   previousTransition: ZoneTransition | null,
+ *   nextTransition: ZoneTransition | null
+ * }} ZoneInfo
+ */
+
+/** @typedef {'DAY' | 'TWILIGHT' | 'NIGHT'} DaylightStatus */
+
+/**
+ * @typedef {Object} SolarParameters
+ * @property {number} lon - Apparent ecliptic longitude
+ * @property {number} dec - Declination
+ * @property {number} ra - Right ascension
+ * @property {number} eot - Equation of Time in minutes
+ * @property {number} distance - Earth-Sun distance in AU
+ */
+
+/**
+ * @typedef {Object} LunarParameters
+ * @property {number} lon - Apparent ecliptic longitude
+ * @property {number} lat - Ecliptic latitude
+ * @property {number} distance - Earth-Moon distance in km
+ * @property {number} ra - Right ascension
+ * @property {number} dec - Declination
+ */
+
+/**
+ * @typedef {Object} EphemerisProvider
+ * @property {string} name
+ * @property {(date: Date) => SolarParameters} sun
+ * @property {(date: Date) => LunarParameters} moon
+ * @property {(date: Date) => number} siderealTime - Greenwich sidereal time in degrees
+ */
+
+/**
+ * Sun events for one civil date; an event is null when it does not happen.
+ * @typedef {Object} SunEvents
+ * @property {Date} solarNoon
+ * @property {number} noonAltitude
+ * @property {number} midnightAltitude
+ * @property {number} dayLengthMinutes
+ * @property {'DAY' | 'NIGHT' | null} polar - Midnight sun, polar night or neither
+ * @property {Date | null} sunrise
+ * @property {Date | null} sunset
+ * @property {Date | null} civilDawn
+ * @property {Date | null} civilDusk
+ * @property {Date | null} nauticalDawn
+ * @property {Date | null} nauticalDusk
+ * @property {Date | null} astronomicalDawn
+ * @property {Date | null} astronomicalDusk
+ */
+
+/**
+ * @typedef {Object} MoonPhase
+ * @property {number} cycle - 0 = new, 0.5 = full
+ * @property {string} phaseName
+ * @property {number} phaseAngle - Sun-Moon-Earth angle
+ * @property {number} illumination - Lit fraction, 0-1
+ * @property {boolean} waxing
+ * @property {number} ageDays - Days since the last new moon
+ * @property {number} distanceKm
+ * @property {Date} nextNewMoon
+ * @property {Date} nextFullMoon
+ */
+
+/**
+ * @typedef {Object} MoonRiseSet
+ * @property {Date | null} rise
+ * @property {Date | null} set
+ * @property {boolean} alwaysUp
+ * @property {boolean} alwaysDown
+ */
+
+/**
+ * A zone whose wall clock reads the searched time.
+ * @typedef {Object} CivilMatch
+ * @property {string} timezone
+ * @property {number} offsetMinutes
+ * @property {number} localMinutes
+ * @property {number} diffMinutes - Signed distance from the searched time
+ * @property {City[]} cities - Sorted by population
+ * @property {number} population
+ */
+
+/**
+ * @typedef {Object} SolarMatchResult
+ * @property {number} centerLon - Longitude where apparent solar time is exactly the searched time
+ * @property {number} halfWidth - Half width of the band, in degrees of longitude
+ * @property {{ city: City, solarMinutes: number, diffMinutes: number }[]} cities
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {City} city
+ * @property {number} score
+ * @property {'name' | 'country' | 'timezone'} field - The attribute that matched best
+ */
+
+export {};
+
+/**
+ * One leg of an itinerary (see geo.js).
+ * @typedef {Object} FlightLeg
+ * @property {City} from
+ * @property {City} to
+ * @property {number} distanceKm - Great-circle distance
+ * @property {number} distanceMi
+ * @property {number} bearing - Initial bearing, 0-360
+ * @property {number} zoneDifferenceMinutes - Destination UTC offset minus origin's
+ * @property {number} flightMinutes - Estimated
+ * @property {Date} departure
+ * @property {Date} arrival
+ */
+
+/**
+ * A parsed TLE (see satellites.js).
+ * @typedef {Object} Satellite
+ * @property {string} name - From the name line, or the catalog number
+ * @property {string} catalogNumber
+ * @property {string} line1
+ * @property {string} line2
+ * @property {Date} epoch
+ * @property {Object} satrec - satellite.js SGP4 record
+ */
+
+/**
+ * @typedef {Object} SatelliteState
+ * @property {number} lat - Geodetic latitude of the sub-satellite point
+ * @property {number} lon
+ * @property {number} altitudeKm - Height above the WGS 72 ellipsoid
+ * @property {number} speedKms - Inertial speed
+ * @property {{ x: number, y: number, z: number }} position - TEME, km
+ * @property {{ x: number, y: number, z: number }} velocity - TEME, km/s
+ */
+
+/**
+ * @typedef {Object} SatellitePass
+ * @property {Date} rise - Climbs above the elevation mask
+ * @property {Date} culmination
+ * @property {number} maxElevation
+ * @property {Date | null} set - null if still up at the end of the search
+ */
+
+/**
+ * A solar eclipse (see eclipses.js).
+ * @typedef {Object} SolarEclipse
+ * @property {'solar'} kind
+ * @property {'total' | 'annular' | 'hybrid' | 'partial'} type
+ * @property {boolean} central - The shadow axis meets the Earth
+ * @property {Date} maximum - Greatest eclipse
+ * @property {number} magnitude - Moon/Sun diameter ratio (central), or fraction of the Sun's diameter covered
+ * @property {number} gamma - Closest approach of the shadow axis to the Earth's centre, in Earth radii (north positive)
+ * @property {LatLon} greatestPoint
+ * @property {Date} partialBegin - Penumbra first touches the Earth
+ * @property {Date} partialEnd
+ * @property {Date | null} centralBegin
+ * @property {Date | null} centralEnd
+ */
+
+/**
+ * A lunar eclipse (see eclipses.js).
+ * @typedef {Object} LunarEclipse
+ * @property {'lunar'} kind
+ * @property {'total' | 'partial' | 'penumbral'} type
+ * @property {Date} maximum
+ * @property {number} magnitude - Umbral, negative for penumbral eclipses
+ * @property {number} penumbralMagnitude
+ * @property {number} gamma - Moon's centre from the shadow axis at maximum, in Earth radii
+ * @property {{ penumbralBegin: Date, partialBegin: Date | null, totalBegin: Date | null, totalEnd: Date | null, partialEnd: Date | null, penumbralEnd: Date }} contacts
+ */
+
+/**
+ * @typedef {Object} EclipseContact
+ * @property {Date} time
+ * @property {number} altitude - Of the Sun (solar) or Moon (lunar), degrees
+ */
+
+/**
+ * An eclipse from one place (see eclipses.js).
+ * @typedef {Object} LocalEclipse
+ * @property {EclipseContact} maximum
+ * @property {number} magnitude
+ * @property {number} [obscuration] - Fraction of the Sun's disc covered (solar only)
+ * @property {Object<string, EclipseContact | null>} contacts
+ * @property {boolean} visible - Above the horizon for at least part of the eclipse
+ */
+
+/**
+ * @typedef {Object} EclipsePath
+ * @property {LatLon[][]} centerLine
+ * @property {{ north: LatLon[][], south: LatLon[][] }} umbra - Limits of totality or annularity
+ * @property {{ north: LatLon[][], south: LatLon[][] }} penumbra - Limits of the partial eclipse
+ */
+
+/**
+ * Cities grouped by timezone (see population.js).
+ * @typedef {Object} PopulationIndex
+ * @property {{ timezone: string, population: number, cities: number }[]} zones
+ * @property {Uint16Array} zoneOf - Zone index per city, in the order given
+ * @property {number} total - Population of all cities
+ * @property {number[] | null} offsets - Cached UTC offsets per zone
+ * @property {number} offsetsFrom - Quarter hour (ms) the cached offsets are for
+ */
+
+/**
+ * People in the indexed cities by activity.
+ * @typedef {Object} ActivitySummary
+ * @property {number} asleep
+ * @property {number} awake - Up, outside business hours
+ * @property {number} working - In business hours
+ * @property {number} total
+ */
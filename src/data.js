@@ -1,3 +1,17 @@
+// Population tiers used for LOD (1 = most important).
+// Shared by the ingestion script (convert_cities.js) and the globe.
+export const TIER_THRESHOLDS = [
+    { tier: 1, minPopulation: 1000000 },
+    { tier: 2, minPopulation: 100000 }
+];
+export const DEFAULT_TIER = 3;
+
+export function getCityTier(population) {
+    const pop = Number(population) || 0;
+    const match = TIER_THRESHOLDS.find(t => pop >= t.minPopulation);
+    return match ? match.tier : DEFAULT_TIER;
+}
+
 export async function loadCities() {
     try {
         // Using a reliable raw JSON source for cities. 
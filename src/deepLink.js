@@ -0,0 +1,237 @@
+// Shareable links: the view, selection, reverse lookup, layers and simulated
+// time are kept in the URL hash, e.g.
+//
+//   #view=35.68,139.75,15&city=Tokyo|Japan&pin=Paris|France&lookup=09:00&mode=civil&tol=15
+//    &layers=terminator,timezones:zones&t=2024-06-21T09:00:00Z
+//
+// Every field is optional. The query string is read too (?city=Tokyo|Japan),
+// but the state is always written back to the hash. Selection, lookup, layer
+// and time changes add a history entry, so back/forward steps through them;
+// camera moves and pin edits only update the current one. Pins from a link
+// are added to the board, never removed from it.
+
+import { LOOKUP_MODES, parseTimeOfDay } from './core/index.js';
+
+// Coalesces bursts of changes (scrubbing, a restore) into one history entry
+const WRITE_DELAY_MS = 300;
+
+function cityRef(city) {
+    return `${city.name}|${city.country || ''}`;
+}
+
+function parseCityRef(text) {
+    const [name, country = ''] = text.split('|');
+    return name ? { name, country } : null;
+}
+
+/**
+ * Reads a hash or query string ("#view=..." / "?view=..." / "view=...") into
+ * { view, city, pins, lookup, overlays, time }. Malformed fields are dropped.
+ */
+export function parseState(text) {
+    const params = new URLSearchParams(String(text || '').replace(/^[#?]/, ''));
+    const state = { view: null, city: null, pins: [], lookup: null, overlays: {}, time: null };
+
+    const view = (params.get('view') || '').split(',').map(Number);
+    if (view.length >= 2 && view.every(Number.isFinite) && Math.abs(view[0]) <= 90) {
+        state.view = { lat: view[0], lon: ((view[1] + 180) % 360 + 360) % 360 - 180, distance: view[2] || undefined };
+    }
+
+    if (params.has('city')) state.city = parseCityRef(params.get('city'));
+    state.pins = params.getAll('pin').map(parseCityRef).filter(Boolean);
+
+    const minutes = parseTimeOfDay(params.get('lookup'));
+    if (minutes !== null) {
+        const tolerance = Number(params.get('tol'));
+        state.lookup = {
+            time: `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`,
+            mode: params.get('mode') === LOOKUP_MODES.SOLAR ? LOOKUP_MODES.SOLAR : LOOKUP_MODES.CIVIL,
+            tolerance: params.has('tol') && tolerance >= 0 ? tolerance : 15
+        };
+    }
+
+    (params.get('layers') || '').split(',').filter(Boolean).forEach(item => {
+        const [name, value] = item.split(':');
+        state.overlays[name] = value === undefined ? true : value;
+    });
+
+    const time = params.has('t') ? new Date(params.get('t')) : null;
+    if (time && !isNaN(time.getTime())) state.time = time;
+
+    return state;
+}
+
+/**
+ * Inverse of parseState, without the leading "#". `overlays` should only hold
+ * layers that differ from their defaults.
+ */
+export function serializeState({ view, city, pins = [], lookup, overlays = {}, time }) {
+    const params = new URLSearchParams();
+    if (view) params.set('view', `${view.lat.toFixed(2)},${view.lon.toFixed(2)},${view.distance.toFixed(1)}`);
+    if (city) params.set('city', cityRef(city));
+    pins.forEach(pin => params.append('pin', cityRef(pin)));
+    if (lookup) {
+        params.set('lookup', lookup.time);
+        params.set('mode', lookup.mode);
+        params.set('tol', String(lookup.tolerance));
+    }
+    const layers = Object.entries(overlays).map(([name, value]) => (value === true ? name : `${name}:${value}`));
+    if (layers.length > 0) params.set('layers', layers.join(','));
+    if (time) params.set('t', time.toISOString().replace('.000Z', 'Z'));
+
+    // Keep the separators readable; they are legal in a fragment
+    return params.toString().replace(/%7C/g, '|').replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * Keeps the URL in sync with the app and restores the app from it on load
+ * and on back/forward navigation.
+ */
+export class DeepLink {
+    constructor(globe, ui, clock, pins, layers) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+        this.pins = pins;
+        this.layers = layers;
+
+        this.copyBtn = document.getElementById('copy-link');
+        this.defaults = { ...globe.overlays };
+        this.hasView = false; // The auto-rotating intro view isn't worth sharing
+        this.restoring = false;
+        this.pendingPush = false;
+        this.writeTimer = null;
+
+        this.initListeners();
+        this.globe.ready.then(() => {
+            const hash = window.location.hash.length > 1 ? window.location.hash : window.location.search;
+            return this.restore(parseState(hash), { initial: true });
+        }, () => {
+            // Links refer to cities, so there is nothing to restore; main.js reports why
+        });
+    }
+
+    initListeners() {
+        this.ui.onChange(() => this.schedule(true));
+        this.clock.onChange(() => this.schedule(true));
+        this.pins.onChange(() => this.schedule(false));
+
+        window.addEventListener('popstate', () => {
+            this.restore(parseState(window.location.hash));
+        });
+
+        this.copyBtn.addEventListener('click', () => this.copy());
+    }
+
+    // Called by the globe (see main.js)
+    handleViewChange() {
+        this.hasView = true;
+        this.schedule(false);
+    }
+
+    handleOverlayChange() {
+        this.schedule(true);
+    }
+
+    capture() {
+        const overlays = {};
+        Object.entries(this.globe.overlays).forEach(([name, value]) => {
+            if (value !== this.defaults[name]) overlays[name] = value;
+        });
+        return {
+            view: this.hasView ? this.globe.getView() : null,
+            city: this.ui.selectedCity,
+            pins: this.pins.pins,
+            lookup: this.ui.activeLookup,
+            overlays,
+            time: this.clock.isLive() ? null : new Date(Math.floor(this.clock.getTime() / 1000) * 1000)
+        };
+    }
+
+    schedule(push) {
+        if (this.restoring) return;
+        this.pendingPush = this.pendingPush || push;
+        clearTimeout(this.writeTimer);
+        this.writeTimer = setTimeout(() => this.write(), WRITE_DELAY_MS);
+    }
+
+    write() {
+        clearTimeout(this.writeTimer);
+        const push = this.pendingPush;
+        this.pendingPush = false;
+
+        const hash = serializeState(this.capture());
+        const url = window.location.pathname + (hash ? `#${hash}` : '');
+        if (url === window.location.pathname + window.location.search + window.location.hash) return;
+        if (push) window.history.pushState(null, '', url);
+        else window.history.replaceState(null, '', url);
+    }
+
+    // Exact name and country first, then the most populous city of that name
+    findCity(ref) {
+        const cities = this.globe.allCities || [];
+        const named = cities.filter(city => city.name === ref.name);
+        const exact = named.find(city => (city.country || '') === ref.country);
+        return exact || named.sort((a, b) => (b.population || 0) - (a.population || 0))[0] || null;
+    }
+
+    async restore(state, { initial = false } = {}) {
+        clearTimeout(this.writeTimer);
+        this.restoring = true;
+        try {
+            for (const [name, fallback] of Object.entries(this.defaults)) {
+                let value = name in state.overlays ? state.overlays[name] : fallback;
+                if (typeof fallback === 'boolean') value = value === true;
+                if (this.globe.overlays[name] === value) continue;
+                try {
+                    await this.globe.setOverlay(name, value);
+                } catch (e) {
+                    console.error(e);
+                }
+            }
+            this.layers.sync();
+
+            if (state.time) {
+                this.clock.setTime(state.time);
+                this.clock.pause();
+            } else if (!initial && !this.clock.isLive()) {
+                this.clock.goLive();
+            }
+
+            if (initial) {
+                const added = state.pins.map(ref => this.findCity(ref)).filter(city => city && this.pins.add(city));
+                if (added.length > 0) this.ui.showToast(`PINNED ${added.length} CIT${added.length === 1 ? 'Y' : 'IES'} FROM LINK`);
+            }
+
+            // A lookup shows its top city, so an explicit selection goes last
+            const city = state.city && this.findCity(state.city);
+            if (!city && !initial) this.ui.selectCity(null);
+            if (state.lookup) this.ui.setLookup(state.lookup, { fly: !state.view && !city });
+            else this.ui.clearSearch();
+            if (city) this.ui.selectCity(city);
+
+            if (state.view) {
+                this.globe.setView(state.view);
+                this.hasView = true;
+            } else if (city) {
+                this.globe.flyTo(city.lat, city.lon);
+            }
+        } finally {
+            this.restoring = false;
+        }
+
+        // Rewrite the URL in canonical form (drops unknown cities, moves ?query to #hash)
+        this.pendingPush = false;
+        this.write();
+    }
+
+    async copy() {
+        this.write();
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.ui.showToast('LINK COPIED TO CLIPBOARD');
+        } catch (e) {
+            window.prompt('COPY LINK', window.location.href);
+        }
+    }
+}
@@ -0,0 +1,244 @@
+import {
+    findTransitions, findNextTransition, getZoneInfo, getCanonicalTimezone, getViewerTimezone,
+    formatUtcOffset, formatOffsetDifference, getZonedParts
+} from './core/index.js';
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+// A toast when the selected city's (or the viewer's) clocks change within this
+const ALERT_TOAST_MS = DAY_MS;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatUtcDate(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function formatUtcTime(date) {
+    return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+// Wall clock at `time` on a fixed offset
+function formatWallTime(time, offsetMinutes) {
+    return formatUtcTime(new Date(time.getTime() + offsetMinutes * 60000));
+}
+
+function formatLocal(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// "IN 5D 13H", "IN 2H 05M", "5D 13H AGO"
+function formatCountdown(ms) {
+    const abs = Math.abs(ms);
+    const days = Math.floor(abs / DAY_MS);
+    const hours = Math.floor((abs % DAY_MS) / HOUR_MS);
+    const minutes = Math.floor((abs % HOUR_MS) / 60000);
+    const span = days > 0 ? `${days}D ${hours}H` : `${hours}H ${pad(minutes)}M`;
+    return ms >= 0 ? `IN ${span}` : `${span} AGO`;
+}
+
+// "02:00 -> 03:00 (+1H)"
+function describeChange(transition) {
+    const { time, offsetBefore, offsetAfter } = transition;
+    const change = formatOffsetDifference(offsetAfter - offsetBefore).toUpperCase();
+    return `${formatWallTime(time, offsetBefore)} -> ${formatWallTime(time, offsetAfter)} (${change})`;
+}
+
+// Zones changing at the same instant by the same amount share a row
+function groupTransitions(transitions) {
+    const groups = new Map();
+    transitions.forEach(transition => {
+        const key = `${transition.time.getTime()},${transition.offsetBefore},${transition.offsetAfter}`;
+        if (!groups.has(key)) groups.set(key, { ...transition, zones: [] });
+        groups.get(key).zones.push(transition.timezone);
+    });
+    return Array.from(groups.values());
+}
+
+// DST calendar: the selected city's (or the viewer's) offset, abbreviation
+// and the clock changes either side, plus every offset change worldwide in
+// the next few weeks. The same transitions make zones flash on the timezone
+// overlay as they approach, whether or not the panel is open.
+export class DstPanel {
+    constructor(globe, ui, clock, layers) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+        this.layers = layers;
+
+        this.panel = document.getElementById('dst-panel');
+        this.toggleBtn = document.getElementById('dst-toggle');
+        this.closeBtn = document.getElementById('dst-close');
+        this.zoneEl = document.getElementById('dst-zone');
+        this.weeksSelect = document.getElementById('dst-weeks');
+        this.showZonesBtn = document.getElementById('dst-show-zones');
+        this.listEl = document.getElementById('dst-list');
+
+        this.transitions = [];
+        this.range = null;
+        this.refreshTimer = null;
+        this.announced = new Set();
+
+        this.initListeners();
+        this.refresh();
+        setInterval(() => this.tick(), 1000);
+    }
+
+    initListeners() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.toggle(false));
+        this.weeksSelect.addEventListener('change', () => this.refresh(true));
+        this.showZonesBtn.addEventListener('click', () => this.showZones());
+
+        // Scrubbing the clock fires many changes; search again once it settles
+        this.clock.onChange(() => {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refresh(), 250);
+        });
+        this.ui.onChange(() => this.render());
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    toggle(open = !this.isOpen()) {
+        this.panel.classList.toggle('hidden', !open);
+        if (open) this.render();
+    }
+
+    async showZones() {
+        try {
+            await this.globe.setOverlay('timezones', 'zones');
+        } catch (e) {
+            console.error(e);
+            this.ui.showToast(`LAYER TIMEZONES FAILED: ${e.message}`);
+        }
+        this.layers.sync();
+        this.render();
+    }
+
+    weeks() {
+        return Number(this.weeksSelect.value);
+    }
+
+    // The search runs a week past the listed window, so it only has to be
+    // repeated once the clock has moved on by a week (or jumped back)
+    refresh(force = false) {
+        const now = this.clock.now().getTime();
+        if (!force && this.range && now >= this.range.start && now < this.range.start + WEEK_MS) {
+            this.render();
+            return;
+        }
+
+        this.range = { start: now, end: now + (this.weeks() + 1) * WEEK_MS };
+        this.transitions = findTransitions(new Date(this.range.start), new Date(this.range.end));
+        this.globe.setTransitionAlerts(this.transitions);
+        this.render();
+    }
+
+    zone() {
+        const city = this.ui.selectedCity;
+        return city ? { name: city.name, timezone: city.timezone } : { name: 'YOUR CLOCK', timezone: getViewerTimezone() };
+    }
+
+    // Live time: re-check the toast and keep the countdowns running
+    tick() {
+        const now = this.clock.now();
+        if (this.range && now.getTime() >= this.range.start + WEEK_MS) this.refresh();
+        this.checkAlert(now);
+        if (this.isOpen()) this.renderZone(now);
+    }
+
+    checkAlert(now) {
+        const { name, timezone } = this.zone();
+        const next = findNextTransition(now, timezone, { maxDays: 2 });
+        if (!next || next.time - now > ALERT_TOAST_MS) return;
+
+        const key = `${timezone},${next.time.getTime()}`;
+        if (this.announced.has(key)) return;
+        this.announced.add(key);
+        const direction = next.offsetAfter > next.offsetBefore ? 'FORWARD' : 'BACK';
+        const amount = formatOffsetDifference(Math.abs(next.offsetAfter - next.offsetBefore)).slice(1).toUpperCase();
+        this.ui.showToast(`${name.toUpperCase()}: CLOCKS GO ${direction} ${amount} ${formatCountdown(next.time - now)}`, 8000);
+    }
+
+    render() {
+        if (!this.isOpen()) return;
+        const now = this.clock.now();
+        this.renderZone(now);
+        this.renderList(now);
+        this.showZonesBtn.disabled = this.globe.overlays.timezones === 'zones';
+    }
+
+    renderZone(now) {
+        const { name, timezone } = this.zone();
+        const info = getZoneInfo(now, timezone);
+        let dst = 'NOT OBSERVED';
+        if (info.observesDst) dst = info.isDst ? 'ACTIVE' : 'STANDARD TIME';
+
+        const rows = [
+            ['ZONE', timezone],
+            ['OFFSET', `UTC${formatUtcOffset(info.offsetMinutes)} ${info.abbreviation}`],
+            ['DST', dst]
+        ];
+        [['LAST CHANGE', info.previousTransition], ['NEXT CHANGE', info.nextTransition]].forEach(([label, transition]) => {
+            if (!transition) {
+                rows.push([label, 'NONE WITHIN A YEAR']);
+                return;
+            }
+            rows.push([label, `${formatLocal(transition.time, timezone)} ${formatCountdown(transition.time - now)}`]);
+            rows.push(['', `${describeChange(transition)} ${transition.abbreviationBefore} -> ${transition.abbreviationAfter}`]);
+        });
+
+        this.zoneEl.innerHTML = '';
+        const title = document.createElement('h3');
+        title.textContent = name;
+        const list = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+        this.zoneEl.append(title, list);
+    }
+
+    renderList(now) {
+        const end = now.getTime() + this.weeks() * WEEK_MS;
+        const selected = getCanonicalTimezone(this.zone().timezone);
+        const groups = groupTransitions(this.transitions.filter(t => t.time > now && t.time <= end));
+        this.listEl.innerHTML = '';
+
+        const header = this.listEl.insertRow();
+        ['DATE', 'UTC', 'LOCAL CHANGE', 'ZONES'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+
+        if (groups.length === 0) {
+            const cell = this.listEl.insertRow().insertCell();
+            cell.colSpan = 4;
+            cell.textContent = `NO OFFSET CHANGES IN THE NEXT ${this.weeks()} WEEKS`;
+            return;
+        }
+
+        groups.forEach(group => {
+            const row = this.listEl.insertRow();
+            const more = group.zones.length > 1 ? ` +${group.zones.length - 1}` : '';
+            [formatUtcDate(group.time), formatUtcTime(group.time), describeChange(group), group.zones[0] + more]
+                .forEach(text => {
+                    row.insertCell().textContent = text;
+                });
+            row.title = group.zones.join('\n');
+            row.classList.toggle('selected', group.zones.some(zone => getCanonicalTimezone(zone) === selected));
+            row.classList.toggle('soon', group.time - now <= 3 * DAY_MS);
+        });
+    }
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+import { getSolarEclipsePath, getEclipseShadow } from './core/index.js';
+import { latLonToVector3 } from './utils.js';
+
+const PATH_COLOR = 0xff0055;
+const PENUMBRA_COLOR = 0xffcc00;
+const SHADOW_INTERVAL = 100; // ms between shadow outline updates
+
+/**
+ * A solar eclipse on the globe: the centre line and limits of totality (or
+ * annularity), the limits of the partial eclipse, and, while the simulated
+ * time is inside the eclipse, the outline of the Moon's shadow on the ground.
+ */
+export class EclipseLayer {
+    constructor(radius = 5.015) {
+        this.radius = radius;
+        this.group = new THREE.Group();
+        this.path = new THREE.Group();
+        this.shadow = new THREE.Group();
+        this.group.add(this.path, this.shadow);
+
+        this.centerMaterial = new THREE.LineBasicMaterial({ color: PATH_COLOR });
+        this.umbraMaterial = new THREE.LineBasicMaterial({ color: PATH_COLOR, transparent: true, opacity: 0.5 });
+        this.penumbraMaterial = new THREE.LineBasicMaterial({ color: PENUMBRA_COLOR, transparent: true, opacity: 0.35 });
+        this.shadowMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 });
+
+        this.eclipse = null;
+        this.lastShadowUpdate = -Infinity;
+        this.shadowTime = null;
+    }
+
+    // Solar eclipse from core/eclipses.js, or null to clear
+    setEclipse(eclipse) {
+        this.clear(this.path);
+        this.clear(this.shadow);
+        this.eclipse = eclipse && eclipse.kind === 'solar' ? eclipse : null;
+        this.shadowTime = null;
+        if (!this.eclipse) return;
+
+        const { centerLine, umbra, penumbra } = getSolarEclipsePath(this.eclipse);
+        this.addLines(this.path, centerLine, this.centerMaterial);
+        this.addLines(this.path, [...umbra.north, ...umbra.south], this.umbraMaterial);
+        this.addLines(this.path, [...penumbra.north, ...penumbra.south], this.penumbraMaterial);
+    }
+
+    addLines(group, segments, material) {
+        segments.forEach(segment => {
+            const points = segment.map(({ lat, lon }) => latLonToVector3(lat, lon, this.radius));
+            group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+        });
+    }
+
+    clear(group) {
+        group.children.slice().forEach(line => {
+            group.remove(line);
+            line.geometry.dispose();
+        });
+    }
+
+    update(date) {
+        if (!this.eclipse) return;
+        const now = performance.now();
+        if (now - this.lastShadowUpdate < SHADOW_INTERVAL || date.getTime() === this.shadowTime) return;
+        this.lastShadowUpdate = now;
+        this.shadowTime = date.getTime();
+
+        this.clear(this.shadow);
+        if (date < this.eclipse.partialBegin || date > this.eclipse.partialEnd) return;
+        const shadow = getEclipseShadow(date);
+        if (!shadow) return;
+        this.addLines(this.shadow, shadow.umbra, this.shadowMaterial);
+        this.addLines(this.shadow, shadow.penumbra, this.penumbraMaterial);
+    }
+
+    dispose() {
+        this.clear(this.path);
+        this.clear(this.shadow);
+        this.centerMaterial.dispose();
+        this.umbraMaterial.dispose();
+        this.penumbraMaterial.dispose();
+        this.shadowMaterial.dispose();
+    }
+}
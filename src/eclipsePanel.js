@@ -0,0 +1,224 @@
+import {
+    findEclipses, getLocalSolarEclipse, getLocalLunarEclipse, getSubLunarPoint, getZonedParts
+} from './core/index.js';
+
+const YEAR_MS = 365.25 * 86400000;
+// Eclipses listed either side of the simulated time
+const YEARS_BEFORE = 2;
+const YEARS_AFTER = 4;
+
+const CONTACT_LABELS = {
+    penumbralBegin: 'PENUMBRAL BEGINS',
+    partialBegin: 'PARTIAL BEGINS',
+    totalBegin: 'TOTAL BEGINS',
+    totalEnd: 'TOTAL ENDS',
+    partialEnd: 'PARTIAL ENDS',
+    penumbralEnd: 'PENUMBRAL ENDS'
+};
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatUtcDate(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function formatUtcTime(date) {
+    return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())} UTC`;
+}
+
+function formatLocal(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// "TOTAL SOLAR", "PENUMBRAL LUNAR"
+function describe(eclipse) {
+    return `${eclipse.type} ${eclipse.kind}`.toUpperCase();
+}
+
+// Eclipse list around the simulated time: type, greatest eclipse and
+// magnitude. Selecting a solar eclipse draws its path on the globe; the
+// details give local circumstances for the selected city, computed from the
+// ephemeris like everything else.
+export class EclipsePanel {
+    constructor(globe, ui, clock) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+
+        this.panel = document.getElementById('eclipse-panel');
+        this.toggleBtn = document.getElementById('eclipses-toggle');
+        this.closeBtn = document.getElementById('eclipse-close');
+        this.filterSelect = document.getElementById('eclipse-filter');
+        this.jumpBtn = document.getElementById('eclipse-jump');
+        this.clearBtn = document.getElementById('eclipse-clear');
+        this.listEl = document.getElementById('eclipse-list');
+        this.detailsEl = document.getElementById('eclipse-details');
+
+        this.eclipses = [];
+        this.range = null;
+        this.selected = null;
+        this.local = null;
+        this.localKey = null;
+
+        this.initListeners();
+    }
+
+    initListeners() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.toggle(false));
+        this.filterSelect.addEventListener('change', () => this.renderList(true));
+        this.clearBtn.addEventListener('click', () => this.select(null));
+        this.jumpBtn.addEventListener('click', () => {
+            if (!this.selected) return;
+            this.clock.pause();
+            this.clock.setTime(this.selected.maximum);
+        });
+
+        // The list follows time travel once the clock leaves the middle of its range
+        this.clock.onChange(() => {
+            if (this.isOpen()) this.refresh();
+        });
+        this.ui.onChange(() => this.renderDetails());
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    toggle(open = !this.isOpen()) {
+        this.panel.classList.toggle('hidden', !open);
+        if (open) this.refresh();
+    }
+
+    refresh() {
+        const now = this.clock.now().getTime();
+        if (this.range && now > this.range.start + YEAR_MS && now < this.range.end - YEAR_MS) {
+            this.renderList();
+            return;
+        }
+
+        this.range = { start: now - YEARS_BEFORE * YEAR_MS, end: now + YEARS_AFTER * YEAR_MS };
+        this.eclipses = findEclipses(new Date(this.range.start), new Date(this.range.end));
+        this.renderList(true);
+    }
+
+    // `scroll` brings the next eclipse to the top of the list
+    renderList(scroll = false) {
+        const filter = this.filterSelect.value;
+        const now = this.clock.now();
+        this.listEl.innerHTML = '';
+
+        const header = this.listEl.insertRow();
+        ['DATE', 'TYPE', 'GREATEST', 'MAG'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+
+        let next = null;
+        this.eclipses.filter(e => filter === 'all' || e.kind === filter).forEach(eclipse => {
+            const row = this.listEl.insertRow();
+            [formatUtcDate(eclipse.maximum), describe(eclipse), formatUtcTime(eclipse.maximum), eclipse.magnitude.toFixed(3)]
+                .forEach(text => {
+                    row.insertCell().textContent = text;
+                });
+            row.classList.toggle('past', eclipse.maximum < now);
+            row.classList.toggle('selected', this.isSelected(eclipse));
+            if (!next && eclipse.maximum >= now) next = row;
+            row.addEventListener('click', () => this.select(eclipse));
+        });
+
+        if (scroll && next) this.listEl.parentElement.scrollTop = next.offsetTop - header.offsetHeight;
+    }
+
+    // Lists are recomputed on time travel, so compare by instant
+    isSelected(eclipse) {
+        return Boolean(this.selected) && this.selected.kind === eclipse.kind &&
+            this.selected.maximum.getTime() === eclipse.maximum.getTime();
+    }
+
+    select(eclipse) {
+        this.selected = eclipse;
+        this.localKey = null;
+        this.globe.setEclipse(eclipse && eclipse.kind === 'solar' ? eclipse : null);
+        this.renderList();
+
+        if (eclipse) {
+            // Solar: the point of greatest eclipse; lunar: where the Moon is overhead
+            const point = eclipse.kind === 'solar' ? eclipse.greatestPoint : getSubLunarPoint(eclipse.maximum);
+            if (point) this.globe.flyTo(point.lat, point.lon);
+        }
+        this.renderDetails();
+    }
+
+    // Local circumstances are only recomputed when the eclipse or city changes
+    getLocal(eclipse, city) {
+        const key = `${eclipse.kind},${eclipse.maximum.getTime()},${city.lat},${city.lon}`;
+        if (key !== this.localKey) {
+            this.localKey = key;
+            this.local = eclipse.kind === 'solar'
+                ? getLocalSolarEclipse(eclipse, city.lat, city.lon)
+                : getLocalLunarEclipse(eclipse, city.lat, city.lon);
+        }
+        return this.local;
+    }
+
+    renderDetails() {
+        const eclipse = this.selected;
+        this.detailsEl.innerHTML = '';
+        this.detailsEl.classList.toggle('hidden', !eclipse);
+        this.jumpBtn.disabled = !eclipse;
+        if (!eclipse) return;
+
+        const rows = [
+            ['GREATEST', `${formatUtcDate(eclipse.maximum)} ${formatUtcTime(eclipse.maximum)}`],
+            ['MAGNITUDE', eclipse.magnitude.toFixed(4)],
+            ['GAMMA', eclipse.gamma.toFixed(4)]
+        ];
+        if (eclipse.kind === 'lunar') {
+            rows.push(['PENUMBRAL MAG', eclipse.penumbralMagnitude.toFixed(4)]);
+        } else if (eclipse.greatestPoint) {
+            rows.push(['GREATEST AT', `${eclipse.greatestPoint.lat.toFixed(2)}, ${eclipse.greatestPoint.lon.toFixed(2)}`]);
+        }
+
+        const city = this.ui.selectedCity;
+        const body = eclipse.kind === 'solar' ? 'SUN' : 'MOON';
+        if (!city) {
+            rows.push(['LOCAL', 'SELECT A CITY']);
+        } else {
+            const local = this.getLocal(eclipse, city);
+            rows.push(['FROM', `${city.name} (${city.timezone})`]);
+            if (!local) {
+                rows.push(['LOCAL', 'NO ECLIPSE HERE']);
+            } else {
+                if (!local.visible) rows.push(['LOCAL', `${body} BELOW THE HORIZON`]);
+                if (eclipse.kind === 'solar') {
+                    rows.push(['LOCAL MAG', `${local.magnitude.toFixed(3)} (${Math.round(local.obscuration * 100)}% COVERED)`]);
+                }
+                // Contacts and the local maximum in time order
+                const events = Object.entries(local.contacts)
+                    .filter(([, value]) => value)
+                    .map(([key, value]) => [CONTACT_LABELS[key].replace('TOTAL', eclipse.type === 'annular' ? 'ANNULAR' : 'TOTAL'), value]);
+                events.push(['LOCAL MAX', local.maximum]);
+                events.sort((a, b) => a[1].time - b[1].time).forEach(([label, { time, altitude }]) => {
+                    rows.push([label, `${formatLocal(time, city.timezone)} ${body} ${Math.round(altitude)}°`]);
+                });
+            }
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = `${describe(eclipse)} ECLIPSE`;
+        const list = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+        this.detailsEl.append(title, list);
+    }
+}
@@ -1,13 +1,81 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { MapControls } from 'three/examples/jsm/controls/MapControls.js';
 import { loadCities } from './data.js';
-import { latLonToVector3, getSunPosition, getMoonPosition } from './utils.js';
+import { latLonToVector3, vector3ToLatLon, getSunPosition, getMoonPosition } from './utils.js';
 import { earthVertexShader, earthFragmentShader } from './shaders.js';
+import { SimClock } from './clock.js';
+import { CityMarkers } from './markers.js';
+import { CityLabels, LABEL_MODES } from './cityLabels.js';
+import { createTextSprite, disposeSprite } from './labels.js';
+import { TimezoneLayer, TIMEZONE_MODES } from './timezoneLayer.js';
+import { SubpointLayer } from './subpointLayer.js';
+import { RouteLayer } from './routeLayer.js';
+import { SatelliteLayer } from './satelliteLayer.js';
+import { EclipseLayer } from './eclipseLayer.js';
+import { PopulationLayer } from './populationLayer.js';
+import { StarField } from './starField.js';
+import { MapMorph, PROJECTION_MODES } from './mapMorph.js';
+import { drawGlow, drawEarth, drawMoon, drawSolid } from './proceduralTextures.js';
+
+// Swaps a texture's image for a canvas drawn in code
+function replaceImage(texture, canvas) {
+    texture.image = canvas;
+    texture.needsUpdate = true;
+}
+
+// Frees every geometry, material and texture (including shader uniforms) under `root`
+function disposeObject(root) {
+    root.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (!obj.material) return;
+        (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) value.dispose();
+            });
+            Object.values(material.uniforms || {}).forEach(({ value }) => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
+}
+
+const MAP_PLANE = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+const MAP_PICK_PIXELS = 8; // How near the mouse a marker counts as hovered on the flat map
 
+/**
+ * The 3D globe. `container` is an element or its id; the canvas fills it and
+ * follows its size. Call dispose() before dropping it.
+ */
 export class Globe {
-    constructor(containerId, onCityHover) {
-        this.container = document.getElementById(containerId);
+    constructor(container, {
+        clock = new SimClock(),
+        autoRotate = true,
+        assetBase = '/', // Where cities.json, textures/ and timezones.geojson are served from
+        earthTexture = null, // Photographic maps under assetBase (e.g. 'textures/earth.jpg'); drawn in code when null
+        moonTexture = null,
+        onCityHover = () => {},
+        onCityClick = () => {},
+        onSatelliteClick = () => {},
+        onZoneHover = () => {},
+        onViewChange = () => {},
+        onOverlayChange = () => {},
+        onAssetError = () => {}
+    } = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.assetBase = assetBase.endsWith('/') ? assetBase : `${assetBase}/`;
+        this.autoRotate = autoRotate;
+        this.clock = clock; // Shared simulation clock (see clock.js)
         this.onCityHover = onCityHover;
+        this.onCityClick = onCityClick;
+        this.onSatelliteClick = onSatelliteClick;
+        this.onZoneHover = onZoneHover;
+        this.onViewChange = onViewChange; // Camera settled after a drag or flyTo
+        this.onOverlayChange = onOverlayChange;
+        this.earthTexture = earthTexture;
+        this.moonTexture = moonTexture;
+        this.onAssetError = onAssetError; // A texture failed to load; message says what replaced it
         // ... (rest of constructor and init)
 
         this.scene = null;
@@ -15,7 +83,38 @@ export class Globe {
         this.renderer = null;
         this.earth = null;
         this.controls = null;
+        this.mapControls = null; // Pan and zoom on the flat map, in place of OrbitControls
+        this.mapMorph = new MapMorph(); // Globe <-> flat map (see mapMorph.js)
+        this.morphCamera = null; // Camera start and end while morphing
         this.citiesGroup = new THREE.Group();
+        this.markers = null; // CityMarkers (InstancedMesh)
+        this.cityLabels = null; // Decluttered name labels on a 2D canvas over the globe
+        this.pinnedGroup = new THREE.Group(); // Labelled markers for pinned cities
+        this.pinnedCities = []; // Labelled by pinnedGroup, so left out of cityLabels
+        this.lookupBand = null; // Solar reverse lookup band
+        this.lookupZones = []; // Civil reverse lookup zones (tzids)
+        this.transitionAlerts = []; // Upcoming offset changes, flashed on the timezone overlay
+
+        // Optional layers, toggled through setOverlay()
+        this.overlays = {
+            timezones: TIMEZONE_MODES.OFF,
+            labels: LABEL_MODES.NAMES,
+            terminator: false,
+            twilight: false,
+            subpoints: false,
+            constellations: false,
+            population: false,
+            projection: PROJECTION_MODES.GLOBE
+        };
+        this.timezoneLayer = null;
+        this.subpointLayer = null;
+        this.routeLayer = null; // Flight route arcs, see setRoute()
+        this.satelliteLayer = null; // TLE satellites, see setSatellites()
+        this.eclipseLayer = null; // Solar eclipse path, see setEclipse()
+        this.populationLayer = null; // "Who is awake" heat map, built from the cities
+        this.starField = null;
+        this.hoveredZone = null;
+        this.needsPick = false;
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
@@ -26,20 +125,29 @@ export class Globe {
         // Animation state
         this.isAnimating = false;
         this.targetPosition = new THREE.Vector3();
+        this.targetLook = new THREE.Vector3(); // Where the camera looks at the end of flyTo
+        this.animationLook = new THREE.Vector3();
         this.autoRotateRestorer = null;
+        this.frameId = null;
+        this.timers = new Set(); // Pending timeouts, cleared on dispose
+        this.disposed = false;
 
-        this.init();
+        // Resolves once the cities are loaded and the default camera is set;
+        // rejects if cities.json can't be loaded
+        this.ready = this.init();
     }
 
     async init() {
         this.scene = new THREE.Scene();
 
-        this.camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 1000);
+        const { width, height } = this.getSize();
+        this.camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
         this.camera.position.z = 25;
 
         this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.domElement.style.display = 'block';
         this.container.appendChild(this.renderer.domElement);
 
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -49,9 +157,32 @@ export class Globe {
         this.controls.minDistance = 6;
         this.controls.maxDistance = 60;
         this.controls.rotateSpeed = 0.5;
-        this.controls.autoRotate = true;
+        this.controls.autoRotate = this.autoRotate;
         this.controls.autoRotateSpeed = 0.3;
 
+        // Flat map: straight down onto the map, drag to pan, zoom towards the cursor
+        this.mapControls = new MapControls(this.camera, this.renderer.domElement);
+        this.mapControls.enabled = false;
+        this.mapControls.enableDamping = true;
+        this.mapControls.dampingFactor = 0.1;
+        this.mapControls.enableRotate = false;
+        this.mapControls.screenSpacePanning = true;
+        this.mapControls.zoomToCursor = true;
+        this.mapControls.minDistance = 2;
+
+        // The canvas follows its container, not the window
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(this.container);
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointermove', (e) => this.onMouseMove(e));
+        canvas.addEventListener('pointerleave', () => this.onMouseLeave());
+        // A click is a press/release without dragging the globe
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDownAt = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+
         const ambientLight = new THREE.AmbientLight(0x111111);
         this.scene.add(ambientLight);
 
@@ -70,19 +201,28 @@ export class Globe {
         this.createStars();
 
         // Load Cities
-        const response = await fetch('/cities.json');
-        const cities = await response.json();
-        this.allCities = cities; // EXPOSE FOR UI SEARCH
+        let cities = null;
+        let loadError = null;
+        try {
+            const response = await fetch(`${this.assetBase}cities.json`);
+            if (!response.ok) throw new Error(`Failed to load cities.json (${response.status})`);
+            cities = await response.json();
+        } catch (e) {
+            loadError = e;
+        }
+        if (this.disposed) return;
         this.tiltedGroup.add(this.citiesGroup); // Ensure markers are in the scene!
-        this.createMarkers(cities);
+        this.tiltedGroup.add(this.pinnedGroup);
+        if (cities) {
+            this.allCities = cities; // EXPOSE FOR UI SEARCH
+            this.createMarkers(cities);
+            if (this.populationLayer) this.populationLayer.setCities(cities);
+        }
 
         // Initial Camera Position - Offset to give a "tilted" feel visually
         this.camera.position.set(8, 6, 12);
         this.controls.update();
 
-        window.addEventListener('resize', this.onWindowResize.bind(this));
-        window.addEventListener('mousemove', this.onMouseMove.bind(this));
-
         this.controls.addEventListener('change', () => {
             this.updateLOD();
         });
@@ -91,25 +231,57 @@ export class Globe {
             this.cancelAutoRotateRestore();
         });
 
+        this.controls.addEventListener('end', () => {
+            this.onViewChange(this.getView());
+        });
+
+        this.mapControls.addEventListener('change', () => {
+            this.clampMapView();
+            this.updateLOD();
+        });
+
+        this.mapControls.addEventListener('end', () => {
+            this.onViewChange(this.getView());
+        });
+
         this.animate();
+
+        // The globe still turns without cities; `ready` rejects so callers can say why
+        if (loadError) throw loadError;
     }
 
     createEarth() {
         const geometry = new THREE.SphereGeometry(5, 64, 64);
 
-        const textureLoader = new THREE.TextureLoader();
-        const dayMap = textureLoader.load('/textures/earth.jpg');
-        // Ensure we handle no-texture gracefully or wait.
-
-        const nightMap = textureLoader.load('/textures/earth_lights.png');
-        const specularMap = textureLoader.load('/textures/specular.jpg');
+        // Missing textures fall back to procedural ones instead of a black sphere
+        let dayMap;
+        if (this.earthTexture) {
+            dayMap = this.loadTexture(this.earthTexture, (texture) => {
+                this.useProceduralEarth(texture);
+                this.onAssetError('EARTH TEXTURE MISSING: USING PROCEDURAL EARTH');
+            });
+        } else {
+            dayMap = new THREE.Texture();
+        }
+        const nightMap = this.loadTexture('textures/earth_lights.png', (texture) => {
+            replaceImage(texture, drawSolid('#000000'));
+            this.onAssetError('CITY LIGHTS TEXTURE MISSING: NIGHT SIDE UNLIT');
+        });
+        const specularMap = this.loadTexture('textures/specular.jpg', (texture) => {
+            replaceImage(texture, drawSolid('#000000'));
+            this.onAssetError('SPECULAR MAP MISSING: NO OCEAN GLINT');
+        });
 
         const material = new THREE.ShaderMaterial({
             uniforms: {
                 dayTexture: { value: dayMap },
                 nightTexture: { value: nightMap },
                 specularMap: { value: specularMap },
-                sunDirection: { value: new THREE.Vector3(1, 0, 0) }
+                sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+                showTerminator: { value: 0 },
+                showTwilight: { value: 0 },
+                mapMorph: { value: 0 },
+                mapProjection: { value: 0 }
             },
             vertexShader: earthVertexShader,
             fragmentShader: earthFragmentShader,
@@ -123,8 +295,9 @@ export class Globe {
         // Wireframe overlay (Neon)
         const wireGeo = new THREE.WireframeGeometry(geometry);
         const wireMat = new THREE.LineBasicMaterial({ color: 0x00ffcc, transparent: true, opacity: 0.1 });
-        const wireframe = new THREE.LineSegments(wireGeo, wireMat);
-        this.earth.add(wireframe);
+        this.wireframe = new THREE.LineSegments(wireGeo, wireMat);
+        this.earth.add(this.wireframe);
+        if (!this.earthTexture) this.useProceduralEarth(dayMap);
     }
 
     createSunMoon() {
@@ -136,7 +309,7 @@ export class Globe {
 
         // Sun Glow
         const spriteMat = new THREE.SpriteMaterial({
-            map: new THREE.TextureLoader().load('https://raw.githubusercontent.com/mrdoob/three.js/master/examples/textures/sprites/spark1.png'),
+            map: new THREE.CanvasTexture(drawGlow()),
             color: 0xffaa00,
             blending: THREE.AdditiveBlending
         });
@@ -152,7 +325,15 @@ export class Globe {
         // MOON
         // Use MeshStandardMaterial to react to sunlight
         const moonGeo = new THREE.SphereGeometry(1.0, 32, 32);
-        const moonTexture = new THREE.TextureLoader().load('/textures/moon.jpg');
+        let moonTexture;
+        if (this.moonTexture) {
+            moonTexture = this.loadTexture(this.moonTexture, (texture) => {
+                replaceImage(texture, drawMoon());
+                this.onAssetError('MOON TEXTURE MISSING: USING PROCEDURAL MOON');
+            });
+        } else {
+            moonTexture = new THREE.CanvasTexture(drawMoon());
+        }
         const moonMat = new THREE.MeshStandardMaterial({
             map: moonTexture,
             roughness: 0.8,
@@ -162,91 +343,79 @@ export class Globe {
         this.scene.add(this.moonMesh);
     }
 
-    createMarkers(cities) {
-        this.citiesGroup.clear();
-        // Use InstancedMesh for performance with 5000+ cities
-        // Markers are white/cyan dots.
-
-        const markerGeo = new THREE.SphereGeometry(0.015, 6, 6);
-        const markerMat = new THREE.MeshBasicMaterial({ color: 0x00ffcc });
-
-        cities.forEach((city, index) => {
-            // Convert "42.5" to 42.5
-            const lat = parseFloat(city.lat);
-            const lon = parseFloat(city.lon);
-            if (isNaN(lat) || isNaN(lon)) return;
-
-            // Tier estimation if missing
-            if (!city.tier) {
-                // Estimate tier by population if available
-                city.tier = 3;
-            }
-
-            const pos = latLonToVector3(lat, lon, 5.02);
-
-            const group = new THREE.Group();
-            group.position.copy(pos);
-            group.lookAt(new THREE.Vector3(0, 0, 0));
-
-            const mesh = new THREE.Mesh(markerGeo, markerMat);
-            group.add(mesh);
+    // Texture from the asset base; `onError(texture)` can swap in a procedural image
+    loadTexture(path, onError) {
+        const texture = new THREE.TextureLoader().load(`${this.assetBase}${path}`, undefined, undefined, () => {
+            if (!this.disposed) onError(texture);
+        });
+        return texture;
+    }
 
-            group.userData = { city: city };
+    // Ocean and graticule right away, land from the timezone polygons once they load
+    async useProceduralEarth(texture) {
+        replaceImage(texture, drawEarth());
+        this.wireframe.material.opacity = 0.3;
+
+        try {
+            const response = await fetch(`${this.assetBase}timezones.geojson`);
+            if (!response.ok) throw new Error(`Failed to load timezones.geojson (${response.status})`);
+            const { features } = await response.json();
+            if (!this.disposed) replaceImage(texture, drawEarth(features));
+        } catch (e) {
+            console.error(e);
+        }
+    }
 
-            this.citiesGroup.add(group);
-        });
+    createMarkers(cities) {
+        this.citiesGroup.clear();
+        if (this.markers) this.markers.dispose();
+
+        // Single InstancedMesh for all cities (see markers.js)
+        this.markers = new CityMarkers(cities);
+        this.citiesGroup.add(this.markers.mesh);
+
+        // Labels follow the markers' priority order and LOD
+        if (!this.cityLabels) {
+            const { width, height } = this.getSize();
+            this.cityLabels = new CityLabels(this.container);
+            this.cityLabels.setSize(width, height, window.devicePixelRatio);
+            this.cityLabels.setMode(this.overlays.labels);
+            this.cityLabels.setExcluded(this.pinnedCities);
+        }
+        this.cityLabels.setCities(this.markers.cities, this.markers.positions);
+        this.updateLabelPositions();
 
         this.updateLOD();
     }
 
+    // Real star catalogue, loaded in the background (see starField.js)
     createStars() {
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const radius = 90;
-
-        for (let i = 0; i < 6000; i++) {
-            const theta = 2 * Math.PI * Math.random();
-            const phi = Math.acos(2 * Math.random() - 1);
-            const r = radius + (Math.random() * 50);
-
-            const x = r * Math.sin(phi) * Math.cos(theta);
-            const y = r * Math.sin(phi) * Math.sin(theta);
-            const z = r * Math.cos(phi);
-
-            vertices.push(x, y, z);
-        }
-
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        const material = new THREE.PointsMaterial({ color: 0xcccccc, size: 0.6 });
-        const stars = new THREE.Points(geometry, material);
-        this.scene.add(stars);
+        this.starField = new StarField(500, `${this.assetBase}stars.json`);
+        this.scene.add(this.starField.group);
+        this.starField.load().catch((e) => {
+            console.error(e);
+            if (!this.disposed) this.onAssetError('STAR CATALOGUE MISSING: SKY IS EMPTY');
+        });
     }
 
     updateLOD() {
-        const distance = this.camera.position.distanceTo(this.controls.target);
-
-        this.citiesGroup.children.forEach((group) => {
-            const city = group.userData.city;
-            let visible = false;
-
-            const pop = parseInt(city.population) || 0;
+        if (!this.markers) return;
+        const distance = this.camera.position.distanceTo(this.activeControls().target);
 
-            if (distance < 20) visible = true; // Show all markers when reasonably close
-            else if (distance < 35 && pop > 100000) visible = true;
-            else if (pop > 1000000) visible = true;
-
-            group.visible = visible;
-        });
+        if (distance < 20) this.markers.setMaxTier(3); // Show all markers when reasonably close
+        else if (distance < 35) this.markers.setMaxTier(2);
+        else this.markers.setMaxTier(1);
     }
 
     updateSun() {
-        const sunPos = getSunPosition();
+        const date = this.clock.now();
+        const sunPos = getSunPosition(date);
         if (this.sunMesh) {
             this.sunMesh.position.copy(sunPos);
         }
 
         if (this.moonMesh) {
-            const moonPos = getMoonPosition();
+            const moonPos = getMoonPosition(date);
             this.moonMesh.position.copy(moonPos);
             this.moonMesh.lookAt(0, 0, 0);
         }
@@ -256,46 +425,287 @@ export class Globe {
         }
     }
 
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
+    // Container size, falling back to the window before layout
+    getSize() {
+        return {
+            width: this.container.clientWidth || window.innerWidth,
+            height: this.container.clientHeight || window.innerHeight
+        };
+    }
+
+    onResize() {
+        const { width, height } = this.getSize();
+        this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
+        this.mapControls.maxDistance = this.getMapFitDistance();
+        if (this.cityLabels) this.cityLabels.setSize(width, height, window.devicePixelRatio);
     }
 
     onMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        // Picking happens once per frame in animate()
+        this.needsPick = true;
+    }
+
+    // Off-canvas: nothing can be hovered
+    onMouseLeave() {
+        this.mouse.set(10, 10);
+        this.needsPick = true;
+    }
+
+    pickCity() {
+        this.needsPick = false;
+        if (!this.markers) return;
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObjects(this.citiesGroup.children, true);
+        let index = -1;
+        let surface = null; // Lat/lon under the mouse
+
+        if (this.isMap()) {
+            const point = this.pickMapPoint();
+            if (point) {
+                index = this.mapMorph.pickInstance(this.markers.mesh, point, this.getMapPickRadius());
+                surface = this.mapMorph.mapToLatLon(point);
+            }
+        } else if (!this.mapMorph.isAnimating()) {
+            // Ignore markers on the far side of the Earth
+            const earthHit = this.raycaster.intersectObject(this.earth, false)[0];
+            index = this.markers.pick(this.raycaster, earthHit ? earthHit.distance + 0.1 : Infinity);
+            if (earthHit) surface = vector3ToLatLon(this.tiltedGroup.worldToLocal(earthHit.point.clone()));
+        }
 
-        if (intersects.length > 0) {
-            // Find group
-            let obj = intersects[0].object;
-            while (obj.parent && obj.parent !== this.citiesGroup) {
-                obj = obj.parent;
+        if (index !== this.markers.hoveredIndex) {
+            this.markers.setHovered(index);
+
+            if (index !== -1) {
+                this.renderer.domElement.style.cursor = 'pointer';
+                this.onCityHover(this.markers.cities[index]);
+            } else {
+                this.renderer.domElement.style.cursor = '';
+                this.onCityHover(null);
             }
+        }
 
-            const cityData = obj.userData.city;
-            if (cityData) {
-                document.body.style.cursor = 'pointer';
-                this.onCityHover(cityData);
-                obj.children[0].scale.set(3, 3, 3);
-                obj.children[0].material.color.setHex(0xff0055);
+        // Timezone under the cursor when no city is hovered
+        if (this.timezoneLayer && this.overlays.timezones !== TIMEZONE_MODES.OFF) {
+            let zone = null;
+            if (index === -1 && surface) {
+                zone = this.timezoneLayer.pick(surface.lat, surface.lon);
+            } else {
+                this.timezoneLayer.setHovered(0);
             }
-        } else {
-            document.body.style.cursor = 'default';
-            this.onCityHover(null);
-            this.citiesGroup.children.forEach(group => {
-                group.children[0].scale.set(1, 1, 1);
-                group.children[0].material.color.setHex(0x00ffcc);
+            if ((zone && zone.tzid) !== (this.hoveredZone && this.hoveredZone.tzid)) {
+                this.hoveredZone = zone;
+                this.onZoneHover(zone);
+            }
+        }
+    }
+
+    // Satellite under the mouse, ignoring those behind the Earth
+    pickSatellite() {
+        if (!this.satelliteLayer) return null;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        if (this.isMap()) {
+            const point = this.pickMapPoint();
+            const mesh = this.satelliteLayer.mesh;
+            const index = point && mesh ? this.mapMorph.pickInstance(mesh, point, this.getMapPickRadius()) : -1;
+            return index === -1 ? null : this.satelliteLayer.satellites[index];
+        }
+        if (this.mapMorph.isAnimating()) return null;
+        const earthHit = this.raycaster.intersectObject(this.earth, false)[0];
+        return this.satelliteLayer.pick(this.raycaster, earthHit ? earthHit.distance : Infinity);
+    }
+
+    // Point on the flat map under the raycaster, once the morph has settled
+    pickMapPoint() {
+        if (!this.mapMorph.isFlat()) return null;
+        return this.raycaster.ray.intersectPlane(MAP_PLANE, new THREE.Vector3());
+    }
+
+    // MAP_PICK_PIXELS in scene units on the map at the current zoom
+    getMapPickRadius() {
+        const tan = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        return MAP_PICK_PIXELS * 2 * this.camera.position.z * tan / this.getSize().height;
+    }
+
+    onPointerUp(event) {
+        const start = this.pointerDownAt;
+        this.pointerDownAt = null;
+        if (!start || Math.hypot(event.clientX - start.x, event.clientY - start.y) > 5) return;
+
+        this.onMouseMove(event);
+        const satellite = this.pickSatellite();
+        if (satellite) {
+            this.onSatelliteClick(satellite);
+            return;
+        }
+        this.pickCity();
+        if (this.markers && this.markers.hoveredIndex !== -1) {
+            this.onCityClick(this.markers.cities[this.markers.hoveredIndex]);
+        }
+    }
+
+    // Always-visible labelled markers, independent of LOD
+    setPinnedCities(cities) {
+        this.pinnedCities = cities;
+        if (this.cityLabels) this.cityLabels.setExcluded(cities);
+        this.pinnedGroup.children.slice().forEach(child => {
+            this.pinnedGroup.remove(child);
+            child.traverse(obj => {
+                if (obj.isSprite) disposeSprite(obj);
+                else if (obj.isMesh) obj.material.dispose();
             });
+        });
+
+        if (!this.pinMarkerGeo) this.pinMarkerGeo = new THREE.OctahedronGeometry(0.04);
+
+        cities.forEach(city => {
+            const group = new THREE.Group();
+            group.position.copy(latLonToVector3(city.lat, city.lon, 5.03));
+
+            const marker = new THREE.Mesh(this.pinMarkerGeo, new THREE.MeshBasicMaterial({ color: 0xffcc00 }));
+            group.add(marker);
+
+            const label = createTextSprite(city.name.toUpperCase(), { color: '#ffcc00', height: 0.16 });
+            label.position.copy(group.position.clone().normalize().multiplyScalar(0.06));
+            group.add(label);
+
+            group.userData = { city };
+            this.pinnedGroup.add(group);
+        });
+    }
+
+    /**
+     * Switches an optional layer. Returns a promise, as some layers load data on first use.
+     *   timezones: 'off' | 'zones' | 'bands'
+     *   labels: 'off' | 'names' | 'times' (city names, optionally with local time)
+     *   terminator, twilight: boolean (altitude contours drawn by the earth shader)
+     *   subpoints: boolean (sub-solar and sub-lunar markers)
+     *   constellations: boolean (stick figures and names on the star field)
+     *   population: boolean (city population shaded asleep / awake / at work by local time)
+     *   projection: 'globe' | 'equirectangular' | 'robinson' (morphs to a flat map and back)
+     */
+    async setOverlay(name, value) {
+        if (!(name in this.overlays)) throw new Error(`Unknown overlay ${name}`);
+
+        if (name === 'timezones') {
+            if (!this.timezoneLayer) {
+                this.timezoneLayer = new TimezoneLayer(5.01, `${this.assetBase}timezones.geojson`);
+                this.timezoneLayer.setHighlightedZones(this.lookupZones);
+                this.timezoneLayer.setTransitionAlerts(this.transitionAlerts);
+                this.tiltedGroup.add(this.timezoneLayer.group);
+            }
+            await this.timezoneLayer.setMode(value, this.clock.now());
+            if (this.hoveredZone) {
+                this.hoveredZone = null;
+                this.onZoneHover(null);
+            }
+        } else if (name === 'labels') {
+            if (!Object.values(LABEL_MODES).includes(value)) throw new Error(`Unknown label mode ${value}`);
+            if (this.cityLabels) this.cityLabels.setMode(value);
+        } else if (name === 'terminator' || name === 'twilight') {
+            const uniform = name === 'terminator' ? 'showTerminator' : 'showTwilight';
+            this.earth.material.uniforms[uniform].value = value ? 1 : 0;
+        } else if (name === 'subpoints') {
+            if (!this.subpointLayer) {
+                this.subpointLayer = new SubpointLayer();
+                this.tiltedGroup.add(this.subpointLayer.group);
+            }
+            this.subpointLayer.group.visible = Boolean(value);
+            if (value) this.subpointLayer.update(this.clock.now());
+        } else if (name === 'population') {
+            if (!this.populationLayer) {
+                this.populationLayer = new PopulationLayer();
+                if (this.allCities) this.populationLayer.setCities(this.allCities);
+                this.tiltedGroup.add(this.populationLayer.group);
+            }
+            this.populationLayer.group.visible = Boolean(value);
+            if (value) this.populationLayer.update(this.clock.now());
+        } else if (name === 'constellations') {
+            await this.starField.setConstellations(value);
+        } else if (name === 'projection') {
+            if (!Object.values(PROJECTION_MODES).includes(value)) throw new Error(`Unknown projection ${value}`);
+            this.setProjection(value);
+        }
+
+        this.overlays[name] = value;
+        this.onOverlayChange(name, value);
+    }
+
+    // Highlights cities, timezones and/or a translucent longitude band (reverse time lookup results)
+    setLookupHighlight({ cities = [], zones = [], band = null } = {}) {
+        if (this.markers) this.markers.setHighlighted(cities);
+
+        this.lookupZones = zones;
+        if (this.timezoneLayer) this.timezoneLayer.setHighlightedZones(zones);
+
+        if (this.lookupBand) {
+            this.tiltedGroup.remove(this.lookupBand);
+            this.lookupBand.geometry.dispose();
+            this.lookupBand.material.dispose();
+            this.lookupBand = null;
+        }
+        if (!band) return;
+
+        // SphereGeometry phi = 0 sits at lon -90 in latLonToVector3's frame
+        const width = Math.max(band.halfWidth * 2, 0.5) * (Math.PI / 180);
+        const phiStart = (band.centerLon + 90) * (Math.PI / 180) - width / 2;
+        const geometry = new THREE.SphereGeometry(5.015, 16, 32, phiStart, width);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffcc00,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.lookupBand = new THREE.Mesh(geometry, material);
+        this.tiltedGroup.add(this.lookupBand);
+    }
+
+    // Great-circle arcs through `cities` in order (flight route panel); [] clears
+    setRoute(cities) {
+        if (!this.routeLayer) {
+            this.routeLayer = new RouteLayer();
+            this.tiltedGroup.add(this.routeLayer.group);
+        }
+        this.routeLayer.setStops(cities);
+    }
+
+    // Satellites parsed from TLEs (see core/satellites.js); [] clears
+    setSatellites(satellites) {
+        if (!this.satelliteLayer) {
+            this.satelliteLayer = new SatelliteLayer();
+            this.tiltedGroup.add(this.satelliteLayer.group);
         }
+        this.satelliteLayer.setSatellites(satellites);
+    }
+
+    // Highlights one satellite with its orbit and label; null clears
+    selectSatellite(satellite) {
+        if (this.satelliteLayer) this.satelliteLayer.setSelected(satellite);
+    }
+
+    // Zones flash on the timezone overlay as these offset changes (see core/timezone.js) approach
+    setTransitionAlerts(transitions) {
+        this.transitionAlerts = transitions;
+        if (this.timezoneLayer) this.timezoneLayer.setTransitionAlerts(transitions);
+    }
+
+    // Path and live shadow of a solar eclipse (see core/eclipses.js); null clears
+    setEclipse(eclipse) {
+        if (!this.eclipseLayer) {
+            this.eclipseLayer = new EclipseLayer();
+            this.tiltedGroup.add(this.eclipseLayer.group);
+        }
+        this.eclipseLayer.setEclipse(eclipse);
     }
 
     addTemporaryPin(lat, lon) {
         // Create a Sprite PIN using custom image
-        const map = new THREE.TextureLoader().load('/pin.png');
+        const map = new THREE.TextureLoader().load(`${this.assetBase}pin.png`);
         const material = new THREE.SpriteMaterial({ map: map, color: 0xffffff });
         const pin = new THREE.Sprite(material);
 
@@ -307,10 +717,13 @@ export class Globe {
         // Add to Tilted Group so it matches earth!
         this.tiltedGroup.add(pin);
 
-        setTimeout(() => {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
             this.tiltedGroup.remove(pin);
             material.dispose();
+            map.dispose();
         }, 6000);
+        this.timers.add(timer);
     }
 
     flyTo(lat, lon) {
@@ -324,19 +737,166 @@ export class Globe {
         // So the vector (x,y,z) returned is correct in LOCAL space of TiltedGroup.
 
         // We need the WORLD position of that point to move Camera there?
-        // Camera is in World Space (Scene root).
-
-        const localTarget = latLonToVector3(lat, lon, 15); // Target dist 15
-        const worldTarget = localTarget.clone().applyMatrix4(this.tiltedGroup.matrixWorld);
+        // Camera is in World Space (Scene root). See getCameraFor().
+
+        // On the map, zoom in no closer than a city-level view
+        const distance = this.isMap() ? Math.min(this.camera.position.z, 12) : 15;
+        const { position, target } = this.getCameraFor(lat, lon, distance);
+        if (this.morphCamera) {
+            // Land there when the morph ends
+            Object.assign(this.morphCamera, { position, target });
+            return;
+        }
 
         this.controls.autoRotate = false;
         this.isAnimating = true;
-        this.targetPosition.copy(worldTarget);
+        this.targetPosition.copy(position);
+        this.targetLook.copy(target);
         this.animationStartPos = this.camera.position.clone();
+        this.animationStartLook = this.activeControls().target.clone();
         this.animationStartTime = Date.now();
         this.animationDuration = 2000;
     }
 
+    // Camera position and look-at point with (lat, lon) in the middle of the view
+    getCameraFor(lat, lon, distance, map = this.isMap()) {
+        if (map) {
+            const target = this.mapMorph.latLonToMap(lat, lon);
+            return { position: target.clone().setZ(distance), target };
+        }
+        return {
+            position: latLonToVector3(lat, lon, distance).applyMatrix4(this.tiltedGroup.matrixWorld),
+            target: new THREE.Vector3()
+        };
+    }
+
+    // Point under the camera and the camera's distance from the Earth's centre.
+    // On the map: the point in the middle of the view and the height above the map.
+    // Mid-morph, the view being morphed to.
+    getView() {
+        const position = this.morphCamera ? this.morphCamera.position : this.camera.position;
+        if (this.isMap()) {
+            const target = this.morphCamera ? this.morphCamera.target : this.mapControls.target;
+            const center = this.mapMorph.mapToLatLon(target) || { lat: 0, lon: 0 };
+            return { ...center, distance: position.z };
+        }
+        const local = this.tiltedGroup.worldToLocal(position.clone());
+        return { ...vector3ToLatLon(local), distance: local.length() };
+    }
+
+    // Jumps the camera (no animation) and stops auto-rotation so the view stays put
+    setView({ lat, lon, distance = 15 }) {
+        this.cancelAutoRotateRestore();
+        this.isAnimating = false;
+        this.controls.autoRotate = false;
+
+        const controls = this.activeControls();
+        const d = Math.min(controls.maxDistance, Math.max(controls.minDistance, distance));
+        const { position, target } = this.getCameraFor(lat, lon, d);
+        if (this.morphCamera) {
+            Object.assign(this.morphCamera, { position, target });
+            return;
+        }
+        this.camera.position.copy(position);
+        controls.target.copy(target);
+        this.camera.lookAt(target);
+        controls.update();
+        this.updateLOD();
+    }
+
+    isMap() {
+        return this.mapMorph.mode !== PROJECTION_MODES.GLOBE;
+    }
+
+    // OrbitControls on the globe, MapControls on the flat map
+    activeControls() {
+        return this.isMap() ? this.mapControls : this.controls;
+    }
+
+    // Camera height at which the whole map fits the view
+    getMapFitDistance() {
+        const { width, height } = this.mapMorph.getSize();
+        const tan = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        return Math.max(height / 2 / tan, width / 2 / (tan * this.camera.aspect)) * 1.05;
+    }
+
+    // Keeps the middle of the view on the map; panning moves camera and target together
+    clampMapView() {
+        const { width, height } = this.mapMorph.getSize();
+        const target = this.mapControls.target;
+        const dx = THREE.MathUtils.clamp(target.x, -width / 2, width / 2) - target.x;
+        const dy = THREE.MathUtils.clamp(target.y, -height / 2, height / 2) - target.y;
+        target.x += dx;
+        target.y += dy;
+        this.camera.position.x += dx;
+        this.camera.position.y += dy;
+    }
+
+    /**
+     * Morphs between the globe and a flat map. Controls are off while the
+     * shapes change; the camera moves from the globe to the whole map, and
+     * back to above the point that was in the middle of the map.
+     */
+    setProjection(mode) {
+        if (mode === this.mapMorph.mode) return;
+        const wasMap = this.isMap();
+        const view = this.getView();
+        const fromTarget = this.morphCamera ? this.morphCamera.current.clone() : this.activeControls().target.clone();
+
+        this.cancelAutoRotateRestore();
+        this.isAnimating = false;
+        this.controls.autoRotate = false;
+        this.controls.enabled = false;
+        this.mapControls.enabled = false;
+        this.mapMorph.animateTo(mode);
+        this.mapControls.maxDistance = this.getMapFitDistance();
+
+        let end;
+        if (!this.isMap()) end = this.getCameraFor(view.lat, view.lon, 15, false);
+        else if (wasMap) end = this.getCameraFor(view.lat, view.lon, Math.min(view.distance, this.mapControls.maxDistance), true);
+        else end = { position: new THREE.Vector3(0, 0, this.mapControls.maxDistance), target: new THREE.Vector3() };
+
+        this.morphCamera = {
+            fromPosition: this.camera.position.clone(),
+            fromTarget,
+            current: fromTarget.clone(),
+            ...end
+        };
+        this.updateLabelPositions();
+    }
+
+    animateMorph(t) {
+        const m = this.morphCamera;
+        this.camera.position.lerpVectors(m.fromPosition, m.position, t);
+        m.current.lerpVectors(m.fromTarget, m.target, t);
+        this.camera.lookAt(m.current);
+
+        // Sun, Moon and stars belong around the globe, not behind a map
+        const globe = this.mapMorph.amount < 0.5;
+        this.sunMesh.visible = globe;
+        this.moonMesh.visible = globe;
+        this.starField.group.visible = globe;
+
+        if (this.mapMorph.isAnimating()) return;
+        this.morphCamera = null;
+        const controls = this.activeControls();
+        controls.target.copy(m.target);
+        controls.enabled = true;
+        controls.update();
+        if (!this.isMap()) this.scheduleAutoRotateRestore();
+        this.updateLabelPositions();
+        this.updateLOD();
+        this.onViewChange(this.getView());
+    }
+
+    // On the flat map labels go by the markers' map positions; none while morphing
+    updateLabelPositions() {
+        if (!this.cityLabels || !this.markers) return;
+        const map = this.isMap() && !this.mapMorph.isAnimating();
+        this.cityLabels.setMapPositions(map ? this.markers.positions.map(p => this.mapMorph.toMap(p)) : null);
+        this.cityLabels.setHidden(this.mapMorph.isAnimating());
+    }
+
     cancelAutoRotateRestore() {
         if (this.autoRotateRestorer) {
             clearTimeout(this.autoRotateRestorer);
@@ -347,30 +907,87 @@ export class Globe {
     scheduleAutoRotateRestore() {
         this.cancelAutoRotateRestore();
         this.autoRotateRestorer = setTimeout(() => {
-            this.controls.autoRotate = true;
+            this.controls.autoRotate = this.autoRotate;
         }, 5000);
     }
 
+    // Turns idle auto-rotation on or off
+    setAutoRotate(enabled) {
+        this.autoRotate = Boolean(enabled);
+        this.cancelAutoRotateRestore();
+        if (this.controls) this.controls.autoRotate = this.autoRotate;
+    }
+
     animate() {
-        requestAnimationFrame(this.animate.bind(this));
+        this.frameId = requestAnimationFrame(this.animate.bind(this));
 
-        if (this.isAnimating) {
+        const morph = this.mapMorph.update();
+        if (morph !== null) {
+            this.animateMorph(morph);
+        } else if (this.isAnimating) {
             const now = Date.now();
             const progress = Math.min((now - this.animationStartTime) / this.animationDuration, 1);
             const t = 1 - Math.pow(1 - progress, 3);
 
             this.camera.position.lerpVectors(this.animationStartPos, this.targetPosition, t);
-            this.camera.lookAt(0, 0, 0);
+            this.animationLook.lerpVectors(this.animationStartLook, this.targetLook, t);
+            this.camera.lookAt(this.animationLook);
 
             if (progress >= 1) {
                 this.isAnimating = false;
+                this.activeControls().target.copy(this.targetLook);
                 this.scheduleAutoRotateRestore();
+                this.onViewChange(this.getView());
             }
         } else {
-            this.controls.update();
+            this.activeControls().update();
         }
 
+        // Materials added since (markers, overlays, labels) follow the morph too
+        if (this.mapMorph.amount > 0) this.mapMorph.patch(this.tiltedGroup);
+        if (this.needsPick) this.pickCity();
         this.updateSun();
+        this.starField.update(this.clock.now(), this.camera.position);
+        if (this.timezoneLayer) this.timezoneLayer.update(this.clock.now());
+        if (this.subpointLayer && this.overlays.subpoints) this.subpointLayer.update(this.clock.now());
+        if (this.populationLayer && this.overlays.population) this.populationLayer.update(this.clock.now());
+        if (this.routeLayer) this.routeLayer.update(performance.now());
+        if (this.satelliteLayer) this.satelliteLayer.update(this.clock.now());
+        if (this.eclipseLayer) this.eclipseLayer.update(this.clock.now());
         this.renderer.render(this.scene, this.camera);
+        if (this.cityLabels) this.cityLabels.update(this.camera, this.markers.mesh.count, this.clock.now());
+    }
+
+    /**
+     * Stops rendering, removes listeners and the canvas, and frees all GPU
+     * resources. The globe can't be used afterwards.
+     */
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+
+        cancelAnimationFrame(this.frameId);
+        this.cancelAutoRotateRestore();
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.resizeObserver.disconnect();
+        this.controls.dispose();
+        this.mapControls.dispose();
+
+        if (this.markers) this.markers.dispose();
+        if (this.cityLabels) this.cityLabels.dispose();
+        if (this.timezoneLayer) this.timezoneLayer.dispose();
+        if (this.subpointLayer) this.subpointLayer.dispose();
+        if (this.routeLayer) this.routeLayer.dispose();
+        if (this.satelliteLayer) this.satelliteLayer.dispose();
+        if (this.eclipseLayer) this.eclipseLayer.dispose();
+        if (this.populationLayer) this.populationLayer.dispose();
+        this.starField.dispose();
+        disposeObject(this.scene);
+        this.scene.clear();
+
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
     }
 }
@@ -0,0 +1,164 @@
+// <globe-clock> custom element: the globe alone, for embedding in other pages.
+//
+//   <script type="module" src="globe-clock.js"></script>
+//   <globe-clock city="Tokyo" overlays="terminator subpoints timezones:zones"
+//                auto-rotate="false" asset-base="https://example.com/globeclock/"></globe-clock>
+//
+// Attributes (all optional, all live):
+//   auto-rotate  "false" stops the idle spin (default on)
+//   overlays     space separated layers, "name" or "name:value" (see Globe.setOverlay)
+//   city         city to fly to once loaded: "Name" or "Name|Country"
+//   time         fixed simulated time (ISO 8601); remove it to go back to live
+//   asset-base   where cities.json, textures/ and timezones.geojson are served (default "/")
+//
+// Events: cityhover (detail.city, null when the pointer leaves a city),
+// cityselect (detail.city, a marker was clicked), ready (cities loaded) and
+// asseterror (detail.message, a texture was replaced by a procedural one, or
+// cities.json failed to load, in which case ready never fires).
+// The element sizes itself from its box (give it a height) and frees its
+// WebGL context when removed from the page, or on destroy().
+
+import { Globe } from './globe.js';
+import { SimClock } from './clock.js';
+import { PROJECTION_MODES } from './mapMorph.js';
+
+const STYLE = `
+    :host { display: block; position: relative; min-height: 200px; background: #000; }
+    :host([hidden]) { display: none; }
+    .globe { position: absolute; inset: 0; }
+`;
+
+export class GlobeClockElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['auto-rotate', 'overlays', 'city', 'time'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${STYLE}</style><div class="globe"></div>`;
+        this.container = this.shadowRoot.querySelector('.globe');
+
+        this.clock = new SimClock();
+        this.globe = null;
+    }
+
+    connectedCallback() {
+        if (this.globe) return;
+
+        this.globe = new Globe(this.container, {
+            clock: this.clock,
+            autoRotate: this.getAttribute('auto-rotate') !== 'false',
+            assetBase: this.getAttribute('asset-base') || '/',
+            onCityHover: (city) => this.fire('cityhover', { city }),
+            onCityClick: (city) => this.fire('cityselect', { city }),
+            onAssetError: (message) => this.fire('asseterror', { message })
+        });
+
+        const globe = this.globe;
+        globe.ready.then(() => {
+            if (this.globe !== globe) return; // Removed while loading
+            this.applyOverlays();
+            this.applyTime();
+            this.applyCity();
+            this.fire('ready', { cities: globe.allCities.length });
+        }, (e) => {
+            if (this.globe !== globe) return;
+            this.applyOverlays();
+            this.applyTime();
+            this.fire('asseterror', { message: e.message });
+        });
+    }
+
+    disconnectedCallback() {
+        this.destroy();
+    }
+
+    // The globe renders even if cities.json fails; only `city` waits for the
+    // dataset (findCity has nothing to search until then)
+    attributeChangedCallback(name) {
+        if (!this.globe) return;
+        if (name === 'auto-rotate') this.globe.setAutoRotate(this.getAttribute('auto-rotate') !== 'false');
+        else if (name === 'overlays') this.applyOverlays();
+        else if (name === 'city') this.applyCity();
+        else if (name === 'time') this.applyTime();
+    }
+
+    fire(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    // Layers not listed go back to their defaults (off, or the globe for the projection)
+    async applyOverlays() {
+        const requested = {};
+        (this.getAttribute('overlays') || '').split(/[\s,]+/).filter(Boolean).forEach(item => {
+            const [name, value] = item.split(':');
+            requested[name] = value === undefined ? true : value;
+        });
+
+        const globe = this.globe;
+        for (const [name, current] of Object.entries(globe.overlays)) {
+            let fallback = typeof current === 'boolean' ? false : 'off';
+            if (name === 'projection') fallback = PROJECTION_MODES.GLOBE;
+            let value = name in requested ? requested[name] : fallback;
+            if (typeof current === 'boolean') value = value === true;
+            if (value === current) continue;
+            try {
+                await globe.setOverlay(name, value);
+            } catch (e) {
+                console.error(e);
+            }
+        }
+    }
+
+    applyTime() {
+        const text = this.getAttribute('time');
+        const time = text ? new Date(text) : null;
+        if (time && !isNaN(time.getTime())) {
+            this.clock.setTime(time);
+            this.clock.pause();
+        } else {
+            this.clock.goLive();
+        }
+    }
+
+    applyCity() {
+        const city = this.findCity(this.getAttribute('city'));
+        if (city) this.flyTo(city.lat, city.lon);
+    }
+
+    /**
+     * A city from the loaded dataset by "Name" or "Name|Country" (most populous
+     * match), or null.
+     */
+    findCity(ref) {
+        if (!ref || !this.globe || !this.globe.allCities) return null;
+        const [name, country] = ref.split('|').map(part => part.trim().toLowerCase());
+        return this.globe.allCities
+            .filter(city => city.name.toLowerCase() === name && (!country || (city.country || '').toLowerCase() === country))
+            .sort((a, b) => (b.population || 0) - (a.population || 0))[0] || null;
+    }
+
+    flyTo(lat, lon) {
+        if (this.globe) this.globe.flyTo(lat, lon);
+    }
+
+    setOverlay(name, value) {
+        if (!this.globe) return Promise.reject(new Error('globe-clock has been destroyed'));
+        return this.globe.setOverlay(name, value);
+    }
+
+    /**
+     * Stops rendering and frees the WebGL context, geometries and textures.
+     * Re-inserting the element into the page builds a fresh globe.
+     */
+    destroy() {
+        if (!this.globe) return;
+        this.globe.dispose();
+        this.globe = null;
+    }
+}
+
+if (!customElements.get('globe-clock')) {
+    customElements.define('globe-clock', GlobeClockElement);
+}
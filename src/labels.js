@@ -0,0 +1,44 @@
+import * as THREE from 'three';
+
+const FONT = 'Share Tech Mono, monospace';
+
+/**
+ * Canvas-textured sprite with a single line of text.
+ * The sprite is anchored at its bottom-left corner and `height` is its world-space height.
+ */
+export function createTextSprite(text, { color = '#00ffcc', background = 'rgba(0, 20, 20, 0.75)', height = 0.25 } = {}) {
+    const fontSize = 48;
+    const padding = 12;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${fontSize}px ${FONT}`;
+    const width = Math.ceil(ctx.measureText(text).width) + padding * 2;
+
+    canvas.width = width;
+    canvas.height = fontSize + padding * 2;
+
+    // Resizing resets the context state
+    ctx.font = `${fontSize}px ${FONT}`;
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, padding, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.center.set(0, 0);
+    return sprite;
+}
+
+export function disposeSprite(sprite) {
+    if (sprite.material.map) sprite.material.map.dispose();
+    sprite.material.dispose();
+}
@@ -0,0 +1,52 @@
+// Overlay toggles. Every control in #layers-panel with a data-overlay
+// attribute maps to Globe.setOverlay(name, value): checkboxes give a
+// boolean, selects give their value.
+export class LayersPanel {
+    constructor(globe, ui) {
+        this.globe = globe;
+        this.ui = ui;
+
+        this.panel = document.getElementById('layers-panel');
+        this.toggleBtn = document.getElementById('layers-toggle');
+        this.controls = Array.from(this.panel.querySelectorAll('[data-overlay]'));
+
+        this.initListeners();
+        this.sync();
+    }
+
+    initListeners() {
+        this.toggleBtn.addEventListener('click', () => {
+            this.panel.classList.toggle('hidden');
+        });
+
+        this.controls.forEach(control => {
+            control.addEventListener('change', () => this.apply(control));
+        });
+    }
+
+    readValue(control) {
+        return control.type === 'checkbox' ? control.checked : control.value;
+    }
+
+    async apply(control) {
+        const name = control.dataset.overlay;
+        control.disabled = true;
+        try {
+            await this.globe.setOverlay(name, this.readValue(control));
+        } catch (e) {
+            console.error(e);
+            this.ui.showToast(`LAYER ${name.toUpperCase()} FAILED: ${e.message}`);
+        }
+        control.disabled = false;
+        this.sync();
+    }
+
+    // Reflect the globe's overlay state in the controls
+    sync() {
+        this.controls.forEach(control => {
+            const value = this.globe.overlays[control.dataset.overlay];
+            if (control.type === 'checkbox') control.checked = Boolean(value);
+            else control.value = value;
+        });
+    }
+}
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import {
+    MAP_PROJECTIONS, ROBINSON_TABLE, ROBINSON_X_SCALE, ROBINSON_Y_SCALE, projectPoint, unprojectPoint, getMapSize
+} from './core/index.js';
+import { vector3ToLatLon } from './utils.js';
+
+export const PROJECTION_MODES = {
+    GLOBE: 'globe',
+    EQUIRECTANGULAR: MAP_PROJECTIONS.EQUIRECTANGULAR,
+    ROBINSON: MAP_PROJECTIONS.ROBINSON
+};
+
+export const EARTH_RADIUS = 5; // Scene units; the map is drawn at this scale
+// Heights above the surface are kept on the map so overlays stay on top,
+// but capped: satellites would otherwise float up to the camera
+const MAX_MAP_HEIGHT = 0.5;
+const MORPH_DURATION = 1500; // ms
+
+const glslFloats = (values) => values.map(v => v.toFixed(4)).join(', ');
+
+/**
+ * GLSL shared by every morphed shader. mapMorph blends the globe (0) into
+ * the flat map (1); mapProjection blends equirectangular (0) into Robinson
+ * (1), so switching projection animates too. Positions are Earth-fixed
+ * world positions: the Earth's group is never rotated.
+ */
+export const MAP_MORPH_GLSL = `
+uniform float mapMorph;
+uniform float mapProjection;
+
+const float ROBINSON_X[${ROBINSON_TABLE.length}] = float[](${glslFloats(ROBINSON_TABLE.map(row => row[0]))});
+const float ROBINSON_Y[${ROBINSON_TABLE.length}] = float[](${glslFloats(ROBINSON_TABLE.map(row => row[1]))});
+
+vec2 mapProject(float lat, float lon) {
+  float a = min(abs(degrees(lat)) / 5.0, ${(ROBINSON_TABLE.length - 1).toFixed(1)});
+  int i = min(int(a), ${ROBINSON_TABLE.length - 2});
+  float f = a - float(i);
+  vec2 robinson = vec2(
+    ${ROBINSON_X_SCALE.toFixed(4)} * mix(ROBINSON_X[i], ROBINSON_X[i + 1], f) * lon,
+    ${ROBINSON_Y_SCALE.toFixed(4)} * mix(ROBINSON_Y[i], ROBINSON_Y[i + 1], f) * sign(lat)
+  );
+  return mix(vec2(lon, lat), robinson, mapProjection);
+}
+
+float mapLatitude(vec3 p) {
+  return asin(clamp(p.y / max(length(p), 1e-6), -1.0, 1.0));
+}
+
+float mapLongitude(vec3 p) {
+  return length(p.xz) < 1e-6 ? 0.0 : atan(p.x, p.z);
+}
+
+vec3 mapMorphLatLon(vec3 p, float lat, float lon) {
+  if (mapMorph <= 0.0) return p;
+  vec3 flatPosition = vec3(mapProject(lat, lon) * ${EARTH_RADIUS.toFixed(1)},
+    clamp(length(p) - ${EARTH_RADIUS.toFixed(1)}, 0.0, ${MAX_MAP_HEIGHT.toFixed(2)}));
+  return mix(p, flatPosition, mapMorph);
+}
+
+vec3 mapMorphPosition(vec3 p) {
+  return mapMorphLatLon(p, mapLatitude(p), mapLongitude(p));
+}
+`;
+
+// Built-in materials: the vertex goes through the morph between the model
+// and view transforms. vMapLon carries the longitude twice, as an angle and
+// as a direction; across the antimeridian the two disagree, which is where
+// a line or triangle would otherwise streak over the whole map.
+const GENERIC_VERTEX = `
+vec4 mvPosition = vec4( transformed, 1.0 );
+#ifdef USE_BATCHING
+  mvPosition = batchingMatrix * mvPosition;
+#endif
+#ifdef USE_INSTANCING
+  mvPosition = instanceMatrix * mvPosition;
+#endif
+vec4 mapWorld = modelMatrix * mvPosition;
+float mapLon = mapLongitude(mapWorld.xyz);
+vMapLon = vec3(sin(mapLon), cos(mapLon), mapLon);
+mapWorld.xyz = mapMorphLatLon(mapWorld.xyz, mapLatitude(mapWorld.xyz), mapLon);
+mvPosition = viewMatrix * mapWorld;
+gl_Position = projectionMatrix * mvPosition;
+`;
+
+const GENERIC_FRAGMENT_CHECK = `
+  if (mapMorph > 0.0 && abs(vMapLon.z - atan(vMapLon.x, vMapLon.y)) > 1.0) discard;
+`;
+
+/**
+ * The globe-to-map morph: shared uniforms for the shaders, the animation
+ * between globe and map (and between projections), and the same projection
+ * on the CPU for picking and labels.
+ */
+export class MapMorph {
+    constructor() {
+        this.uniforms = {
+            mapMorph: { value: 0 },
+            mapProjection: { value: 0 }
+        };
+        this.mode = PROJECTION_MODES.GLOBE; // Where the morph is heading
+        this.projection = MAP_PROJECTIONS.EQUIRECTANGULAR; // Used when flat
+        this.animation = null;
+    }
+
+    get amount() {
+        return this.uniforms.mapMorph.value;
+    }
+
+    isAnimating() {
+        return this.animation !== null;
+    }
+
+    // Flat and settled: CPU projections match what is drawn
+    isFlat() {
+        return this.amount === 1 && !this.animation;
+    }
+
+    /**
+     * Starts a morph to `mode` (one of PROJECTION_MODES).
+     */
+    animateTo(mode, now = performance.now()) {
+        const flat = mode !== PROJECTION_MODES.GLOBE;
+        this.mode = mode;
+        if (flat) this.projection = mode;
+        this.animation = {
+            start: now,
+            fromMorph: this.amount,
+            toMorph: flat ? 1 : 0,
+            fromProjection: this.uniforms.mapProjection.value,
+            // Back on the globe the projection doesn't matter; keep it for the next morph
+            toProjection: flat ? (mode === MAP_PROJECTIONS.ROBINSON ? 1 : 0) : this.uniforms.mapProjection.value
+        };
+    }
+
+    /**
+     * Advances the animation; returns its eased progress (0..1), or null when idle.
+     */
+    update(now = performance.now()) {
+        if (!this.animation) return null;
+        const a = this.animation;
+        const progress = Math.min((now - a.start) / MORPH_DURATION, 1);
+        const t = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+        this.uniforms.mapMorph.value = a.fromMorph + (a.toMorph - a.fromMorph) * t;
+        this.uniforms.mapProjection.value = a.fromProjection + (a.toProjection - a.fromProjection) * t;
+        if (progress >= 1) this.animation = null;
+        return t;
+    }
+
+    // Whole map in scene units
+    getSize(projection = this.projection) {
+        const { width, height } = getMapSize(projection);
+        return { width: width * EARTH_RADIUS, height: height * EARTH_RADIUS };
+    }
+
+    /**
+     * Where a scene-space point (globe) lies on the flat map.
+     */
+    toMap(position, target = new THREE.Vector3()) {
+        const { lat, lon } = vector3ToLatLon(position);
+        const { x, y } = projectPoint(lat, lon, this.projection);
+        const height = Math.min(Math.max(position.length() - EARTH_RADIUS, 0), MAX_MAP_HEIGHT);
+        return target.set(x * EARTH_RADIUS, y * EARTH_RADIUS, height);
+    }
+
+    // Map point (scene units) from lat/lon, on the map's surface
+    latLonToMap(lat, lon) {
+        const { x, y } = projectPoint(lat, lon, this.projection);
+        return new THREE.Vector3(x * EARTH_RADIUS, y * EARTH_RADIUS, 0);
+    }
+
+    // { lat, lon } under a map point, or null off the map
+    mapToLatLon(point) {
+        return unprojectPoint(point.x / EARTH_RADIUS, point.y / EARTH_RADIUS, this.projection);
+    }
+
+    /**
+     * Nearest instance of an InstancedMesh to a map point, within `radius`
+     * (scene units) on the map, or -1.
+     */
+    pickInstance(mesh, point, radius) {
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        let best = -1;
+        let bestDistance = radius * radius;
+        for (let i = 0; i < mesh.count; i++) {
+            mesh.getMatrixAt(i, matrix);
+            this.toMap(position.setFromMatrixPosition(matrix), position);
+            const d = (position.x - point.x) ** 2 + (position.y - point.y) ** 2;
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Makes every material under `root` follow the morph. Materials are
+     * patched once, on first sight; ShaderMaterials that include
+     * MAP_MORPH_GLSL themselves only get the shared uniforms.
+     */
+    patch(root) {
+        root.traverse(obj => {
+            if (!obj.material) return;
+            // Bounding spheres are on the globe, not where the morph draws them
+            obj.frustumCulled = false;
+            (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach(material => this.patchMaterial(material));
+        });
+    }
+
+    patchMaterial(material) {
+        if (material.userData.mapMorph) return;
+        material.userData.mapMorph = true;
+
+        if (material.isShaderMaterial) {
+            if (material.uniforms.mapMorph) Object.assign(material.uniforms, this.uniforms);
+            return;
+        }
+
+        const uniforms = this.uniforms;
+        const sprite = material.isSpriteMaterial;
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            if (sprite) {
+                // Sprites face the camera from their morphed centre
+                shader.vertexShader = MAP_MORPH_GLSL + shader.vertexShader.replace(
+                    'vec4 mvPosition = modelViewMatrix[ 3 ];',
+                    'vec4 mvPosition = viewMatrix * vec4( mapMorphPosition( modelMatrix[ 3 ].xyz ), 1.0 );'
+                );
+                return;
+            }
+            shader.vertexShader = `${MAP_MORPH_GLSL}\nvarying vec3 vMapLon;\n` +
+                shader.vertexShader.replace('#include <project_vertex>', GENERIC_VERTEX);
+            shader.fragmentShader = 'uniform float mapMorph;\nvarying vec3 vMapLon;\n' +
+                shader.fragmentShader.replace('void main() {', `void main() {${GENERIC_FRAGMENT_CHECK}`);
+        };
+        material.customProgramCacheKey = () => (sprite ? 'mapMorphSprite' : 'mapMorph');
+        material.needsUpdate = true;
+    }
+}
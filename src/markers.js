@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { latLonToVector3 } from './utils.js';
+import { getCityTier } from './data.js';
+
+export const MARKER_RADIUS = 5.02;
+const BASE_COLOR = new THREE.Color(0x00ffcc);
+const HOVER_COLOR = new THREE.Color(0xff0055);
+const HOVER_SCALE = 3;
+const HIGHLIGHT_COLOR = new THREE.Color(0xffcc00);
+const HIGHLIGHT_SCALE = 2;
+
+/**
+ * All city markers as one GPU-instanced mesh (one draw call, one raycast target).
+ *
+ * Instances are ordered by tier (1 first), so LOD is just the instance draw
+ * count: showing tiers <= N means drawing the first tierEnd[N] instances.
+ * Colour and scale are per instance, so hovering one city no longer recolours
+ * every marker.
+ */
+export class CityMarkers {
+    constructor(cities) {
+        this.cities = cities
+            .filter(city => !isNaN(parseFloat(city.lat)) && !isNaN(parseFloat(city.lon)))
+            .map(city => {
+                // Tier is computed by convert_cities.js; estimate it for older datasets
+                if (!city.tier) city.tier = getCityTier(city.population);
+                return city;
+            })
+            .sort((a, b) => a.tier - b.tier || (b.population || 0) - (a.population || 0));
+
+        // city -> instance index
+        this.indexOf = new Map(this.cities.map((city, i) => [city, i]));
+
+        // tierEnd[t] = number of instances with tier <= t
+        this.tierEnd = [];
+        this.cities.forEach((city, i) => {
+            this.tierEnd[city.tier] = i + 1;
+        });
+        for (let t = 1; t < this.tierEnd.length; t++) {
+            if (this.tierEnd[t] === undefined) this.tierEnd[t] = this.tierEnd[t - 1] || 0;
+        }
+
+        const geometry = new THREE.SphereGeometry(0.015, 6, 6);
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        this.mesh = new THREE.InstancedMesh(geometry, material, this.cities.length);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+        this.positions = this.cities.map(city => latLonToVector3(parseFloat(city.lat), parseFloat(city.lon), MARKER_RADIUS));
+        this.scales = new Float32Array(this.cities.length).fill(1);
+        this.colors = this.cities.map(() => BASE_COLOR.clone());
+
+        this.dummy = new THREE.Object3D();
+        for (let i = 0; i < this.cities.length; i++) {
+            this.writeInstance(i);
+        }
+        this.mesh.computeBoundingSphere();
+
+        this.hoveredIndex = -1;
+        this.highlighted = new Set(); // instance indices
+    }
+
+    writeInstance(index) {
+        this.dummy.position.copy(this.positions[index]);
+        this.dummy.scale.setScalar(this.scales[index]);
+        this.dummy.updateMatrix();
+        this.mesh.setMatrixAt(index, this.dummy.matrix);
+        this.mesh.setColorAt(index, this.colors[index]);
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    // Draw only instances whose tier is <= maxTier
+    setMaxTier(maxTier) {
+        const tier = Math.min(maxTier, this.tierEnd.length - 1);
+        this.mesh.count = tier >= 1 ? this.tierEnd[tier] : 0;
+    }
+
+    // Style helpers for a single instance (hover, highlights, ...)
+    setInstanceStyle(index, color, scale) {
+        if (index < 0 || index >= this.cities.length) return;
+        this.colors[index].copy(color);
+        this.scales[index] = scale;
+        this.writeInstance(index);
+    }
+
+    // Restore the resting style (highlighted or base)
+    resetInstanceStyle(index) {
+        if (this.highlighted.has(index)) this.setInstanceStyle(index, HIGHLIGHT_COLOR, HIGHLIGHT_SCALE);
+        else this.setInstanceStyle(index, BASE_COLOR, 1);
+    }
+
+    // Highlight a set of cities (e.g. reverse lookup results); pass [] to clear
+    setHighlighted(cities) {
+        const next = new Set();
+        cities.forEach(city => {
+            const index = this.indexOf.get(city);
+            if (index !== undefined) next.add(index);
+        });
+
+        const previous = this.highlighted;
+        this.highlighted = next;
+        previous.forEach(index => {
+            if (!next.has(index) && index !== this.hoveredIndex) this.resetInstanceStyle(index);
+        });
+        next.forEach(index => {
+            if (!previous.has(index) && index !== this.hoveredIndex) this.resetInstanceStyle(index);
+        });
+    }
+
+    setHovered(index) {
+        if (index === this.hoveredIndex) return;
+        if (this.hoveredIndex !== -1) this.resetInstanceStyle(this.hoveredIndex);
+        this.hoveredIndex = index;
+        if (index !== -1) this.setInstanceStyle(index, HOVER_COLOR, HOVER_SCALE);
+    }
+
+    /**
+     * Returns the index of the nearest visible marker hit by the ray, or -1.
+     * Hits farther away than maxDistance (e.g. behind the Earth) are ignored.
+     */
+    pick(raycaster, maxDistance = Infinity) {
+        const hits = raycaster.intersectObject(this.mesh, false);
+        const hit = hits.find(h => h.distance <= maxDistance);
+        return hit ? hit.instanceId : -1;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
@@ -0,0 +1,132 @@
+import { getMoonPhase, getMoonRiseSet, getZonedParts } from './core/index.js';
+
+const LIT_COLOR = '#e8f0ff';
+const DARK_COLOR = '#0a1a1a';
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatUtcMinutes(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())} UTC`;
+}
+
+/**
+ * Draws the Moon's disc as seen from the northern hemisphere
+ * (waxing Moon lit on the right).
+ */
+export function drawMoonPhase(canvas, { illumination, waxing }) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const r = Math.min(w, h) / 2 - 2;
+    const cx = w / 2;
+    const cy = h / 2;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = DARK_COLOR;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Lit half, then the terminator ellipse either eats into it (crescent) or extends it (gibbous)
+    ctx.fillStyle = LIT_COLOR;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, -Math.PI / 2, Math.PI / 2, !waxing);
+    ctx.fill();
+
+    const rx = r * Math.abs(1 - 2 * illumination);
+    ctx.fillStyle = illumination < 0.5 ? DARK_COLOR : LIT_COLOR;
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rx, r, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(0, 255, 204, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+/**
+ * HUD widget with the current lunar phase, following the simulation clock.
+ */
+export class MoonHud {
+    constructor(clock) {
+        this.clock = clock;
+        this.canvas = document.getElementById('moon-hud-disc');
+        this.nameEl = document.getElementById('moon-hud-name');
+        this.detailsEl = document.getElementById('moon-hud-details');
+
+        this.render();
+        this.clock.onChange(() => this.render());
+        setInterval(() => this.render(), 1000);
+    }
+
+    render() {
+        const phase = getMoonPhase(this.clock.now());
+        drawMoonPhase(this.canvas, phase);
+
+        this.nameEl.textContent = phase.phaseName;
+        const rows = [
+            ['ILLUMINATED', `${(phase.illumination * 100).toFixed(1)}%`],
+            ['AGE', `${phase.ageDays.toFixed(1)} DAYS`],
+            ['DISTANCE', `${Math.round(phase.distanceKm).toLocaleString('en-US')} KM`],
+            ['NEXT NEW', formatUtcMinutes(phase.nextNewMoon)],
+            ['NEXT FULL', formatUtcMinutes(phase.nextFullMoon)]
+        ];
+
+        this.detailsEl.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            this.detailsEl.append(dt, dd);
+        });
+    }
+}
+
+/**
+ * Moonrise/moonset rows of the info panel, in the city's own timezone.
+ */
+export class MoonInfo {
+    constructor() {
+        this.container = document.getElementById('info-moon-times');
+        this.dayKey = null;
+    }
+
+    // Lives inside the info panel's sun section, which hides it for zones
+    reset() {
+        this.dayKey = null;
+    }
+
+    // Recomputes only when the city or its local date changes
+    show(city, date) {
+        const parts = getZonedParts(date, city.timezone);
+        const dayKey = `${city.lat},${city.lon},${city.timezone},${parts.year}-${parts.month}-${parts.day}`;
+        if (dayKey === this.dayKey) return;
+        this.dayKey = dayKey;
+
+        const events = getMoonRiseSet(city.lat, city.lon, date, city.timezone);
+        const fmt = (event) => {
+            if (event) {
+                const p = getZonedParts(event, city.timezone);
+                return `${pad(p.hour)}:${pad(p.minute)}`;
+            }
+            if (events.alwaysUp) return 'UP ALL DAY';
+            if (events.alwaysDown) return 'DOWN ALL DAY';
+            return 'NONE TODAY';
+        };
+
+        this.container.innerHTML = '';
+        [['MOONRISE', fmt(events.rise)], ['MOONSET', fmt(events.set)]].forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            this.container.append(dt, dd);
+        });
+    }
+}
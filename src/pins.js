@@ -0,0 +1,124 @@
+import { isValidTimezone } from './core/index.js';
+
+const STORAGE_KEY = 'globeclock.pinnedCities';
+const EXPORT_VERSION = 1;
+
+function cityKey(city) {
+    return `${city.name}|${city.country || ''}|${Number(city.lat).toFixed(3)}|${Number(city.lon).toFixed(3)}`;
+}
+
+// Only the fields the board and the globe need, so pins survive dataset changes
+function toPin(city) {
+    return {
+        name: String(city.name),
+        country: city.country ? String(city.country) : '',
+        lat: Number(city.lat),
+        lon: Number(city.lon),
+        timezone: String(city.timezone),
+        population: Number(city.population) || 0
+    };
+}
+
+function isValidPin(pin) {
+    return pin && typeof pin.name === 'string' && pin.name !== '' &&
+        Number.isFinite(Number(pin.lat)) && Math.abs(pin.lat) <= 90 &&
+        Number.isFinite(Number(pin.lon)) && Math.abs(pin.lon) <= 180 &&
+        typeof pin.timezone === 'string' && isValidTimezone(pin.timezone);
+}
+
+/**
+ * Ordered list of pinned cities, persisted in localStorage.
+ */
+export class PinStore {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.pins = this.load();
+        this.listeners = new Set();
+    }
+
+    load() {
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            const list = raw ? JSON.parse(raw) : [];
+            return Array.isArray(list) ? list.filter(isValidPin).map(toPin) : [];
+        } catch (e) {
+            console.error(e);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.pins));
+        } catch (e) {
+            console.error(e);
+        }
+        this.listeners.forEach(cb => cb(this.pins));
+    }
+
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    has(city) {
+        const key = cityKey(city);
+        return this.pins.some(pin => cityKey(pin) === key);
+    }
+
+    // Returns false if the city was already pinned
+    add(city) {
+        if (this.has(city)) return false;
+        this.pins.push(toPin(city));
+        this.save();
+        return true;
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.pins.length) return;
+        this.pins.splice(index, 1);
+        this.save();
+    }
+
+    move(from, to) {
+        if (from === to || from < 0 || from >= this.pins.length) return;
+        const target = Math.max(0, Math.min(this.pins.length - 1, to));
+        const [pin] = this.pins.splice(from, 1);
+        this.pins.splice(target, 0, pin);
+        this.save();
+    }
+
+    clear() {
+        this.pins = [];
+        this.save();
+    }
+
+    exportJSON() {
+        return JSON.stringify({ version: EXPORT_VERSION, cities: this.pins }, null, 2);
+    }
+
+    /**
+     * Accepts either an exported document or a bare array of cities.
+     * Replaces the current list unless `merge` is set. Returns the number of cities imported.
+     * Throws on malformed input.
+     */
+    importJSON(text, { merge = false } = {}) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data && data.cities;
+        if (!Array.isArray(list)) throw new Error('Expected a list of cities');
+
+        const invalid = list.filter(pin => !isValidPin(pin));
+        if (invalid.length > 0) throw new Error(`${invalid.length} invalid city entr${invalid.length === 1 ? 'y' : 'ies'}`);
+
+        if (!merge) this.pins = [];
+        let added = 0;
+        list.map(toPin).forEach(pin => {
+            if (!this.has(pin)) {
+                this.pins.push(pin);
+                added++;
+            }
+        });
+        this.save();
+        return added;
+    }
+}
@@ -0,0 +1,208 @@
+import { CityAutocomplete } from './searchPanel.js';
+import { buildOverlapGrid, getZonedParts, getViewerTimezone } from './core/index.js';
+
+const SLOT_MINUTES = 30;
+const DEFAULT_START = 9 * 60;
+const DEFAULT_END = 17 * 60;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function minutesToTime(minutes) {
+    return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+}
+
+function timeToMinutes(value) {
+    const [h, m] = value.split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+// Meeting planner: working-hour overlaps across selected cities for one day.
+// The grid is laid out in the viewer's zone; clicking a slot moves the
+// simulation clock to that instant.
+export class PlannerPanel {
+    constructor(globe, ui, clock) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+        this.timezone = getViewerTimezone();
+
+        this.panel = document.getElementById('planner-panel');
+        this.toggleBtn = document.getElementById('planner-toggle');
+        this.closeBtn = document.getElementById('planner-close');
+        this.dateInput = document.getElementById('planner-date');
+        this.gridEl = document.getElementById('planner-grid');
+        this.summaryEl = document.getElementById('planner-summary');
+        this.cityInput = document.getElementById('planner-city-input');
+
+        this.participants = [];
+        this.grid = null;
+        this.selectedSlot = -1;
+
+        this.autocomplete = new CityAutocomplete(this.cityInput, document.getElementById('planner-city-results'), {
+            getCities: () => this.globe.allCities,
+            onSelect: (city) => this.addParticipant(city),
+            onLoading: () => this.ui.showToast("SYSTEM LOADING DATA... PLEASE WAIT")
+        });
+
+        this.initListeners();
+    }
+
+    initListeners() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.toggle(false));
+        this.dateInput.addEventListener('change', () => this.render());
+    }
+
+    toggle(open = this.panel.classList.contains('hidden')) {
+        this.panel.classList.toggle('hidden', !open);
+        if (open && !this.dateInput.value) {
+            const p = getZonedParts(this.clock.now(), this.timezone);
+            this.dateInput.value = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+            this.render();
+        }
+    }
+
+    addParticipant(city) {
+        this.cityInput.value = '';
+        if (this.participants.some(p => p.city === city)) {
+            this.ui.showToast(`${city.name} IS ALREADY IN THE PLAN`);
+            return;
+        }
+        this.participants.push({ city, start: DEFAULT_START, end: DEFAULT_END });
+        this.render();
+    }
+
+    removeParticipant(index) {
+        this.participants.splice(index, 1);
+        this.render();
+    }
+
+    getDate() {
+        const [year, month, day] = this.dateInput.value.split('-').map(Number);
+        if (!year) return null;
+        return { year, month, day };
+    }
+
+    render() {
+        this.gridEl.innerHTML = '';
+        this.selectedSlot = -1;
+        const date = this.getDate();
+
+        if (this.participants.length === 0 || !date) {
+            this.grid = null;
+            this.summaryEl.textContent = 'ADD CITIES TO FIND OVERLAPPING WORKING HOURS';
+            return;
+        }
+
+        this.grid = buildOverlapGrid(this.participants, date, this.timezone, SLOT_MINUTES);
+        const table = document.createElement('table');
+
+        // Header: slot start in the grid's zone
+        const header = table.insertRow();
+        header.insertCell().textContent = this.timezone;
+        this.grid.slots.forEach(slot => {
+            const cell = header.insertCell();
+            const p = getZonedParts(slot.start, this.timezone);
+            cell.className = 'slot-head';
+            if (p.minute === 0 && p.hour % 2 === 0) cell.textContent = pad(p.hour);
+        });
+
+        this.participants.forEach((participant, row) => {
+            const tr = table.insertRow();
+            const nameCell = tr.insertCell();
+            nameCell.className = 'planner-city';
+            nameCell.innerHTML = `
+                <span class="planner-name"></span>
+                <input type="time" class="planner-start" step="900" />
+                <input type="time" class="planner-end" step="900" />
+                <button class="planner-remove" title="REMOVE">X</button>`;
+            nameCell.querySelector('.planner-name').textContent = participant.city.name;
+            nameCell.querySelector('.planner-name').title = participant.city.timezone;
+
+            const startInput = nameCell.querySelector('.planner-start');
+            const endInput = nameCell.querySelector('.planner-end');
+            startInput.value = minutesToTime(participant.start);
+            endInput.value = minutesToTime(participant.end);
+            startInput.addEventListener('change', () => {
+                if (!startInput.value) return;
+                participant.start = timeToMinutes(startInput.value);
+                this.render();
+            });
+            endInput.addEventListener('change', () => {
+                if (!endInput.value) return;
+                participant.end = timeToMinutes(endInput.value);
+                this.render();
+            });
+            nameCell.querySelector('.planner-remove').addEventListener('click', () => this.removeParticipant(row));
+
+            this.grid.slots.forEach((slot, i) => {
+                const cell = tr.insertCell();
+                cell.className = `slot${slot.available[row] ? ' working' : ''}${slot.best ? ' best' : ''}`;
+                cell.title = `${participant.city.name}: ${minutesToTime(slot.localMinutes[row])}`;
+                cell.dataset.slot = i;
+            });
+        });
+
+        // Footer: how many participants are available
+        const footer = table.insertRow();
+        footer.insertCell().textContent = 'AVAILABLE';
+        this.grid.slots.forEach((slot, i) => {
+            const cell = footer.insertCell();
+            cell.className = `slot-count${slot.best ? ' best' : ''}`;
+            cell.textContent = slot.count;
+            cell.dataset.slot = i;
+        });
+
+        table.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-slot]');
+            if (cell) this.selectSlot(Number(cell.dataset.slot));
+        });
+
+        this.gridEl.appendChild(table);
+        this.renderSummary();
+    }
+
+    renderSummary() {
+        const { slots, bestCount } = this.grid;
+        const total = this.participants.length;
+        if (bestCount === 0) {
+            this.summaryEl.textContent = 'NO OVERLAP ON THIS DATE';
+            return;
+        }
+
+        // Merge consecutive best slots into ranges
+        const ranges = [];
+        slots.forEach(slot => {
+            if (!slot.best) return;
+            const last = ranges[ranges.length - 1];
+            if (last && last.end.getTime() === slot.start.getTime()) last.end = slot.end;
+            else ranges.push({ start: slot.start, end: slot.end });
+        });
+
+        const format = (date) => {
+            const p = getZonedParts(date, this.timezone);
+            return `${pad(p.hour)}:${pad(p.minute)}`;
+        };
+        this.summaryEl.textContent = `BEST (${bestCount}/${total}): ` +
+            ranges.map(r => `${format(r.start)}-${format(r.end)}`).join(', ') + ` ${this.timezone}`;
+    }
+
+    selectSlot(index) {
+        const slot = this.grid && this.grid.slots[index];
+        if (!slot) return;
+
+        this.selectedSlot = index;
+        this.gridEl.querySelectorAll('[data-slot]').forEach(cell => {
+            cell.classList.toggle('selected', Number(cell.dataset.slot) === index);
+        });
+
+        // Freeze the scene at the slot so the terminator shows who is in the dark
+        this.clock.pause();
+        this.clock.setTime(slot.start);
+
+        const locals = this.participants.map((p, i) => `${p.city.name} ${minutesToTime(slot.localMinutes[i])}`);
+        this.ui.showToast(`SLOT: ${locals.join(' / ')}`);
+    }
+}
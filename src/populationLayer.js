@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { ACTIVITY_SCHEDULE, createPopulationIndex, getZoneOffsets } from './core/index.js';
+import { MAP_MORPH_GLSL } from './mapMorph.js';
+
+// Density and offset rasters (equirectangular, north row first)
+const MAP_WIDTH = 1024;
+const MAP_HEIGHT = 512;
+const SPREAD = 2.5; // Gaussian sigma around each city, texels (~0.9 deg at the equator)
+const DENSITY_SCALE = 1000; // People per texel where shading starts to show
+const DAY_MS = 86400000;
+
+// Written straight to the screen, so plain sRGB (same as the HUD's legend in style.css)
+const ACTIVITY_COLORS = {
+    asleep: 0x3355ff,
+    awake: 0x00ffcc,
+    working: 0xffcc00
+};
+
+const glslColor = (hex) => `vec3(${[16, 8, 0].map(shift => ((hex >> shift) & 255) / 255).map(v => v.toFixed(3)).join(', ')})`;
+const glslFloat = (value) => value.toFixed(1);
+
+const overlayVertexShader = `
+${MAP_MORPH_GLSL}
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  worldPosition.xyz = mapMorphLatLon(worldPosition.xyz, (uv.y - 0.5) * 3.14159265, (uv.x - 0.5) * 6.28318531);
+  gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+// density: log-scaled people per texel. offsets: UTC offset of the texel's
+// main city, in quarter hours from -12:00, plus one (0 = no city). The
+// schedule is core/population.js's, so the colours match the totals.
+const overlayFragmentShader = `
+uniform sampler2D density;
+uniform sampler2D offsets;
+uniform float utcMinutes; // Minute of the UTC day, with seconds
+uniform float utcWeekday; // 0 = Sunday
+
+varying vec2 vUv;
+
+bool withinHours(float m, float start, float end) {
+  if (start == end) return false;
+  if (start < end) return m >= start && m < end;
+  return m >= start || m < end;
+}
+
+void main() {
+  vec2 uv = vec2(vUv.x, 1.0 - vUv.y);
+  float people = texture2D(density, uv).r;
+  float code = floor(texture2D(offsets, uv).r * 255.0 + 0.5);
+  if (people < 0.01 || code < 0.5) discard;
+
+  // Civil time and weekday of the texel
+  float local = utcMinutes + (code - 1.0) * 15.0 - 720.0;
+  float shift = floor(local / 1440.0);
+  float m = floor(local - shift * 1440.0);
+  float weekday = mod(utcWeekday + shift, 7.0);
+
+  vec3 color = ${glslColor(ACTIVITY_COLORS.asleep)};
+  if (withinHours(m, ${glslFloat(ACTIVITY_SCHEDULE.wake)}, ${glslFloat(ACTIVITY_SCHEDULE.sleep)})) {
+    color = ${glslColor(ACTIVITY_COLORS.awake)};
+    bool workDay = weekday > ${glslFloat(ACTIVITY_SCHEDULE.firstWorkDay - 0.5)} && weekday < ${glslFloat(ACTIVITY_SCHEDULE.lastWorkDay + 0.5)};
+    if (workDay && withinHours(m, ${glslFloat(ACTIVITY_SCHEDULE.workStart)}, ${glslFloat(ACTIVITY_SCHEDULE.workEnd)})) {
+      color = ${glslColor(ACTIVITY_COLORS.working)};
+    }
+  }
+  gl_FragColor = vec4(color, people * 0.8);
+}
+`;
+
+function createRaster(filter) {
+    const texture = new THREE.DataTexture(new Uint8Array(MAP_WIDTH * MAP_HEIGHT), MAP_WIDTH, MAP_HEIGHT, THREE.RedFormat);
+    texture.magFilter = filter;
+    texture.minFilter = filter;
+    texture.wrapS = THREE.RepeatWrapping;
+    return texture;
+}
+
+/**
+ * "Who is awake": a heat map of the cities' population, each area coloured
+ * by what its people are doing at their civil time (asleep, awake, at work).
+ * Population is spread around each city once; the shader works out local
+ * times from each texel's UTC offset, so only DST changes touch the textures.
+ */
+export class PopulationLayer {
+    constructor(radius = 5.012) {
+        this.group = new THREE.Group();
+        this.index = null;
+        this.offsets = null;
+        this.texelZones = new Uint16Array(MAP_WIDTH * MAP_HEIGHT); // Zone index + 1 of each texel's main city
+
+        this.densityTexture = createRaster(THREE.LinearFilter);
+        this.offsetTexture = createRaster(THREE.NearestFilter);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                density: { value: this.densityTexture },
+                offsets: { value: this.offsetTexture },
+                utcMinutes: { value: 0 },
+                utcWeekday: { value: 0 },
+                // Shared with the globe's MapMorph once it patches this material
+                mapMorph: { value: 0 },
+                mapProjection: { value: 0 }
+            },
+            vertexShader: overlayVertexShader,
+            fragmentShader: overlayFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, 128, 64), this.material);
+        this.mesh.rotation.y = -Math.PI / 2; // Same texture alignment as the Earth
+        this.group.add(this.mesh);
+    }
+
+    // Spreads every city's population over a Gaussian, wider towards the poles to stay round
+    setCities(cities) {
+        this.index = createPopulationIndex(cities);
+        this.offsets = null;
+        const density = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+        const strongest = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+        this.texelZones.fill(0);
+
+        cities.forEach((city, i) => {
+            if (!city.population) return;
+            const cx = (city.lon + 180) / 360 * MAP_WIDTH;
+            const cy = (90 - city.lat) / 180 * MAP_HEIGHT;
+            const sx = SPREAD / Math.max(Math.cos(city.lat * Math.PI / 180), 0.2);
+            const peak = city.population / (2 * Math.PI * sx * SPREAD);
+            const rx = Math.ceil(3 * sx);
+            const ry = Math.ceil(3 * SPREAD);
+
+            for (let y = Math.floor(cy) - ry; y <= Math.floor(cy) + ry; y++) {
+                if (y < 0 || y >= MAP_HEIGHT) continue;
+                const ey = (y + 0.5 - cy) / SPREAD;
+                for (let x = Math.floor(cx) - rx; x <= Math.floor(cx) + rx; x++) {
+                    const ex = (x + 0.5 - cx) / sx;
+                    const weight = peak * Math.exp(-(ex * ex + ey * ey) / 2);
+                    const k = y * MAP_WIDTH + ((x % MAP_WIDTH) + MAP_WIDTH) % MAP_WIDTH;
+                    density[k] += weight;
+                    // The texel keeps the clock of the city contributing most
+                    if (weight > strongest[k]) {
+                        strongest[k] = weight;
+                        this.texelZones[k] = this.index.zoneOf[i] + 1;
+                    }
+                }
+            }
+        });
+
+        const max = density.reduce((a, b) => Math.max(a, b), 0);
+        const scale = max > 0 ? 255 / Math.log1p(max / DENSITY_SCALE) : 0;
+        const data = this.densityTexture.image.data;
+        for (let k = 0; k < density.length; k++) {
+            data[k] = Math.round(Math.log1p(density[k] / DENSITY_SCALE) * scale);
+        }
+        this.densityTexture.needsUpdate = true;
+    }
+
+    // Offsets are looked up once per quarter hour; the raster only changes with them
+    update(date) {
+        if (!this.index) return;
+        const ms = date.getTime();
+        const days = Math.floor(ms / DAY_MS);
+        this.material.uniforms.utcMinutes.value = (ms - days * DAY_MS) / 60000;
+        this.material.uniforms.utcWeekday.value = (((days + 4) % 7) + 7) % 7; // 1970-01-01 was a Thursday
+
+        const offsets = getZoneOffsets(this.index, date);
+        if (offsets === this.offsets) return;
+        const changed = !this.offsets || offsets.some((offset, i) => offset !== this.offsets[i]);
+        this.offsets = offsets;
+        if (changed) this.updateOffsets();
+    }
+
+    updateOffsets() {
+        const codes = this.offsets.map(offset => Math.round((offset + 720) / 15) + 1);
+        const data = this.offsetTexture.image.data;
+        for (let k = 0; k < data.length; k++) {
+            const zone = this.texelZones[k];
+            data[k] = zone ? codes[zone - 1] : 0;
+        }
+        this.offsetTexture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        this.densityTexture.dispose();
+        this.offsetTexture.dispose();
+    }
+}
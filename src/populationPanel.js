@@ -0,0 +1,60 @@
+import { ACTIVITIES, createPopulationIndex, summarizeActivity } from './core/index.js';
+
+// "3.1B", "640M", "12K"
+function formatPeople(n) {
+    if (n >= 1e9) return `${(n / 1e9).toFixed(1)}B`;
+    if (n >= 1e6) return `${Math.round(n / 1e6)}M`;
+    if (n >= 1e3) return `${Math.round(n / 1e3)}K`;
+    return String(n);
+}
+
+const ROWS = [
+    [ACTIVITIES.WORKING, 'BUSINESS HOURS'],
+    [ACTIVITIES.AWAKE, 'AWAKE, OFF WORK'],
+    [ACTIVITIES.ASLEEP, 'ASLEEP']
+];
+
+/**
+ * Live totals for the "who is awake" layer: how many people in the city
+ * dataset are at work, up or asleep by their civil time. Shown while the
+ * population layer is on, recomputed every second and when the clock jumps.
+ */
+export class PopulationHud {
+    constructor(globe, clock) {
+        this.globe = globe;
+        this.clock = clock;
+        this.index = null;
+
+        this.hud = document.getElementById('awake-hud');
+        this.headlineEl = document.getElementById('awake-hud-headline');
+        this.detailsEl = document.getElementById('awake-hud-details');
+        this.footEl = document.getElementById('awake-hud-foot');
+
+        this.clock.onChange(() => this.render());
+        setInterval(() => this.render(), 1000);
+    }
+
+    // Also called when layers change (see main.js)
+    render() {
+        const visible = Boolean(this.globe.overlays.population && this.globe.allCities);
+        this.hud.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        if (!this.index) this.index = createPopulationIndex(this.globe.allCities);
+        const summary = summarizeActivity(this.index, this.clock.now());
+        const when = this.clock.isLive() ? 'NOW' : 'AT SIM TIME';
+        this.headlineEl.textContent = `${formatPeople(summary.working)} PEOPLE IN BUSINESS HOURS ${when}`;
+
+        this.detailsEl.innerHTML = '';
+        ROWS.forEach(([activity, label]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.className = activity;
+            dt.textContent = label;
+            const share = summary.total > 0 ? Math.round(summary[activity] / summary.total * 100) : 0;
+            dd.textContent = `${formatPeople(summary[activity])} ${share}%`;
+            this.detailsEl.append(dt, dd);
+        });
+        this.footEl.textContent = `OF ${formatPeople(summary.total)} IN ${this.globe.allCities.length.toLocaleString('en-US')} CITIES`;
+    }
+}
@@ -0,0 +1,144 @@
+// Canvases drawn in code, so the globe never depends on a remote image and
+// still shows something sensible when a texture file is missing.
+
+const OCEAN_COLOR = '#06222b';
+const LAND_COLOR = '#2c4a36';
+const COAST_COLOR = 'rgba(0, 255, 204, 0.35)';
+const GRID_COLOR = 'rgba(0, 255, 204, 0.12)';
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Small deterministic PRNG (mulberry32), so the procedural Moon looks the same on every load
+function createRandom(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Soft radial glow for the Sun sprite.
+ */
+export function drawGlow(size = 128) {
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    const r = size / 2;
+    const gradient = ctx.createRadialGradient(r, r, 0, r, r, r);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.15, 'rgba(255, 255, 255, 0.8)');
+    gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.25)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+    return canvas;
+}
+
+/**
+ * Equirectangular stand-in for the Earth's day texture: ocean, a 15° graticule
+ * and, when `features` (timezones.geojson) is given, every land zone filled in.
+ * The nautical Etc/GMT±N zones are the open ocean.
+ */
+export function drawEarth(features = null, width = 2048) {
+    const height = width / 2;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const x = (lon) => (lon + 180) / 360 * width;
+    const y = (lat) => (90 - lat) / 180 * height;
+
+    ctx.fillStyle = OCEAN_COLOR;
+    ctx.fillRect(0, 0, width, height);
+
+    if (features) {
+        ctx.beginPath();
+        features
+            .filter(feature => !String(feature.properties.tzid).startsWith('Etc/'))
+            .forEach(feature => {
+                const { type, coordinates } = feature.geometry;
+                const polygons = type === 'Polygon' ? [coordinates] : coordinates;
+                polygons.forEach(rings => rings.forEach(ring => {
+                    ring.forEach(([lon, lat], i) => {
+                        if (i === 0) ctx.moveTo(x(lon), y(lat));
+                        else ctx.lineTo(x(lon), y(lat));
+                    });
+                    ctx.closePath();
+                }));
+            });
+        ctx.fillStyle = LAND_COLOR;
+        ctx.fill('evenodd');
+        ctx.strokeStyle = COAST_COLOR;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let lon = -180; lon <= 180; lon += 15) {
+        ctx.moveTo(x(lon), 0);
+        ctx.lineTo(x(lon), height);
+    }
+    for (let lat = -75; lat <= 75; lat += 15) {
+        ctx.moveTo(0, y(lat));
+        ctx.lineTo(width, y(lat));
+    }
+    ctx.stroke();
+
+    return canvas;
+}
+
+/**
+ * Grey, cratered stand-in for the Moon texture.
+ */
+export function drawMoon(width = 512) {
+    const height = width / 2;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    const random = createRandom(1969);
+
+    ctx.fillStyle = '#8a8a88';
+    ctx.fillRect(0, 0, width, height);
+
+    // Maria: a few large dark patches on the near side
+    for (let i = 0; i < 9; i++) {
+        ctx.fillStyle = `rgba(60, 60, 62, ${0.25 + random() * 0.25})`;
+        ctx.beginPath();
+        ctx.ellipse(width * (0.3 + random() * 0.4), height * (0.25 + random() * 0.5),
+            width * (0.03 + random() * 0.06), height * (0.05 + random() * 0.1), 0, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Craters: dark floor with a lighter rim
+    for (let i = 0; i < 260; i++) {
+        const cx = random() * width;
+        const cy = random() * height;
+        const r = 1 + Math.pow(random(), 3) * width * 0.025;
+        ctx.fillStyle = 'rgba(50, 50, 50, 0.35)';
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(200, 200, 195, 0.35)';
+        ctx.lineWidth = Math.max(1, r * 0.2);
+        ctx.stroke();
+    }
+
+    return canvas;
+}
+
+/**
+ * Single-colour canvas, e.g. black for a missing night or specular map.
+ */
+export function drawSolid(color, size = 4) {
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, size, size);
+    return canvas;
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { getCentralAngle, interpolateGreatCircle } from './core/index.js';
+import { latLonToVector3 } from './utils.js';
+import { createTextSprite, disposeSprite } from './labels.js';
+
+const ARC_COLOR = 0xff0055;
+const DRAW_MS = 1200; // Time for each arc to draw itself in
+const STAGGER_MS = 400; // Delay between consecutive legs
+const TRAVEL_MS = 4000; // One pass of the moving marker along a leg
+
+/**
+ * Great-circle arcs through an ordered list of stops, raised above the surface
+ * in proportion to their length, with numbered stop labels and a marker that
+ * travels each leg.
+ */
+export class RouteLayer {
+    constructor(radius = 5.02) {
+        this.radius = radius;
+        this.group = new THREE.Group();
+        this.stopGeometry = new THREE.SphereGeometry(0.04, 12, 12);
+        this.planeGeometry = new THREE.SphereGeometry(0.05, 12, 12);
+        this.stopMaterial = new THREE.MeshBasicMaterial({ color: ARC_COLOR });
+        this.planeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        this.legs = [];
+        this.startTime = 0;
+    }
+
+    setStops(cities) {
+        this.clear();
+        this.startTime = performance.now();
+
+        cities.forEach((city, i) => {
+            const position = latLonToVector3(city.lat, city.lon, this.radius);
+            const marker = new THREE.Mesh(this.stopGeometry, this.stopMaterial);
+            marker.position.copy(position);
+            const label = createTextSprite(`${i + 1} ${city.name.toUpperCase()}`, { color: '#ff0055', height: 0.14 });
+            label.position.copy(position).multiplyScalar(1 + 0.08 / this.radius);
+            this.group.add(marker, label);
+        });
+
+        for (let i = 1; i < cities.length; i++) {
+            this.addLeg(cities[i - 1], cities[i], i - 1);
+        }
+    }
+
+    addLeg(from, to, index) {
+        const angle = getCentralAngle(from, to);
+        const segments = Math.max(16, Math.ceil(angle));
+        const height = 0.1 + 0.6 * angle / 180; // Long hauls arc higher
+
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const f = i / segments;
+            const { lat, lon } = interpolateGreatCircle(from, to, f);
+            points.push(latLonToVector3(lat, lon, this.radius + height * Math.sin(Math.PI * f)));
+        }
+
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        geometry.setDrawRange(0, 0);
+        const material = new THREE.LineBasicMaterial({ color: ARC_COLOR, transparent: true, opacity: 0.9 });
+        const line = new THREE.Line(geometry, material);
+
+        const plane = new THREE.Mesh(this.planeGeometry, this.planeMaterial);
+        plane.visible = false;
+
+        this.group.add(line, plane);
+        this.legs.push({ line, plane, points, delay: index * STAGGER_MS });
+    }
+
+    update(now) {
+        this.legs.forEach(leg => {
+            const elapsed = now - this.startTime - leg.delay;
+            if (elapsed < 0) return;
+
+            const count = leg.points.length;
+            if (elapsed < DRAW_MS) {
+                leg.line.geometry.setDrawRange(0, Math.ceil(count * elapsed / DRAW_MS));
+                return;
+            }
+            leg.line.geometry.setDrawRange(0, count);
+
+            // Linear walk along the polyline; the segments are near-equal in length
+            const t = ((elapsed - DRAW_MS) % TRAVEL_MS) / TRAVEL_MS * (count - 1);
+            const i = Math.min(Math.floor(t), count - 2);
+            leg.plane.position.lerpVectors(leg.points[i], leg.points[i + 1], t - i);
+            leg.plane.visible = true;
+        });
+    }
+
+    clear() {
+        this.group.children.slice().forEach(child => {
+            this.group.remove(child);
+            if (child.isSprite) disposeSprite(child);
+            else if (child.isLine) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+        this.legs = [];
+    }
+
+    dispose() {
+        this.clear();
+        this.stopGeometry.dispose();
+        this.planeGeometry.dispose();
+        this.stopMaterial.dispose();
+        this.planeMaterial.dispose();
+    }
+}
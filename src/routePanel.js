@@ -0,0 +1,226 @@
+import { CityAutocomplete } from './searchPanel.js';
+import {
+    buildItinerary, getCompassPoint, formatOffsetDifference, getZonedParts, zonedTimeToUtc,
+    interpolateGreatCircle
+} from './core/index.js';
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// "7h15"
+function formatDuration(minutes) {
+    return `${Math.floor(minutes / 60)}h${pad(minutes % 60)}`;
+}
+
+function formatNumber(n) {
+    return Math.round(n).toLocaleString('en-US');
+}
+
+// Calendar day number of `date` on the local clock
+function localDay(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day) / 86400000;
+}
+
+// Local wall time with a day marker against the trip's start day, as on a ticket ("09:40+1")
+function formatLocal(date, timezone, startDay) {
+    const p = getZonedParts(date, timezone);
+    const days = localDay(date, timezone) - startDay;
+    const suffix = days === 0 ? '' : `${days > 0 ? '+' : ''}${days}`;
+    return `${pad(p.hour)}:${pad(p.minute)}${suffix}`;
+}
+
+// Flight route: ordered stops drawn as great-circle arcs, with distance,
+// bearing, zone difference and estimated flight time per leg. Itinerary mode
+// chains the legs from a departure time (local at the first stop) and shows
+// each departure and arrival on the local clock.
+export class RoutePanel {
+    constructor(globe, ui, clock, pins) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+        this.pins = pins;
+
+        this.panel = document.getElementById('route-panel');
+        this.toggleBtn = document.getElementById('route-toggle');
+        this.closeBtn = document.getElementById('route-close');
+        this.cityInput = document.getElementById('route-city-input');
+        this.fromBoardBtn = document.getElementById('route-from-board');
+        this.clearBtn = document.getElementById('route-clear');
+        this.itineraryInput = document.getElementById('route-itinerary');
+        this.itineraryControls = document.getElementById('route-itinerary-controls');
+        this.departureInput = document.getElementById('route-departure');
+        this.layoverSelect = document.getElementById('route-layover');
+        this.stopsEl = document.getElementById('route-stops');
+        this.legsEl = document.getElementById('route-legs');
+        this.summaryEl = document.getElementById('route-summary');
+
+        this.stops = [];
+        this.legs = [];
+
+        this.autocomplete = new CityAutocomplete(this.cityInput, document.getElementById('route-city-results'), {
+            getCities: () => this.globe.allCities,
+            onSelect: (city) => this.addStop(city),
+            onLoading: () => this.ui.showToast("SYSTEM LOADING DATA... PLEASE WAIT")
+        });
+
+        this.initListeners();
+        this.render();
+    }
+
+    initListeners() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.toggle(false));
+        this.fromBoardBtn.addEventListener('click', () => this.useBoard());
+        this.clearBtn.addEventListener('click', () => this.setStops([]));
+        this.itineraryInput.addEventListener('change', () => {
+            if (this.itineraryInput.checked && !this.departureInput.value) this.resetDeparture();
+            this.render();
+        });
+        this.departureInput.addEventListener('change', () => this.render());
+        this.layoverSelect.addEventListener('change', () => this.render());
+    }
+
+    toggle(open = this.panel.classList.contains('hidden')) {
+        this.panel.classList.toggle('hidden', !open);
+    }
+
+    addStop(city) {
+        this.cityInput.value = '';
+        if (this.stops[this.stops.length - 1] === city) {
+            this.ui.showToast(`${city.name} IS ALREADY THE LAST STOP`);
+            return;
+        }
+        this.setStops([...this.stops, city]);
+    }
+
+    removeStop(index) {
+        this.setStops(this.stops.filter((_, i) => i !== index));
+    }
+
+    useBoard() {
+        if (this.pins.pins.length < 2) {
+            this.ui.showToast('PIN AT LEAST 2 CITIES TO BUILD A ROUTE');
+            return;
+        }
+        this.setStops(this.pins.pins);
+    }
+
+    setStops(cities) {
+        this.stops = cities.slice();
+        this.globe.setRoute(this.stops);
+        this.render();
+    }
+
+    // Next full hour on the first stop's clock
+    resetDeparture() {
+        const timezone = this.stops.length > 0 ? this.stops[0].timezone : 'UTC';
+        const p = getZonedParts(new Date(this.clock.now().getTime() + 3600000), timezone);
+        this.departureInput.value = `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:00`;
+    }
+
+    // The departure field is wall time at the first stop
+    getDeparture() {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(this.departureInput.value);
+        if (!match || this.stops.length === 0) return this.clock.now();
+        const [year, month, day, hour, minute] = match.slice(1).map(Number);
+        return zonedTimeToUtc({ year, month, day, hour, minute }, this.stops[0].timezone);
+    }
+
+    render() {
+        const itinerary = this.itineraryInput.checked;
+        this.itineraryControls.classList.toggle('hidden', !itinerary);
+        this.renderStops();
+        this.legsEl.innerHTML = '';
+
+        if (this.stops.length < 2) {
+            this.legs = [];
+            this.summaryEl.textContent = 'ADD 2 OR MORE STOPS';
+            return;
+        }
+
+        this.legs = buildItinerary(this.stops, this.getDeparture(), { layoverMinutes: Number(this.layoverSelect.value) });
+
+        const header = this.legsEl.insertRow();
+        const columns = ['LEG', 'DIST KM / MI', 'BRG', 'ZONE', 'FLIGHT'];
+        if (itinerary) columns.push('DEP', 'ARR');
+        columns.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+
+        const startDay = localDay(this.legs[0].departure, this.stops[0].timezone);
+        this.legs.forEach((leg, i) => {
+            const row = this.legsEl.insertRow();
+            const cells = [
+                `${leg.from.name} > ${leg.to.name}`,
+                `${formatNumber(leg.distanceKm)} / ${formatNumber(leg.distanceMi)}`,
+                `${Math.round(leg.bearing) % 360}° ${getCompassPoint(leg.bearing)}`,
+                formatOffsetDifference(leg.zoneDifferenceMinutes),
+                `~${formatDuration(leg.flightMinutes)}`
+            ];
+            if (itinerary) {
+                cells.push(
+                    formatLocal(leg.departure, leg.from.timezone, startDay),
+                    formatLocal(leg.arrival, leg.to.timezone, startDay)
+                );
+            }
+            cells.forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            row.cells[0].className = 'route-leg';
+            if (itinerary) {
+                row.cells[5].title = leg.from.timezone;
+                row.cells[6].title = leg.to.timezone;
+            }
+            row.addEventListener('click', () => this.selectLeg(i));
+        });
+
+        this.renderSummary(itinerary);
+    }
+
+    renderStops() {
+        this.stopsEl.innerHTML = '';
+        this.stops.forEach((city, i) => {
+            const item = document.createElement('li');
+            item.innerHTML = `<span class="route-stop-name"></span><button class="route-remove" title="REMOVE">X</button>`;
+            item.querySelector('.route-stop-name').textContent = `${city.name}, ${city.country}`;
+            item.querySelector('.route-remove').addEventListener('click', () => this.removeStop(i));
+            this.stopsEl.appendChild(item);
+        });
+    }
+
+    renderSummary(itinerary) {
+        const km = this.legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+        const mi = this.legs.reduce((sum, leg) => sum + leg.distanceMi, 0);
+        const flight = this.legs.reduce((sum, leg) => sum + leg.flightMinutes, 0);
+        let text = `TOTAL ${formatNumber(km)} KM / ${formatNumber(mi)} MI, ~${formatDuration(flight)} IN THE AIR`;
+
+        if (itinerary) {
+            const first = this.legs[0];
+            const last = this.legs[this.legs.length - 1];
+            const door = Math.round((last.arrival - first.departure) / 60000);
+            const startDay = localDay(first.departure, first.from.timezone);
+            text += ` | JOURNEY ${formatDuration(door)}, ARRIVE ${formatLocal(last.arrival, last.to.timezone, startDay)} ${last.to.timezone}`;
+        }
+        this.summaryEl.textContent = text;
+    }
+
+    // Fly to the middle of the leg; in itinerary mode also move the clock to its departure
+    selectLeg(index) {
+        const leg = this.legs[index];
+        if (!leg) return;
+
+        Array.from(this.legsEl.rows).forEach((row, i) => row.classList.toggle('selected', i === index + 1));
+        const mid = interpolateGreatCircle(leg.from, leg.to, 0.5);
+        this.globe.flyTo(mid.lat, mid.lon);
+
+        if (this.itineraryInput.checked) {
+            this.clock.pause();
+            this.clock.setTime(leg.departure);
+            this.ui.showToast(`DEPARTING ${leg.from.name} ${formatLocal(leg.departure, leg.from.timezone, localDay(leg.departure, leg.from.timezone))} LOCAL`);
+        }
+    }
+}
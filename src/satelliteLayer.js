@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { getSatelliteState, getGroundTrack, getOrbitalPeriod } from './core/index.js';
+import { latLonToVector3 } from './utils.js';
+import { createTextSprite, disposeSprite } from './labels.js';
+
+const EARTH_RADIUS_KM = 6371;
+const BASE_COLOR = new THREE.Color(0x00ccff);
+const SELECTED_COLOR = new THREE.Color(0xff0055);
+const POSITION_INTERVAL = 100; // ms between position updates
+const TRACK_INTERVAL = 1000; // ms between ground track refreshes
+const TRACK_MAX_AGE = 60000; // Simulated ms a track stays valid
+const TRACK_POINTS = 120; // Per orbit
+const MAX_TRACKS = 30; // Above this only the selected satellite gets a track
+
+/**
+ * Satellites propagated with SGP4 (see core/satellites.js), drawn at their
+ * real height over the Earth-fixed globe as one instanced mesh. Ground
+ * tracks run half an orbit back and one orbit ahead; the selected satellite
+ * also gets its orbit path and a name label.
+ */
+export class SatelliteLayer {
+    constructor(radius = 5) {
+        this.radius = radius;
+        this.group = new THREE.Group();
+        this.tracks = new THREE.Group();
+        this.group.add(this.tracks);
+        this.geometry = new THREE.OctahedronGeometry(0.06);
+        this.trackMaterial = new THREE.LineBasicMaterial({ color: 0x00ccff, transparent: true, opacity: 0.25 });
+        this.selectedTrackMaterial = new THREE.LineBasicMaterial({ color: 0xff0055, transparent: true, opacity: 0.8 });
+        this.orbitMaterial = new THREE.LineBasicMaterial({ color: 0xff0055, transparent: true, opacity: 0.4 });
+
+        this.satellites = [];
+        this.mesh = null;
+        this.selected = null;
+        this.label = null;
+        this.dummy = new THREE.Object3D();
+        this.lastPositionUpdate = -Infinity;
+        this.lastTrackUpdate = -Infinity;
+        this.trackTime = null;
+    }
+
+    // Scene position for a sub-satellite point and height
+    toScene(lat, lon, altitudeKm) {
+        return latLonToVector3(lat, lon, this.radius * (1 + altitudeKm / EARTH_RADIUS_KM));
+    }
+
+    setSatellites(satellites) {
+        if (this.mesh) {
+            this.group.remove(this.mesh);
+            this.mesh.material.dispose();
+            this.mesh.dispose();
+            this.mesh = null;
+        }
+        this.satellites = satellites;
+        this.selected = null;
+        this.setLabel(null);
+
+        if (satellites.length > 0) {
+            this.mesh = new THREE.InstancedMesh(this.geometry, new THREE.MeshBasicMaterial({ color: 0xffffff }), satellites.length);
+            this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            satellites.forEach((_, i) => this.mesh.setColorAt(i, BASE_COLOR));
+            this.group.add(this.mesh);
+        }
+        this.forceUpdate();
+    }
+
+    setSelected(satellite) {
+        if (!this.mesh) return;
+        const previous = this.satellites.indexOf(this.selected);
+        if (previous !== -1) this.mesh.setColorAt(previous, BASE_COLOR);
+        this.selected = satellite && this.satellites.includes(satellite) ? satellite : null;
+        if (this.selected) this.mesh.setColorAt(this.satellites.indexOf(this.selected), SELECTED_COLOR);
+        this.mesh.instanceColor.needsUpdate = true;
+        this.setLabel(this.selected);
+        this.forceUpdate();
+    }
+
+    setLabel(satellite) {
+        if (this.label) {
+            this.group.remove(this.label);
+            disposeSprite(this.label);
+            this.label = null;
+        }
+        if (!satellite) return;
+        this.label = createTextSprite(satellite.name.toUpperCase(), { color: '#ff0055', height: 0.14 });
+        this.group.add(this.label);
+    }
+
+    forceUpdate() {
+        this.lastPositionUpdate = -Infinity;
+        this.lastTrackUpdate = -Infinity;
+        this.trackTime = null;
+    }
+
+    update(date) {
+        if (!this.mesh) return;
+        const now = performance.now();
+
+        if (now - this.lastPositionUpdate >= POSITION_INTERVAL) {
+            this.lastPositionUpdate = now;
+            this.satellites.forEach((satellite, i) => {
+                const state = getSatelliteState(satellite, date);
+                // Failed propagation (decayed, or far from the TLE epoch): hide the instance
+                if (state) this.dummy.position.copy(this.toScene(state.lat, state.lon, state.altitudeKm));
+                this.dummy.scale.setScalar(state ? (satellite === this.selected ? 2 : 1) : 0);
+                this.dummy.updateMatrix();
+                this.mesh.setMatrixAt(i, this.dummy.matrix);
+                if (satellite === this.selected && this.label && state) {
+                    this.label.position.copy(this.dummy.position).multiplyScalar(1.01);
+                }
+            });
+            this.mesh.instanceMatrix.needsUpdate = true;
+            this.mesh.computeBoundingSphere();
+        }
+
+        const stale = this.trackTime === null || Math.abs(date.getTime() - this.trackTime) > TRACK_MAX_AGE;
+        if (stale && now - this.lastTrackUpdate >= TRACK_INTERVAL) {
+            this.lastTrackUpdate = now;
+            this.trackTime = date.getTime();
+            this.updateTracks(date);
+        }
+    }
+
+    updateTracks(date) {
+        this.clearTracks();
+        const tracked = this.satellites.length <= MAX_TRACKS ? this.satellites : [this.selected].filter(Boolean);
+
+        tracked.forEach(satellite => {
+            const selected = satellite === this.selected;
+            const stepMinutes = getOrbitalPeriod(satellite) / TRACK_POINTS;
+            const points = getGroundTrack(satellite, date, { stepMinutes })
+                .map(({ lat, lon }) => latLonToVector3(lat, lon, this.radius * 1.002));
+            if (points.length > 1) {
+                const geometry = new THREE.BufferGeometry().setFromPoints(points);
+                this.tracks.add(new THREE.Line(geometry, selected ? this.selectedTrackMaterial : this.trackMaterial));
+            }
+            if (selected) this.addOrbit(satellite, date, stepMinutes);
+        });
+    }
+
+    // One full revolution at the satellite's real height
+    addOrbit(satellite, date, stepMinutes) {
+        const points = [];
+        for (let i = 0; i <= TRACK_POINTS; i++) {
+            const state = getSatelliteState(satellite, new Date(date.getTime() + i * stepMinutes * 60000));
+            if (state) points.push(this.toScene(state.lat, state.lon, state.altitudeKm));
+        }
+        if (points.length < 2) return;
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        this.tracks.add(new THREE.Line(geometry, this.orbitMaterial));
+    }
+
+    clearTracks() {
+        this.tracks.children.slice().forEach(line => {
+            this.tracks.remove(line);
+            line.geometry.dispose();
+        });
+    }
+
+    /**
+     * The satellite hit by the ray, or null. Hits farther than maxDistance
+     * (behind the Earth) are ignored.
+     */
+    pick(raycaster, maxDistance = Infinity) {
+        if (!this.mesh) return null;
+        const hit = raycaster.intersectObject(this.mesh, false).find(h => h.distance <= maxDistance);
+        return hit ? this.satellites[hit.instanceId] : null;
+    }
+
+    dispose() {
+        this.setSatellites([]);
+        this.clearTracks();
+        this.geometry.dispose();
+        this.trackMaterial.dispose();
+        this.selectedTrackMaterial.dispose();
+        this.orbitMaterial.dispose();
+    }
+}
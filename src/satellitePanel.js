@@ -0,0 +1,216 @@
+import { parseTle, getSatelliteState, findNextPass, getZonedParts } from './core/index.js';
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// "06-01 21:14" on the city's clock
+function formatLocal(date, timezone) {
+    const p = getZonedParts(date, timezone);
+    return `${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// TLEs lose accuracy by a few km a day; older than this gets a warning
+const STALE_TLE_DAYS = 14;
+// Skipped sets listed in the panel; the rest are counted
+const MAX_LISTED_ERRORS = 20;
+
+// Satellite tracking from TLE files: the bundled sample set, or files picked
+// with LOAD_TLE or dropped on the page. Clicking a satellite on the globe
+// shows its height, speed, TLE age and next pass over the selected city.
+export class SatellitePanel {
+    constructor(globe, ui, clock) {
+        this.globe = globe;
+        this.ui = ui;
+        this.clock = clock;
+
+        this.panel = document.getElementById('satellite-panel');
+        this.toggleBtn = document.getElementById('satellites-toggle');
+        this.closeBtn = document.getElementById('satellite-close');
+        this.loadBtn = document.getElementById('satellite-load');
+        this.fileInput = document.getElementById('satellite-file');
+        this.sampleBtn = document.getElementById('satellite-sample');
+        this.clearBtn = document.getElementById('satellite-clear');
+        this.statusEl = document.getElementById('satellite-status');
+        this.errorsEl = document.getElementById('satellite-errors');
+        this.infoEl = document.getElementById('satellite-info');
+
+        this.satellites = [];
+        this.source = null;
+        this.illustrative = false; // The bundled sample: nominal orbits, not tracking data
+        this.loaded = false;
+        this.selected = null;
+        this.pass = null;
+        this.passKey = null;
+        this.passSearchedAt = null;
+
+        this.initListeners();
+        this.render();
+        setInterval(() => this.render(), 1000);
+    }
+
+    initListeners() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.toggle(false));
+        this.loadBtn.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            this.loadFiles(this.fileInput.files);
+            this.fileInput.value = '';
+        });
+        this.sampleBtn.addEventListener('click', () => this.loadSample());
+        this.clearBtn.addEventListener('click', () => {
+            this.setErrors([]);
+            this.setSatellites([]);
+        });
+
+        // TLE files dropped anywhere on the page
+        window.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+        });
+        window.addEventListener('drop', (e) => {
+            if (e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.toggle(true);
+            this.loadFiles(e.dataTransfer.files);
+        });
+
+        this.clock.onChange(() => this.render());
+        this.ui.onChange(() => this.render());
+    }
+
+    // The sample set loads the first time the panel opens
+    toggle(open = this.panel.classList.contains('hidden')) {
+        this.panel.classList.toggle('hidden', !open);
+        if (open && !this.loaded) this.loadSample();
+    }
+
+    async loadSample() {
+        this.loaded = true;
+        try {
+            const response = await fetch(`${this.globe.assetBase}tle/sample.tle`);
+            if (!response.ok) throw new Error(`Failed to load sample TLEs (${response.status})`);
+            this.load(await response.text(), 'SAMPLE', { illustrative: true });
+        } catch (e) {
+            console.error(e);
+            this.ui.showToast('SAMPLE TLES UNAVAILABLE');
+        }
+    }
+
+    async loadFiles(files) {
+        this.loaded = true;
+        const texts = await Promise.all(Array.from(files).map(file => file.text()));
+        const names = Array.from(files).map(file => file.name).join(', ');
+        this.load(texts.join('\n'), names.toUpperCase());
+    }
+
+    load(text, source, { illustrative = false } = {}) {
+        const { satellites, errors } = parseTle(text);
+        this.setErrors(errors.map(error => ({ ...error, source })));
+        this.ui.showToast(errors.length > 0
+            ? `LOADED ${satellites.length} SATELLITES, ${errors.length} BAD SETS SKIPPED (LISTED IN THE PANEL)`
+            : `LOADED ${satellites.length} ${illustrative ? 'ILLUSTRATIVE ' : ''}SATELLITES`);
+        if (satellites.length > 0) {
+            this.source = source;
+            this.illustrative = illustrative;
+            this.setSatellites(satellites);
+        }
+    }
+
+    // Sets skipped by the last load, as "FILE LINE 12: CHECKSUM MISMATCH"
+    setErrors(errors) {
+        this.errorsEl.innerHTML = '';
+        this.errorsEl.classList.toggle('hidden', errors.length === 0);
+        errors.slice(0, MAX_LISTED_ERRORS).forEach(({ source, line, message }) => {
+            const item = document.createElement('li');
+            item.textContent = `${source} LINE ${line}: ${message.toUpperCase()}`;
+            this.errorsEl.appendChild(item);
+        });
+        if (errors.length > MAX_LISTED_ERRORS) {
+            const more = document.createElement('li');
+            more.textContent = `+${errors.length - MAX_LISTED_ERRORS} MORE`;
+            this.errorsEl.appendChild(more);
+        }
+    }
+
+    setSatellites(satellites) {
+        this.satellites = satellites;
+        this.globe.setSatellites(satellites);
+        this.select(null);
+    }
+
+    // Also called when a satellite is clicked on the globe
+    select(satellite) {
+        this.selected = satellite;
+        this.passKey = null;
+        this.globe.selectSatellite(satellite);
+        if (satellite) this.toggle(true);
+        this.render();
+    }
+
+    // Passes are searched again only when the satellite or city changes, the
+    // pass is over, or the clock jumps back before the search
+    getPass(city, date) {
+        const key = `${this.selected.catalogNumber},${city.lat},${city.lon}`;
+        const stale = key !== this.passKey || date < this.passSearchedAt ||
+            (this.pass ? this.pass.set && date > this.pass.set : date - this.passSearchedAt > 3600000);
+        if (stale) {
+            this.passKey = key;
+            this.passSearchedAt = date;
+            this.pass = findNextPass(this.selected, { lat: city.lat, lon: city.lon }, date);
+        }
+        return this.pass;
+    }
+
+    render() {
+        if (this.satellites.length === 0) {
+            this.statusEl.textContent = 'NO SATELLITES LOADED. DROP A TLE FILE ON THE PAGE.';
+        } else {
+            const note = this.illustrative ? ' (ILLUSTRATIVE ORBITS, NOT TRACKING DATA)' : '';
+            this.statusEl.textContent = `${this.satellites.length} SATELLITES FROM ${this.source}${note}. CLICK ONE ON THE GLOBE.`;
+        }
+
+        this.infoEl.innerHTML = '';
+        this.infoEl.classList.toggle('hidden', !this.selected);
+        if (!this.selected) return;
+
+        const date = this.clock.now();
+        const satellite = this.selected;
+        const state = getSatelliteState(satellite, date);
+        const ageDays = (date - satellite.epoch) / 86400000;
+        const rows = [
+            ['CATALOG', satellite.catalogNumber],
+            ['ALTITUDE', state ? `${Math.round(state.altitudeKm).toLocaleString('en-US')} KM` : '--'],
+            ['SPEED', state ? `${state.speedKms.toFixed(2)} KM/S` : '--'],
+            ['POSITION', state ? `${state.lat.toFixed(2)}, ${state.lon.toFixed(2)}` : 'PROPAGATION FAILED'],
+            ['TLE AGE', `${ageDays.toFixed(1)} DAYS${Math.abs(ageDays) > STALE_TLE_DAYS ? ' (STALE)' : ''}`]
+        ];
+        if (this.illustrative) rows.unshift(['DATA', 'ILLUSTRATIVE ONLY']);
+
+        const city = this.ui.selectedCity;
+        if (!city) {
+            rows.push(['NEXT PASS', 'SELECT A CITY']);
+        } else {
+            const pass = this.getPass(city, date);
+            rows.push(['PASSES OVER', city.name]);
+            if (!pass) {
+                rows.push(['NEXT PASS', 'NONE IN 24H']);
+            } else {
+                rows.push(['RISE', formatLocal(pass.rise, city.timezone)]);
+                rows.push(['MAX ELEV', `${pass.maxElevation.toFixed(0)}° AT ${formatLocal(pass.culmination, city.timezone)}`]);
+                rows.push(['SET', pass.set ? formatLocal(pass.set, city.timezone) : '--']);
+            }
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = satellite.name;
+        const list = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+        this.infoEl.append(title, list);
+    }
+}
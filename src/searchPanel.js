@@ -0,0 +1,155 @@
+import { buildSearchIndex, searchCities } from './core/index.js';
+
+/**
+ * Autocomplete dropdown bound to an <input> and a <ul>, with keyboard navigation.
+ * `getCities` returns the current city list (or null while loading);
+ * `onSelect(city)` fires when a result is picked.
+ */
+export class CityAutocomplete {
+    constructor(input, resultsEl, { getCities, onSelect, onLoading = () => {} }) {
+        this.input = input;
+        this.resultsEl = resultsEl;
+        this.getCities = getCities;
+        this.onSelect = onSelect;
+        this.onLoading = onLoading;
+
+        this.index = null;
+        this.indexedCities = null;
+        this.results = [];
+        this.activeIndex = -1;
+
+        this.initListeners();
+    }
+
+    initListeners() {
+        this.input.addEventListener('input', () => this.update());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+            } else if (e.key === 'Enter') {
+                const result = this.results[Math.max(this.activeIndex, 0)];
+                if (result) this.select(result.city);
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        this.input.addEventListener('blur', () => {
+            // Let a click on a result land before closing
+            setTimeout(() => this.close(), 150);
+        });
+
+        this.input.addEventListener('focus', () => this.update());
+    }
+
+    getIndex() {
+        const cities = this.getCities();
+        if (!cities) return null;
+        if (this.indexedCities !== cities) {
+            this.index = buildSearchIndex(cities);
+            this.indexedCities = cities;
+        }
+        return this.index;
+    }
+
+    update() {
+        const query = this.input.value;
+        if (!query.trim()) {
+            this.close();
+            return;
+        }
+
+        const index = this.getIndex();
+        if (!index) {
+            this.onLoading();
+            return;
+        }
+
+        this.results = searchCities(index, query);
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.render();
+    }
+
+    render() {
+        this.resultsEl.innerHTML = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'NO MATCH';
+            this.resultsEl.appendChild(empty);
+        }
+
+        this.results.forEach((result, i) => {
+            const { city } = result;
+            const item = document.createElement('li');
+            item.className = i === this.activeIndex ? 'active' : '';
+            item.innerHTML = `<span class="result-name"></span><span class="result-meta"></span>`;
+            item.querySelector('.result-name').textContent = city.name;
+            item.querySelector('.result-meta').textContent =
+                result.field === 'timezone' ? city.timezone : city.country;
+
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault(); // Keep focus in the input
+                this.select(city);
+            });
+            item.addEventListener('mouseenter', () => this.setActive(i));
+
+            this.resultsEl.appendChild(item);
+        });
+
+        this.resultsEl.classList.remove('hidden');
+    }
+
+    setActive(index) {
+        if (this.results.length === 0) return;
+        const count = this.results.length;
+        this.activeIndex = (index + count) % count;
+        Array.from(this.resultsEl.children).forEach((item, i) => {
+            item.classList.toggle('active', i === this.activeIndex);
+            if (i === this.activeIndex) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    select(city) {
+        this.close();
+        this.onSelect(city);
+    }
+
+    close() {
+        this.results = [];
+        this.activeIndex = -1;
+        this.resultsEl.classList.add('hidden');
+        this.resultsEl.innerHTML = '';
+    }
+}
+
+// City name search box.
+// Picking a result flies the globe to the city, drops a pin and opens the info panel.
+export class CitySearchPanel {
+    constructor(globe, ui) {
+        this.globe = globe;
+        this.ui = ui;
+
+        this.input = document.getElementById('city-input');
+
+        this.autocomplete = new CityAutocomplete(this.input, document.getElementById('city-results'), {
+            getCities: () => this.globe.allCities,
+            onSelect: (city) => this.select(city),
+            onLoading: () => this.ui.showToast("SYSTEM LOADING DATA... PLEASE WAIT")
+        });
+    }
+
+    select(city) {
+        this.input.value = city.name;
+
+        this.globe.flyTo(city.lat, city.lon);
+        this.globe.addTemporaryPin(city.lat, city.lon);
+        this.ui.selectCity(city);
+    }
+}
@@ -1,5 +1,7 @@
+import { MAP_MORPH_GLSL } from './mapMorph.js';
 
 export const earthVertexShader = `
+${MAP_MORPH_GLSL}
 varying vec2 vUv;
 varying vec3 vNormal;
 varying vec3 vPosition;
@@ -13,6 +15,11 @@ void main() {
   // World Position
   vec4 worldPosition = modelMatrix * vec4(position, 1.0);
   vPosition = worldPosition.xyz;
+
+  // Flat map: lat/lon from the texture coordinates, which (unlike the
+  // position) tell both edges of the antimeridian seam apart. vNormal keeps
+  // the globe's normal, so day and night stay where they are.
+  worldPosition.xyz = mapMorphLatLon(worldPosition.xyz, (uv.y - 0.5) * 3.14159265, (uv.x - 0.5) * 6.28318531);
   
   gl_Position = projectionMatrix * viewMatrix * worldPosition;
 }
@@ -23,10 +30,17 @@ uniform sampler2D dayTexture;
 uniform sampler2D nightTexture;
 uniform sampler2D specularMap;
 uniform vec3 sunDirection;
+uniform float showTerminator;
+uniform float showTwilight;
 
 varying vec2 vUv;
 varying vec3 vNormal;
 
+// 1.0 on the contour where value == level, fading out over ~1.5px
+float contourLine(float value, float level, float pixelWidth) {
+  return 1.0 - smoothstep(0.75, 1.5, abs(value - level) / max(pixelWidth, 1e-4));
+}
+
 void main() {
   // Lighting calculation in World Space
   // sunDirection is World Space vector (normalized)
@@ -57,6 +71,20 @@ void main() {
       finalColor += nightColor * 0.8 * (1.0 - mixVal); 
   }
 
+  // Optional contours of the Sun's geometric altitude (degrees):
+  // terminator at 0, civil / nautical / astronomical twilight at -6 / -12 / -18
+  float altitude = degrees(asin(clamp(dot(normalize(vNormal), normalize(sunDirection)), -1.0, 1.0)));
+  float pixelWidth = fwidth(altitude);
+  if (showTerminator > 0.5) {
+      finalColor = mix(finalColor, vec3(1.0, 0.8, 0.0), contourLine(altitude, 0.0, pixelWidth));
+  }
+  if (showTwilight > 0.5) {
+      vec3 twilightColor = vec3(0.0, 1.0, 0.8);
+      finalColor = mix(finalColor, twilightColor, 0.8 * contourLine(altitude, -6.0, pixelWidth));
+      finalColor = mix(finalColor, twilightColor, 0.55 * contourLine(altitude, -12.0, pixelWidth));
+      finalColor = mix(finalColor, twilightColor, 0.35 * contourLine(altitude, -18.0, pixelWidth));
+  }
+
   // Debug: Show normal
   // gl_FragColor = vec4(vNormal * 0.5 + 0.5, 1.0);
   
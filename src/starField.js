@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+import { getStarSubpoint } from './core/index.js';
+import { latLonToVector3, vector3ToLatLon } from './utils.js';
+import { createTextSprite, disposeSprite } from './labels.js';
+
+const starVertexShader = `
+attribute float size;
+attribute vec3 starColor;
+attribute float alpha;
+uniform float pixelRatio;
+
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  vColor = starColor;
+  vAlpha = alpha;
+  gl_PointSize = size * pixelRatio;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// Round point with a soft edge
+const starFragmentShader = `
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  float d = length(gl_PointCoord - vec2(0.5));
+  if (d > 0.5) discard;
+  gl_FragColor = vec4(vColor, vAlpha * smoothstep(0.5, 0.2, d));
+}
+`;
+
+// B-V colour index to an RGB tint: temperature (Ballesteros 2012), then the
+// usual blackbody curve fit. Unknown indices are white.
+function bvToColor(bv) {
+    if (bv === null) return new THREE.Color(1, 1, 1);
+    const t = 4600 * (1 / (0.92 * bv + 1.7) + 1 / (0.92 * bv + 0.62)) / 100;
+
+    const r = t <= 66 ? 255 : 329.7 * Math.pow(t - 60, -0.1332);
+    const g = t <= 66 ? 99.47 * Math.log(t) - 161.12 : 288.12 * Math.pow(t - 60, -0.0755);
+    const b = t >= 66 ? 255 : (t <= 19 ? 0 : 138.52 * Math.log(t - 10) - 305.04);
+    const clamp = (v) => Math.min(255, Math.max(0, v)) / 255;
+    // Washed towards white, as the eye sees star colours
+    return new THREE.Color(clamp(r), clamp(g), clamp(b)).lerp(new THREE.Color(1, 1, 1), 0.35);
+}
+
+/**
+ * The real sky: bright stars from public/stars.json (see build_stars.js) on a
+ * sphere that follows the camera, turned each frame by precession and
+ * Greenwich sidereal time so it lines up with the Earth-fixed globe. Point
+ * size and brightness follow magnitude, tint follows colour index. The
+ * constellation figures and names are hidden until setConstellations(true).
+ */
+export class StarField {
+    constructor(radius = 500, url = '/stars.json') {
+        this.radius = radius;
+        this.url = url;
+        this.group = new THREE.Group();
+        this.group.matrixAutoUpdate = false;
+        this.stars = null;
+        this.constellations = new THREE.Group();
+        this.constellations.visible = false;
+        this.group.add(this.constellations);
+        this.loading = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.url).then(response => {
+                if (!response.ok) throw new Error(`Failed to load ${this.url} (${response.status})`);
+                return response.json();
+            }).then(catalogue => this.build(catalogue));
+        }
+        return this.loading;
+    }
+
+    // Catalogue positions go in unrotated (RA as longitude); update() turns the whole group
+    position(ra, dec, radius = this.radius) {
+        return latLonToVector3(dec, ra, radius);
+    }
+
+    build({ stars, constellations, limit = 6 }) {
+        const positions = [];
+        const colors = [];
+        const sizes = [];
+        const alphas = [];
+        stars.forEach(([ra, dec, mag, bv]) => {
+            const p = this.position(ra, dec);
+            positions.push(p.x, p.y, p.z);
+            const color = bvToColor(bv);
+            colors.push(color.r, color.g, color.b);
+            sizes.push(Math.min(1.5 + 0.9 * (limit - mag), 9));
+            alphas.push(Math.min(1, Math.max(0.3, 0.3 + 0.15 * (limit - mag))));
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('starColor', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.Float32BufferAttribute(sizes, 1));
+        geometry.setAttribute('alpha', new THREE.Float32BufferAttribute(alphas, 1));
+        const material = new THREE.ShaderMaterial({
+            uniforms: { pixelRatio: { value: window.devicePixelRatio } },
+            vertexShader: starVertexShader,
+            fragmentShader: starFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+        this.stars = new THREE.Points(geometry, material);
+        this.group.add(this.stars);
+
+        // Stick figures a little inside the star sphere, so they don't cover the stars
+        const segments = [];
+        constellations.forEach(({ lines }) => lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                const a = this.position(line[i - 1][0], line[i - 1][1], this.radius * 0.99);
+                const b = this.position(line[i][0], line[i][1], this.radius * 0.99);
+                segments.push(a.x, a.y, a.z, b.x, b.y, b.z);
+            }
+        }));
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(segments, 3));
+        const lineMaterial = new THREE.LineBasicMaterial({ color: 0x00ffcc, transparent: true, opacity: 0.25, depthWrite: false });
+        this.constellations.add(new THREE.LineSegments(lineGeometry, lineMaterial));
+
+        constellations.forEach(({ name, label }) => {
+            const sprite = createTextSprite(name.toUpperCase(), { color: '#00ffcc', background: 'rgba(0, 0, 0, 0)', height: this.radius * 0.016 });
+            sprite.center.set(0.5, 0.5);
+            sprite.material.opacity = 0.6;
+            sprite.material.depthWrite = false;
+            sprite.position.copy(this.position(label[0], label[1], this.radius * 0.98));
+            this.constellations.add(sprite);
+        });
+    }
+
+    async setConstellations(visible) {
+        await this.load();
+        this.constellations.visible = Boolean(visible);
+    }
+
+    // The catalogue frame maps to the Earth frame by a rotation; its columns
+    // are where the three axes of the catalogue frame land on the sky of `date`
+    update(date, cameraPosition) {
+        const axes = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)].map(axis => {
+            const { lat, lon } = vector3ToLatLon(axis);
+            const point = getStarSubpoint(lon, lat, date);
+            return latLonToVector3(point.lat, point.lon, 1);
+        });
+        this.group.matrix.makeBasis(...axes).setPosition(cameraPosition);
+        this.group.matrixWorldNeedsUpdate = true;
+    }
+
+    dispose() {
+        this.group.traverse(obj => {
+            if (obj.isSprite) disposeSprite(obj);
+            else if (obj.geometry) {
+                obj.geometry.dispose();
+                obj.material.dispose();
+            }
+        });
+    }
+}
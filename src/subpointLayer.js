@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+import { getSubSolarPoint, getSubLunarPoint } from './core/index.js';
+import { latLonToVector3 } from './utils.js';
+import { createTextSprite, disposeSprite } from './labels.js';
+
+const LABEL_INTERVAL = 250; // ms between label redraws (canvas textures are not free)
+
+// "23.44°N 102.31°W"
+function formatLatLon(lat, lon) {
+    const ns = lat >= 0 ? 'N' : 'S';
+    const ew = lon >= 0 ? 'E' : 'W';
+    return `${Math.abs(lat).toFixed(2)}°${ns} ${Math.abs(lon).toFixed(2)}°${ew}`;
+}
+
+/**
+ * Markers on the points where the Sun and the Moon are directly overhead,
+ * each labelled with its current latitude/longitude.
+ */
+export class SubpointLayer {
+    constructor(radius = 5.03) {
+        this.radius = radius;
+        this.group = new THREE.Group();
+        this.geometry = new THREE.SphereGeometry(0.05, 12, 12);
+        this.lastLabelUpdate = 0;
+
+        this.points = [
+            { name: 'SUN', color: '#ffcc00', locate: getSubSolarPoint },
+            { name: 'MOON', color: '#ccddff', locate: getSubLunarPoint }
+        ].map(point => {
+            const group = new THREE.Group();
+            const marker = new THREE.Mesh(this.geometry, new THREE.MeshBasicMaterial({ color: point.color }));
+            group.add(marker);
+            this.group.add(group);
+            return { ...point, group, marker, label: null, text: '' };
+        });
+    }
+
+    update(date) {
+        const now = performance.now();
+        const refreshLabels = now - this.lastLabelUpdate >= LABEL_INTERVAL;
+        if (refreshLabels) this.lastLabelUpdate = now;
+
+        this.points.forEach(point => {
+            const { lat, lon } = point.locate(date);
+            point.group.position.copy(latLonToVector3(lat, lon, this.radius));
+            if (point.label) point.label.position.copy(point.group.position).normalize().multiplyScalar(0.08);
+
+            const text = `${point.name} ${formatLatLon(lat, lon)}`;
+            if (refreshLabels && text !== point.text) this.setLabel(point, text);
+        });
+    }
+
+    setLabel(point, text) {
+        if (point.label) {
+            point.group.remove(point.label);
+            disposeSprite(point.label);
+        }
+        point.text = text;
+        point.label = createTextSprite(text, { color: point.color, height: 0.14 });
+        point.label.position.copy(point.group.position).normalize().multiplyScalar(0.08);
+        point.group.add(point.label);
+    }
+
+    dispose() {
+        this.points.forEach(point => {
+            if (point.label) disposeSprite(point.label);
+            point.marker.material.dispose();
+        });
+        this.geometry.dispose();
+    }
+}
@@ -0,0 +1,174 @@
+import { getSunEvents, getYearlySunData, SUN_ALTITUDES, getZonedParts } from './core/index.js';
+
+const MONTH_INITIALS = 'JFMAMJJASOND';
+
+// Chart colours, darkest band first
+const BAND_COLORS = {
+    night: '#000a0a',
+    astronomical: '#00263a',
+    nautical: '#004466',
+    civil: '#00789a',
+    day: '#ffcc00'
+};
+
+function formatDuration(minutes) {
+    const total = Math.round(minutes);
+    return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Sun section of the info panel: today's events in the city's timezone and
+ * a yearly chart of day, twilight and night against the local clock.
+ */
+export class SunInfo {
+    constructor() {
+        this.container = document.getElementById('info-sun');
+        this.timesEl = document.getElementById('info-sun-times');
+        this.canvas = document.getElementById('info-sun-chart');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.dayKey = null;
+        this.yearKey = null;
+        this.yearData = null;
+    }
+
+    hide() {
+        this.container.classList.add('hidden');
+        this.dayKey = null;
+    }
+
+    // Cheap to call every tick: recomputes only when the city or its local date changes
+    show(city, date) {
+        const parts = getZonedParts(date, city.timezone);
+        const dayKey = `${city.lat},${city.lon},${city.timezone},${parts.year}-${parts.month}-${parts.day}`;
+        if (dayKey === this.dayKey) return;
+        this.dayKey = dayKey;
+
+        this.container.classList.remove('hidden');
+        const events = getSunEvents(city.lat, city.lon, date, city.timezone);
+        this.renderTimes(events, city.timezone, parts);
+
+        const yearKey = `${city.lat},${city.lon},${city.timezone},${parts.year}`;
+        if (yearKey !== this.yearKey) {
+            this.yearKey = yearKey;
+            this.yearData = getYearlySunData(city.lat, city.lon, parts.year, city.timezone);
+        }
+        this.drawChart(this.yearData, parts);
+    }
+
+    // "HH:MM" in the city's zone, with +1/-1 when the event is on another local date
+    formatTime(date, timezone, today) {
+        const p = getZonedParts(date, timezone);
+        const time = `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+        const dayDiff = Math.round((Date.UTC(p.year, p.month - 1, p.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+        if (dayDiff === 0) return time;
+        return `${time} ${dayDiff > 0 ? '+' : ''}${dayDiff}`;
+    }
+
+    renderTimes(events, timezone, today) {
+        const fmt = (date) => this.formatTime(date, timezone, today);
+
+        // Range of a twilight/day band, or what happens instead when the Sun doesn't cross it
+        const range = (start, end, altitude) => {
+            if (start && end) return `${fmt(start)} - ${fmt(end)}`;
+            if (events.polar === 'DAY') return '-';
+            if (events.midnightAltitude > altitude) return 'ALL NIGHT';
+            return 'NONE';
+        };
+
+        let dayLabel;
+        if (events.polar === 'DAY') dayLabel = 'MIDNIGHT SUN';
+        else if (events.polar === 'NIGHT') dayLabel = 'POLAR NIGHT';
+        else dayLabel = `${fmt(events.sunrise)} - ${fmt(events.sunset)}`;
+
+        const rows = [
+            ['DAY LENGTH', formatDuration(events.dayLengthMinutes)],
+            ['SUNRISE / SUNSET', dayLabel],
+            ['SOLAR NOON', `${fmt(events.solarNoon)} (${events.noonAltitude.toFixed(1)}°)`],
+            ['CIVIL TWILIGHT', range(events.civilDawn, events.civilDusk, SUN_ALTITUDES.CIVIL)],
+            ['NAUTICAL', range(events.nauticalDawn, events.nauticalDusk, SUN_ALTITUDES.NAUTICAL)],
+            ['ASTRONOMICAL', range(events.astronomicalDawn, events.astronomicalDusk, SUN_ALTITUDES.ASTRONOMICAL)]
+        ];
+
+        this.timesEl.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            this.timesEl.append(dt, dd);
+        });
+    }
+
+    /**
+     * One column per day, local midnight at the top and bottom edges and
+     * noon in the middle. A marker shows the current date.
+     */
+    drawChart(days, today) {
+        const { ctx, canvas } = this;
+        const width = canvas.width;
+        const height = canvas.height;
+        const axis = 12; // month initials along the bottom
+        const plotHeight = height - axis;
+        const colWidth = width / days.length;
+        const toY = (minutes) => (minutes / 1440) * plotHeight;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = BAND_COLORS.night;
+        ctx.fillRect(0, 0, width, plotHeight);
+
+        // Fill [start, end], wrapping parts that spill over local midnight
+        const fillBand = (x, band) => {
+            const spans = [[Math.max(0, band.start), Math.min(1440, band.end)]];
+            if (band.start < 0) spans.push([band.start + 1440, 1440]);
+            if (band.end > 1440) spans.push([0, band.end - 1440]);
+            spans.forEach(([a, b]) => {
+                if (b > a) ctx.fillRect(x, toY(a), colWidth + 0.5, toY(b) - toY(a));
+            });
+        };
+
+        days.forEach((entry, i) => {
+            const x = i * colWidth;
+            ['astronomical', 'nautical', 'civil', 'day'].forEach(name => {
+                const band = entry.bands[name];
+                if (!band) return;
+                ctx.fillStyle = BAND_COLORS[name];
+                fillBand(x, band);
+            });
+        });
+
+        // Hour grid at 06, 12, 18
+        ctx.strokeStyle = 'rgba(0, 255, 204, 0.25)';
+        ctx.lineWidth = 1;
+        [360, 720, 1080].forEach(minutes => {
+            const y = Math.round(toY(minutes)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        });
+
+        // Month ticks and initials
+        ctx.fillStyle = 'rgba(0, 255, 204, 0.8)';
+        ctx.font = '9px "Share Tech Mono", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        days.forEach((entry, i) => {
+            if (entry.day !== 1) return;
+            const x = i * colWidth;
+            ctx.fillRect(Math.round(x), plotHeight, 1, 3);
+            ctx.fillText(MONTH_INITIALS[entry.month - 1], x + 15 * colWidth, height);
+        });
+
+        // Today
+        const todayIndex = days.findIndex(entry => entry.month === today.month && entry.day === today.day);
+        if (todayIndex >= 0) {
+            const x = Math.round((todayIndex + 0.5) * colWidth) + 0.5;
+            ctx.strokeStyle = '#ff0055';
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, plotHeight);
+            ctx.stroke();
+        }
+    }
+}
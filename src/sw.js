@@ -0,0 +1,63 @@
+// Service worker template. The production build (see vite.config.js) replaces
+// the two placeholders below and emits the result as /sw.js.
+//
+// Everything the app needs is precached on install, so after one online visit
+// the globe keeps working with no network at all. Pages are network first
+// (a new deploy shows up on the next reload); everything else is cache first.
+
+const PRECACHE = self.__PRECACHE__;
+const VERSION = self.__VERSION__;
+const CACHE_NAME = `globeclock-${VERSION}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of previous builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('globeclock-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch (e) {
+        return (await caches.match('/')) || Response.error();
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // The app is a single page; deep links only differ in the hash
+    if (request.mode === 'navigate') event.respondWith(networkFirst(request));
+    else event.respondWith(cacheFirst(request));
+});
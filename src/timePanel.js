@@ -0,0 +1,121 @@
+import { SPEED_PRESETS } from './clock.js';
+
+// Scrubber covers +/- 30 days around the real "now", in hours
+const SCRUB_RANGE_HOURS = 30 * 24;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function formatUtc(date) {
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+}
+
+// Value for <input type="datetime-local"> in the viewer's own zone
+function toLocalInputValue(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export class TimePanel {
+    constructor(clock) {
+        this.clock = clock;
+
+        this.timeEl = document.getElementById('sim-time');
+        this.statusEl = document.getElementById('sim-status');
+        this.scrubber = document.getElementById('time-scrubber');
+        this.playBtn = document.getElementById('play-btn');
+        this.speedSelect = document.getElementById('speed-select');
+        this.liveBtn = document.getElementById('live-btn');
+        this.jumpInput = document.getElementById('jump-input');
+        this.jumpBtn = document.getElementById('jump-btn');
+
+        this.isScrubbing = false;
+
+        this.scrubber.min = -SCRUB_RANGE_HOURS;
+        this.scrubber.max = SCRUB_RANGE_HOURS;
+        this.scrubber.step = 0.25;
+
+        SPEED_PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.value;
+            option.textContent = preset.label;
+            this.speedSelect.appendChild(option);
+        });
+
+        this.initListeners();
+        this.clock.onChange(() => this.syncControls());
+        this.syncControls();
+        this.startLoop();
+    }
+
+    initListeners() {
+        this.scrubber.addEventListener('pointerdown', () => {
+            this.isScrubbing = true;
+        });
+
+        this.scrubber.addEventListener('input', () => {
+            const hours = parseFloat(this.scrubber.value);
+            this.clock.setTime(Date.now() + hours * 3600 * 1000);
+        });
+
+        this.scrubber.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+
+        this.playBtn.addEventListener('click', () => {
+            this.clock.toggle();
+        });
+
+        this.speedSelect.addEventListener('change', () => {
+            this.clock.setSpeed(Number(this.speedSelect.value));
+        });
+
+        this.liveBtn.addEventListener('click', () => {
+            this.clock.goLive();
+        });
+
+        this.jumpBtn.addEventListener('click', () => this.handleJump());
+        this.jumpInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleJump();
+        });
+    }
+
+    handleJump() {
+        if (!this.jumpInput.value) return;
+        // datetime-local has no zone; interpret it in the viewer's zone
+        const target = new Date(this.jumpInput.value);
+        if (isNaN(target.getTime())) return;
+        this.clock.setTime(target);
+    }
+
+    syncControls() {
+        this.playBtn.textContent = this.clock.playing ? 'PAUSE' : 'PLAY';
+        this.speedSelect.value = String(this.clock.speed);
+        if (document.activeElement !== this.jumpInput) {
+            this.jumpInput.value = toLocalInputValue(this.clock.now());
+        }
+        this.render();
+    }
+
+    render() {
+        const now = this.clock.now();
+        this.timeEl.textContent = formatUtc(now);
+        this.statusEl.textContent = this.clock.isLive() ? 'LIVE' : (this.clock.playing ? `SIM ${this.speedLabel()}` : 'SIM PAUSED');
+        this.statusEl.classList.toggle('live', this.clock.isLive());
+
+        if (!this.isScrubbing) {
+            const hours = (now.getTime() - Date.now()) / 3600000;
+            this.scrubber.value = Math.max(-SCRUB_RANGE_HOURS, Math.min(SCRUB_RANGE_HOURS, hours));
+        }
+    }
+
+    speedLabel() {
+        const preset = SPEED_PRESETS.find(p => p.value === this.clock.speed);
+        return preset ? preset.label : `${this.clock.speed}x`;
+    }
+
+    startLoop() {
+        setInterval(() => this.render(), 250);
+    }
+}
@@ -0,0 +1,383 @@
+import * as THREE from 'three';
+import { getUtcOffsetMinutes, getCanonicalTimezone } from './core/index.js';
+import { createTextSprite, disposeSprite } from './labels.js';
+import { latLonToVector3 } from './utils.js';
+import { MAP_MORPH_GLSL } from './mapMorph.js';
+
+export const TIMEZONE_MODES = {
+    OFF: 'off',
+    ZONES: 'zones', // IANA polygons from public/timezones.geojson
+    BANDS: 'bands' // Idealised 15 deg meridian bands
+};
+
+// Zone id raster (equirectangular, north row first)
+const MAP_WIDTH = 2048;
+const MAP_HEIGHT = 1024;
+// Only zones covering at least this many source grid cells get a label
+const MIN_LABEL_CELLS = 800;
+// Zones start flashing this long before their offset changes, faster as it nears
+const ALERT_WINDOW_MS = 72 * 3600000;
+const ALERT_LEVELS = 8;
+
+// Follows the Earth onto the flat map the same way the Earth's shader does
+const overlayVertexShader = `
+${MAP_MORPH_GLSL}
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+  worldPosition.xyz = mapMorphLatLon(worldPosition.xyz, (uv.y - 0.5) * 3.14159265, (uv.x - 0.5) * 6.28318531);
+  gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}
+`;
+
+// Zone ids are packed into the R/G channels of idMap (0 = no zone).
+// palette holds one texel per zone: RGB colour, A = 255 when highlighted,
+// 1-254 for an approaching offset change (the nearer, the higher).
+const overlayFragmentShader = `
+uniform sampler2D idMap;
+uniform sampler2D palette;
+uniform float zoneCount;
+uniform float hoverId;
+uniform float pulse;
+uniform vec2 texel;
+
+varying vec2 vUv;
+
+float zoneAt(vec2 uv) {
+  vec4 c = texture2D(idMap, vec2(uv.x, 1.0 - uv.y));
+  return floor(c.r * 255.0 + 0.5) + floor(c.g * 255.0 + 0.5) * 256.0;
+}
+
+void main() {
+  float id = zoneAt(vUv);
+  if (id < 0.5) discard;
+
+  vec4 zone = texture2D(palette, vec2((id - 0.5) / zoneCount, 0.5));
+
+  // Border where a neighbouring texel belongs to another zone
+  float border = 0.0;
+  if (zoneAt(vUv + vec2(texel.x, 0.0)) != id || zoneAt(vUv - vec2(texel.x, 0.0)) != id ||
+      zoneAt(vUv + vec2(0.0, texel.y)) != id || zoneAt(vUv - vec2(0.0, texel.y)) != id) {
+    border = 1.0;
+  }
+
+  bool hovered = abs(id - hoverId) < 0.5;
+  float flag = floor(zone.a * 255.0 + 0.5);
+  bool highlighted = flag > 254.5;
+  float alert = highlighted ? 0.0 : flag / 254.0;
+
+  vec3 color = zone.rgb;
+  float alpha = 0.12;
+  if (alert > 0.0) {
+    float strength = pulse * (0.3 + 0.7 * alert);
+    color = mix(color, vec3(1.0, 0.3, 0.0), strength);
+    alpha = mix(alpha, 0.7, strength);
+  }
+  if (highlighted) { color = vec3(1.0, 0.8, 0.0); alpha = 0.35; }
+  if (hovered) { color = mix(color, vec3(1.0), 0.4); alpha = 0.5; }
+  if (border > 0.5) { color = vec3(0.0, 1.0, 0.8); alpha = max(alpha, 0.55); }
+
+  gl_FragColor = vec4(color, alpha);
+}
+`;
+
+// "UTC+5:30" / "UTC-3" / "UTC"
+function formatShortOffset(minutes) {
+    if (minutes === 0) return 'UTC';
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    const m = abs % 60;
+    return `UTC${sign}${Math.floor(abs / 60)}${m ? ':' + String(m).padStart(2, '0') : ''}`;
+}
+
+// Colour by UTC offset so neighbouring whole-hour zones alternate
+function offsetColor(minutes) {
+    const hue = (((minutes / 60) * 47) % 360 + 360) % 360;
+    return new THREE.Color().setHSL(hue / 360, 0.7, 0.5);
+}
+
+/**
+ * Scanline-fills a polygon (array of [lon, lat] rings, even-odd rule) into
+ * the id raster. No antialiasing, so every pixel holds exactly one zone id.
+ */
+function fillPolygon(ids, rings, id) {
+    // Only scan the rows the outer ring spans
+    let north = -90;
+    let south = 90;
+    rings[0].forEach(([, lat]) => {
+        north = Math.max(north, lat);
+        south = Math.min(south, lat);
+    });
+    const firstRow = Math.max(0, Math.floor((90 - north) * MAP_HEIGHT / 180));
+    const lastRow = Math.min(MAP_HEIGHT - 1, Math.ceil((90 - south) * MAP_HEIGHT / 180));
+
+    for (let row = firstRow; row <= lastRow; row++) {
+        const lat = 90 - (row + 0.5) * 180 / MAP_HEIGHT;
+        const xs = [];
+        rings.forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [x1, y1] = ring[i];
+                const [x2, y2] = ring[i + 1];
+                if ((y1 > lat) !== (y2 > lat)) xs.push(x1 + (lat - y1) * (x2 - x1) / (y2 - y1));
+            }
+        });
+        xs.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < xs.length; k += 2) {
+            const from = Math.max(0, Math.ceil((xs[k] + 180) * MAP_WIDTH / 360 - 0.5));
+            const to = Math.min(MAP_WIDTH - 1, Math.floor((xs[k + 1] + 180) * MAP_WIDTH / 360 - 0.5));
+            for (let col = from; col <= to; col++) ids[row * MAP_WIDTH + col] = id;
+        }
+    }
+}
+
+/**
+ * Optional timezone layer draped over the Earth: real IANA zones or 15 deg
+ * meridian bands, with UTC offset labels, per-zone hover highlighting and
+ * flashing for zones whose offset is about to change.
+ * The zone shapes live in an id texture; colours and highlights live in a
+ * small per-zone palette texture, so DST changes and highlights never
+ * re-rasterize the map.
+ */
+export class TimezoneLayer {
+    constructor(radius = 5.01, url = '/timezones.geojson') {
+        this.radius = radius;
+        this.url = url;
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        this.mode = TIMEZONE_MODES.OFF;
+        this.features = null; // GeoJSON features, loaded on first use
+        this.zones = []; // [{ tzid, name, label: [lon, lat], cells }], zone id = index + 1
+        this.ids = new Uint16Array(MAP_WIDTH * MAP_HEIGHT);
+        this.highlighted = new Set(); // tzids
+        this.alerts = new Map(); // canonical tzid -> upcoming transition times (ms)
+        this.alertLevels = [];
+        this.hoveredId = 0;
+        this.offsets = [];
+        this.lastOffsetCheck = 0;
+
+        this.idData = new Uint8Array(MAP_WIDTH * MAP_HEIGHT * 4);
+        this.idTexture = new THREE.DataTexture(this.idData, MAP_WIDTH, MAP_HEIGHT, THREE.RGBAFormat);
+        this.idTexture.magFilter = THREE.NearestFilter;
+        this.idTexture.minFilter = THREE.NearestFilter;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                idMap: { value: this.idTexture },
+                palette: { value: null },
+                zoneCount: { value: 1 },
+                hoverId: { value: 0 },
+                pulse: { value: 0 },
+                texel: { value: new THREE.Vector2(1 / MAP_WIDTH, 1 / MAP_HEIGHT) },
+                // Shared with the globe's MapMorph once it patches this material
+                mapMorph: { value: 0 },
+                mapProjection: { value: 0 }
+            },
+            vertexShader: overlayVertexShader,
+            fragmentShader: overlayFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.mesh = new THREE.Mesh(new THREE.SphereGeometry(radius, 128, 64), this.material);
+        this.mesh.rotation.y = -Math.PI / 2; // Same texture alignment as the Earth
+        this.group.add(this.mesh);
+
+        this.labels = new THREE.Group();
+        this.group.add(this.labels);
+    }
+
+    async load(url = this.url) {
+        if (this.features) return;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url}`);
+        const data = await response.json();
+        this.features = data.features;
+    }
+
+    async setMode(mode, date) {
+        if (mode === TIMEZONE_MODES.ZONES) await this.load();
+
+        this.mode = mode;
+        this.group.visible = mode !== TIMEZONE_MODES.OFF;
+        this.setHovered(0);
+        if (mode === TIMEZONE_MODES.OFF) return;
+
+        this.buildZones();
+        this.rasterize();
+        this.offsets = [];
+        this.update(date, true);
+    }
+
+    buildZones() {
+        if (this.mode === TIMEZONE_MODES.BANDS) {
+            // Band n spans lon (n - 0.5) * 15 .. (n + 0.5) * 15; Etc/GMT signs are inverted
+            this.zones = [];
+            for (let n = -12; n <= 12; n++) {
+                this.zones.push({
+                    tzid: n === 0 ? 'Etc/UTC' : `Etc/GMT${n > 0 ? '-' : '+'}${Math.abs(n)}`,
+                    canonical: null, // Fixed offsets never change
+                    name: `${formatShortOffset(n * 60)} MERIDIAN BAND`,
+                    label: [n * 15, 0],
+                    cells: Infinity,
+                    band: n
+                });
+            }
+        } else {
+            this.zones = this.features.map(feature => ({
+                tzid: feature.properties.tzid,
+                canonical: getCanonicalTimezone(feature.properties.tzid),
+                name: feature.properties.tzid,
+                label: feature.properties.label,
+                cells: feature.properties.cells,
+                feature
+            }));
+        }
+    }
+
+    rasterize() {
+        const ids = this.ids;
+        ids.fill(0);
+
+        if (this.mode === TIMEZONE_MODES.BANDS) {
+            for (let col = 0; col < MAP_WIDTH; col++) {
+                const lon = -180 + (col + 0.5) * 360 / MAP_WIDTH;
+                const band = Math.max(-12, Math.min(12, Math.round(lon / 15)));
+                const id = band + 13;
+                for (let row = 0; row < MAP_HEIGHT; row++) ids[row * MAP_WIDTH + col] = id;
+            }
+        } else {
+            this.zones.forEach((zone, i) => {
+                zone.feature.geometry.coordinates.forEach(polygon => fillPolygon(ids, polygon, i + 1));
+            });
+        }
+
+        for (let i = 0; i < ids.length; i++) {
+            this.idData[i * 4] = ids[i] & 255;
+            this.idData[i * 4 + 1] = ids[i] >> 8;
+            this.idData[i * 4 + 2] = 0;
+            this.idData[i * 4 + 3] = 255;
+        }
+        this.idTexture.needsUpdate = true;
+    }
+
+    /**
+     * Recomputes offsets (DST) and alerts at most once per second of real
+     * time, or when forced; rebuilds colours only if an offset or alert level
+     * changed, and labels only for offsets.
+     */
+    update(date, force = false) {
+        if (this.mode === TIMEZONE_MODES.OFF) return;
+        const now = Date.now();
+        this.material.uniforms.pulse.value = 0.5 - 0.5 * Math.cos(now / 1000 * Math.PI * 2);
+        if (!force && now - this.lastOffsetCheck < 1000) return;
+        this.lastOffsetCheck = now;
+
+        const offsets = this.zones.map(zone => getUtcOffsetMinutes(date, zone.tzid));
+        const offsetsChanged = force || offsets.some((offset, i) => offset !== this.offsets[i]);
+        this.offsets = offsets;
+
+        const levels = this.zones.map(zone => this.getAlertLevel(zone, date));
+        const alertsChanged = levels.some((level, i) => level !== this.alertLevels[i]);
+        this.alertLevels = levels;
+
+        if (offsetsChanged || alertsChanged) this.updatePalette();
+        if (offsetsChanged) this.buildLabels();
+    }
+
+    // 0, or 1..ALERT_LEVELS as the zone's next offset change nears
+    getAlertLevel(zone, date) {
+        const times = zone.canonical && this.alerts.get(zone.canonical);
+        if (!times) return 0;
+        const next = times.find(time => time > date.getTime());
+        if (next === undefined || next - date.getTime() > ALERT_WINDOW_MS) return 0;
+        return Math.max(1, Math.ceil((1 - (next - date.getTime()) / ALERT_WINDOW_MS) * ALERT_LEVELS));
+    }
+
+    updatePalette() {
+        const count = this.zones.length;
+        const data = new Uint8Array(count * 4);
+        this.zones.forEach((zone, i) => {
+            const color = offsetColor(this.offsets[i]);
+            data[i * 4] = color.r * 255;
+            data[i * 4 + 1] = color.g * 255;
+            data[i * 4 + 2] = color.b * 255;
+            const level = this.alertLevels[i] || 0;
+            data[i * 4 + 3] = this.highlighted.has(zone.tzid) ? 255 : Math.round(level / ALERT_LEVELS * 254);
+        });
+
+        if (this.material.uniforms.palette.value) this.material.uniforms.palette.value.dispose();
+        const palette = new THREE.DataTexture(data, count, 1, THREE.RGBAFormat);
+        palette.magFilter = THREE.NearestFilter;
+        palette.minFilter = THREE.NearestFilter;
+        palette.needsUpdate = true;
+        this.material.uniforms.palette.value = palette;
+        this.material.uniforms.zoneCount.value = count;
+    }
+
+    buildLabels() {
+        this.labels.children.slice().forEach(sprite => {
+            this.labels.remove(sprite);
+            disposeSprite(sprite);
+        });
+
+        this.zones.forEach((zone, i) => {
+            if (zone.cells < MIN_LABEL_CELLS) return;
+            const [lon, lat] = zone.label;
+            const sprite = createTextSprite(formatShortOffset(this.offsets[i]), { height: 0.12 });
+            sprite.center.set(0.5, 0.5);
+            sprite.position.copy(latLonToVector3(lat, lon, this.radius + 0.02));
+            this.labels.add(sprite);
+        });
+    }
+
+    // Zones to highlight (e.g. reverse lookup results); unknown ids are ignored
+    setHighlightedZones(tzids) {
+        this.highlighted = new Set(tzids);
+        if (this.mode !== TIMEZONE_MODES.OFF && this.offsets.length > 0) this.updatePalette();
+    }
+
+    // Upcoming offset changes (ZoneTransition list) to flash, matched to zones through aliases
+    setTransitionAlerts(transitions) {
+        this.alerts = new Map();
+        transitions.forEach(({ timezone, time }) => {
+            const key = getCanonicalTimezone(timezone);
+            if (!this.alerts.has(key)) this.alerts.set(key, []);
+            this.alerts.get(key).push(time.getTime());
+        });
+        this.alerts.forEach(times => times.sort((a, b) => a - b));
+        this.alertLevels = [];
+        this.lastOffsetCheck = 0;
+    }
+
+    setHovered(id) {
+        this.hoveredId = id;
+        this.material.uniforms.hoverId.value = id;
+    }
+
+    /**
+     * Zone under (lat, lon), highlighted as hovered:
+     * { tzid, name, offsetMinutes } or null.
+     */
+    pick(lat, lon) {
+        if (this.mode === TIMEZONE_MODES.OFF) return null;
+        const col = Math.min(MAP_WIDTH - 1, Math.floor((lon + 180) / 360 * MAP_WIDTH));
+        const row = Math.min(MAP_HEIGHT - 1, Math.floor((90 - lat) / 180 * MAP_HEIGHT));
+        const id = this.ids[row * MAP_WIDTH + col];
+        this.setHovered(id);
+        if (!id) return null;
+
+        const zone = this.zones[id - 1];
+        return { tzid: zone.tzid, name: zone.name, offsetMinutes: this.offsets[id - 1] };
+    }
+
+    dispose() {
+        this.labels.children.forEach(disposeSprite);
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        this.idTexture.dispose();
+        if (this.material.uniforms.palette.value) this.material.uniforms.palette.value.dispose();
+    }
+}
@@ -1,15 +1,41 @@
-import { getLocalTime, getSolarTimeStr } from './utils.js';
+import {
+    getLocalTime, getSolarTimeStr, formatUtcOffset, formatOffsetDifference, getZoneInfo,
+    findCivilMatches, findSolarMatches, parseTimeOfDay, LOOKUP_MODES
+} from './core/index.js';
+import { SunInfo } from './sunInfo.js';
+import { MoonInfo } from './moonPanel.js';
+
+function formatMinutes(minutes) {
+    const h = Math.floor(minutes / 60) % 24;
+    const m = Math.floor(minutes % 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
 
 export class UI {
-    constructor(globe) {
+    constructor(globe, clock) {
         this.globe = globe;
+        this.clock = clock;
         this.searchBtn = document.getElementById('find-btn');
         this.timeInput = document.getElementById('time-input');
+        this.modeSelect = document.getElementById('lookup-mode');
+        this.toleranceSelect = document.getElementById('lookup-tolerance');
+        this.clearBtn = document.getElementById('lookup-clear');
+        this.lookupPanel = document.getElementById('lookup-panel');
+        this.lookupResults = document.getElementById('lookup-results');
         this.infoPanel = document.getElementById('info-panel');
+        this.statusEl = document.querySelector('.system-status');
+        this.statusIssues = [];
 
         this.cityEl = document.getElementById('info-city');
         this.timeEl = document.getElementById('info-time');
         this.metaEl = document.getElementById('info-meta');
+        this.sunInfo = new SunInfo();
+        this.moonInfo = new MoonInfo();
+
+        // Shareable state (see deepLink.js): the last city picked and the last lookup run
+        this.selectedCity = null;
+        this.activeLookup = null;
+        this.listeners = new Set();
 
         this.initListeners();
         this.startClockLoop();
@@ -23,6 +49,10 @@ export class UI {
         this.timeInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.handleSearch();
         });
+
+        this.clearBtn.addEventListener('click', () => {
+            this.clearSearch();
+        });
     }
 
     showToast(message, duration = 4000) {
@@ -38,71 +68,134 @@ export class UI {
         }, duration);
     }
 
-    handleSearch() {
+    // Header status: ONLINE, or DEGRADED with the reasons in the tooltip
+    reportIssue(message) {
+        this.statusIssues.push(message);
+        this.statusEl.textContent = 'STATUS: DEGRADED';
+        this.statusEl.classList.add('degraded');
+        this.statusEl.title = this.statusIssues.join('\n');
+        this.showToast(message, 8000);
+    }
+
+    // Listeners fire when the selected city or the active lookup changes
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    emit() {
+        this.listeners.forEach(cb => cb(this));
+    }
+
+    handleSearch({ fly = true } = {}) {
         const timeVal = this.timeInput.value;
-        if (!timeVal) return;
+        const targetMinutes = parseTimeOfDay(timeVal);
+        if (targetMinutes === null) return;
 
         if (!this.globe.allCities) {
             this.showToast("SYSTEM LOADING DATA... PLEASE WAIT");
             return;
         }
 
-        const [h, m] = timeVal.split(':').map(Number);
-        const targetMinutes = h * 60 + m;
+        const now = this.clock.now();
+        const tolerance = Number(this.toleranceSelect.value);
 
-        let bestMatch = null;
-        let minDiff = Infinity;
+        if (this.modeSelect.value === LOOKUP_MODES.SOLAR) {
+            // APPARENT SOLAR TIME (longitude + Equation of Time): a band of longitudes
+            const result = findSolarMatches(this.globe.allCities, targetMinutes, now, { tolerance });
+            this.globe.setLookupHighlight({
+                cities: result.cities.map(match => match.city),
+                band: { centerLon: result.centerLon, halfWidth: result.halfWidth }
+            });
+            this.renderSolarResults(result);
+            if (fly) this.globe.flyTo(20, result.centerLon);
+            this.showToast(`SOLAR ${timeVal} BAND AT LON ${result.centerLon.toFixed(1)} (${result.cities.length} CITIES)`);
+        } else {
+            // CIVIL TIME: every zone whose wall clock reads the target
+            const matches = findCivilMatches(this.globe.allCities, targetMinutes, now, { tolerance });
+            this.globe.setLookupHighlight({
+                cities: matches.flatMap(match => match.cities),
+                zones: matches.map(match => match.timezone)
+            });
+            this.renderCivilResults(matches);
 
-        // SEARCH BY SOLAR TIME (Accurate Local Mean Time)
-        // This distinguishes cities in same timezone.
+            const top = matches.find(match => match.cities.length > 0);
+            if (top) {
+                if (fly) this.globe.flyTo(top.cities[0].lat, top.cities[0].lon);
+                this.updateInfoPanel(top.cities[0]);
+            }
+            this.showToast(matches.length > 0
+                ? `FOUND ${matches.length} ZONE${matches.length === 1 ? '' : 'S'} AT ${timeVal}`
+                : `NO ZONE READS ${timeVal} (±${tolerance} MIN)`);
+        }
 
-        this.globe.allCities.forEach(city => {
-            // Calculate Solar Minutes
-            // UTC Minutes + offset
-            const now = new Date();
-            const utcHours = now.getUTCHours() + now.getUTCMinutes() / 60;
-            let solarHours = utcHours + (city.lon / 15);
-            if (solarHours < 0) solarHours += 24;
-            if (solarHours >= 24) solarHours -= 24;
+        this.activeLookup = { time: timeVal, mode: this.modeSelect.value, tolerance };
+        this.emit();
+    }
 
-            const solarMinutes = solarHours * 60;
+    // Fills in the lookup controls and runs the search (used when restoring a link)
+    setLookup({ time, mode, tolerance }, options) {
+        this.timeInput.value = time;
+        if (Object.values(LOOKUP_MODES).includes(mode)) this.modeSelect.value = mode;
+        if (Array.from(this.toleranceSelect.options).some(option => Number(option.value) === tolerance)) {
+            this.toleranceSelect.value = String(tolerance);
+        }
+        this.handleSearch(options);
+    }
 
-            // Diff
-            let diff = Math.abs(solarMinutes - targetMinutes);
-            if (diff > 720) diff = 1440 - diff;
+    renderCivilResults(matches) {
+        this.lookupResults.innerHTML = '';
+        matches.forEach(match => {
+            const item = document.createElement('li');
+            const names = match.cities.slice(0, 3).map(city => city.name).join(', ');
+            const more = match.cities.length > 3 ? ` +${match.cities.length - 3}` : '';
+            item.innerHTML = `<span class="lookup-time"></span><span class="lookup-zone"></span><span class="lookup-cities"></span>`;
+            item.querySelector('.lookup-time').textContent = formatMinutes(match.localMinutes);
+            item.querySelector('.lookup-zone').textContent = `${match.timezone} (UTC${formatUtcOffset(match.offsetMinutes)})`;
+            item.querySelector('.lookup-cities').textContent = names ? names + more : 'NO CITIES IN DATASET';
 
-            if (diff < minDiff) {
-                minDiff = diff;
-                bestMatch = city;
+            if (match.cities.length > 0) {
+                item.addEventListener('click', () => this.focusCity(match.cities[0]));
             }
+            this.lookupResults.appendChild(item);
         });
+        this.lookupPanel.classList.toggle('hidden', matches.length === 0);
+    }
 
-        if (bestMatch && minDiff <= 30) {
-            this.updateInfoPanel(bestMatch);
-            this.globe.flyTo(bestMatch.lat, bestMatch.lon);
-            this.globe.addTemporaryPin(bestMatch.lat, bestMatch.lon);
-            this.showToast(`FOUND: ${bestMatch.name}`);
-        } else {
-            // Fallback
-            this.updateInfoPanel(null);
-
-            const now = new Date();
-            const currentUtcHours = now.getUTCHours() + now.getUTCMinutes() / 60;
-            const targetLocalHours = h + m / 60;
-
-            let offset = targetLocalHours - currentUtcHours;
-
-            if (offset < -12) offset += 24;
-            if (offset > 12) offset -= 24;
+    renderSolarResults(result) {
+        this.lookupResults.innerHTML = '';
+        result.cities.slice(0, 50).forEach(match => {
+            const item = document.createElement('li');
+            item.innerHTML = `<span class="lookup-time"></span><span class="lookup-zone"></span><span class="lookup-cities"></span>`;
+            item.querySelector('.lookup-time').textContent = formatMinutes(match.solarMinutes);
+            item.querySelector('.lookup-zone').textContent = match.city.name;
+            item.querySelector('.lookup-cities').textContent = `${match.city.country} | LON ${match.city.lon.toFixed(1)}`;
+            item.addEventListener('click', () => this.focusCity(match.city));
+            this.lookupResults.appendChild(item);
+        });
+        this.lookupPanel.classList.toggle('hidden', result.cities.length === 0);
+    }
 
-            let targetLon = offset * 15;
+    focusCity(city) {
+        this.globe.flyTo(city.lat, city.lon);
+        this.globe.addTemporaryPin(city.lat, city.lon);
+        this.selectCity(city);
+    }
 
-            if (targetLon > 180) targetLon -= 360;
-            if (targetLon < -180) targetLon += 360;
+    // A deliberate pick (search, board, lookup result), unlike a hover
+    selectCity(city) {
+        this.updateInfoPanel(city);
+        this.selectedCity = city || null;
+        this.emit();
+    }
 
-            this.globe.flyTo(0, targetLon);
-            this.globe.addTemporaryPin(0, targetLon); // Add Pin at equator
-            this.showToast(`NO CITY FOUND. SHOWING TIME ZONE AREA (approx LON ${targetLon.toFixed(0)})`);
+    clearSearch() {
+        this.globe.setLookupHighlight();
+        this.lookupResults.innerHTML = '';
+        this.lookupPanel.classList.add('hidden');
+        if (this.activeLookup) {
+            this.activeLookup = null;
+            this.emit();
         }
     }
 
@@ -115,21 +208,69 @@ export class UI {
 
         this.infoPanel.classList.remove('hidden');
         this.cityEl.textContent = cityData.name;
+        this.currentZone = null;
 
         // Show Standard Civil Time (Time-zone based)
         // This matches the user's expected "watch" time.
-        const civil = getLocalTime(cityData.timezone);
+        const civil = getLocalTime(cityData.timezone, this.clock.now());
         this.timeEl.textContent = civil;
-        this.metaEl.innerHTML = `<span style="color:#00ccff">${cityData.timezone}</span><br>LAT: ${cityData.lat.toFixed(2)} | LON: ${cityData.lon.toFixed(2)}`;
+        this.metaEl.innerHTML = `<span style="color:#00ccff">${cityData.timezone}</span><br><span id="info-solar"></span><br>LAT: ${cityData.lat.toFixed(2)} | LON: ${cityData.lon.toFixed(2)}`;
+        this.updateSolarTime(cityData);
+        this.sunInfo.show(cityData, this.clock.now());
+        this.moonInfo.show(cityData, this.clock.now());
 
         this.currentCity = cityData;
     }
 
+    // Timezone hovered on the timezone overlay
+    updateZonePanel(zone) {
+        if (!zone) {
+            if (this.currentZone) {
+                this.infoPanel.classList.add('hidden');
+                this.currentZone = null;
+            }
+            return;
+        }
+
+        this.infoPanel.classList.remove('hidden');
+        this.cityEl.textContent = zone.name;
+        this.timeEl.textContent = getLocalTime(zone.tzid, this.clock.now());
+        this.currentCity = null;
+        this.currentZone = zone;
+        this.sunInfo.hide();
+        this.moonInfo.reset();
+        this.updateZoneMeta();
+    }
+
+    updateZoneMeta() {
+        const info = getZoneInfo(this.clock.now(), this.currentZone.tzid);
+        let dstLabel = 'NO DST';
+        if (info.observesDst) dstLabel = info.isDst ? 'DST ACTIVE' : 'STANDARD TIME';
+        let next = 'NO OFFSET CHANGE WITHIN A YEAR';
+        if (info.nextTransition) {
+            const { time, offsetBefore, offsetAfter } = info.nextTransition;
+            next = `NEXT CHANGE: ${time.toISOString().slice(0, 16).replace('T', ' ')} UTC (${formatOffsetDifference(offsetAfter - offsetBefore).toUpperCase()})`;
+        }
+        this.metaEl.innerHTML = `<span style="color:#00ccff">${this.currentZone.tzid}</span><br>UTC${formatUtcOffset(info.offsetMinutes)} ${info.abbreviation} | ${dstLabel}<br>${next}`;
+    }
+
+    // Apparent solar time, for comparison with the civil clock
+    updateSolarTime(cityData) {
+        const solarEl = document.getElementById('info-solar');
+        if (solarEl) solarEl.textContent = `SOLAR: ${getSolarTimeStr(cityData.lon, this.clock.now())}`;
+    }
+
     startClockLoop() {
         setInterval(() => {
             if (this.currentCity) {
-                const civil = getLocalTime(this.currentCity.timezone);
+                const civil = getLocalTime(this.currentCity.timezone, this.clock.now());
                 this.timeEl.textContent = civil;
+                this.updateSolarTime(this.currentCity);
+                this.sunInfo.show(this.currentCity, this.clock.now());
+                this.moonInfo.show(this.currentCity, this.clock.now());
+            } else if (this.currentZone) {
+                this.timeEl.textContent = getLocalTime(this.currentZone.tzid, this.clock.now());
+                this.updateZoneMeta();
             }
         }, 1000);
     }
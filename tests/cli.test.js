@@ -0,0 +1,93 @@
+// The globeclock CLI end to end: city matching, --json output and exit
+// statuses, run as a child process against the bundled city dataset.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const BIN = fileURLToPath(new URL('../bin/globeclock.js', import.meta.url));
+const AT = '2026-06-01T12:00:00Z';
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('exact, prefix and word-prefix city names are accepted', () => {
+    const exact = JSON.parse(run('now', 'Tokyo', '--json', '--at', AT).stdout);
+    assert.equal(exact.place, 'Tokyo, Japan');
+    assert.equal(exact.civilTime, '2026-06-01 21:00:00');
+    assert.equal(exact.utcOffset, '+09:00');
+
+    assert.equal(JSON.parse(run('now', 'sao paulo', '--json', '--at', AT).stdout).place, 'São Paulo, Brazil');
+    assert.equal(JSON.parse(run('now', 'lumpur', '--json', '--at', AT).stdout).place, 'Kuala Lumpur, Malaysia');
+    assert.equal(JSON.parse(run('now', 'Paris, France', '--json', '--at', AT).stdout).timezone, 'Europe/Paris');
+    assert.equal(JSON.parse(run('now', 'Tromso', '--json', '--at', AT).stdout).place, 'Tromsø, Norway');
+    assert.equal(JSON.parse(run('now', 'Lodz', '--json', '--at', AT).stdout).place, 'Łódź, Poland');
+});
+
+test('unknown cities exit with 2 and suggestions instead of a guess', () => {
+    const atlantis = run('now', 'Atlantis', '--at', AT);
+    assert.equal(atlantis.status, 2);
+    assert.equal(atlantis.stdout, '');
+    assert.match(atlantis.stderr, /Unknown city "Atlantis"\. Did you mean: Atlantic City/);
+
+    const typo = run('now', 'Tokio', '--json', '--at', AT);
+    assert.equal(typo.status, 2);
+    assert.equal(typo.stdout, '');
+    assert.match(typo.stderr, /Did you mean: Tokyo, Japan/);
+
+    const narnia = run('now', 'Narnia', '--at', AT);
+    assert.equal(narnia.status, 2);
+    assert.match(narnia.stderr, /Unknown city "Narnia"/);
+
+    assert.equal(run('now', 'Qwxzv').status, 2);
+    assert.equal(run('now', 'Mars/Olympus_Mons').status, 2);
+});
+
+test('bad usage exits with 1', () => {
+    assert.equal(run().status, 1);
+    assert.equal(run('bogus').status, 1);
+    assert.equal(run('where', '25:00').status, 1);
+    assert.equal(run('now', ', France').status, 1);
+    assert.equal(run('--help').status, 0);
+});
+
+test('where --json lists the zones at that time', () => {
+    const result = run('where', '09:00', '--json', '--tolerance', '0', '--at', AT);
+    assert.equal(result.status, 0);
+    const output = JSON.parse(result.stdout);
+    assert.equal(output.mode, 'civil');
+    assert.ok(output.zones.some(zone => zone.timezone === 'America/Sao_Paulo'));
+    assert.ok(output.zones.every(zone => zone.localTime === '09:00' && zone.diffMinutes === 0));
+});
+
+test('where matches to the minute when the time has seconds', () => {
+    const result = run('where', '17:45', '--json', '--tolerance', '0', '--at', '2026-06-01T12:00:30Z');
+    assert.equal(result.status, 0);
+    assert.deepEqual(JSON.parse(result.stdout).zones.map(zone => zone.timezone), ['Asia/Kathmandu']);
+});
+
+test('timezones are recognised by their exact forms only', () => {
+    assert.equal(JSON.parse(run('now', 'UTC', '--json', '--at', AT).stdout).civilTime, '2026-06-01 12:00:00');
+    assert.equal(JSON.parse(run('now', 'Etc/GMT-5', '--json', '--at', AT).stdout).utcOffset, '+05:00');
+    assert.equal(run('now', 'UTC+5').stderr.trim(), 'Error: Unknown timezone "UTC+5"');
+
+    // City names that merely start with utc/gmt/etc go through the city lookup
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'globeclock-'));
+    const file = path.join(dir, 'cities.json');
+    fs.writeFileSync(file, JSON.stringify([
+        { name: 'Etchmiadzin', country: 'Armenia', timezone: 'Asia/Yerevan', lat: 40.16, lon: 44.29, population: 46000 }
+    ]));
+    try {
+        const result = run('now', 'Etchmiadzin', '--json', '--at', AT, '--cities', file);
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(JSON.parse(result.stdout).timezone, 'Asia/Yerevan');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,96 @@
+// Shareable links: parsing the hash or query string into app state and
+// writing it back, including malformed and missing fields.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseState, serializeState } from '../src/deepLink.js';
+
+const EMPTY = { view: null, city: null, pins: [], lookup: null, overlays: {}, time: null };
+
+test('empty and unrelated input give the empty state', () => {
+    assert.deepEqual(parseState(''), EMPTY);
+    assert.deepEqual(parseState(null), EMPTY);
+    assert.deepEqual(parseState('#foo=bar'), EMPTY);
+});
+
+test('hash, query string and bare forms read the same', () => {
+    const text = 'city=Tokyo|Japan&lookup=09:00';
+    assert.deepEqual(parseState(`#${text}`), parseState(`?${text}`));
+    assert.deepEqual(parseState(text), parseState(`#${text}`));
+    assert.deepEqual(parseState(`?${text}`).city, { name: 'Tokyo', country: 'Japan' });
+});
+
+test('view: longitude wraps, latitude and numbers are checked', () => {
+    assert.deepEqual(parseState('#view=35.68,139.75,15').view, { lat: 35.68, lon: 139.75, distance: 15 });
+    assert.deepEqual(parseState('#view=10,200,12').view, { lat: 10, lon: -160, distance: 12 });
+    assert.deepEqual(parseState('#view=10,-540,12').view, { lat: 10, lon: 180 - 360, distance: 12 });
+    assert.deepEqual(parseState('#view=10,20').view, { lat: 10, lon: 20, distance: undefined });
+    assert.equal(parseState('#view=91,0,12').view, null);
+    assert.equal(parseState('#view=abc,0,12').view, null);
+    assert.equal(parseState('#view=10').view, null);
+});
+
+test('cities and repeated pins', () => {
+    const state = parseState('#city=Paris|France&pin=London|United Kingdom&pin=Lima&pin=|Peru');
+    assert.deepEqual(state.city, { name: 'Paris', country: 'France' });
+    // A pin without a name is dropped; one without a country matches any
+    assert.deepEqual(state.pins, [
+        { name: 'London', country: 'United Kingdom' },
+        { name: 'Lima', country: '' }
+    ]);
+    assert.deepEqual(parseState('#city=S%C3%A3o%20Paulo|Brazil').city, { name: 'São Paulo', country: 'Brazil' });
+});
+
+test('lookup: defaults for mode and tolerance, bad times dropped', () => {
+    assert.deepEqual(parseState('#lookup=9:05').lookup, { time: '09:05', mode: 'civil', tolerance: 15 });
+    assert.deepEqual(parseState('#lookup=17:45&mode=solar&tol=0').lookup, { time: '17:45', mode: 'solar', tolerance: 0 });
+    assert.deepEqual(parseState('#lookup=17:45&mode=lunar&tol=-5').lookup, { time: '17:45', mode: 'civil', tolerance: 15 });
+    assert.equal(parseState('#lookup=25:00&mode=solar').lookup, null);
+    assert.equal(parseState('#tol=5').lookup, null);
+});
+
+test('layers: flags and name:value pairs', () => {
+    assert.deepEqual(parseState('#layers=terminator,timezones:zones,labels:times').overlays, {
+        terminator: true,
+        timezones: 'zones',
+        labels: 'times'
+    });
+    assert.deepEqual(parseState('#layers=,').overlays, {});
+});
+
+test('time: ISO instants only', () => {
+    assert.equal(parseState('#t=2024-06-21T09:00:00Z').time.toISOString(), '2024-06-21T09:00:00.000Z');
+    assert.equal(parseState('#t=yesterday').time, null);
+    assert.equal(parseState('#t=').time, null);
+});
+
+test('serialized state keeps separators readable and round-trips', () => {
+    const state = {
+        view: { lat: 35.6812, lon: 139.7671, distance: 15.04 },
+        city: { name: 'Tokyo', country: 'Japan' },
+        pins: [{ name: 'Paris', country: 'France' }, { name: 'São Paulo', country: 'Brazil' }],
+        lookup: { time: '09:00', mode: 'solar', tolerance: 30 },
+        overlays: { terminator: true, timezones: 'zones' },
+        time: new Date('2024-06-21T09:00:00Z')
+    };
+    const text = serializeState(state);
+    assert.equal(text, 'view=35.68,139.77,15.0&city=Tokyo|Japan&pin=Paris|France&pin=S%C3%A3o+Paulo|Brazil' +
+        '&lookup=09:00&mode=solar&tol=30&layers=terminator,timezones:zones&t=2024-06-21T09:00:00Z');
+
+    const parsed = parseState(`#${text}`);
+    assert.deepEqual({ ...parsed, view: null }, { ...state, view: null });
+    const { view } = parsed;
+    // Two decimals (about a kilometre) and one for the distance
+    assert.equal(view.lat, 35.68);
+    assert.ok(Math.abs(view.lon - 139.77) < 1e-9, `lon ${view.lon}`);
+    assert.equal(view.distance, 15);
+    assert.equal(serializeState(parseState(`#${text}`)), text);
+});
+
+test('only set fields are written', () => {
+    assert.equal(serializeState({}), '');
+    assert.equal(serializeState({ city: { name: 'Lima' } }), 'city=Lima|');
+    assert.deepEqual(parseState(`#${serializeState({ city: { name: 'Lima' } })}`).city, { name: 'Lima', country: '' });
+    // Fractional seconds survive
+    assert.equal(serializeState({ time: new Date('2024-06-21T09:00:00.250Z') }), 't=2024-06-21T09:00:00.250Z');
+});
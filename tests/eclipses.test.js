@@ -0,0 +1,152 @@
+// Eclipse prediction against known historical eclipses, with circumstances
+// from Espenak's NASA eclipse pages (times in UT).
+//
+// The truncated Meeus lunar theory is good to about 10", which moves eclipse
+// times by up to half a minute; hence the one minute bound on times.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getSolarEclipse, getLunarEclipse, findEclipses, getLocalSolarEclipse, getLocalLunarEclipse,
+    getSolarEclipsePath, getEclipseShadow
+} from '../src/core/eclipses.js';
+import { getDistanceKm } from '../src/core/geo.js';
+
+const TIME_BOUND_MS = 60000;
+
+function assertTime(actual, expected, label) {
+    const diff = Math.abs(actual.getTime() - new Date(expected).getTime());
+    assert.ok(diff <= TIME_BOUND_MS, `${label}: ${actual.toISOString()} is ${diff / 1000} s from ${expected}`);
+}
+
+function assertNear(actual, expected, bound, label) {
+    assert.ok(Math.abs(actual - expected) <= bound, `${label}: ${actual} vs ${expected}`);
+}
+
+describe('solar eclipses', () => {
+    test('2017-08-21 total (Great American Eclipse)', () => {
+        const eclipse = getSolarEclipse(new Date('2017-08-21T12:00:00Z'));
+        assert.equal(eclipse.type, 'total');
+        assert.equal(eclipse.central, true);
+        assertTime(eclipse.maximum, '2017-08-21T18:25:32Z', 'greatest eclipse');
+        assertNear(eclipse.gamma, 0.4367, 0.002, 'gamma');
+        assertNear(eclipse.magnitude, 1.0306, 0.001, 'magnitude');
+        // Near Hopkinsville, Kentucky
+        assert.ok(getDistanceKm(eclipse.greatestPoint, { lat: 36.97, lon: -87.67 }) < 50);
+    });
+
+    test('2024-04-08 total', () => {
+        const eclipse = getSolarEclipse(new Date('2024-04-08T00:00:00Z'));
+        assert.equal(eclipse.type, 'total');
+        assertTime(eclipse.maximum, '2024-04-08T18:17:16Z', 'greatest eclipse');
+        assertNear(eclipse.gamma, 0.3431, 0.002, 'gamma');
+        assertNear(eclipse.magnitude, 1.0566, 0.001, 'magnitude');
+    });
+
+    test('annular, hybrid and partial types', () => {
+        assert.equal(getSolarEclipse(new Date('2023-10-14T18:00:00Z')).type, 'annular');
+        assert.equal(getSolarEclipse(new Date('2023-04-20T04:00:00Z')).type, 'hybrid');
+        const partial = getSolarEclipse(new Date('2022-10-25T11:00:00Z'));
+        assert.equal(partial.type, 'partial');
+        assert.equal(partial.central, false);
+        assertNear(partial.gamma, 1.0701, 0.002, 'gamma');
+        assertNear(partial.magnitude, 0.8619, 0.01, 'magnitude');
+    });
+
+    test('no eclipse at an ordinary new moon', () => {
+        assert.equal(getSolarEclipse(new Date('2024-05-08T00:00:00Z')), null);
+    });
+
+    test('2024-04-08 totality in Dallas', () => {
+        const eclipse = getSolarEclipse(new Date('2024-04-08T00:00:00Z'));
+        const local = getLocalSolarEclipse(eclipse, 32.78, -96.80);
+        assert.equal(local.visible, true);
+        assert.equal(local.obscuration, 1);
+        assertTime(local.contacts.partialBegin.time, '2024-04-08T17:23:20Z', 'first contact');
+        assertTime(local.contacts.totalBegin.time, '2024-04-08T18:40:40Z', 'second contact');
+        assertTime(local.contacts.totalEnd.time, '2024-04-08T18:44:32Z', 'third contact');
+        assertTime(local.contacts.partialEnd.time, '2024-04-08T20:02:39Z', 'fourth contact');
+        assert.ok(local.maximum.altitude > 60);
+    });
+
+    test('partial from outside the path, and below the horizon', () => {
+        const eclipse = getSolarEclipse(new Date('2024-04-08T00:00:00Z'));
+        const newYork = getLocalSolarEclipse(eclipse, 40.71, -74.01);
+        assert.equal(newYork.contacts.totalBegin, null);
+        assertNear(newYork.magnitude, 0.90, 0.02, 'New York magnitude');
+        // The shadow reaches the British Isles only after sunset
+        assert.equal(getLocalSolarEclipse(eclipse, 51.5, -0.13).visible, false);
+        assert.equal(getLocalSolarEclipse(eclipse, -33.92, 18.42), null);
+    });
+
+    test('path of totality runs over Dallas', () => {
+        const eclipse = getSolarEclipse(new Date('2024-04-08T00:00:00Z'));
+        const path = getSolarEclipsePath(eclipse, { stepMinutes: 0.1 });
+        // Latitude of each line where it crosses Dallas' meridian
+        const latAt = (segments) => segments.flat().find(p => Math.abs(p.lon + 96.80) < 0.05).lat;
+        assert.ok(latAt(path.umbra.south) < 32.78 && 32.78 < latAt(path.umbra.north));
+        // Dallas is about 40 km north of the centre line
+        assertNear(latAt(path.centerLine), 32.4, 0.15, 'centre line latitude');
+        assert.ok(path.penumbra.north.length > 0 && path.penumbra.south.length > 0);
+    });
+
+    test('shadow outline on the ground at greatest eclipse', () => {
+        const eclipse = getSolarEclipse(new Date('2024-04-08T00:00:00Z'));
+        const shadow = getEclipseShadow(eclipse.maximum);
+        assert.ok(shadow.umbra.length === 1 && shadow.penumbra.length === 1);
+        // Umbra about 200 km across
+        const ring = shadow.umbra[0];
+        const width = Math.max(...ring.map(p => getDistanceKm(p, eclipse.greatestPoint)));
+        assert.ok(width > 70 && width < 150, `umbra radius ${width} km`);
+        assert.equal(getEclipseShadow(new Date('2024-05-08T00:00:00Z')), null);
+    });
+});
+
+describe('lunar eclipses', () => {
+    test('2022-11-08 total', () => {
+        const eclipse = getLunarEclipse(new Date('2022-11-08T00:00:00Z'));
+        assert.equal(eclipse.type, 'total');
+        assertTime(eclipse.maximum, '2022-11-08T10:59:11Z', 'greatest eclipse');
+        assertNear(eclipse.magnitude, 1.3589, 0.005, 'umbral magnitude');
+        assertNear(eclipse.penumbralMagnitude, 2.4155, 0.005, 'penumbral magnitude');
+        assertNear(eclipse.gamma, 0.2570, 0.002, 'gamma');
+        assertTime(eclipse.contacts.penumbralBegin, '2022-11-08T08:02:17Z', 'P1');
+        assertTime(eclipse.contacts.partialBegin, '2022-11-08T09:09:12Z', 'U1');
+        assertTime(eclipse.contacts.totalBegin, '2022-11-08T10:16:39Z', 'U2');
+        assertTime(eclipse.contacts.totalEnd, '2022-11-08T11:41:35Z', 'U3');
+        assertTime(eclipse.contacts.partialEnd, '2022-11-08T12:49:03Z', 'U4');
+        assertTime(eclipse.contacts.penumbralEnd, '2022-11-08T13:56:09Z', 'P4');
+    });
+
+    test('seen from Tokyo but not from London', () => {
+        const eclipse = getLunarEclipse(new Date('2022-11-08T00:00:00Z'));
+        const tokyo = getLocalLunarEclipse(eclipse, 35.68, 139.75);
+        assert.equal(tokyo.visible, true);
+        assert.ok(tokyo.maximum.altitude > 30);
+        assert.equal(getLocalLunarEclipse(eclipse, 51.5, -0.13).visible, false);
+    });
+
+    test('partial and penumbral types', () => {
+        const partial = getLunarEclipse(new Date('2023-10-28T20:00:00Z'));
+        assert.equal(partial.type, 'partial');
+        assertNear(partial.magnitude, 0.1222, 0.005, 'umbral magnitude');
+        const penumbral = getLunarEclipse(new Date('2023-05-05T17:00:00Z'));
+        assert.equal(penumbral.type, 'penumbral');
+        assert.equal(penumbral.contacts.partialBegin, null);
+        assertNear(penumbral.penumbralMagnitude, 0.9641, 0.005, 'penumbral magnitude');
+    });
+
+    test('no eclipse at an ordinary full moon', () => {
+        assert.equal(getLunarEclipse(new Date('2024-06-22T00:00:00Z')), null);
+    });
+});
+
+test('every eclipse of 2024', () => {
+    const eclipses = findEclipses(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+    assert.deepEqual(eclipses.map(e => `${e.maximum.toISOString().slice(0, 10)} ${e.kind} ${e.type}`), [
+        '2024-03-25 lunar penumbral',
+        '2024-04-08 solar total',
+        '2024-09-18 lunar partial',
+        '2024-10-02 solar annular'
+    ]);
+});
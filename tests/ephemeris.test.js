@@ -0,0 +1,154 @@
+// Ephemeris accuracy against tests/fixtures/ephemeris.json (astronomy-engine,
+// 1800-2200; regenerate with `npm run fixtures`) and against the worked
+// examples in Meeus, Astronomical Algorithms (2nd ed.).
+//
+// The bounds below are the documented accuracy of each provider (see README).
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { EPHEMERIDES, getDeltaT, getEphemeris, setEphemeris } from '../src/core/ephemeris.js';
+import { getSunMeeus, getMoonMeeus, getNutation, precessFromJ2000 } from '../src/core/meeus.js';
+import { getSunEvents } from '../src/core/sunEvents.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/ephemeris.json', import.meta.url)));
+
+// Bounds in degrees unless noted
+const BOUNDS = {
+    fast: {
+        sunLon: 0.025, sunDec: 0.01, eotSeconds: 5, sunDistance: 3e-4,
+        moonLon: 0.3, moonLat: 0.1, moonDec: 0.12, moonDistance: 400,
+        siderealTime: 0.01, sunriseMinutes: 0.5
+    },
+    precise: {
+        sunLon: 0.01, sunDec: 0.004, eotSeconds: 3, sunDistance: 1e-4,
+        moonLon: 0.005, moonLat: 0.003, moonDec: 0.003, moonDistance: 30,
+        siderealTime: 0.0005, sunriseMinutes: 0.5
+    }
+};
+
+// Smallest difference between two angles
+function angleDiff(a, b) {
+    return Math.abs(((a - b) % 360 + 540) % 360 - 180);
+}
+
+// Largest error over all fixtures, with the worst sample for the failure message
+function worst(rows, error) {
+    let max = { value: -Infinity, row: null };
+    rows.forEach(row => {
+        const value = error(row);
+        if (value > max.value) max = { value, row };
+    });
+    return max;
+}
+
+function assertWithin(result, bound, label) {
+    assert.ok(result.value <= bound,
+        `${label}: error ${result.value.toFixed(6)} exceeds ${bound} at ${result.row.date} (${result.row.place || 'geocentric'})`);
+}
+
+after(() => setEphemeris('precise'));
+
+Object.entries(BOUNDS).forEach(([mode, bounds]) => {
+    describe(`${mode} ephemeris vs reference tables (1800-2200)`, () => {
+        const provider = EPHEMERIDES[mode];
+        const positions = fixtures.positions;
+
+        test('sun longitude, right ascension and declination', () => {
+            assertWithin(worst(positions, s => angleDiff(provider.sun(new Date(s.date)).lon, s.sun.lon)), bounds.sunLon, 'sun lon');
+            assertWithin(worst(positions, s => angleDiff(provider.sun(new Date(s.date)).ra, s.sun.ra)), bounds.sunLon, 'sun ra');
+            assertWithin(worst(positions, s => Math.abs(provider.sun(new Date(s.date)).dec - s.sun.dec)), bounds.sunDec, 'sun dec');
+        });
+
+        test('equation of time', () => {
+            assertWithin(worst(positions, s => Math.abs(provider.sun(new Date(s.date)).eot - s.sun.eot) * 60), bounds.eotSeconds, 'eot (s)');
+        });
+
+        test('sun distance', () => {
+            assertWithin(worst(positions, s => Math.abs(provider.sun(new Date(s.date)).distance - s.sun.distance)), bounds.sunDistance, 'sun distance (AU)');
+        });
+
+        test('moon ecliptic and equatorial position', () => {
+            assertWithin(worst(positions, s => angleDiff(provider.moon(new Date(s.date)).lon, s.moon.lon)), bounds.moonLon, 'moon lon');
+            assertWithin(worst(positions, s => Math.abs(provider.moon(new Date(s.date)).lat - s.moon.lat)), bounds.moonLat, 'moon lat');
+            assertWithin(worst(positions, s => angleDiff(provider.moon(new Date(s.date)).ra, s.moon.ra)), bounds.moonLon, 'moon ra');
+            assertWithin(worst(positions, s => Math.abs(provider.moon(new Date(s.date)).dec - s.moon.dec)), bounds.moonDec, 'moon dec');
+        });
+
+        test('moon distance', () => {
+            assertWithin(worst(positions, s => Math.abs(provider.moon(new Date(s.date)).distance - s.moon.distance)), bounds.moonDistance, 'moon distance (km)');
+        });
+
+        test('sidereal time', () => {
+            assertWithin(worst(positions, s => angleDiff(provider.siderealTime(new Date(s.date)), s.siderealTime)), bounds.siderealTime, 'sidereal time');
+        });
+
+        test('sunrise and sunset', () => {
+            setEphemeris(mode);
+            const events = (r) => getSunEvents(r.lat, r.lon, new Date(`${r.date}T12:00:00Z`), 'UTC');
+            assertWithin(worst(fixtures.sunrises, r => Math.abs(events(r).sunrise - new Date(r.sunrise)) / 60000), bounds.sunriseMinutes, 'sunrise (min)');
+            assertWithin(worst(fixtures.sunrises, r => Math.abs(events(r).sunset - new Date(r.sunset)) / 60000), bounds.sunriseMinutes, 'sunset (min)');
+        });
+    });
+});
+
+describe('Meeus worked examples', () => {
+    test('21.b precession of theta Persei to 2028 November 13.19 TD', () => {
+        // J2000 position with the proper motion to 2028 already applied
+        const p = precessFromJ2000(41.054063, 49.227750, 2462088.69);
+        assert.ok(angleDiff(p.ra, 41.547214) < 1e-5);
+        assert.ok(Math.abs(p.dec - 49.348483) < 1e-5);
+    });
+
+    test('22.a nutation, 1987 April 10 0h TD', () => {
+        const { dPsi, dEps } = getNutation(2446895.5);
+        assert.ok(Math.abs(dPsi * 3600 - -3.788) < 0.01);
+        assert.ok(Math.abs(dEps * 3600 - 9.443) < 0.01);
+    });
+
+    test('25.a apparent sun, 1992 October 13 0h TD', () => {
+        const sun = getSunMeeus(2448908.5);
+        // The book's result uses a simplified nutation; the full series moves it by ~1"
+        assert.ok(angleDiff(sun.ra, 198.38083) < 0.001);
+        assert.ok(Math.abs(sun.dec - -7.78507) < 0.001);
+        assert.ok(Math.abs(sun.distance - 0.99766) < 1e-5);
+    });
+
+    test('28.b equation of time, 1992 October 13 0h TD', () => {
+        assert.ok(Math.abs(getSunMeeus(2448908.5).eot - 13.7102) < 0.02); // 13m42.6s
+    });
+
+    test('47.a moon, 1992 April 12 0h TD', () => {
+        const moon = getMoonMeeus(2448724.5);
+        assert.ok(angleDiff(moon.lon, 133.167265) < 1e-5);
+        assert.ok(Math.abs(moon.lat - -3.229126) < 1e-5);
+        assert.ok(Math.abs(moon.distance - 368409.7) < 0.1);
+        assert.ok(angleDiff(moon.ra, 134.688470) < 1e-5);
+        assert.ok(Math.abs(moon.dec - 13.768368) < 1e-5);
+    });
+});
+
+describe('ΔT', () => {
+    test('matches observed values', () => {
+        // IERS / Astronomical Almanac, seconds
+        [[1900, -2.72], [1950, 29.15], [1980, 50.54], [2000, 63.83]].forEach(([year, expected]) => {
+            const deltaT = getDeltaT(new Date(Date.UTC(year, 0, 1)));
+            assert.ok(Math.abs(deltaT - expected) < 0.5, `ΔT ${year}: ${deltaT.toFixed(2)} s, expected ${expected} s`);
+        });
+    });
+});
+
+describe('setEphemeris', () => {
+    test('rejects unknown providers', () => {
+        assert.throws(() => setEphemeris('vsop2013'), /Unknown ephemeris/);
+        assert.throws(() => setEphemeris({ sun() {} }), /Unknown ephemeris/);
+    });
+
+    test('accepts a custom provider', () => {
+        const provider = { ...EPHEMERIDES.fast, name: 'custom' };
+        setEphemeris(provider);
+        assert.equal(getEphemeris().name, 'custom');
+        setEphemeris('precise');
+        assert.equal(getEphemeris(), EPHEMERIDES.precise);
+    });
+});
@@ -0,0 +1,117 @@
+// Great-circle geometry and flight legs: distances and bearings for known
+// city pairs, points along the route, flight time estimates and itineraries
+// whose zone differences change with DST.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    KM_PER_MILE, getCentralAngle, getDistanceKm, getInitialBearing, getCompassPoint, interpolateGreatCircle,
+    estimateFlightMinutes, buildItinerary
+} from '../src/core/geo.js';
+
+const LONDON = { name: 'London', lat: 51.5074, lon: -0.1278, timezone: 'Europe/London' };
+const NEW_YORK = { name: 'New York', lat: 40.7128, lon: -74.0060, timezone: 'America/New_York' };
+const TOKYO = { name: 'Tokyo', lat: 35.6762, lon: 139.6503, timezone: 'Asia/Tokyo' };
+const SYDNEY = { name: 'Sydney', lat: -33.8688, lon: 151.2093, timezone: 'Australia/Sydney' };
+
+function assertNear(actual, expected, bound, label) {
+    assert.ok(Math.abs(actual - expected) <= bound, `${label}: ${actual}, expected ${expected} ± ${bound}`);
+}
+
+describe('distance and bearing', () => {
+    test('London to New York', () => {
+        assertNear(getDistanceKm(LONDON, NEW_YORK), 5570, 5, 'distance');
+        assertNear(getInitialBearing(LONDON, NEW_YORK), 288.3, 0.1, 'bearing out');
+        assertNear(getInitialBearing(NEW_YORK, LONDON), 51.2, 0.1, 'bearing back');
+        assert.equal(getCompassPoint(getInitialBearing(LONDON, NEW_YORK)), 'WNW');
+    });
+
+    test('across the equator and the date line', () => {
+        assertNear(getDistanceKm(TOKYO, SYDNEY), 7826, 5, 'Tokyo-Sydney');
+        assertNear(getDistanceKm(LONDON, SYDNEY), 16994, 5, 'London-Sydney');
+        assertNear(getDistanceKm({ lat: 0, lon: 179 }, { lat: 0, lon: -179 }), 222.4, 0.1, 'date line');
+        assertNear(getCentralAngle({ lat: 0, lon: 0 }, { lat: 0, lon: 180 }), 180, 1e-9, 'antipodes');
+        assert.equal(getDistanceKm(LONDON, LONDON), 0);
+    });
+
+    test('cardinal bearings and compass points', () => {
+        assertNear(getInitialBearing({ lat: 0, lon: 0 }, { lat: 10, lon: 0 }), 0, 1e-9, 'north');
+        assertNear(getInitialBearing({ lat: 0, lon: 0 }, { lat: 0, lon: 10 }), 90, 1e-9, 'east');
+        assertNear(getInitialBearing({ lat: 0, lon: 0 }, { lat: -10, lon: 0 }), 180, 1e-9, 'south');
+        assertNear(getInitialBearing({ lat: 0, lon: 0 }, { lat: 0, lon: -10 }), 270, 1e-9, 'west');
+        assert.equal(getCompassPoint(0), 'N');
+        assert.equal(getCompassPoint(354), 'N');
+        assert.equal(getCompassPoint(22.5), 'NNE');
+        assert.equal(getCompassPoint(-90), 'W');
+    });
+});
+
+test('points along the great circle', () => {
+    const start = interpolateGreatCircle(LONDON, NEW_YORK, 0);
+    assertNear(start.lat, LONDON.lat, 1e-9, 'start lat');
+    assertNear(start.lon, LONDON.lon, 1e-9, 'start lon');
+    assert.deepEqual(interpolateGreatCircle(LONDON, LONDON, 0.5), { lat: LONDON.lat, lon: LONDON.lon });
+    const end = interpolateGreatCircle(LONDON, NEW_YORK, 1);
+    assertNear(end.lat, NEW_YORK.lat, 1e-9, 'end lat');
+    assertNear(end.lon, NEW_YORK.lon, 1e-9, 'end lon');
+
+    // The route bows north of both cities; the midpoint is equidistant
+    const mid = interpolateGreatCircle(LONDON, NEW_YORK, 0.5);
+    assertNear(mid.lat, 52.37, 0.01, 'midpoint lat');
+    assertNear(mid.lon, -41.29, 0.01, 'midpoint lon');
+    assertNear(getDistanceKm(LONDON, mid), getDistanceKm(mid, NEW_YORK), 1e-6, 'halfway');
+
+    const equator = interpolateGreatCircle({ lat: 0, lon: 0 }, { lat: 0, lon: 90 }, 0.5);
+    assertNear(equator.lat, 0, 1e-9, 'equator lat');
+    assertNear(equator.lon, 45, 1e-9, 'equator lon');
+    assertNear(Math.abs(interpolateGreatCircle({ lat: 0, lon: 170 }, { lat: 0, lon: -170 }, 0.5).lon), 180, 1e-9, 'date line');
+});
+
+test('flight time estimates', () => {
+    assert.equal(estimateFlightMinutes(0), 0);
+    // 5570 km at 830 km/h plus 30 minutes, to the nearest 5
+    assert.equal(estimateFlightMinutes(getDistanceKm(LONDON, NEW_YORK)), 435);
+    assert.equal(estimateFlightMinutes(830, { overheadMinutes: 0 }), 60);
+    assert.equal(estimateFlightMinutes(1000, { speedKmh: 500, overheadMinutes: 0 }), 120);
+});
+
+describe('itineraries', () => {
+    test('legs depart after the layover and arrive after the flight', () => {
+        const legs = buildItinerary([LONDON, NEW_YORK, TOKYO], new Date('2024-06-03T10:00:00Z'));
+        assert.equal(legs.length, 2);
+
+        const [first, second] = legs;
+        assert.equal(first.from, LONDON);
+        assert.equal(first.to, NEW_YORK);
+        assertNear(first.distanceMi, first.distanceKm / KM_PER_MILE, 1e-9, 'miles');
+        assert.equal(first.flightMinutes, 435);
+        assert.equal(first.departure.toISOString(), '2024-06-03T10:00:00.000Z');
+        assert.equal(first.arrival.toISOString(), '2024-06-03T17:15:00.000Z');
+
+        // 90 minutes on the ground by default
+        assert.equal(second.departure.toISOString(), '2024-06-03T18:45:00.000Z');
+        assert.equal(second.arrival.getTime(), second.departure.getTime() + second.flightMinutes * 60000);
+        assert.equal(second.zoneDifferenceMinutes, 13 * 60); // EDT to JST
+
+        const quick = buildItinerary([LONDON, NEW_YORK, TOKYO], new Date('2024-06-03T10:00:00Z'), { layoverMinutes: 0 });
+        assert.equal(quick[1].departure.getTime(), quick[0].arrival.getTime());
+    });
+
+    test('zone differences follow DST at the departure', () => {
+        const at = (iso) => buildItinerary([LONDON, NEW_YORK], new Date(iso))[0].zoneDifferenceMinutes;
+        assert.equal(at('2024-01-15T10:00:00Z'), -5 * 60);
+        // Between the US and EU spring changes
+        assert.equal(at('2024-03-20T10:00:00Z'), -4 * 60);
+        assert.equal(at('2024-06-03T10:00:00Z'), -5 * 60);
+
+        // Opposite hemispheres: 11 hours in the northern winter, 9 in summer
+        const toSydney = (iso) => buildItinerary([LONDON, SYDNEY], new Date(iso))[0].zoneDifferenceMinutes;
+        assert.equal(toSydney('2024-01-10T10:00:00Z'), 11 * 60);
+        assert.equal(toSydney('2024-07-10T10:00:00Z'), 9 * 60);
+    });
+
+    test('fewer than two cities make no legs', () => {
+        assert.deepEqual(buildItinerary([LONDON], new Date()), []);
+        assert.deepEqual(buildItinerary([], new Date()), []);
+    });
+});
@@ -0,0 +1,61 @@
+// Meeting planner: working hours (including overnight shifts) and the
+// overlap grid across zones, on normal days and on 23- and 25-hour days.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isWithinHours, buildOverlapGrid } from '../src/core/planner.js';
+
+const NINE_TO_FIVE = { start: 9 * 60, end: 17 * 60 };
+const LONDON = { city: { name: 'London', timezone: 'Europe/London' }, ...NINE_TO_FIVE };
+const NEW_YORK = { city: { name: 'New York', timezone: 'America/New_York' }, ...NINE_TO_FIVE };
+
+const bestHours = (grid) => grid.slots.filter(slot => slot.best).map(slot => slot.start.toISOString().slice(11, 16));
+
+test('working hours, same day and overnight', () => {
+    assert.equal(isWithinHours(9 * 60, 9 * 60, 17 * 60), true);
+    assert.equal(isWithinHours(17 * 60, 9 * 60, 17 * 60), false);
+    assert.equal(isWithinHours(8 * 60 + 59, 9 * 60, 17 * 60), false);
+    // Night shift 22:00-06:00
+    assert.equal(isWithinHours(23 * 60, 22 * 60, 6 * 60), true);
+    assert.equal(isWithinHours(5 * 60, 22 * 60, 6 * 60), true);
+    assert.equal(isWithinHours(12 * 60, 22 * 60, 6 * 60), false);
+    assert.equal(isWithinHours(12 * 60, 9 * 60, 9 * 60), false);
+});
+
+test('London and New York overlap for three hours in summer', () => {
+    const grid = buildOverlapGrid([LONDON, NEW_YORK], { year: 2024, month: 6, day: 3 }, 'Europe/London');
+    assert.equal(grid.slots.length, 48);
+    assert.equal(grid.bestCount, 2);
+    // 14:00-17:00 in London (BST), 09:00-12:00 in New York
+    assert.deepEqual(bestHours(grid), ['13:00', '13:30', '14:00', '14:30', '15:00', '15:30']);
+
+    const first = grid.slots[0];
+    assert.equal(first.start.toISOString(), '2024-06-02T23:00:00.000Z');
+    assert.deepEqual(first.localMinutes, [0, 19 * 60]);
+    assert.deepEqual(first.available, [false, false]);
+});
+
+test('four hours while only the US has changed clocks', () => {
+    const grid = buildOverlapGrid([LONDON, NEW_YORK], { year: 2024, month: 3, day: 20 }, 'Europe/London', 60);
+    assert.equal(grid.slots.length, 24);
+    assert.deepEqual(bestHours(grid), ['13:00', '14:00', '15:00', '16:00']);
+});
+
+test('short and long days in the reference zone', () => {
+    const spring = buildOverlapGrid([LONDON], { year: 2024, month: 3, day: 31 }, 'Europe/London');
+    assert.equal(spring.slots.length, 46);
+    // 01:00 UTC is already 02:00 BST
+    assert.equal(spring.slots[2].start.toISOString(), '2024-03-31T01:00:00.000Z');
+    assert.deepEqual(spring.slots[2].localMinutes, [2 * 60]);
+
+    const autumn = buildOverlapGrid([LONDON], { year: 2024, month: 10, day: 27 }, 'Europe/London', 60);
+    assert.equal(autumn.slots.length, 25);
+    assert.equal(autumn.slots[autumn.slots.length - 1].end.toISOString(), '2024-10-28T00:00:00.000Z');
+});
+
+test('no slot is best when nobody is available', () => {
+    const night = { city: { name: 'Tokyo', timezone: 'Asia/Tokyo' }, start: 0, end: 0 };
+    const grid = buildOverlapGrid([night], { year: 2024, month: 6, day: 3 }, 'Asia/Tokyo');
+    assert.equal(grid.bestCount, 0);
+    assert.ok(grid.slots.every(slot => !slot.best));
+});
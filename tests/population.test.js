@@ -0,0 +1,67 @@
+// Who is awake: the activity schedule, local weekdays either side of UTC,
+// and the per-zone aggregation over the real city list.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+    ACTIVITIES, getActivity, createPopulationIndex, getZoneOffsets, summarizeActivity
+} from '../src/core/population.js';
+
+const { ASLEEP, AWAKE, WORKING } = ACTIVITIES;
+const MONDAY = 1;
+const SATURDAY = 6;
+
+test('activity by local time and weekday', () => {
+    assert.equal(getActivity(6 * 60 + 59, MONDAY), ASLEEP);
+    assert.equal(getActivity(7 * 60, MONDAY), AWAKE);
+    assert.equal(getActivity(9 * 60, MONDAY), WORKING);
+    assert.equal(getActivity(16 * 60 + 59, MONDAY), WORKING);
+    assert.equal(getActivity(17 * 60, MONDAY), AWAKE);
+    assert.equal(getActivity(9 * 60, SATURDAY), AWAKE);
+    assert.equal(getActivity(23 * 60, MONDAY), ASLEEP);
+    assert.equal(getActivity(0, SATURDAY), ASLEEP);
+});
+
+test('cities counted by their own civil time and weekday', () => {
+    const index = createPopulationIndex([
+        { name: 'Tokyo', timezone: 'Asia/Tokyo', population: 30 },
+        { name: 'Osaka', timezone: 'Asia/Tokyo', population: 10 },
+        { name: 'London', timezone: 'Europe/London', population: 20 },
+        { name: 'New York', timezone: 'America/New_York', population: 5 },
+        { name: 'Kolkata', timezone: 'Asia/Kolkata', population: 3 },
+        { name: 'Nowhere', timezone: 'Asia/Kolkata' }
+    ]);
+    assert.equal(index.zones.length, 4);
+    assert.equal(index.total, 68);
+    assert.deepEqual(Array.from(index.zoneOf), [0, 0, 1, 2, 3, 3]);
+
+    // Monday 01:00 UTC: Tokyo Monday 10:00, London (BST) 02:00,
+    // New York (EDT) still Sunday 21:00, Kolkata 06:30
+    assert.deepEqual(summarizeActivity(index, new Date('2024-06-03T01:00:00Z')), {
+        asleep: 23, awake: 5, working: 40, total: 68
+    });
+    // Friday 22:00 UTC: Tokyo is in Saturday morning, so awake but not at work
+    assert.deepEqual(summarizeActivity(index, new Date('2024-06-07T22:00:00Z')), {
+        asleep: 23, awake: 45, working: 0, total: 68
+    });
+    // Kolkata's half-hour offset: 03:29 UTC is 08:59 there, 03:30 is 09:00
+    assert.equal(summarizeActivity(index, new Date('2024-06-03T03:29:00Z')).working, 40);
+    assert.equal(summarizeActivity(index, new Date('2024-06-03T03:30:00Z')).working, 43);
+});
+
+test('offsets follow DST changes to the minute', () => {
+    const index = createPopulationIndex([{ name: 'Berlin', timezone: 'Europe/Berlin', population: 1 }]);
+    assert.deepEqual(getZoneOffsets(index, new Date('2024-10-27T00:59:00Z')), [120]);
+    assert.deepEqual(getZoneOffsets(index, new Date('2024-10-27T01:00:00Z')), [60]);
+});
+
+test('the whole city list adds up', () => {
+    const cities = JSON.parse(fs.readFileSync(new URL('../public/cities.json', import.meta.url)));
+    const index = createPopulationIndex(cities);
+    const summary = summarizeActivity(index, new Date('2024-06-03T12:00:00Z'));
+    assert.equal(summary.asleep + summary.awake + summary.working, summary.total);
+    assert.ok(summary.total > 1e9);
+    // Monday noon UTC: Europe and Africa are at work, the Americas waking up, East Asia going to bed
+    assert.ok(summary.working > 0 && summary.awake > 0 && summary.asleep > 0);
+});
@@ -0,0 +1,50 @@
+// Map projections: Robinson against its defining table, and the inverses
+// used to pick places on the flat map.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAP_PROJECTIONS, projectPoint, unprojectPoint, getMapSize } from '../src/core/projections.js';
+
+const { EQUIRECTANGULAR, ROBINSON } = MAP_PROJECTIONS;
+
+function assertNear(actual, expected, bound, label) {
+    assert.ok(Math.abs(actual - expected) <= bound, `${label}: ${actual} vs ${expected}`);
+}
+
+test('equirectangular is longitude and latitude in radians', () => {
+    const { x, y } = projectPoint(45, -90, EQUIRECTANGULAR);
+    assertNear(x, -Math.PI / 2, 1e-12, 'x');
+    assertNear(y, Math.PI / 4, 1e-12, 'y');
+    assert.deepEqual(getMapSize(EQUIRECTANGULAR), { width: 2 * Math.PI, height: Math.PI });
+});
+
+test('Robinson', () => {
+    // 50N falls on a table row: X = 0.8679, Y = 0.6176
+    const { x, y } = projectPoint(50, -75, ROBINSON);
+    assertNear(x, -0.8487 * 0.8679 * 75 * Math.PI / 180, 1e-9, 'x');
+    assertNear(y, 1.3523 * 0.6176, 1e-9, 'y');
+    // The poles are lines 0.5322 times the equator's length
+    const pole = projectPoint(90, 180, ROBINSON);
+    assertNear(pole.x / projectPoint(0, 180, ROBINSON).x, 0.5322, 1e-9, 'pole length');
+    assertNear(pole.y, 1.3523, 1e-9, 'pole y');
+    assertNear(projectPoint(-37.5, 0, ROBINSON).y, -1.3523 * (0.4340 + 0.4958) / 2, 1e-9, 'between rows');
+});
+
+test('unprojecting returns the original point', () => {
+    [EQUIRECTANGULAR, ROBINSON].forEach(projection => {
+        [[0, 0], [51.5, -0.13], [-33.9, 151.2], [71.3, -156.8], [-89, 179], [12.34, -170]].forEach(([lat, lon]) => {
+            const { x, y } = projectPoint(lat, lon, projection);
+            const back = unprojectPoint(x, y, projection);
+            assertNear(back.lat, lat, 1e-9, `${projection} lat`);
+            assertNear(back.lon, lon, 1e-9, `${projection} lon`);
+        });
+    });
+});
+
+test('points off the map', () => {
+    assert.equal(unprojectPoint(3.3, 0, EQUIRECTANGULAR), null);
+    assert.equal(unprojectPoint(0, 1.4, ROBINSON), null);
+    // Beyond the curved edge of a Robinson map at high latitude
+    const edge = projectPoint(80, 180, ROBINSON);
+    assert.equal(unprojectPoint(edge.x + 0.05, edge.y, ROBINSON), null);
+});
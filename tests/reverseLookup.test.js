@@ -0,0 +1,78 @@
+// Reverse time lookup: "where is it HH:MM right now?" by civil clock (IANA
+// zones, including the platform's zones without cities) and by solar time.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeOfDay, findCivilMatches, findSolarMatches } from '../src/core/reverseLookup.js';
+
+const CITIES = [
+    { name: 'Kathmandu', country: 'Nepal', timezone: 'Asia/Kathmandu', lat: 27.7, lon: 85.3, population: 1400000 },
+    { name: 'Pokhara', country: 'Nepal', timezone: 'Asia/Kathmandu', lat: 28.2, lon: 84.0, population: 500000 },
+    { name: 'Kolkata', country: 'India', timezone: 'Asia/Kolkata', lat: 22.6, lon: 88.4, population: 4500000 },
+    { name: 'Auckland', country: 'New Zealand', timezone: 'Pacific/Auckland', lat: -36.8, lon: 174.8, population: 1600000 }
+];
+
+test('HH:MM parsing', () => {
+    assert.equal(parseTimeOfDay('09:30'), 570);
+    assert.equal(parseTimeOfDay(' 9:05 '), 545);
+    assert.equal(parseTimeOfDay('00:00'), 0);
+    assert.equal(parseTimeOfDay('23:59'), 1439);
+    assert.equal(parseTimeOfDay('24:00'), null);
+    assert.equal(parseTimeOfDay('12:60'), null);
+    assert.equal(parseTimeOfDay('1230'), null);
+    assert.equal(parseTimeOfDay(''), null);
+});
+
+test('civil matches within the tolerance, closest and most populous first', () => {
+    // 12:00 UTC: Kolkata 17:30, Kathmandu 17:45
+    const matches = findCivilMatches(CITIES, 17 * 60 + 30, new Date('2026-06-01T12:00:00Z'), { tolerance: 15 });
+    const zones = matches.map(match => match.timezone);
+    // Colombo shares Kolkata's clock but has no cities here, so it comes after
+    assert.deepEqual(zones.slice(0, 2), ['Asia/Kolkata', 'Asia/Colombo']);
+    assert.equal(zones[zones.length - 1], 'Asia/Kathmandu');
+
+    const kolkata = matches[0];
+    assert.equal(kolkata.offsetMinutes, 330);
+    assert.equal(kolkata.diffMinutes, 0);
+    assert.equal(kolkata.population, 4500000);
+    const kathmandu = matches[matches.length - 1];
+    assert.equal(kathmandu.diffMinutes, 15);
+    assert.equal(kathmandu.localMinutes, 17 * 60 + 45);
+
+    assert.equal(findCivilMatches(CITIES, 17 * 60 + 30, new Date('2026-06-01T12:00:00Z'), { tolerance: 14 })
+        .some(match => match.timezone === 'Asia/Kathmandu'), false);
+});
+
+test('civil matches wrap around midnight', () => {
+    // 12:05 UTC is 00:05 in Auckland (NZST): 10 minutes after 23:55 the day before
+    const matches = findCivilMatches(CITIES, 23 * 60 + 55, new Date('2026-06-01T12:05:00Z'), { tolerance: 10 });
+    assert.equal(matches[0].timezone, 'Pacific/Auckland');
+    assert.equal(matches[0].localMinutes, 5);
+    assert.equal(matches[0].diffMinutes, 10);
+});
+
+test('civil matches compare whole minutes, whatever the seconds', () => {
+    // 12:00:30 UTC is 17:45:30 in Kathmandu (+05:45)
+    const matches = findCivilMatches(CITIES, 17 * 60 + 45, new Date('2026-06-01T12:00:30Z'), { tolerance: 0 });
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].timezone, 'Asia/Kathmandu');
+    assert.equal(matches[0].localMinutes, 17 * 60 + 45);
+    assert.equal(matches[0].diffMinutes, 0);
+    assert.deepEqual(matches[0].cities.map(city => city.name), ['Kathmandu', 'Pokhara']);
+});
+
+test('solar matches: a band of longitude around local apparent noon', () => {
+    // Mid-February the Sun is about 14 minutes behind the clock (Equation of Time)
+    const date = new Date('2024-02-11T12:00:00Z');
+    const cities = [
+        { name: 'Greenwich', lon: 0, lat: 51.5, population: 1 },
+        { name: 'East', lon: 15, lat: 0, population: 1 },
+        { name: 'West', lon: -100, lat: 0, population: 1 }
+    ];
+    const result = findSolarMatches(cities, 12 * 60, date, { tolerance: 20 });
+    assert.ok(Math.abs(result.centerLon - 3.55) < 0.05, `centerLon ${result.centerLon}`);
+    assert.equal(result.halfWidth, 5);
+    assert.deepEqual(result.cities.map(match => match.city.name), ['Greenwich']);
+    assert.ok(Math.abs(result.cities[0].diffMinutes + 14.2) < 0.2);
+    assert.equal(result.cities[0].solarMinutes, 11 * 60 + 45);
+});
@@ -0,0 +1,140 @@
+// SGP4 propagation against the published verification vectors (Vallado,
+// Crawford, Hujsak & Kelso, "Revisiting Spacetrack Report #3", AIAA 2006-6753,
+// tcppver.out), plus TLE parsing and pass prediction.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+    parseTle, getTleChecksum, getSatelliteState, getSatelliteStateAfterEpoch, getOrbitalPeriod, findNextPass,
+    getSatelliteElevation
+} from '../src/core/satellites.js';
+
+// As published, except the 06251 line 2 checksum (4 there, 8 by the digits):
+// parseTle rejects the original, and the elements are what's being tested
+const VERIFICATION_TLES = {
+    '00005': [
+        '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+        '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667'
+    ],
+    '06251': [
+        '1 06251U 62025E   06176.82412014  .00008885  00000-0  12808-3 0  3985',
+        '2 06251  58.0579  54.0425 0030035 139.1568 221.1854 15.56387291  6538'
+    ],
+    '08195': [
+        '1 08195U 75081A   06176.33215444  .00000099  00000-0  11873-3 0   813',
+        '2 08195  64.1586 279.0717 6877146 264.7651  20.2257  2.00491383225656'
+    ]
+};
+
+// [catalog number, minutes since epoch, position (km), velocity (km/s) or null]
+const VECTORS = [
+    ['00005', 0, [7022.46529266, -1400.08296755, 0.03995155], [1.893841015, 6.405893759, 4.534807250]],
+    ['00005', 360, [-7154.03120202, -3783.17682504, -3536.19412294], [4.741887409, -4.151817765, -2.093935425]],
+    ['00005', 720, [-7134.59340119, 6531.68641334, 3260.27186483], [-4.113793027, -2.911922039, -2.557327851]],
+    ['00005', 1440, [-938.55923943, -6268.18748831, -4294.02924751], [7.536105209, -0.427127707, 0.989878080]],
+    ['06251', 0, [3988.31022699, 5498.96657235, 0.90055879], [-3.290032738, 2.357652820, 6.496623475]],
+    ['06251', 120, [-3935.69800083, 409.10980837, 5471.33577327], [-3.374784183, -6.635211043, -1.942056221]],
+    // Molniya orbit: deep-space (SDP4) branch
+    ['08195', 0, [2349.89483350, -14785.93811562, 0.02119378], null]
+];
+
+describe('SGP4 verification vectors', () => {
+    const { satellites, errors } = parseTle(Object.values(VERIFICATION_TLES).flat().join('\n'));
+
+    test('all verification sets parse', () => {
+        assert.deepEqual(errors, []);
+        assert.deepEqual(satellites.map(satellite => satellite.catalogNumber), Object.keys(VERIFICATION_TLES));
+    });
+
+    VECTORS.forEach(([catalogNumber, minutes, position, velocity]) => {
+        test(`${catalogNumber} at ${minutes} min`, () => {
+            const satellite = satellites.find(s => s.catalogNumber === catalogNumber);
+            const state = getSatelliteStateAfterEpoch(satellite, minutes);
+            ['x', 'y', 'z'].forEach((axis, i) => {
+                assert.ok(Math.abs(state.position[axis] - position[i]) < 1e-5, `position ${axis}: ${state.position[axis]}`);
+                if (velocity) {
+                    assert.ok(Math.abs(state.velocity[axis] - velocity[i]) < 1e-8, `velocity ${axis}: ${state.velocity[axis]}`);
+                }
+            });
+        });
+    });
+
+    test('minutes after epoch agree with the same instant as a date', () => {
+        const satellite = satellites[0];
+        const byMinutes = getSatelliteStateAfterEpoch(satellite, 360);
+        const byDate = getSatelliteState(satellite, new Date(satellite.epoch.getTime() + 360 * 60000));
+        assert.ok(Math.abs(byMinutes.lat - byDate.lat) < 1e-3);
+        assert.ok(Math.abs(byMinutes.lon - byDate.lon) < 1e-3);
+        assert.ok(Math.abs(byMinutes.altitudeKm - byDate.altitudeKm) < 0.05);
+    });
+});
+
+describe('parseTle', () => {
+    test('reads names, catalog numbers and epochs', () => {
+        const { satellites, errors } = parseTle(VERIFICATION_TLES['00005'].join('\n'));
+        assert.deepEqual(errors, []);
+        assert.equal(satellites[0].name, '00005');
+        assert.equal(satellites[0].catalogNumber, '00005');
+        // 2000, day 179.78495062
+        const epoch = Date.UTC(2000, 0, 1) + (179.78495062 - 1) * 86400000;
+        assert.ok(Math.abs(satellites[0].epoch.getTime() - epoch) < 1);
+    });
+
+    test('computes line checksums', () => {
+        const line = '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753';
+        assert.equal(getTleChecksum(line), 3);
+    });
+
+    test('skips bad sets and keeps the rest', () => {
+        const text = [
+            '# comment',
+            'BROKEN',
+            '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4754',
+            '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667',
+            '0 VANGUARD 1',
+            '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+            '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667'
+        ].join('\n');
+        const { satellites, errors } = parseTle(text);
+        assert.deepEqual(satellites.map(s => s.name), ['VANGUARD 1']);
+        assert.deepEqual(errors, [{ line: 3, message: 'line 1 checksum mismatch' }]);
+    });
+
+    test('reads the bundled sample file', () => {
+        const { satellites, errors } = parseTle(fs.readFileSync(new URL('../public/tle/sample.tle', import.meta.url), 'utf8'));
+        assert.deepEqual(errors, []);
+        assert.ok(satellites.some(s => s.name === 'ISS (NOMINAL)'));
+        // Made-up orbits under real names must say so
+        assert.ok(satellites.every(s => s.name.endsWith(' (NOMINAL)')), 'every sample name is marked nominal');
+    });
+});
+
+describe('satellite state and passes', () => {
+    const { satellites } = parseTle(fs.readFileSync(new URL('../public/tle/sample.tle', import.meta.url), 'utf8'));
+    const iss = satellites.find(s => s.name === 'ISS (NOMINAL)');
+    const date = new Date(Date.UTC(2026, 5, 1));
+
+    test('low Earth orbit height, speed and period', () => {
+        const state = getSatelliteState(iss, date);
+        assert.ok(state.altitudeKm > 350 && state.altitudeKm < 450);
+        assert.ok(state.speedKms > 7.5 && state.speedKms < 7.8);
+        assert.ok(Math.abs(state.lat) <= 51.7);
+        assert.ok(Math.abs(getOrbitalPeriod(iss) - 92.9) < 0.1);
+    });
+
+    test('next pass rises, culminates and sets above the mask', () => {
+        const london = { lat: 51.5, lon: -0.13 };
+        const pass = findNextPass(iss, london, date);
+        assert.ok(pass);
+        assert.ok(pass.rise >= date && pass.rise < pass.culmination && pass.culmination < pass.set);
+        assert.ok(pass.maxElevation >= 10);
+        assert.ok(Math.abs(getSatelliteElevation(iss, london, pass.rise) - 10) < 0.1);
+        assert.ok(Math.abs(getSatelliteElevation(iss, london, pass.set) - 10) < 0.1);
+    });
+
+    test('no pass where the orbit never comes into view', () => {
+        // 51.6° inclination can't reach 10° elevation from the South Pole
+        assert.equal(findNextPass(iss, { lat: -90, lon: 0 }, date, { hours: 12 }), null);
+    });
+});
@@ -0,0 +1,70 @@
+// City search: text normalisation, the match quality buckets and their
+// ordering by field weight and population.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText, buildSearchIndex, searchCities } from '../src/core/search.js';
+
+const CITIES = [
+    { name: 'São Paulo', country: 'Brazil', timezone: 'America/Sao_Paulo', population: 22000000 },
+    { name: 'São Luís', country: 'Brazil', timezone: 'America/Fortaleza', population: 1100000 },
+    { name: 'Tokyo', country: 'Japan', timezone: 'Asia/Tokyo', population: 37000000 },
+    { name: 'Yokohama', country: 'Japan', timezone: 'Asia/Tokyo', population: 3700000 },
+    { name: 'York', country: 'United Kingdom', timezone: 'Europe/London', population: 150000 },
+    { name: 'New York', country: 'United States', timezone: 'America/New_York', population: 18800000 },
+    { name: 'Zürich', country: 'Switzerland', timezone: 'Europe/Zurich', population: 1400000 },
+    { name: 'Tromsø', country: 'Norway', timezone: 'Europe/Oslo', population: 77000 },
+    { name: 'Łódź', country: 'Poland', timezone: 'Europe/Warsaw', population: 680000 },
+    { name: 'Wrocław', country: 'Poland', timezone: 'Europe/Warsaw', population: 640000 }
+];
+const INDEX = buildSearchIndex(CITIES);
+
+const search = (query, options) => searchCities(INDEX, query, options).map(result => result.city.name);
+
+test('text is compared without accents, case or punctuation', () => {
+    assert.equal(normalizeText('São_Paulo'), 'sao paulo');
+    assert.equal(normalizeText('  Zürich, CH '), 'zurich ch');
+    assert.equal(normalizeText('America/Port-au-Prince'), 'america port au prince');
+    assert.equal(normalizeText(null), '');
+    // Letters NFD doesn't split into a base letter and a mark
+    assert.equal(normalizeText('Tromsø'), 'tromso');
+    assert.equal(normalizeText('ŁÓDŹ'), 'lodz');
+    assert.equal(normalizeText('Đà Nẵng'), 'da nang');
+    assert.equal(normalizeText('Diyarbakır'), 'diyarbakir');
+    assert.equal(normalizeText('Æbeltoft Straße Œuvre'), 'aebeltoft strasse oeuvre');
+});
+
+test('match quality: exact, prefix, word prefix, substring, typo', () => {
+    const scoreOf = (query) => searchCities(INDEX, query)[0];
+    assert.deepEqual([scoreOf('tokyo').score, scoreOf('tokyo').field], [100, 'name']);
+    assert.equal(scoreOf('yoko').score, 80);
+    assert.deepEqual([scoreOf('york').city.name, scoreOf('york').score], ['York', 100]);
+    assert.equal(searchCities(INDEX, 'york')[1].score, 60); // New York: word prefix
+    assert.equal(scoreOf('kohama').score, 40);
+    assert.deepEqual([scoreOf('tokio').city.name, scoreOf('tokio').score], ['Tokyo', 30]);
+    assert.deepEqual(search('xyzzy'), []);
+    assert.deepEqual(search('   '), []);
+});
+
+test('accented names match plain queries', () => {
+    assert.deepEqual(search('zurich'), ['Zürich']);
+    assert.deepEqual(search('SAO').slice(0, 2), ['São Paulo', 'São Luís']);
+    assert.deepEqual(search('tromso'), ['Tromsø']);
+    assert.deepEqual(search('lodz'), ['Łódź']);
+    assert.deepEqual(search('wroclaw'), ['Wrocław']);
+});
+
+test('country and timezone matches count less than names', () => {
+    // "japan" only matches the country: weighted prefix, most populous first
+    const japan = searchCities(INDEX, 'japan');
+    assert.deepEqual(japan.map(result => result.city.name), ['Tokyo', 'Yokohama']);
+    assert.ok(japan.every(result => result.field === 'country' && result.score === 60));
+
+    // The name beats the other Asia/Tokyo city matched through its timezone
+    const tokyo = searchCities(INDEX, 'tokyo');
+    assert.deepEqual(tokyo.map(result => [result.city.name, result.field]), [['Tokyo', 'name'], ['Yokohama', 'timezone']]);
+});
+
+test('results are limited', () => {
+    assert.equal(search('o', { limit: 3 }).length, 3);
+});
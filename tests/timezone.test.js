@@ -0,0 +1,140 @@
+// Civil time and offset transitions from the platform's Intl data, against
+// the published tz database rules (EU last Sunday of March/October at 01:00
+// UTC, US second Sunday of March / first of November at 02:00 local, and so on).
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getZonedParts, getUtcOffsetMinutes, formatUtcOffset, formatOffsetDifference, getLocalTime, isValidTimezone,
+    zonedTimeToUtc, getDstStatus, findNextTransition, findPreviousTransition, findTransitions, getZoneInfo,
+    getZoneAbbreviation, getCanonicalTimezone
+} from '../src/core/timezone.js';
+
+describe('civil time', () => {
+    test('wall clock fields across the date line and new year', () => {
+        assert.deepEqual(getZonedParts(new Date('2024-12-31T23:30:00Z'), 'Asia/Tokyo'), {
+            year: 2025, month: 1, day: 1, hour: 8, minute: 30, second: 0
+        });
+        assert.deepEqual(getZonedParts(new Date('2024-01-01T05:00:00Z'), 'America/New_York'), {
+            year: 2024, month: 1, day: 1, hour: 0, minute: 0, second: 0
+        });
+        assert.equal(getLocalTime('Asia/Kolkata', new Date('2024-03-31T00:30:15Z')), '06:00:15');
+        assert.equal(getLocalTime('Not/A_Zone', new Date('2024-03-31T00:30:00Z')), '00:00:00');
+    });
+
+    test('UTC offsets, including half and three-quarter hours', () => {
+        const date = new Date('2024-03-31T00:30:00Z');
+        assert.equal(getUtcOffsetMinutes(date, 'UTC'), 0);
+        assert.equal(getUtcOffsetMinutes(date, 'Asia/Kolkata'), 330);
+        assert.equal(getUtcOffsetMinutes(date, 'Asia/Kathmandu'), 345);
+        assert.equal(getUtcOffsetMinutes(date, 'America/St_Johns'), -150);
+        assert.equal(getUtcOffsetMinutes(date, 'Pacific/Chatham'), 825); // Summer time until April 7
+        // Seconds don't skew the offset
+        assert.equal(getUtcOffsetMinutes(new Date('2024-03-31T00:30:59.999Z'), 'Asia/Kolkata'), 330);
+    });
+
+    test('offset labels', () => {
+        assert.equal(formatUtcOffset(330), '+05:30');
+        assert.equal(formatUtcOffset(-150), '-02:30');
+        assert.equal(formatUtcOffset(0), '+00:00');
+        assert.equal(formatOffsetDifference(0), '±0h');
+        assert.equal(formatOffsetDifference(480), '+8h');
+        assert.equal(formatOffsetDifference(-210), '-3h30');
+    });
+
+    test('zone names are validated', () => {
+        assert.equal(isValidTimezone('Europe/Berlin'), true);
+        assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+    });
+
+    test('wall time to UTC, around both DST changes', () => {
+        assert.equal(zonedTimeToUtc({ year: 2024, month: 6, day: 1, hour: 9 }, 'Europe/Berlin').toISOString(), '2024-06-01T07:00:00.000Z');
+        assert.equal(zonedTimeToUtc({ year: 2024, month: 1, day: 15, hour: 9, minute: 30 }, 'America/New_York').toISOString(), '2024-01-15T14:30:00.000Z');
+        // 02:30 doesn't exist on the spring-forward night: read with the old offset
+        assert.equal(zonedTimeToUtc({ year: 2024, month: 3, day: 31, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString(), '2024-03-31T01:30:00.000Z');
+        // 02:30 happens twice on the fall-back night: the first one (CEST)
+        assert.equal(zonedTimeToUtc({ year: 2024, month: 10, day: 27, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString(), '2024-10-27T00:30:00.000Z');
+    });
+
+    test('DST status in both hemispheres', () => {
+        const july = new Date('2024-07-01T00:00:00Z');
+        assert.deepEqual(getDstStatus(july, 'Europe/London'), {
+            offsetMinutes: 60, standardOffsetMinutes: 0, observesDst: true, isDst: true
+        });
+        assert.deepEqual(getDstStatus(july, 'Australia/Sydney'), {
+            offsetMinutes: 600, standardOffsetMinutes: 600, observesDst: true, isDst: false
+        });
+        assert.equal(getDstStatus(new Date('2024-01-01T00:00:00Z'), 'Australia/Sydney').isDst, true);
+        assert.deepEqual(getDstStatus(july, 'Asia/Tokyo'), {
+            offsetMinutes: 540, standardOffsetMinutes: 540, observesDst: false, isDst: false
+        });
+    });
+});
+
+describe('transitions of one zone', () => {
+    test('Berlin leaves summer time in October 2024', () => {
+        const transition = findNextTransition(new Date('2024-06-01T00:00:00Z'), 'Europe/Berlin');
+        assert.equal(transition.time.toISOString(), '2024-10-27T01:00:00.000Z');
+        assert.equal(transition.offsetBefore, 120);
+        assert.equal(transition.offsetAfter, 60);
+        assert.equal(transition.abbreviationBefore, 'CEST');
+        assert.equal(transition.abbreviationAfter, 'CET');
+    });
+
+    test('New York springs forward at 02:00 local', () => {
+        const transition = findNextTransition(new Date('2024-01-15T00:00:00Z'), 'America/New_York');
+        assert.equal(transition.time.toISOString(), '2024-03-10T07:00:00.000Z');
+        assert.equal(transition.offsetAfter - transition.offsetBefore, 60);
+    });
+
+    test('southern hemisphere and half-hour changes', () => {
+        const sydney = findNextTransition(new Date('2024-07-01T00:00:00Z'), 'Australia/Sydney');
+        assert.equal(sydney.time.toISOString(), '2024-10-05T16:00:00.000Z');
+        // Lord Howe Island moves its clocks by 30 minutes
+        const lordHowe = findNextTransition(new Date('2024-07-01T00:00:00Z'), 'Australia/Lord_Howe');
+        assert.equal(lordHowe.time.toISOString(), '2024-10-05T15:30:00.000Z');
+        assert.equal(lordHowe.offsetAfter - lordHowe.offsetBefore, 30);
+    });
+
+    test('previous transition includes one at the given instant', () => {
+        const at = new Date('2024-10-27T01:00:00Z');
+        assert.equal(findPreviousTransition(at, 'Europe/Berlin').time.toISOString(), '2024-10-27T01:00:00.000Z');
+        assert.equal(findNextTransition(at, 'Europe/Berlin').time.toISOString(), '2025-03-30T01:00:00.000Z');
+    });
+
+    test('zones without DST, and Mexico after abolishing it in 2022', () => {
+        const tokyo = getZoneInfo(new Date('2024-06-01T00:00:00Z'), 'Asia/Tokyo');
+        assert.equal(tokyo.observesDst, false);
+        assert.equal(tokyo.previousTransition, null);
+        assert.equal(tokyo.nextTransition, null);
+
+        const mexico = getZoneInfo(new Date('2023-06-01T00:00:00Z'), 'America/Mexico_City');
+        assert.equal(mexico.nextTransition, null);
+        assert.equal(mexico.previousTransition.time.toISOString(), '2022-10-30T07:00:00.000Z');
+    });
+});
+
+test('zone info', () => {
+    const info = getZoneInfo(new Date('2024-07-01T12:00:00Z'), 'Europe/London');
+    assert.equal(info.abbreviation, 'BST');
+    assert.equal(info.offsetMinutes, 60);
+    assert.equal(info.isDst, true);
+    assert.equal(info.previousTransition.time.toISOString(), '2024-03-31T01:00:00.000Z');
+    assert.equal(info.nextTransition.time.toISOString(), '2024-10-27T01:00:00.000Z');
+    assert.equal(getZoneAbbreviation(new Date('2024-01-15T00:00:00Z'), 'Asia/Kolkata'), 'IST');
+});
+
+test('every transition in a window, aliases once', () => {
+    const transitions = findTransitions(
+        new Date('2024-10-26T00:00:00Z'), new Date('2024-10-28T00:00:00Z'),
+        ['Europe/Berlin', 'Europe/London', 'Europe/Kiev', 'Europe/Kyiv', 'Asia/Tokyo', 'America/New_York']
+    );
+    assert.deepEqual(transitions.map(t => t.timezone), ['Europe/Berlin', 'Europe/Kiev', 'Europe/London']);
+    assert.ok(transitions.every(t => t.time.toISOString() === '2024-10-27T01:00:00.000Z'));
+    assert.equal(getCanonicalTimezone('Europe/Kyiv'), getCanonicalTimezone('Europe/Kiev'));
+
+    // The default list covers the whole platform database
+    const all = findTransitions(new Date('2024-10-26T00:00:00Z'), new Date('2024-10-28T00:00:00Z'));
+    assert.ok(all.length > 50);
+    assert.ok(all.some(t => t.timezone === 'Europe/Paris'));
+});
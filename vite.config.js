@@ -0,0 +1,59 @@
+import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, relative } from 'node:path';
+
+// Source data for `npm run cities`, not used by the app
+const NOT_PRECACHED = ['worldcities.csv'];
+
+function listFiles(dir, root = dir) {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return listFiles(path, root);
+        return [relative(root, path).split('\\').join('/')];
+    });
+}
+
+// Emits sw.js (from src/sw.js) with the list of files to cache for offline
+// use: the page, every bundle file and public/. The cache name carries a hash
+// of those files, so each deploy replaces the previous cache.
+function serviceWorker() {
+    let publicDir;
+    return {
+        name: 'globeclock-service-worker',
+        apply: 'build',
+        configResolved(config) {
+            publicDir = config.publicDir;
+        },
+        generateBundle(options, bundle) {
+            const hash = createHash('sha256');
+            const files = [];
+
+            Object.values(bundle).forEach(item => {
+                if (item.fileName === 'index.html') return;
+                files.push(item.fileName);
+                hash.update(item.fileName);
+                hash.update(item.type === 'chunk' ? item.code : item.source);
+            });
+            if (publicDir) {
+                listFiles(publicDir)
+                    .filter(file => !NOT_PRECACHED.includes(file))
+                    .forEach(file => {
+                        files.push(file);
+                        hash.update(file);
+                        hash.update(readFileSync(join(publicDir, file)));
+                    });
+            }
+
+            const precache = ['/', ...files.sort().map(file => `/${file}`)];
+            const source = readFileSync('src/sw.js', 'utf8')
+                .replace('self.__PRECACHE__', JSON.stringify(precache, null, 4))
+                .replace('self.__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)));
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [serviceWorker()]
+});
@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite';
+
+// Standalone bundle of the <globe-clock> element (three.js included) for
+// embedding in other pages: dist-element/globe-clock.js. Serve the contents
+// of public/ alongside it and point the element's asset-base attribute there.
+export default defineConfig({
+    publicDir: false,
+    build: {
+        outDir: 'dist-element',
+        lib: {
+            entry: 'src/globeClockElement.js',
+            formats: ['es'],
+            fileName: () => 'globe-clock.js'
+        }
+    }
+});